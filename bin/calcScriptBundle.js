@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {argv, exit, stderr, stdout} from 'node:process';
+import {dirname, join} from 'node:path';
+import {bundleScript} from '../lib/bundle.js';
+import {parseScript} from '../lib/parser.js';
+import {readFile, writeFile} from 'node:fs/promises';
+
+try {
+    // Parse the script
+    if (argv.length !== 3 && argv.length !== 4) {
+        throw new Error('usage: calcScriptBundle <script> [<output>]');
+    }
+    const [, , scriptPath, outputPath = null] = argv;
+    const script = parseScript(await readFile(scriptPath, 'utf-8'), 1, {'locations': true, 'url': scriptPath});
+
+    // Bundle the script - included script URLs are relative to the script's directory
+    const fetchFn = (url) => ({'ok': true, 'text': () => readFile(join(dirname(scriptPath), url), 'utf-8')});
+    const bundleJSON = JSON.stringify(await bundleScript(script, {fetchFn}), null, 4);
+
+    // Write the bundled script to the output file, if any, or stdout
+    if (outputPath !== null) {
+        await writeFile(outputPath, bundleJSON);
+    } else {
+        stdout.write(bundleJSON);
+    }
+} catch (error) {
+    stderr.write(error.message);
+    stderr.write('\n');
+    exit(1);
+}
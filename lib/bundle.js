@@ -0,0 +1,191 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+/** @module lib/bundle */
+
+import {
+    CalcScriptRuntimeError, getBaseURL, getIncludeOptions, getIncludeScript, getIncludeURL, isRelativeURL, runGeneratorAsync
+} from './runtime.js';
+
+
+/**
+ * Bundle a CalcScript model's included scripts into a single script model. Included scripts are fetched, parsed, and
+ * inlined in place of their include statements, recursively, using the same relative URL rules as script execution.
+ * Each URL is included only once. Included statements keep their script URL in their source locations.
+ *
+ * Include statements must be top-level script statements, and included scripts may not contain top-level return
+ * statements or duplicate top-level labels. Import statements are not bundled - an included script's import URLs are
+ * resolved relative to the included script's URL.
+ *
+ * Inlined statements fetch relative to the bundled script's URL rather than the included script's URL. So, an included
+ * script in another directory may only call the "fetch" function with absolute string literal URLs.
+ *
+ * @async
+ * @param {Object} script - The [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
+ * @param {Object} [options = {}] - The [script execution options]{@link module:lib/runtime~ExecuteScriptOptions} - only
+ *     the "capabilities", "fetchFn", "includeCache", "signal", "urlFn", and "urlPolicy" options are used
+ * @returns {Object} The bundled [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
+ * @throws [CalcScriptRuntimeError]{@link module:lib/runtimeError.CalcScriptRuntimeError}
+ * @throws [CalcScriptParserError]{@link module:lib/parser.CalcScriptParserError}
+ * @throws [CalcScriptCancellationError]{@link module:lib/runtime.CalcScriptCancellationError}
+ */
+export async function bundleScript(script, options = {}) {
+    const bundle = {'statements': [], 'labels': new Set(), 'includeURLs': new Set()};
+    await runGeneratorAsync(bundleStatements(script.statements, bundle, options, null, false), options);
+    return {'statements': bundle.statements};
+}
+
+
+// Helper function to add a script's statements to a bundle, inlining included scripts - include is the included
+// script's include URL, or null for the bundled script, and isRelocated is true if the included script is in a
+// different directory from the bundled script
+function* bundleStatements(statements, bundle, options, include, isRelocated) {
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+
+        // Include?
+        if (statementKey === 'include') {
+            const [includeURL, includeChain] = getIncludeURL('Include', statement.include, options, true);
+
+            // Include each URL only once
+            if (!bundle.includeURLs.has(includeURL)) {
+                bundle.includeURLs.add(includeURL);
+                const scriptModel = yield* getIncludeScript('Include', statement.include, includeChain, options);
+                const includeOptions = getIncludeOptions(includeURL, includeChain, options);
+                yield* bundleStatements(scriptModel.statements, bundle, includeOptions, statement.include, getBaseURL(includeURL) !== '');
+            }
+            continue;
+        }
+
+        // Check the statement's fetch URLs and sub-statements
+        if (isRelocated) {
+            checkBundleFetch(getStatementExpressions(statement), include);
+        }
+        checkBundleStatements(getSubStatements(statement), include, isRelocated, statementKey === 'function');
+
+        // Included script statement?
+        if (include !== null) {
+            if (statementKey === 'return') {
+                throw new CalcScriptRuntimeError(`Include of "${include}" with top-level return statement`);
+            } else if (statementKey === 'label' && bundle.labels.has(statement.label)) {
+                throw new CalcScriptRuntimeError(`Include of "${include}" with duplicate label "${statement.label}"`);
+            } else if (statementKey === 'import') {
+                // Resolve the import URL relative to the included script's URL
+                bundle.statements.push({'import': {...statement.import, 'url': options.urlFn(statement.import.url)}});
+                continue;
+            }
+        }
+
+        if (statementKey === 'label') {
+            bundle.labels.add(statement.label);
+        }
+        bundle.statements.push(statement);
+    }
+}
+
+
+// Helper function to check that non-top-level statements can be bundled - include is the included script's include URL,
+// or null for the bundled script
+function checkBundleStatements(statements, include, isRelocated, isFunction) {
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+        if (isRelocated) {
+            checkBundleFetch(getStatementExpressions(statement), include);
+        }
+        if (statementKey === 'include') {
+            throw new CalcScriptRuntimeError(`Include of "${statement.include}" not at script top level`);
+        } else if (include !== null && statementKey === 'import') {
+            throw new CalcScriptRuntimeError(`Import of "${statement.import.url}" not at script top level`);
+        } else if (include !== null && statementKey === 'return' && !isFunction) {
+            throw new CalcScriptRuntimeError(`Include of "${include}" with top-level return statement`);
+        }
+        checkBundleStatements(getSubStatements(statement), include, isRelocated, isFunction || statementKey === 'function');
+    }
+}
+
+
+// Helper function to check that a relocated included script's expressions fetch only absolute string literal URLs
+function checkBundleFetch(exprs, include) {
+    for (const expr of exprs) {
+        const [exprKey] = Object.keys(expr);
+        if (exprKey === 'variable' && expr.variable === 'fetch') {
+            throw new CalcScriptRuntimeError(`Include of "${include}" with non-literal fetch URL`);
+        } else if (exprKey === 'function' && expr.function.name === 'fetch') {
+            const [urlExpr = null] = expr.function.args ?? [];
+            if (urlExpr === null || !('string' in urlExpr)) {
+                throw new CalcScriptRuntimeError(`Include of "${include}" with non-literal fetch URL`);
+            } else if (isRelativeURL(urlExpr.string)) {
+                throw new CalcScriptRuntimeError(`Include of "${include}" with relative fetch URL "${urlExpr.string}"`);
+            }
+        }
+        checkBundleFetch(getSubExpressions(expr), include);
+    }
+}
+
+
+// Helper function to get a statement's sub-statements
+function getSubStatements(statement) {
+    const [statementKey] = Object.keys(statement);
+    if (statementKey === 'function') {
+        return statement.function.statements;
+    } else if (statementKey === 'if') {
+        return [
+            ...statement.if.statements,
+            ...(statement.if.elif ?? []).flatMap((elifStatement) => elifStatement.statements),
+            ...(statement.if.else ?? [])
+        ];
+    } else if (statementKey === 'while') {
+        return statement.while.statements;
+    } else if (statementKey === 'for') {
+        return statement.for.statements;
+    } else if (statementKey === 'try') {
+        return [
+            ...statement.try.statements,
+            ...('catch' in statement.try ? statement.try.catch.statements : []),
+            ...(statement.try.finally ?? [])
+        ];
+    }
+    return [];
+}
+
+
+// Helper function to get a statement's expressions, excluding its sub-statements' expressions
+function getStatementExpressions(statement) {
+    const [statementKey] = Object.keys(statement);
+    if (statementKey === 'expr') {
+        return [statement.expr];
+    } else if (statementKey === 'assign') {
+        return [...(statement.assign.indexes ?? []), statement.assign.expr];
+    } else if (statementKey === 'jump' || statementKey === 'return') {
+        return ('expr' in statement[statementKey] ? [statement[statementKey].expr] : []);
+    } else if (statementKey === 'if') {
+        return [statement.if.expr, ...(statement.if.elif ?? []).map((elifStatement) => elifStatement.expr)];
+    } else if (statementKey === 'while' || statementKey === 'for' || statementKey === 'throw') {
+        return [statement[statementKey].expr];
+    }
+    return [];
+}
+
+
+// Helper function to get an expression's sub-expressions
+function getSubExpressions(expr) {
+    const [exprKey] = Object.keys(expr);
+    if (exprKey === 'function') {
+        return expr.function.args ?? [];
+    } else if (exprKey === 'binary') {
+        return [expr.binary.left, expr.binary.right];
+    } else if (exprKey === 'unary') {
+        return [expr.unary.expr];
+    } else if (exprKey === 'group') {
+        return [expr.group];
+    } else if (exprKey === 'array') {
+        return expr.array.values;
+    } else if (exprKey === 'object') {
+        return expr.object.keyValues.map((keyValue) => keyValue.value);
+    } else if (exprKey === 'index') {
+        return [expr.index.expr, expr.index.index];
+    } else if (exprKey === 'lambda') {
+        return [expr.lambda.expr];
+    }
+    return [];
+}
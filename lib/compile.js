@@ -0,0 +1,489 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+/** @module lib/compile */
+
+import {
+    CalcScriptCancellationError, CalcScriptRuntimeError, callGlobalsFunction, checkIncludePermitted, getBinaryValue, getCallStack,
+    getCompletionResult, getErrorValue, getFunctionErrorResult, getFunctionLocals, getFunctionValue, getIndexValue, getThrowMessage,
+    getVariableValue, incrementStatementCount, setErrorCallStack, setIndexValue, setScriptFunctionGlobals, validateExecuteScript
+} from './runtime.js';
+import {setOwnValue} from './library.js';
+
+
+/**
+ * A compiled CalcScript script function
+ *
+ * @callback CompiledScriptFn
+ * @param {Object} [globals = {}] - The global variables
+ * @param {Object} [options = {}] - The [script execution options]{@link module:lib/runtime~ExecuteScriptOptions}
+ * @returns The script result
+ * @throws [CalcScriptRuntimeError]{@link module:lib/runtimeError.CalcScriptRuntimeError}
+ * @throws [CalcScriptCancellationError]{@link module:lib/runtime.CalcScriptCancellationError}
+ */
+
+
+/**
+ * A compiled expression function
+ *
+ * @callback CompiledExpressionFn
+ * @param {Object} [globals = {}] - The global variables
+ * @param {Object} [locals = null] - The local variables
+ * @param {?Object} [options = null] - The [script execution options]{@link module:lib/runtime~ExecuteScriptOptions}
+ * @returns The expression result
+ * @throws [CalcScriptRuntimeError]{@link module:lib/runtimeError.CalcScriptRuntimeError}
+ */
+
+
+/**
+ * Compile a CalcScript model to a JavaScript function. The compiled function has the same semantics as
+ * [executeScript]{@link module:lib/runtime.executeScript}, but the model is dispatched once, when compiled, rather than
+ * each time it is executed.
+ *
+ * @param {Object} script - The [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
+ * @returns {function} The [compiled script function]{@link module:lib/compile~CompiledScriptFn}
+ */
+export function compileScript(script) {
+    const blockFn = compileBlock(script.statements);
+    return (globals = {}, options = {}) => {
+        // Validate the script, if requested
+        validateExecuteScript(script, options);
+
+        // Execute the script
+        const timeBegin = performance.now();
+        setScriptFunctionGlobals(globals, options);
+        options.limits = {'statementCount': 0, 'allocationEstimate': 0};
+        options.callStack = [];
+        options.timeBegin = timeBegin;
+        const result = executeCompiledBlock(blockFn, globals, null, options);
+
+        // Report script duration
+        if ('logFn' in options) {
+            const timeEnd = performance.now();
+            options.logFn(`Script executed in ${(timeEnd - timeBegin).toFixed(1)} milliseconds`);
+        }
+
+        return result;
+    };
+}
+
+
+/**
+ * Compile an expression model to a JavaScript function. The compiled function has the same semantics as
+ * [evaluateExpression]{@link module:lib/runtime.evaluateExpression}.
+ *
+ * @param {Object} expr - The [expression model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='Expression'}
+ * @param {boolean} [builtins = true] - If true, include the
+ *     [built-in expression functions]{@link https://craigahobbs.github.io/calc-script/library/expression.html}
+ * @returns {function} The [compiled expression function]{@link module:lib/compile~CompiledExpressionFn}
+ */
+export function compileExpression(expr, builtins = true) {
+    const exprFn = compileExpressionHelper(expr, builtins);
+    return (globals = {}, locals = null, options = null) => exprFn(globals, locals, options);
+}
+
+
+// Helper function to execute a compiled statement block as a function body (or the script) - the compiled equivalent of
+// executeScriptHelper
+function executeCompiledBlock(blockFn, globals, locals, options, funcName = null) {
+    const callStack = getCallStack(options);
+    callStack.push({'name': funcName, 'statement': null});
+    let result;
+    try {
+        result = getCompletionResult(blockFn(globals, locals, options));
+    } catch (error) {
+        throw setErrorCallStack(error, callStack);
+    } finally {
+        callStack.pop();
+    }
+    return result;
+}
+
+
+// Helper function to compile a statement block - the compiled block function returns a completion object for a return
+// statement or for a jump to a label outside of the block, null otherwise.
+function compileBlock(statements) {
+    const statementFns = statements.map((statement) => compileStatement(statement));
+    const statementsLength = statements.length;
+
+    // Compute the block's label indexes
+    const labelIndexes = new Map();
+    for (let ixStatement = statementsLength - 1; ixStatement >= 0; ixStatement--) {
+        if ('label' in statements[ixStatement]) {
+            labelIndexes.set(statements[ixStatement].label, ixStatement);
+        }
+    }
+
+    return (globals, locals, options) => {
+        const callStackFrame = options.callStack[options.callStack.length - 1];
+        for (let ixStatement = 0; ixStatement < statementsLength; ixStatement++) {
+            callStackFrame.statement = statements[ixStatement];
+
+            // Increment the statement counter
+            incrementStatementCount(options);
+
+            // Execute the statement - jump to a label within this block?
+            const completion = statementFns[ixStatement](globals, locals, options, callStackFrame);
+            if (completion !== null) {
+                const ixLabel = ('jump' in completion ? labelIndexes.get(completion.jump) ?? -1 : -1);
+                if (ixLabel === -1) {
+                    return completion;
+                }
+                ixStatement = ixLabel;
+            }
+        }
+        return null;
+    };
+}
+
+
+// Helper function to compile a statement - the compiled statement function returns a completion object or null
+function compileStatement(statement) {
+    const [statementKey] = Object.keys(statement);
+
+    // Assignment?
+    if (statementKey === 'assign') {
+        const {name} = statement.assign;
+        const exprFn = compileExpressionHelper(statement.assign.expr, false);
+
+        // Object key or array element assignment?
+        if ('indexes' in statement.assign) {
+            const indexFns = statement.assign.indexes.map((indexExpr) => compileExpressionHelper(indexExpr, false));
+            const indexFnsLength = indexFns.length;
+            return (globals, locals, options) => {
+                let object = getVariableValue(name, globals, locals);
+                for (let ixIndex = 0; ixIndex < indexFnsLength - 1; ixIndex++) {
+                    object = getIndexValue(object, indexFns[ixIndex](globals, locals, options));
+                }
+                const index = indexFns[indexFnsLength - 1](globals, locals, options);
+                setIndexValue(object, index, exprFn(globals, locals, options), options);
+                return null;
+            };
+        }
+
+        return (globals, locals, options) => {
+            const exprValue = exprFn(globals, locals, options);
+            setOwnValue(locals !== null ? locals : globals, name, exprValue);
+            return null;
+        };
+
+    // Function?
+    } else if (statementKey === 'function') {
+        // Functions defined within a function are local to that function
+        const {name} = statement.function;
+        const args = statement.function.args ?? [];
+        const blockFn = compileBlock(statement.function.statements);
+        return (globals, locals) => {
+            const funcValue = (funcArgs, fnOptions) => {
+                const funcLocals = getFunctionLocals(args, funcArgs, locals);
+                return executeCompiledBlock(blockFn, globals, funcLocals, fnOptions, name);
+            };
+            setOwnValue(locals !== null ? locals : globals, name, funcValue);
+            return null;
+        };
+
+    // Jump?
+    } else if (statementKey === 'jump') {
+        const completion = {'jump': statement.jump.label};
+        if (!('expr' in statement.jump)) {
+            return () => completion;
+        }
+        const exprFn = compileExpressionHelper(statement.jump.expr, false);
+        return (globals, locals, options) => (exprFn(globals, locals, options) ? completion : null);
+
+    // Return?
+    } else if (statementKey === 'return') {
+        if (!('expr' in statement.return)) {
+            return () => ({'return': null});
+        }
+        const exprFn = compileExpressionHelper(statement.return.expr, false);
+        return (globals, locals, options) => ({'return': exprFn(globals, locals, options)});
+
+    // Expression?
+    } else if (statementKey === 'expr') {
+        const exprFn = compileExpressionHelper(statement.expr, false);
+        return (globals, locals, options) => {
+            exprFn(globals, locals, options);
+            return null;
+        };
+
+    // If-then?
+    } else if (statementKey === 'if') {
+        const testFns = [compileExpressionHelper(statement.if.expr, false)];
+        const blockFns = [compileBlock(statement.if.statements)];
+        for (const elifStatement of (statement.if.elif ?? [])) {
+            testFns.push(compileExpressionHelper(elifStatement.expr, false));
+            blockFns.push(compileBlock(elifStatement.statements));
+        }
+        const elseBlockFn = ('else' in statement.if ? compileBlock(statement.if.else) : null);
+        const testFnsLength = testFns.length;
+        return (globals, locals, options) => {
+            for (let ixTest = 0; ixTest < testFnsLength; ixTest++) {
+                if (testFns[ixTest](globals, locals, options)) {
+                    return blockFns[ixTest](globals, locals, options);
+                }
+            }
+            return elseBlockFn !== null ? elseBlockFn(globals, locals, options) : null;
+        };
+
+    // While-do loop?
+    } else if (statementKey === 'while') {
+        const exprFn = compileExpressionHelper(statement.while.expr, false);
+        const blockFn = compileBlock(statement.while.statements);
+        return (globals, locals, options, callStackFrame) => {
+            while (exprFn(globals, locals, options)) {
+                const loopCompletion = blockFn(globals, locals, options);
+                callStackFrame.statement = statement;
+                if (loopCompletion !== null && !('continue' in loopCompletion)) {
+                    return ('break' in loopCompletion ? null : loopCompletion);
+                }
+
+                // Each loop iteration counts as a statement
+                incrementStatementCount(options);
+            }
+            return null;
+        };
+
+    // For-each loop?
+    } else if (statementKey === 'for') {
+        const {value, index = null} = statement.for;
+        const exprFn = compileExpressionHelper(statement.for.expr, false);
+        const blockFn = compileBlock(statement.for.statements);
+        return (globals, locals, options, callStackFrame) => {
+            const values = exprFn(globals, locals, options);
+            const loopScope = (locals !== null ? locals : globals);
+            for (let ixValue = 0; Array.isArray(values) && ixValue < values.length; ixValue++) {
+                setOwnValue(loopScope, value, values[ixValue]);
+                if (index !== null) {
+                    setOwnValue(loopScope, index, ixValue);
+                }
+                const loopCompletion = blockFn(globals, locals, options);
+                callStackFrame.statement = statement;
+                if (loopCompletion !== null && !('continue' in loopCompletion)) {
+                    return ('break' in loopCompletion ? null : loopCompletion);
+                }
+
+                // Each loop iteration counts as a statement
+                incrementStatementCount(options);
+            }
+            return null;
+        };
+
+    // Loop break?
+    } else if (statementKey === 'break') {
+        const completion = {'break': true};
+        return () => completion;
+
+    // Loop continue?
+    } else if (statementKey === 'continue') {
+        const completion = {'continue': true};
+        return () => completion;
+
+    // Try-catch?
+    } else if (statementKey === 'try') {
+        return compileTryStatement(statement.try);
+
+    // Throw?
+    } else if (statementKey === 'throw') {
+        const exprFn = compileExpressionHelper(statement.throw.expr, false);
+        return (globals, locals, options) => {
+            throw new CalcScriptRuntimeError(getThrowMessage(exprFn(globals, locals, options)));
+        };
+
+    // Include?
+    } else if (statementKey === 'include') {
+        return (globals, locals, options) => {
+            checkIncludePermitted('Include', statement.include, options);
+            throw new CalcScriptRuntimeError(`Include of "${statement.include}" within non-async scope`);
+        };
+
+    // Import?
+    } else if (statementKey === 'import') {
+        return (globals, locals, options) => {
+            checkIncludePermitted('Import', statement.import.url, options);
+            throw new CalcScriptRuntimeError(`Import of "${statement.import.url}" within non-async scope`);
+        };
+    }
+
+    // Label
+    // else if (statementKey === 'label')
+    return () => null;
+}
+
+
+// Helper function to compile a try-catch statement
+function compileTryStatement(tryStatement) {
+    const blockFn = compileBlock(tryStatement.statements);
+    const hasCatch = ('catch' in tryStatement);
+    const catchName = (hasCatch ? tryStatement.catch.name ?? null : null);
+    const catchBlockFn = (hasCatch ? compileBlock(tryStatement.catch.statements) : null);
+    const finallyBlockFn = ('finally' in tryStatement ? compileBlock(tryStatement.finally) : null);
+    return (globals, locals, options) => {
+        let completion = null;
+        let tryError = null;
+        try {
+            completion = blockFn(globals, locals, options);
+        } catch (error) {
+            const errorValue = (hasCatch ? getErrorValue(setErrorCallStack(error, options.callStack)) : null);
+            if (errorValue === null) {
+                tryError = error;
+            } else {
+                if (catchName !== null) {
+                    setOwnValue(locals !== null ? locals : globals, catchName, errorValue);
+                }
+                try {
+                    completion = catchBlockFn(globals, locals, options);
+                } catch (catchError) {
+                    tryError = catchError;
+                }
+            }
+        }
+
+        // A finally block's return, jump, or loop completion takes precedence over any try or catch error, except a
+        // cancellation error
+        if (finallyBlockFn !== null) {
+            const finallyCompletion = finallyBlockFn(globals, locals, options);
+            if (finallyCompletion !== null && !(tryError instanceof CalcScriptCancellationError)) {
+                completion = finallyCompletion;
+                tryError = null;
+            }
+        }
+        if (tryError !== null) {
+            throw tryError;
+        }
+        return completion;
+    };
+}
+
+
+// Helper function to compile an expression - the compiled expression function is called with the globals, locals, and
+// options
+function compileExpressionHelper(expr, builtins) {
+    const [exprKey] = Object.keys(expr);
+
+    // Number
+    if (exprKey === 'number') {
+        const value = expr.number;
+        return () => value;
+
+    // String
+    } else if (exprKey === 'string') {
+        const value = expr.string;
+        return () => value;
+
+    // Variable
+    } else if (exprKey === 'variable') {
+        const name = expr.variable;
+        return (globals, locals) => getVariableValue(name, globals, locals);
+
+    // Function
+    } else if (exprKey === 'function') {
+        return compileFunctionExpression(expr.function, builtins);
+
+    // Binary expression
+    } else if (exprKey === 'binary') {
+        return compileBinaryExpression(expr.binary, builtins);
+
+    // Unary expression
+    } else if (exprKey === 'unary') {
+        const exprFn = compileExpressionHelper(expr.unary.expr, builtins);
+        if (expr.unary.op === '!') {
+            return (globals, locals, options) => !exprFn(globals, locals, options);
+        }
+        // else if (expr.unary.op === '-')
+        return (globals, locals, options) => -exprFn(globals, locals, options);
+
+    // Array
+    } else if (exprKey === 'array') {
+        const valueFns = expr.array.values.map((valueExpr) => compileExpressionHelper(valueExpr, builtins));
+        return (globals, locals, options) => valueFns.map((valueFn) => valueFn(globals, locals, options));
+
+    // Object
+    } else if (exprKey === 'object') {
+        const keyValueFns = expr.object.keyValues.map((keyValue) => [keyValue.key, compileExpressionHelper(keyValue.value, builtins)]);
+        return (globals, locals, options) => {
+            const object = {};
+            for (const [key, valueFn] of keyValueFns) {
+                setOwnValue(object, key, valueFn(globals, locals, options));
+            }
+            return object;
+        };
+
+    // Object key or array index
+    } else if (exprKey === 'index') {
+        const exprFn = compileExpressionHelper(expr.index.expr, builtins);
+        const indexFn = compileExpressionHelper(expr.index.index, builtins);
+        const optional = expr.index.optional ?? false;
+        return (globals, locals, options) => {
+            const value = exprFn(globals, locals, options);
+            if (value === null && optional) {
+                return null;
+            }
+            return getIndexValue(value, indexFn(globals, locals, options));
+        };
+
+    // Lambda function
+    } else if (exprKey === 'lambda') {
+        const {args} = expr.lambda;
+        const exprFn = compileExpressionHelper(expr.lambda.expr, builtins);
+        return (globals, locals) => (lambdaArgs, fnOptions) => exprFn(globals, getFunctionLocals(args, lambdaArgs, locals), fnOptions);
+    }
+
+    // Expression group
+    // else if (exprKey === 'group')
+    return compileExpressionHelper(expr.group, builtins);
+}
+
+
+// Helper function to compile a function expression
+function compileFunctionExpression(funcExpr, builtins) {
+    const funcName = funcExpr.name;
+    const argFns = ('args' in funcExpr ? funcExpr.args.map((arg) => compileExpressionHelper(arg, builtins)) : null);
+
+    // "if" built-in function?
+    if (funcName === 'if') {
+        const [valueFn = null, trueFn = null, falseFn = null] = argFns ?? [];
+        return (globals, locals, options) => {
+            const value = (valueFn !== null ? valueFn(globals, locals, options) : false);
+            const resultFn = (value ? trueFn : falseFn);
+            return resultFn !== null ? resultFn(globals, locals, options) : null;
+        };
+    }
+
+    return (globals, locals, options) => {
+        // Compute the function arguments
+        const funcArgs = (argFns !== null ? argFns.map((argFn) => argFn(globals, locals, options)) : null);
+
+        // Call the function
+        const funcValue = getFunctionValue(funcName, globals, locals, options, builtins, false);
+        if (funcValue !== null) {
+            try {
+                return funcValue(funcArgs, options) ?? null;
+            } catch (error) {
+                return getFunctionErrorResult(funcName, error, options);
+            }
+        }
+        return callGlobalsFunction(funcName, funcArgs, globals);
+    };
+}
+
+
+// Helper function to compile a binary expression
+function compileBinaryExpression(binaryExpr, builtins) {
+    const leftFn = compileExpressionHelper(binaryExpr.left, builtins);
+    const rightFn = compileExpressionHelper(binaryExpr.right, builtins);
+    const binOp = binaryExpr.op;
+
+    // Short-circuiting binary operators - evaluate right expression only if necessary
+    if (binOp === '&&') {
+        return (globals, locals, options) => leftFn(globals, locals, options) && rightFn(globals, locals, options);
+    } else if (binOp === '||') {
+        return (globals, locals, options) => leftFn(globals, locals, options) || rightFn(globals, locals, options);
+    }
+
+    // Non-short-circuiting binary operators
+    return (globals, locals, options) => {
+        const leftValue = leftFn(globals, locals, options);
+        return getBinaryValue(binOp, leftValue, rightFn(globals, locals, options), options);
+    };
+}
@@ -0,0 +1,360 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+/** @module lib/format */
+
+import {binaryReorder, isLiteralExpression, parseExpression} from './parser.js';
+
+
+// CalcScript formatter regex
+const rIdentifier = /^[A-Za-z_]\w*$/;
+const rStringEscape = /([\\'])/g;
+const rVariableExEscape = /([\\\]])/g;
+const rNewline = /\n/;
+const rFunctionName = /^(?:[A-Za-z_]\w+|[A-Za-z_]\w*\.[A-Za-z_]\w*)$/;
+const rExprStatementGroup =
+    // eslint-disable-next-line max-len
+    /^(?:[A-Za-z_]\w*\s*=|(?:if|elif|while|jumpif)\s*\(|(?:async|break|catch|continue|else|endfor|endfunction|endif|endtry|endwhile|export|finally|for|function|import|include|jump|return|throw|try)\b)/;
+
+
+// The default maximum line length
+const defaultMaxLineLength = 120;
+
+
+// The block statement indentation
+const blockIndent = '    ';
+
+
+/**
+ * The CalcScript formatter options
+ *
+ * @typedef {Object} FormatScriptOptions
+ * @property {number} [maxLineLength = 120] - The maximum line length. Longer lines are wrapped using line continuations.
+ */
+
+
+/**
+ * Format a CalcScript model as script text. Parsing the script text yields an identical model, less source locations.
+ * Binary expressions are grouped as needed, so a model without the necessary group expressions is parsed with them.
+ * Negative numbers are formatted as unary negation, so they are parsed as unary negation expressions. Expression
+ * statements that would parse as another statement (e.g. "endif" or "if(a)") are grouped.
+ *
+ * @param {Object} script - The [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
+ * @param {Object} [options = {}] - The [formatter options]{@link module:lib/format~FormatScriptOptions}
+ * @returns {string} The [script text]{@link https://craigahobbs.github.io/calc-script/reference/}
+ * @throws {Error} The script model contains a value that cannot be formatted
+ */
+export function formatScript(script, options = {}) {
+    const maxLineLength = options.maxLineLength ?? defaultMaxLineLength;
+    const lines = [];
+    formatStatements(script.statements, lines, '', maxLineLength);
+    return lines.map((line) => `${line}\n`).join('');
+}
+
+
+/**
+ * Format a CalcScript concrete syntax tree (CST) as script text. The script text is identical to the CST's parsed script text.
+ *
+ * @param {Object} cst - The [CalcScript CST model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScriptCST'}
+ * @returns {string} The [script text]{@link https://craigahobbs.github.io/calc-script/reference/}
+ */
+export function formatScriptCST(cst) {
+    const textParts = [];
+    formatCSTLines(cst.lines, textParts);
+    return textParts.join('');
+}
+
+
+// Helper function to format CST lines' text parts
+function formatCSTLines(cstLines, textParts) {
+    for (const cstLine of cstLines) {
+        for (const part of cstLine.parts) {
+            textParts.push(part.text, part.continuation ?? '', part.newline ?? '');
+        }
+        if ('lines' in cstLine) {
+            formatCSTLines(cstLine.lines, textParts);
+        }
+    }
+}
+
+
+// Helper function to format script statements as indented script lines
+function formatStatements(statements, lines, indent, maxLineLength) {
+    const statementsIndent = `${indent}${blockIndent}`;
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+
+        if (statementKey === 'expr') {
+            // An expression statement that looks like another statement (e.g. an assignment) must be grouped
+            let exprWords = formatExpressionWords(statement.expr);
+            if (exprWords.join(' ').match(rExprStatementGroup) !== null) {
+                exprWords = concatWords(['('], exprWords, [')']);
+            }
+            addLine(lines, indent, exprWords, maxLineLength);
+        } else if (statementKey === 'assign') {
+            let targetExpr = {'variable': formatName(statement.assign.name)};
+            for (const indexExpr of statement.assign.indexes ?? []) {
+                targetExpr = {'index': {'expr': targetExpr, 'index': indexExpr}};
+            }
+            const exportPrefix = (statement.assign.export ? ['export '] : []);
+            const assignWords = concatWords(exportPrefix, formatExpressionWords(targetExpr), [' =']);
+            addLine(lines, indent, [...assignWords, ...formatExpressionWords(statement.assign.expr)], maxLineLength);
+        } else if (statementKey === 'function') {
+            const exportPrefix = (statement.function.export ? 'export ' : '');
+            const asyncPrefix = (statement.function.async ? 'async ' : '');
+            const args = (statement.function.args ?? []).map(formatName).join(', ');
+            lines.push(`${indent}${exportPrefix}${asyncPrefix}function ${formatName(statement.function.name)}(${args})`);
+            formatStatements(statement.function.statements, lines, statementsIndent, maxLineLength);
+            lines.push(`${indent}endfunction`);
+        } else if (statementKey === 'label') {
+            lines.push(`${indent}${formatName(statement.label)}:`);
+        } else if (statementKey === 'jump') {
+            if ('expr' in statement.jump) {
+                const jumpLabel = formatName(statement.jump.label);
+                const jumpWords = concatWords(['jumpif ('], formatExpressionWords(statement.jump.expr), [`) ${jumpLabel}`]);
+                addLine(lines, indent, jumpWords, maxLineLength);
+            } else {
+                lines.push(`${indent}jump ${formatName(statement.jump.label)}`);
+            }
+        } else if (statementKey === 'return') {
+            if ('expr' in statement.return) {
+                addLine(lines, indent, concatWords(['return '], formatExpressionWords(statement.return.expr)), maxLineLength);
+            } else {
+                lines.push(`${indent}return`);
+            }
+        } else if (statementKey === 'include') {
+            lines.push(`${indent}include ${formatString(statement.include)}`);
+        } else if (statementKey === 'import') {
+            lines.push(`${indent}import ${formatString(statement.import.url)} as ${formatName(statement.import.name)}`);
+        } else if (statementKey === 'if') {
+            addLine(lines, indent, concatWords(['if ('], formatExpressionWords(statement.if.expr), [')']), maxLineLength);
+            formatStatements(statement.if.statements, lines, statementsIndent, maxLineLength);
+            for (const elifStatement of statement.if.elif ?? []) {
+                addLine(lines, indent, concatWords(['elif ('], formatExpressionWords(elifStatement.expr), [')']), maxLineLength);
+                formatStatements(elifStatement.statements, lines, statementsIndent, maxLineLength);
+            }
+            if ('else' in statement.if) {
+                lines.push(`${indent}else`);
+                formatStatements(statement.if.else, lines, statementsIndent, maxLineLength);
+            }
+            lines.push(`${indent}endif`);
+        } else if (statementKey === 'while') {
+            addLine(lines, indent, concatWords(['while ('], formatExpressionWords(statement.while.expr), [')']), maxLineLength);
+            formatStatements(statement.while.statements, lines, statementsIndent, maxLineLength);
+            lines.push(`${indent}endwhile`);
+        } else if (statementKey === 'for') {
+            const valueName = formatName(statement.for.value);
+            const indexName = ('index' in statement.for ? `, ${formatName(statement.for.index)}` : '');
+            const forWords = concatWords([`for ${valueName}${indexName} in `], formatExpressionWords(statement.for.expr));
+            addLine(lines, indent, forWords, maxLineLength);
+            formatStatements(statement.for.statements, lines, statementsIndent, maxLineLength);
+            lines.push(`${indent}endfor`);
+        } else if (statementKey === 'break') {
+            lines.push(`${indent}break`);
+        } else if (statementKey === 'continue') {
+            lines.push(`${indent}continue`);
+        } else if (statementKey === 'try') {
+            lines.push(`${indent}try`);
+            formatStatements(statement.try.statements, lines, statementsIndent, maxLineLength);
+            if ('catch' in statement.try) {
+                const catchName = ('name' in statement.try.catch ? ` ${formatName(statement.try.catch.name)}` : '');
+                lines.push(`${indent}catch${catchName}`);
+                formatStatements(statement.try.catch.statements, lines, statementsIndent, maxLineLength);
+            }
+            if ('finally' in statement.try) {
+                lines.push(`${indent}finally`);
+                formatStatements(statement.try.finally, lines, statementsIndent, maxLineLength);
+            }
+            lines.push(`${indent}endtry`);
+        } else {
+            // statementKey === 'throw'
+            addLine(lines, indent, concatWords(['throw '], formatExpressionWords(statement.throw.expr)), maxLineLength);
+        }
+    }
+}
+
+
+// Helper function to add a statement's script line - the line is wrapped between words using line continuations
+function addLine(lines, indent, words, maxLineLength) {
+    let line = `${indent}${words[0]}`;
+    for (let ixWord = 1; ixWord < words.length; ixWord++) {
+        // Wrap the line if the word (and its line continuation, if not the last word) would exceed the maximum line length
+        const word = words[ixWord];
+        const continuationLength = (ixWord < words.length - 1 ? 2 : 0);
+        if (line.length + 1 + word.length + continuationLength > maxLineLength) {
+            lines.push(`${line} \\`);
+            line = `${indent}${blockIndent}${word}`;
+        } else {
+            line = `${line} ${word}`;
+        }
+    }
+    lines.push(line);
+}
+
+
+/**
+ * Format an expression model as expression text. Parsing the expression text yields an identical model, less source
+ * locations. Negative numbers are formatted as unary negation, so they are parsed as unary negation expressions.
+ *
+ * @param {Object} expr - The [expression model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='Expression'}
+ * @returns {string} The [expression text]{@link https://craigahobbs.github.io/calc-script/reference/#Expressions}
+ * @throws {Error} The expression model contains a value that cannot be formatted
+ */
+export function formatExpression(expr) {
+    return formatExpressionWords(expr).join(' ');
+}
+
+
+// Helper function to format an expression model as an array of space-separated words. A line may be wrapped between any
+// two words. If "isTail" is false, a binary operator follows the expression, so a lambda function, whose expression would
+// consume the binary operator, must be grouped.
+function formatExpressionWords(exprArg, isTail = true) {
+    const expr = getFormatExpression(exprArg);
+    const [exprKey] = Object.keys(expr);
+
+    if (exprKey === 'number') {
+        return [formatNumber(expr.number)];
+    } else if (exprKey === 'string') {
+        return [formatString(expr.string)];
+    } else if (exprKey === 'variable') {
+        return [formatVariable(expr.variable)];
+    } else if (exprKey === 'function') {
+        const argsWords = joinWords((expr.function.args ?? []).map((argExpr) => formatExpressionWords(argExpr)));
+        return concatWords([`${formatFunctionName(expr.function.name)}(`], argsWords, [')']);
+    } else if (exprKey === 'binary') {
+        // Group lower-precedence left expressions and lower-or-equal-precedence right expressions - binary operators of
+        // equal precedence are left-associative
+        const {op, left, right} = expr.binary;
+        const [leftKey] = Object.keys(left);
+        const [rightKey] = Object.keys(right);
+        const leftWords = (leftKey === 'binary' && binaryReorder[op].has(left.binary.op))
+            ? formatGroupWords(left) : formatExpressionWords(left, false);
+        const rightWords = (rightKey === 'binary' && !binaryReorder[right.binary.op].has(op))
+            ? formatGroupWords(right) : formatExpressionWords(right, isTail);
+        return [...concatWords(leftWords, [` ${op}`]), ...rightWords];
+    } else if (exprKey === 'unary') {
+        const unaryExpr = expr.unary.expr;
+        const unaryWords = ('binary' in unaryExpr ? formatGroupWords(unaryExpr) : formatExpressionWords(unaryExpr, isTail));
+        return concatWords([expr.unary.op], unaryWords);
+    } else if (exprKey === 'group') {
+        return formatGroupWords(expr.group);
+    } else if (exprKey === 'array') {
+        // A non-empty array requires a trailing separator to differentiate it from a bracketed variable name, unless its
+        // values are two or more literals
+        const {values} = expr.array;
+        const valuesWords = joinWords(values.map((valueExpr) => formatExpressionWords(valueExpr)));
+        const isTrailing = values.length === 1 || (values.length > 1 && !values.every(isLiteralExpression));
+        return concatWords(['['], valuesWords, [isTrailing ? ',]' : ']']);
+    } else if (exprKey === 'object') {
+        const keyValuesWords = joinWords(expr.object.keyValues.map(({key, value}) => concatWords(
+            [`${key.match(rIdentifier) !== null ? key : formatString(key)}: `],
+            formatExpressionWords(value)
+        )));
+        return concatWords(['{'], keyValuesWords, ['}']);
+    } else if (exprKey === 'index') {
+        // Group unary, binary, and lambda function object/array expressions
+        const {index, optional = false} = expr.index;
+        const indexExpr = getFormatExpression(expr.index.expr);
+        const [indexExprKey] = Object.keys(indexExpr);
+        const indexExprWords = (indexExprKey === 'unary' || indexExprKey === 'binary' || indexExprKey === 'lambda')
+            ? formatGroupWords(indexExpr) : formatExpressionWords(indexExpr);
+
+        // Member index? A number's member index is ambiguous with the number's decimal point.
+        if ('string' in index && index.string.match(rIdentifier) !== null && indexExprKey !== 'number') {
+            return concatWords(indexExprWords, [`${optional ? '?.' : '.'}${index.string}`]);
+        }
+        return concatWords(indexExprWords, [optional ? '?.[' : '['], formatExpressionWords(index), [']']);
+    }
+
+    // exprKey === 'lambda'
+    const lambdaWords = [`(${expr.lambda.args.map(formatName).join(', ')}) =>`, ...formatExpressionWords(expr.lambda.expr)];
+    return isTail ? lambdaWords : concatWords(['('], lambdaWords, [')']);
+}
+
+
+// Helper function to get the expression to format - a negative number is formatted as a unary negation, since the
+// parser parses "-1" as a unary negation
+function getFormatExpression(expr) {
+    if ('number' in expr && Number.isFinite(expr.number) && (expr.number < 0 || Object.is(expr.number, -0))) {
+        return {'unary': {'op': '-', 'expr': {'number': -expr.number}}};
+    }
+    return expr;
+}
+
+
+// Helper function to format a grouped expression's words
+function formatGroupWords(expr) {
+    return concatWords(['('], formatExpressionWords(expr), [')']);
+}
+
+
+// Helper function to format a statement name (e.g. a function name or a label). Throws an error for non-identifier names.
+function formatName(name) {
+    if (name.match(rIdentifier) === null) {
+        throw new Error(`Name ${JSON.stringify(name)} cannot be formatted`);
+    }
+    return name;
+}
+
+
+// Helper function to format a function expression's function name - function names are at least two characters or
+// are module function names (e.g. "lib.formatRow"). Throws an error for other function names.
+function formatFunctionName(name) {
+    if (name.match(rFunctionName) === null) {
+        throw new Error(`Function name ${JSON.stringify(name)} cannot be formatted`);
+    }
+    return name;
+}
+
+
+// Helper function to format a number literal. Throws an error for non-finite numbers.
+function formatNumber(number) {
+    if (!Number.isFinite(number)) {
+        throw new Error(`Number ${number} cannot be formatted`);
+    }
+    return `${number}`;
+}
+
+
+// Helper function to format a string literal. Throws an error for strings containing newlines.
+function formatString(string) {
+    if (rNewline.test(string)) {
+        throw new Error(`String ${JSON.stringify(string)} cannot be formatted`);
+    }
+    return `'${string.replace(rStringEscape, '\\$1')}'`;
+}
+
+
+// Helper function to format a variable name - non-identifier variable names are bracketed. Throws an error for variable
+// names containing newlines or whose bracketed variable name does not parse as the variable name (e.g. "1, 2" is an
+// array expression).
+function formatVariable(name) {
+    if (name.match(rIdentifier) !== null) {
+        return name;
+    }
+    const variableText = `[${name.replace(rVariableExEscape, '\\$1')}]`;
+    if (rNewline.test(name) || parseExpression(variableText).variable !== name) {
+        throw new Error(`Variable name ${JSON.stringify(name)} cannot be formatted`);
+    }
+    return variableText;
+}
+
+
+// Helper function to join word arrays with the separator (comma)
+function joinWords(wordArrays) {
+    return wordArrays.flatMap((words, ixWords) => (ixWords < wordArrays.length - 1 ? concatWords(words, [',']) : words));
+}
+
+
+// Helper function to concatenate word arrays - each array's last word is joined with the following array's first word
+function concatWords(...wordArrays) {
+    const result = [];
+    for (const words of wordArrays) {
+        if (result.length !== 0 && words.length !== 0) {
+            result.push(`${result.pop()}${words[0]}`, ...words.slice(1));
+        } else {
+            result.push(...words);
+        }
+    }
+    return result;
+}
@@ -1,6 +1,8 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/calc-script/blob/main/LICENSE
 
+import {CalcScriptRuntimeError} from './runtimeError.js';
+
 
 /* eslint-disable id-length */
 
@@ -9,18 +11,144 @@
 export const defaultMaxStatements = 1e7;
 
 
-// The built-in script functions
-export const scriptFunctions = {
-    //
-    // Array functions
-    //
+// The default resource limits - 0 for no maximum
+const defaultMaxArrayLength = 1e7;
+const defaultMaxStringLength = 1e8;
+const defaultMaxObjectKeys = 1e6;
+const defaultMaxAllocation = 0;
+
+
+// The allocation estimate sizes, in bytes - rough estimates of an array element, a string character, and an object key
+const allocationArrayElement = 8;
+const allocationStringCharacter = 2;
+const allocationObjectKey = 16;
+
+
+// Helper function to check an array's length against the maximum array length and add its added elements (by default,
+// all elements) to the allocation estimate
+export function checkArrayLength(length, options, addedLength = length) {
+    checkResourceLimit(length, options, 'maxArrayLength', defaultMaxArrayLength, 'array length');
+    addAllocationEstimate(addedLength * allocationArrayElement, options);
+}
+
+
+// Helper function to check a string's length against the maximum string length and add its added characters (by
+// default, all characters) to the allocation estimate
+export function checkStringLength(length, options, addedLength = length) {
+    checkResourceLimit(length, options, 'maxStringLength', defaultMaxStringLength, 'string length');
+    addAllocationEstimate(addedLength * allocationStringCharacter, options);
+}
+
+
+// Helper function to check a new object's key count against the maximum object key count and add it to the allocation
+// estimate
+export function checkObjectKeyCount(keyCount, options) {
+    checkResourceLimit(keyCount, options, 'maxObjectKeys', defaultMaxObjectKeys, 'object key count');
+    addAllocationEstimate(keyCount * allocationObjectKey, options);
+}
+
+
+// Helper function to check an object key assignment against the maximum object key count - key counts are cached so
+// that the object's keys are counted only once
+export function checkObjectKey(object, key, options) {
+    if (!Object.hasOwn(object, key)) {
+        const keyCount = (objectKeyCounts.get(object) ?? Object.keys(object).length) + 1;
+        checkResourceLimit(keyCount, options, 'maxObjectKeys', defaultMaxObjectKeys, 'object key count');
+        addAllocationEstimate(allocationObjectKey, options);
+        objectKeyCounts.set(object, keyCount);
+    }
+}
 
+const objectKeyCounts = new WeakMap();
+
+
+// Helper function to check an array index assignment against the maximum array length
+export function checkArrayIndex(array, index, options) {
+    if (Number.isInteger(index) && index >= array.length) {
+        checkArrayLength(index + 1, options, index + 1 - array.length);
+    }
+}
+
+
+// Helper function to get an object's own property value - inherited properties (e.g. "constructor" or "__proto__") are
+// undefined
+export function getOwnValue(object, key) {
+    return (Object.hasOwn(object, key) ? object[key] : undefined);
+}
+
+
+// Helper function to get a variable's value from a globals or locals scope object - the scope's prototype chain is
+// searched (for closure locals), but properties inherited from Object.prototype are undefined
+export function getScopeValue(scope, name) {
+    if (!(name in Object.prototype)) {
+        return scope[name];
+    }
+    for (let scopeObj = scope; scopeObj !== null && scopeObj !== Object.prototype; scopeObj = Object.getPrototypeOf(scopeObj)) {
+        if (Object.hasOwn(scopeObj, name)) {
+            return scopeObj[name];
+        }
+    }
+    return undefined;
+}
+
+
+// Helper function to set an object's own property value - the "__proto__" key is defined as an own property rather
+// than setting the object's prototype
+export function setOwnValue(object, key, value) {
+    if (key === '__proto__') {
+        Object.defineProperty(object, key, {value, 'writable': true, 'enumerable': true, 'configurable': true});
+    } else {
+        object[key] = value;
+    }
+}
+
+
+// Helper function to get the options' execution limit counters - the counters object is shared by the options copies
+// of included scripts and imported modules, so their statements and allocations count toward the script's limits
+export function getLimits(options) {
+    if (!('limits' in options)) {
+        options.limits = {'statementCount': 0, 'allocationEstimate': 0};
+    }
+    return options.limits;
+}
+
+
+// Helper function to check a value against a resource limit option
+function checkResourceLimit(value, options, optionName, defaultMax, description) {
+    const maxValue = ((options ?? null) !== null ? options[optionName] ?? defaultMax : defaultMax);
+    if (maxValue > 0 && value > maxValue) {
+        throw new CalcScriptRuntimeError(`Exceeded maximum ${description} (${maxValue})`);
+    }
+}
+
+
+// Helper function to add to the script's total allocation estimate
+function addAllocationEstimate(size, options) {
+    const maxAllocation = ((options ?? null) !== null ? options.maxAllocation ?? defaultMaxAllocation : defaultMaxAllocation);
+    if (maxAllocation > 0) {
+        const limits = getLimits(options);
+        limits.allocationEstimate += size;
+        if (limits.allocationEstimate > maxAllocation) {
+            throw new CalcScriptRuntimeError(`Exceeded maximum allocation estimate (${maxAllocation} bytes)`);
+        }
+    }
+}
+
+
+// The built-in array script functions
+const arrayScriptFunctions = {
     // $function: arrayCopy
     // $group: Array
     // $doc: Create a copy of an array
     // $arg array: The array to copy
     // $return: The array copy
-    'arrayCopy': ([array]) => (Array.isArray(array) ? [...array] : null),
+    'arrayCopy': ([array], options) => {
+        if (!Array.isArray(array)) {
+            return null;
+        }
+        checkArrayLength(array.length, options);
+        return [...array];
+    },
 
     // $function: arrayGet
     // $group: Array
@@ -28,7 +156,7 @@ export const scriptFunctions = {
     // $arg array: The array
     // $arg index: The array element's index
     // $return: The array element
-    'arrayGet': ([array, index]) => (Array.isArray(array) ? array[index] ?? null : null),
+    'arrayGet': ([array, index]) => (Array.isArray(array) ? getOwnValue(array, index) ?? null : null),
 
     // $function: arrayIndexOf
     // $group: Array
@@ -45,7 +173,14 @@ export const scriptFunctions = {
     // $arg array: The array
     // $arg separator: The separator string
     // $return: The joined string
-    'arrayJoin': ([array, separator]) => (Array.isArray(array) ? array.join(separator) : null),
+    'arrayJoin': ([array, separator], options) => {
+        if (!Array.isArray(array)) {
+            return null;
+        }
+        const string = array.join(separator);
+        checkStringLength(string.length, options);
+        return string;
+    },
 
     // $function: arrayLastIndexOf
     // $group: Array
@@ -78,7 +213,10 @@ export const scriptFunctions = {
     // $arg size: Optional (default is 0). The new array's size.
     // $arg value: Optional (default is 0). The value with which to fill the new array.
     // $return: The new array
-    'arrayNewSize': ([size = 0, value = 0]) => new Array(size).fill(value),
+    'arrayNewSize': ([size = 0, value = 0], options) => {
+        checkArrayLength(size, options);
+        return new Array(size).fill(value);
+    },
 
     // $function: arrayPop
     // $group: Array
@@ -93,7 +231,13 @@ export const scriptFunctions = {
     // $arg array: The array
     // $arg values: The values to add to the end of the array
     // $return: The new length of the array
-    'arrayPush': ([array, ...values]) => (Array.isArray(array) ? array.push(...values) : null),
+    'arrayPush': ([array, ...values], options) => {
+        if (!Array.isArray(array)) {
+            return null;
+        }
+        checkArrayLength(array.length + values.length, options, values.length);
+        return array.push(...values);
+    },
 
     // $function: arraySet
     // $group: Array
@@ -102,9 +246,10 @@ export const scriptFunctions = {
     // $arg index: The index of the element to set
     // $arg value: The value to set
     // $return: The value
-    'arraySet': ([array, index, value]) => {
+    'arraySet': ([array, index, value], options) => {
         if (Array.isArray(array)) {
-            array[index] = value;
+            checkArrayIndex(array, index, options);
+            setOwnValue(array, index, value);
             return value;
         }
         return null;
@@ -117,7 +262,14 @@ export const scriptFunctions = {
     // $arg start: Optional (default is 0). The start index of the slice.
     // $arg end: Optional (default is the end of the array). The end index of the slice.
     // $return: The new array slice
-    'arraySlice': ([array, start, end]) => (Array.isArray(array) ? array.slice(start, end) : null),
+    'arraySlice': ([array, start, end], options) => {
+        if (!Array.isArray(array)) {
+            return null;
+        }
+        const slice = array.slice(start, end);
+        checkArrayLength(slice.length, options);
+        return slice;
+    },
 
     // $function: arraySort
     // $group: Array
@@ -127,13 +279,12 @@ export const scriptFunctions = {
     // $return: The sorted array
     'arraySort': ([array, compareFn = null], options) => (
         Array.isArray(array) ? (compareFn === null ? array.sort() : array.sort((...args) => compareFn(args, options))) : null
-    ),
-
+    )
+};
 
-    //
-    // Datetime functions
-    //
 
+// The built-in datetime script functions
+const datetimeScriptFunctions = {
     // $function: datetimeDay
     // $group: Datetime
     // $doc: Get the day of the month of a datetime
@@ -204,13 +355,12 @@ export const scriptFunctions = {
     // $doc: Get the full year of a datetime
     // $arg datetime: The datetime
     // $return: The full year
-    'datetimeYear': ([datetime]) => (datetime instanceof Date ? datetime.getFullYear() : null),
-
+    'datetimeYear': ([datetime]) => (datetime instanceof Date ? datetime.getFullYear() : null)
+};
 
-    //
-    // JSON functions
-    //
 
+// The built-in JSON script functions
+const jsonScriptFunctions = {
     // $function: jsonParse
     // $group: JSON
     // $doc: Convert a JSON string to an object
@@ -233,13 +383,18 @@ export const scriptFunctions = {
     // $arg value: The object
     // $arg space: Optional (default is null). The indentation string or number.
     // $return: The JSON string
-    'jsonStringify': ([value, space]) => JSON.stringify(value, null, space),
-
+    'jsonStringify': ([value, space], options) => {
+        const string = JSON.stringify(value, null, space);
+        if (typeof string === 'string') {
+            checkStringLength(string.length, options);
+        }
+        return string;
+    }
+};
 
-    //
-    // Math functions
-    //
 
+// The built-in math script functions
+const mathScriptFunctions = {
     // $function: mathAbs
     // $group: Math
     // $doc: Compute the absolute value of a number
@@ -375,13 +530,12 @@ export const scriptFunctions = {
     // $doc: Compute the tangent of an angle, in radians
     // $arg x: The angle, in radians
     // $return: The tangent of the angle
-    'mathTan': ([x]) => Math.tan(x),
-
+    'mathTan': ([x]) => Math.tan(x)
+};
 
-    //
-    // Miscellaneous functions
-    //
 
+// The built-in miscellaneous script functions
+const miscellaneousScriptFunctions = {
     // $function: debugLog
     // $group: Miscellaneous
     // $doc: Log a debug message
@@ -399,9 +553,22 @@ export const scriptFunctions = {
     // $arg options: Optional (default is null). The [fetch options](https://developer.mozilla.org/en-US/docs/Web/API/fetch#parameters).
     // $arg isText: Optional (default is false). If true, retrieve the resource as text.
     // $return: The resource object/string or array of objects/strings; null if an error occured.
-    'fetch': async ([url, fetchOptions = null, isText = false], options) => {
+    'fetch': async ([url, fetchOptionsArg = null, isText = false], options) => {
         const fetchFn = (options !== null && 'fetchFn' in options ? options.fetchFn : null);
 
+        // Pass the script's abort signal, if any, to the fetch function
+        const signal = (options !== null ? options.signal ?? null : null);
+        const fetchOptions = (signal !== null ? {'signal': signal, ...fetchOptionsArg} : fetchOptionsArg);
+
+        // Fetch helper function - URLs not permitted by the URL policy are not fetched
+        const fetchURL = (fURL) => {
+            const actualURL = (options !== null && 'urlFn' in options ? options.urlFn(fURL) : fURL);
+            if (!isURLPermitted(actualURL, options)) {
+                return {'ok': false, 'statusText': `URL "${actualURL}" not permitted`};
+            }
+            return (fetchFn !== null ? fetchFn(actualURL, fetchOptions) : null);
+        };
+
         // Response helper function
         const responseFn = async (response) => {
             let errorMessage = (response !== null && !response.ok ? response.statusText : null);
@@ -423,24 +590,19 @@ export const scriptFunctions = {
 
         // Array of URLs?
         if (Array.isArray(url)) {
-            const responses = await Promise.all(url.map((fURL) => {
-                const actualURL = (options !== null && 'urlFn' in options ? options.urlFn(fURL) : fURL);
-                return (fetchFn !== null ? fetchFn(actualURL, fetchOptions) : null);
-            }));
+            const responses = await Promise.all(url.map(fetchURL));
             return Promise.all(responses.map(responseFn));
         }
 
         // Single URL
-        const actualURL = (options !== null && 'urlFn' in options ? options.urlFn(url) : url);
-        const response = (fetchFn !== null ? await fetchFn(actualURL, fetchOptions) : null);
+        const response = await fetchURL(url);
         return responseFn(response);
-    },
-
+    }
+};
 
-    //
-    // Number functions
-    //
 
+// The built-in number script functions
+const numberScriptFunctions = {
     // $function: numberParseFloat
     // $group: Number
     // $doc: Parse a string as a floating point number
@@ -472,19 +634,24 @@ export const scriptFunctions = {
             }
         }
         return result;
-    },
-
+    }
+};
 
-    //
-    // Object functions
-    //
 
+// The built-in object script functions
+const objectScriptFunctions = {
     // $function: objectCopy
     // $group: Object
     // $doc: Create a copy of an object
     // $arg object: The object to copy
     // $return: The object copy
-    'objectCopy': ([object]) => (object !== null && typeof object === 'object' ? {...object} : null),
+    'objectCopy': ([object], options) => {
+        if (object === null || typeof object !== 'object') {
+            return null;
+        }
+        checkObjectKeyCount(Object.keys(object).length, options);
+        return {...object};
+    },
 
     // $function: objectDelete
     // $group: Object
@@ -493,7 +660,12 @@ export const scriptFunctions = {
     // $arg key: The key to delete
     'objectDelete': ([object, key]) => {
         if (object !== null && typeof object === 'object') {
-            delete object[key];
+            if (Object.hasOwn(object, key)) {
+                if (objectKeyCounts.has(object)) {
+                    objectKeyCounts.set(object, objectKeyCounts.get(object) - 1);
+                }
+                delete object[key];
+            }
         }
     },
 
@@ -503,7 +675,7 @@ export const scriptFunctions = {
     // $arg object: The object
     // $arg key: The key
     // $return: The value or null if the key does not exist
-    'objectGet': ([object, key]) => (object !== null && typeof object === 'object' ? object[key] ?? null : null),
+    'objectGet': ([object, key]) => (object !== null && typeof object === 'object' ? getOwnValue(object, key) ?? null : null),
 
     // $function: objectKeys
     // $group: Object
@@ -517,10 +689,11 @@ export const scriptFunctions = {
     // $doc: Create a new object
     // $arg keyValues: The object's initial key and value arguments
     // $return: The new object
-    'objectNew': (keyValues) => {
+    'objectNew': (keyValues, options) => {
+        checkObjectKeyCount(Math.ceil(keyValues.length / 2), options);
         const object = {};
         for (let ix = 0; ix < keyValues.length; ix += 2) {
-            object[keyValues[ix]] = (ix + 1 < keyValues.length ? keyValues[ix + 1] : null);
+            setOwnValue(object, keyValues[ix], (ix + 1 < keyValues.length ? keyValues[ix + 1] : null));
         }
         return object;
     },
@@ -532,19 +705,19 @@ export const scriptFunctions = {
     // $arg key: The key
     // $arg value: The value to set
     // $return: The value to set
-    'objectSet': ([object, key, value]) => {
+    'objectSet': ([object, key, value], options) => {
         if (object !== null && typeof object === 'object') {
-            object[key] = value;
+            checkObjectKey(object, key, options);
+            setOwnValue(object, key, value);
             return value;
         }
         return null;
-    },
-
+    }
+};
 
-    //
-    // Regular expression functions
-    //
 
+// The built-in regular expression script functions
+const regexScriptFunctions = {
     // $function: regexEscape
     // $group: Regex
     // $doc: Escape a string for use in a regular expression
@@ -587,13 +760,12 @@ export const scriptFunctions = {
     // $arg regex: The regular expression
     // $arg string: The string
     // $return: true if the regular expression matches, false otherwise
-    'regexTest': ([regex, string]) => (regex instanceof RegExp ? regex.test(string) : null),
-
+    'regexTest': ([regex, string]) => (regex instanceof RegExp ? regex.test(string) : null)
+};
 
-    //
-    // String functions
-    //
 
+// The built-in string script functions
+const stringScriptFunctions = {
     // $function: stringCharCodeAt
     // $group: String
     // $doc: Get a string index's character code
@@ -671,7 +843,13 @@ export const scriptFunctions = {
     // $arg string: The string to repeat
     // $arg count: The number of times to repeat the string
     // $return: The repeated string
-    'stringRepeat': ([string, count]) => (typeof string === 'string' ? string.repeat(count) : null),
+    'stringRepeat': ([string, count], options) => {
+        if (typeof string !== 'string') {
+            return null;
+        }
+        checkStringLength(string.length * count, options);
+        return string.repeat(count);
+    },
 
     // $function: stringReplace
     // $group: String
@@ -684,11 +862,15 @@ export const scriptFunctions = {
         if (typeof string !== 'string') {
             return null;
         }
+        let result;
         if (typeof newSubstr === 'function') {
             const replacerFunction = (...args) => newSubstr(args, options);
-            return string.replaceAll(substr, replacerFunction);
+            result = string.replaceAll(substr, replacerFunction);
+        } else {
+            result = string.replaceAll(substr, newSubstr);
         }
-        return string.replaceAll(substr, newSubstr);
+        checkStringLength(result.length, options);
+        return result;
     },
 
     // $function: stringSlice
@@ -707,7 +889,14 @@ export const scriptFunctions = {
     // $arg separator: The separator string or regular expression
     // $arg limit: The maximum number of strings to split into
     // $return: The array of split-out strings
-    'stringSplit': ([string, separator, limit]) => (typeof string === 'string' ? string.split(separator, limit) : null),
+    'stringSplit': ([string, separator, limit], options) => {
+        if (typeof string !== 'string') {
+            return null;
+        }
+        const strings = string.split(separator, limit);
+        checkArrayLength(strings.length, options);
+        return strings;
+    },
 
     // $function: stringStartsWith
     // $group: String
@@ -733,6 +922,30 @@ export const scriptFunctions = {
 };
 
 
+// The built-in script functions by library documentation group
+const groupScriptFunctions = {
+    'Array': arrayScriptFunctions,
+    'Datetime': datetimeScriptFunctions,
+    'JSON': jsonScriptFunctions,
+    'Math': mathScriptFunctions,
+    'Miscellaneous': miscellaneousScriptFunctions,
+    'Number': numberScriptFunctions,
+    'Object': objectScriptFunctions,
+    'Regex': regexScriptFunctions,
+    'String': stringScriptFunctions
+};
+
+
+// The built-in script functions
+export const scriptFunctions = Object.assign({}, ...Object.values(groupScriptFunctions));
+
+
+// The built-in script function groups - the script function names of each library documentation group
+export const scriptFunctionGroups = Object.fromEntries(Object.entries(groupScriptFunctions).map(
+    ([groupName, groupFunctions]) => [groupName, Object.keys(groupFunctions)]
+));
+
+
 // Regex escape regular expression
 const reRegexEscape = /[.*+?^${}()|[\]\\]/g;
 
@@ -796,3 +1009,78 @@ export const expressionFunctionMap = {
 export const expressionFunctions = Object.fromEntries(Object.entries(expressionFunctionMap).map(
     ([exprFnName, scriptFnName]) => [exprFnName, scriptFunctions[scriptFnName]]
 ));
+
+
+
+// The built-in script function name to group name map
+const scriptFunctionGroupNames = Object.fromEntries(Object.entries(scriptFunctionGroups).flatMap(
+    ([groupName, scriptFuncNames]) => scriptFuncNames.map((scriptFuncName) => [scriptFuncName, groupName])
+));
+
+
+// The built-in script function to script function name map
+const scriptFunctionNames = new Map(Object.entries(scriptFunctions).map(([scriptFuncName, scriptFunc]) => [scriptFunc, scriptFuncName]));
+
+
+// Helper function to determine if a built-in script function (or "include") is permitted by the capabilities option
+export function isCapabilityPermitted(name, options) {
+    const capabilities = ((options ?? null) !== null ? options.capabilities ?? null : null);
+    return capabilities === null || capabilities.includes(name) ||
+        (Object.hasOwn(scriptFunctionGroupNames, name) && capabilities.includes(scriptFunctionGroupNames[name]));
+}
+
+
+// Helper function to check a function call against the capabilities option - calls to a built-in script function that
+// is not permitted, either by value or by name (if undefined), throw a runtime error
+export function checkFunctionPermitted(funcName, funcValue, options) {
+    if ((options ?? null) !== null && (options.capabilities ?? null) !== null) {
+        let scriptFuncName = (funcValue !== null ? scriptFunctionNames.get(funcValue) : undefined);
+        if (funcValue === null && Object.hasOwn(scriptFunctions, funcName)) {
+            scriptFuncName = funcName;
+        }
+        if (typeof scriptFuncName !== 'undefined' && !isCapabilityPermitted(scriptFuncName, options)) {
+            throw new CalcScriptRuntimeError(`Function "${scriptFuncName}" not permitted`);
+        }
+    }
+}
+
+
+// Helper function to determine if a URL is permitted by the URL policy option - a URL is permitted if it matches no
+// "deny" rule and matches an "allow" rule. By default, only same-origin URLs are permitted. If there is no URL policy
+// option and no document location (e.g. Node.js), all URLs are permitted.
+export function isURLPermitted(url, options) {
+    const urlPolicy = ((options ?? null) !== null ? options.urlPolicy ?? null : null);
+    const location = (typeof globalThis.location !== 'undefined' ? globalThis.location : null);
+    const policyOrigin = (urlPolicy !== null ? urlPolicy.origin ?? null : null) ?? (location !== null ? location.origin : null);
+
+    // Resolve the URL against the document location, if any, so relative URLs resolve as they will be fetched
+    const baseURL = (location !== null ? location.href ?? null : null) ??
+        (policyOrigin !== null ? `${policyOrigin}/` : urlPolicyRelativeBase);
+    let urlParsed;
+    try {
+        urlParsed = new URL(url, baseURL);
+    } catch {
+        return false;
+    }
+
+    // No URL policy and no document location?
+    if (urlPolicy === null && location === null) {
+        return true;
+    }
+
+    // Match the URL policy rules
+    const isSameOrigin = (urlParsed.origin === (policyOrigin ?? new URL(baseURL).origin));
+    const isRuleMatch = (rule) => (
+        (!('scheme' in rule) || urlParsed.protocol === `${rule.scheme}:`) &&
+            (!('origin' in rule) || (rule.origin === 'self' ? isSameOrigin : urlParsed.origin === rule.origin)) &&
+            (!('pathPrefix' in rule) || urlParsed.pathname.startsWith(rule.pathPrefix))
+    );
+    const urlRules = urlPolicy ?? {};
+    return !(urlRules.deny ?? []).some(isRuleMatch) && (urlRules.allow ?? defaultURLPolicyAllow).some(isRuleMatch);
+}
+
+// The base URL for resolving relative URLs if there is no document location or URL policy origin
+const urlPolicyRelativeBase = 'http://calc-script.invalid/';
+
+// The default URL policy "allow" rules - same-origin only
+const defaultURLPolicyAllow = [{'origin': 'self'}];
@@ -0,0 +1,373 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+/** @module lib/lint */
+
+import {getExpressionLocation, getStatementLocation} from './parser.js';
+import {scriptFunctions} from './library.js';
+
+
+// The runtime's built-in function names that are not script library functions - these are not variables
+const builtinFunctionNames = new Set(['if', 'getGlobal', 'setGlobal']);
+
+
+// The variable name keywords
+const keywordNames = new Set(['null', 'false', 'true']);
+
+
+/**
+ * The CalcScript linter options
+ *
+ * @typedef {Object} LintScriptOptions
+ * @property {string[]} [globals] - The host global variable and function names. Names defined by included scripts are
+ *     unknown to the linter and must also be declared here.
+ */
+
+
+/**
+ * A CalcScript lint warning
+ *
+ * @typedef {Object} LintWarning
+ * @property {string} code - The warning code - "unknown-label", "duplicate-label", "undefined-function",
+ *     "argument-count", "undefined-variable", "unreachable-statement", or "include-non-async"
+ * @property {string} message - The warning message
+ * @property {number} [lineNumber] - The warning's line number, if the model has source locations
+ * @property {number} [columnNumber] - The warning's column number, if the model has source locations
+ * @property {string} severity - The warning severity, "warning"
+ */
+
+
+/**
+ * Lint a CalcScript model. The script is statically analyzed for bugs that would otherwise be found (if at all) at runtime.
+ *
+ * @param {Object} script - The [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
+ * @param {Object} [options = {}] - The [linter options]{@link module:lib/lint~LintScriptOptions}
+ * @returns {Object[]} The array of [lint warnings]{@link module:lib/lint~LintWarning}
+ */
+export function lintScript(script, options = {}) {
+    const lint = {
+        'warnings': [],
+        'globalNames': new Set([...Object.keys(scriptFunctions), ...(options.globals ?? [])])
+    };
+    lintStatements(lint, createScope(null, null, script.statements, []), script.statements);
+    return lint.warnings;
+}
+
+
+// Helper function to add a lint warning
+function addWarning(lint, code, message, location) {
+    const warning = {code, message, 'severity': 'warning'};
+    if (location !== null) {
+        warning.lineNumber = location.lineNumber;
+        warning.columnNumber = location.columnNumber;
+    }
+    lint.warnings.push(warning);
+}
+
+
+// Helper function to create a function (or script) scope. Within a scope, names are defined in statement order ("names").
+// Enclosing scopes execute before the scope's code is called, so all of their names are defined ("allNames").
+function createScope(parent, funcStatement, statements, args) {
+    const scope = {
+        parent,
+        funcStatement,
+        'names': new Set(args),
+        'allNames': new Set(args),
+        'functions': new Map(),
+        'blockLabels': []
+    };
+    const assignNames = new Set();
+    collectScopeNames(scope, statements, assignNames);
+
+    // Functions that are also assigned have unknown arguments
+    for (const name of assignNames) {
+        if (scope.functions.has(name)) {
+            scope.functions.set(name, null);
+        }
+    }
+    return scope;
+}
+
+
+// Helper function to collect a scope's variable and function names
+function collectScopeNames(scope, statements, assignNames) {
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+        if (statementKey === 'assign') {
+            if (!('indexes' in statement.assign)) {
+                scope.allNames.add(statement.assign.name);
+                assignNames.add(statement.assign.name);
+            }
+        } else if (statementKey === 'function') {
+            const {name} = statement.function;
+            scope.allNames.add(name);
+            scope.functions.set(name, scope.functions.has(name) ? null : statement.function);
+        } else if (statementKey === 'if') {
+            collectScopeNames(scope, statement.if.statements, assignNames);
+            for (const elifStatement of (statement.if.elif ?? [])) {
+                collectScopeNames(scope, elifStatement.statements, assignNames);
+            }
+            collectScopeNames(scope, statement.if.else ?? [], assignNames);
+        } else if (statementKey === 'while') {
+            collectScopeNames(scope, statement.while.statements, assignNames);
+        } else if (statementKey === 'for') {
+            scope.allNames.add(statement.for.value);
+            if ('index' in statement.for) {
+                scope.allNames.add(statement.for.index);
+            }
+            collectScopeNames(scope, statement.for.statements, assignNames);
+        } else if (statementKey === 'try') {
+            collectScopeNames(scope, statement.try.statements, assignNames);
+            if ('catch' in statement.try) {
+                if ('name' in statement.try.catch) {
+                    scope.allNames.add(statement.try.catch.name);
+                }
+                collectScopeNames(scope, statement.try.catch.statements, assignNames);
+            }
+            collectScopeNames(scope, statement.try.finally ?? [], assignNames);
+        } else if (statementKey === 'import') {
+            scope.allNames.add(statement.import.name);
+        }
+    }
+}
+
+
+// Helper function to test if a variable or function name is defined
+function isNameDefined(lint, scope, name) {
+    if (scope.names.has(name)) {
+        return true;
+    }
+    for (let parent = scope.parent; parent !== null; parent = parent.parent) {
+        if (parent.allNames.has(name)) {
+            return true;
+        }
+    }
+    return lint.globalNames.has(name);
+}
+
+
+// Helper function to get a name's user function statement - null if the name is not known to be a user function
+function getFunctionStatement(scope, name) {
+    for (let nameScope = scope; nameScope !== null; nameScope = nameScope.parent) {
+        if (nameScope.allNames.has(name)) {
+            return nameScope.functions.get(name) ?? null;
+        }
+    }
+    return null;
+}
+
+
+// Helper function to lint a statement block
+function lintStatements(lint, scope, statements) {
+    // Add the block's labels - jumps may target labels in this block or in any enclosing block of the function
+    const blockLabels = new Set();
+    for (const statement of statements) {
+        if ('label' in statement) {
+            blockLabels.add(statement.label);
+        }
+    }
+    scope.blockLabels.push(blockLabels);
+
+    // Lint each statement - labels are unique within a statement block
+    const blockLabelsSeen = new Set();
+    let unreachable = false;
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+        const location = getStatementLocation(statement);
+
+        // Label?
+        if (statementKey === 'label') {
+            if (blockLabelsSeen.has(statement.label)) {
+                addWarning(lint, 'duplicate-label', `Duplicate label "${statement.label}"`, location);
+            }
+            blockLabelsSeen.add(statement.label);
+            unreachable = false;
+            continue;
+        }
+
+        // Statement following a return, throw, break, continue, or jump? Report only the first unreachable statement.
+        if (unreachable) {
+            addWarning(lint, 'unreachable-statement', 'Unreachable statement', location);
+            unreachable = false;
+        }
+
+        // Expression?
+        if (statementKey === 'expr') {
+            lintExpression(lint, scope, statement.expr, location);
+
+        // Assignment?
+        } else if (statementKey === 'assign') {
+            if ('indexes' in statement.assign) {
+                lintVariable(lint, scope, statement.assign.name, location);
+                for (const indexExpr of statement.assign.indexes) {
+                    lintExpression(lint, scope, indexExpr, location);
+                }
+                lintExpression(lint, scope, statement.assign.expr, location);
+            } else {
+                lintExpression(lint, scope, statement.assign.expr, location);
+                scope.names.add(statement.assign.name);
+            }
+
+        // Function?
+        } else if (statementKey === 'function') {
+            scope.names.add(statement.function.name);
+            const funcScope = createScope(scope, statement.function, statement.function.statements, statement.function.args ?? []);
+            lintStatements(lint, funcScope, statement.function.statements);
+
+        // Jump?
+        } else if (statementKey === 'jump') {
+            if ('expr' in statement.jump) {
+                lintExpression(lint, scope, statement.jump.expr, location);
+            } else {
+                unreachable = true;
+            }
+            if (!scope.blockLabels.some((labels) => labels.has(statement.jump.label))) {
+                addWarning(lint, 'unknown-label', `Unknown jump label "${statement.jump.label}"`, location);
+            }
+
+        // Return?
+        } else if (statementKey === 'return') {
+            if ('expr' in statement.return) {
+                lintExpression(lint, scope, statement.return.expr, location);
+            }
+            unreachable = true;
+
+        // Include?
+        } else if (statementKey === 'include') {
+            if (scope.funcStatement !== null && !scope.funcStatement.async) {
+                addWarning(
+                    lint,
+                    'include-non-async',
+                    `Include of "${statement.include}" within non-async function "${scope.funcStatement.name}"`,
+                    location
+                );
+            }
+
+        // Import?
+        } else if (statementKey === 'import') {
+            if (scope.funcStatement !== null && !scope.funcStatement.async) {
+                addWarning(
+                    lint,
+                    'include-non-async',
+                    `Import of "${statement.import.url}" within non-async function "${scope.funcStatement.name}"`,
+                    location
+                );
+            }
+            scope.names.add(statement.import.name);
+
+        // If-then?
+        } else if (statementKey === 'if') {
+            lintExpression(lint, scope, statement.if.expr, location);
+            lintStatements(lint, scope, statement.if.statements);
+            for (const elifStatement of (statement.if.elif ?? [])) {
+                lintExpression(lint, scope, elifStatement.expr, location);
+                lintStatements(lint, scope, elifStatement.statements);
+            }
+            if ('else' in statement.if) {
+                lintStatements(lint, scope, statement.if.else);
+            }
+
+        // While-do loop?
+        } else if (statementKey === 'while') {
+            lintExpression(lint, scope, statement.while.expr, location);
+            lintStatements(lint, scope, statement.while.statements);
+
+        // For-each loop?
+        } else if (statementKey === 'for') {
+            lintExpression(lint, scope, statement.for.expr, location);
+            scope.names.add(statement.for.value);
+            if ('index' in statement.for) {
+                scope.names.add(statement.for.index);
+            }
+            lintStatements(lint, scope, statement.for.statements);
+
+        // Loop break or continue?
+        } else if (statementKey === 'break' || statementKey === 'continue') {
+            unreachable = true;
+
+        // Try-catch?
+        } else if (statementKey === 'try') {
+            lintStatements(lint, scope, statement.try.statements);
+            if ('catch' in statement.try) {
+                if ('name' in statement.try.catch) {
+                    scope.names.add(statement.try.catch.name);
+                }
+                lintStatements(lint, scope, statement.try.catch.statements);
+            }
+            if ('finally' in statement.try) {
+                lintStatements(lint, scope, statement.try.finally);
+            }
+
+        // Throw?
+        } else if (statementKey === 'throw') {
+            lintExpression(lint, scope, statement.throw.expr, location);
+            unreachable = true;
+        }
+    }
+
+    scope.blockLabels.pop();
+}
+
+
+// Helper function to lint a variable read
+function lintVariable(lint, scope, name, location) {
+    if (!keywordNames.has(name) && !isNameDefined(lint, scope, name)) {
+        const message = (scope.allNames.has(name) ? `Variable "${name}" used before assignment` : `Undefined variable "${name}"`);
+        addWarning(lint, 'undefined-variable', message, location);
+    }
+}
+
+
+// Helper function to lint an expression - location is the enclosing expression's or statement's location
+function lintExpression(lint, scope, expr, location) {
+    const [exprKey] = Object.keys(expr);
+    const exprLocation = getExpressionLocation(expr) ?? location;
+    if (exprKey === 'variable') {
+        lintVariable(lint, scope, expr.variable, exprLocation);
+    } else if (exprKey === 'function') {
+        const {name} = expr.function;
+        const args = expr.function.args ?? [];
+        const ixDot = name.indexOf('.');
+        const scopeName = (ixDot !== -1 ? name.slice(0, ixDot) : name);
+        if (!isNameDefined(lint, scope, scopeName) && !builtinFunctionNames.has(name)) {
+            addWarning(lint, 'undefined-function', `Undefined function "${name}"`, exprLocation);
+        } else if (ixDot === -1) {
+            // User function argument count mismatch? Module function (e.g. "lib.formatRow") argument counts are unknown.
+            const funcStatement = getFunctionStatement(scope, name);
+            const funcArgsLength = (funcStatement !== null ? (funcStatement.args ?? []).length : args.length);
+            if (args.length !== funcArgsLength) {
+                addWarning(
+                    lint,
+                    'argument-count',
+                    `Function "${name}" called with ${args.length} argument${args.length === 1 ? '' : 's'}, expected ${funcArgsLength}`,
+                    exprLocation
+                );
+            }
+        }
+        for (const argExpr of args) {
+            lintExpression(lint, scope, argExpr, exprLocation);
+        }
+    } else if (exprKey === 'binary') {
+        lintExpression(lint, scope, expr.binary.left, exprLocation);
+        lintExpression(lint, scope, expr.binary.right, exprLocation);
+    } else if (exprKey === 'unary') {
+        lintExpression(lint, scope, expr.unary.expr, exprLocation);
+    } else if (exprKey === 'group') {
+        lintExpression(lint, scope, expr.group, exprLocation);
+    } else if (exprKey === 'array') {
+        for (const valueExpr of expr.array.values) {
+            lintExpression(lint, scope, valueExpr, exprLocation);
+        }
+    } else if (exprKey === 'object') {
+        for (const keyValue of expr.object.keyValues) {
+            lintExpression(lint, scope, keyValue.value, exprLocation);
+        }
+    } else if (exprKey === 'index') {
+        lintExpression(lint, scope, expr.index.expr, exprLocation);
+        lintExpression(lint, scope, expr.index.index, exprLocation);
+    } else if (exprKey === 'lambda') {
+        // Lambda functions are called after the enclosing scope's names are defined
+        const lambdaScope = createScope(scope, null, [], expr.lambda.args);
+        lintExpression(lint, lambdaScope, expr.lambda.expr, exprLocation);
+    }
+}
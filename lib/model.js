@@ -40,6 +40,30 @@ union ScriptStatement
     # An include statement
     string include
 
+    # An import statement
+    ImportStatement import
+
+    # An if-then statement
+    IfStatement if
+
+    # A while-do loop statement
+    WhileStatement while
+
+    # A for-each loop statement
+    ForStatement for
+
+    # A loop break statement
+    BreakStatement break
+
+    # A loop continue statement
+    ContinueStatement continue
+
+    # A try-catch statement
+    TryStatement try
+
+    # A throw statement
+    ThrowStatement throw
+
 
 # A return statement
 struct ReturnStatement
@@ -47,6 +71,9 @@ struct ReturnStatement
     # The expression to return
     optional Expression expr
 
+    # The source location
+    optional ScriptLocation location
+
 
 # A script variable assignment statement
 struct AssignmentStatement
@@ -54,9 +81,18 @@ struct AssignmentStatement
     # The variable name
     string name
 
+    # The object key and array index expressions of an object key or array element assignment
+    optional Expression[len > 0] indexes
+
     # The expression to assign to the variable
     Expression expr
 
+    # If true, the variable is exported from the module
+    optional bool export
+
+    # The source location
+    optional ScriptLocation location
+
 
 # A script function statement
 struct FunctionStatement
@@ -73,6 +109,27 @@ struct FunctionStatement
     # The function's statements
     ScriptStatement[] statements
 
+    # If true, the function is exported from the module
+    optional bool export
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An import statement - the module's exported functions and variables are accessible from the module namespace variable
+# (e.g. "lib.formatRow()"). A module is executed once, with its own globals, and cannot access the importing script's
+# variables.
+struct ImportStatement
+
+    # The module URL
+    string url
+
+    # The module namespace variable name
+    string name
+
+    # The source location
+    optional ScriptLocation location
+
 
 # A script jump statement
 struct JumpStatement
@@ -83,6 +140,120 @@ struct JumpStatement
     # The test expression
     optional Expression expr
 
+    # The source location
+    optional ScriptLocation location
+
+
+# An if-then statement
+struct IfStatement
+
+    # The test expression
+    Expression expr
+
+    # The statements to execute if the test expression is true
+    ScriptStatement[] statements
+
+    # The else-if statements
+    optional ElseIfStatement[len > 0] elif
+
+    # The statements to execute if all test expressions are false
+    optional ScriptStatement[] else
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An if-then statement's else-if statement
+struct ElseIfStatement
+
+    # The test expression
+    Expression expr
+
+    # The statements to execute if the test expression is true
+    ScriptStatement[] statements
+
+
+# A while-do loop statement
+struct WhileStatement
+
+    # The loop test expression
+    Expression expr
+
+    # The loop's statements
+    ScriptStatement[] statements
+
+    # The source location
+    optional ScriptLocation location
+
+
+# A for-each loop statement
+struct ForStatement
+
+    # The loop value variable name
+    string value
+
+    # The loop index variable name
+    optional string index
+
+    # The array expression
+    Expression expr
+
+    # The loop's statements
+    ScriptStatement[] statements
+
+    # The source location
+    optional ScriptLocation location
+
+
+# A loop break statement
+struct BreakStatement
+
+    # The source location
+    optional ScriptLocation location
+
+
+# A loop continue statement
+struct ContinueStatement
+
+    # The source location
+    optional ScriptLocation location
+
+
+# A try-catch statement
+struct TryStatement
+
+    # The try statements
+    ScriptStatement[] statements
+
+    # The catch statement
+    optional CatchStatement catch
+
+    # The finally statements
+    optional ScriptStatement[] finally
+
+    # The source location
+    optional ScriptLocation location
+
+
+# A try-catch statement's catch statement
+struct CatchStatement
+
+    # The error variable name
+    optional string name
+
+    # The catch statements
+    ScriptStatement[] statements
+
+
+# A throw statement
+struct ThrowStatement
+
+    # The error message or error object expression
+    Expression expr
+
+    # The source location
+    optional ScriptLocation location
+
 
 # An expression
 union Expression
@@ -108,6 +279,18 @@ union Expression
     # An expression group
     Expression group
 
+    # An array expression
+    ArrayExpression array
+
+    # An object expression
+    ObjectExpression object
+
+    # An object key or array index expression
+    IndexExpression index
+
+    # An anonymous function expression
+    LambdaExpression lambda
+
 
 # A binary expression
 struct BinaryExpression
@@ -121,6 +304,9 @@ struct BinaryExpression
     # The right expression
     Expression right
 
+    # The source location
+    optional ScriptLocation location
+
 
 # A binary expression operator
 enum BinaryExpressionOperator
@@ -149,6 +335,9 @@ struct UnaryExpression
     # The expression
     Expression expr
 
+    # The source location
+    optional ScriptLocation location
+
 
 # A unary expression operator
 enum UnaryExpressionOperator
@@ -164,6 +353,155 @@ struct FunctionExpression
 
     # The function arguments
     optional Expression[] args
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An object key or array index expression
+struct IndexExpression
+
+    # The object or array expression
+    Expression expr
+
+    # The object key or array index expression
+    Expression index
+
+    # If true, a null object or array value evaluates to null
+    optional bool optional
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An anonymous function expression
+struct LambdaExpression
+
+    # The function argument names
+    string[] args
+
+    # The function's return value expression
+    Expression expr
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An array expression. A non-empty array's values must be two or more literals (numbers, strings, keywords, arrays,
+# or objects), or must end with a trailing separator - otherwise, the bracketed text is a variable name (e.g. "[a, b]").
+struct ArrayExpression
+
+    # The array value expressions
+    Expression[] values
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An object expression
+struct ObjectExpression
+
+    # The object's key/value expressions
+    ObjectExpressionKeyValue[] keyValues
+
+    # The source location
+    optional ScriptLocation location
+
+
+# An object expression's key/value expression
+struct ObjectExpressionKeyValue
+
+    # The key
+    string key
+
+    # The value expression
+    Expression value
+
+
+# A script source location span
+struct ScriptLocation
+
+    # The script URL
+    optional string url
+
+    # The span's beginning line number
+    int(>= 1) lineNumber
+
+    # The span's beginning column number
+    int(>= 1) columnNumber
+
+    # The span's end line number
+    int(>= 1) endLineNumber
+
+    # The span's end column number - the column following the span's last character
+    int(>= 1) endColumnNumber
+
+
+# A CalcScript concrete syntax tree (CST) - the script's lines, including comment and blank lines, in their original text
+struct CalcScriptCST
+
+    # The script's lines
+    CSTLine[] lines
+
+
+# A CST script line
+struct CSTLine
+
+    # The line type
+    CSTLineType type
+
+    # The line's text parts - a continued line has a part for each of its lines
+    CSTLinePart[len > 0] parts
+
+    # The line's statement model, for "statement" lines
+    optional ScriptStatement statement
+
+    # The block's lines, for block statement begin, "elif", "else", "catch", and "finally" lines
+    optional CSTLine[] lines
+
+
+# A CST script line type
+enum CSTLineType
+
+    # A blank line
+    blank
+
+    # A comment line
+    comment
+
+    # A statement line
+    statement
+
+    # An if-then statement's else-if line
+    elif
+
+    # An if-then statement's else line
+    else
+
+    # A try-catch statement's catch line
+    catch
+
+    # A try-catch statement's finally line
+    finally
+
+    # A block statement's end line
+    end
+
+    # A continued line at the end of the script - the line is ignored
+    unterminated
+
+
+# A CST script line's text part
+struct CSTLinePart
+
+    # The line part's text
+    string text
+
+    # The line part's line continuation text - the backslash and any trailing whitespace
+    optional string continuation
+
+    # The line part's newline text - not present for the script's last line
+    optional string newline
 `;
 
 
@@ -193,3 +531,224 @@ export function validateScript(script) {
 export function validateExpression(expr) {
     return validateType(calcScriptTypes, 'Expression', expr);
 }
+
+
+/**
+ * Validate a CalcScript concrete syntax tree (CST) model
+ *
+ * @param {Object} cst - The [CalcScript CST model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScriptCST'}
+ * @returns {Object} The validated CalcScript CST model
+ * @throws [ValidationError]{@link https://craigahobbs.github.io/schema-markdown-js/module-lib_schema.ValidationError.html}
+ */
+export function validateScriptCST(cst) {
+    return validateType(calcScriptTypes, 'CalcScriptCST', cst);
+}
+
+
+// CalcScript identifier regex
+const rIdentifier = /^[A-Za-z_]\w*$/;
+
+
+/**
+ * A CalcScript model semantic error
+ *
+ * @typedef {Object} ScriptSemanticError
+ * @property {string} type - The error type - "unknown-label", "duplicate-label", "duplicate-argument", "invalid-name",
+ *     "include-in-function", "import-in-function", or "export-not-top-level"
+ * @property {string} message - The error message
+ * @property {Object} [location] - The statement's or expression's
+ *     [source location]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='ScriptLocation'}, if any
+ */
+
+
+/**
+ * Validate a CalcScript model's semantics. The model must be schema-valid (see
+ * [validateScript]{@link module:lib/model.validateScript}).
+ *
+ * Jump labels must resolve to a label in the jump's statement block or an enclosing statement block of the same function,
+ * labels must be unique within a statement block, function and lambda argument names must be unique, assignment and
+ * function and import names must be valid identifiers, function bodies may not contain include or import statements,
+ * and exports must be top-level script statements.
+ *
+ * @param {Object} script - The [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
+ * @returns {Object[]} The array of [semantic errors]{@link module:lib/model~ScriptSemanticError}
+ */
+export function validateScriptSemantics(script) {
+    const errors = [];
+    validateStatementsSemantics(script.statements, [], false, errors);
+    return errors;
+}
+
+
+// Helper function to add a semantic error
+function addSemanticError(errors, type, message, location) {
+    const error = {type, message};
+    if (location) {
+        error.location = location;
+    }
+    errors.push(error);
+}
+
+
+// Helper function to validate an identifier name
+function validateNameSemantics(name, nameType, location, errors) {
+    if (!rIdentifier.test(name)) {
+        addSemanticError(errors, 'invalid-name', `Invalid ${nameType} name ${JSON.stringify(name)}`, location);
+    }
+}
+
+
+// Helper function to validate that an exported assignment or function is a top-level script statement
+function validateExportSemantics(statementValue, blockLabels, isFunction, errors) {
+    if (statementValue.export && (isFunction || blockLabels.length !== 1)) {
+        addSemanticError(
+            errors, 'export-not-top-level', `Export of "${statementValue.name}" not at script top level`, statementValue.location
+        );
+    }
+}
+
+
+// Helper function to validate that argument names are unique
+function validateArgsSemantics(args, location, errors) {
+    const argNames = new Set();
+    for (const arg of args) {
+        if (argNames.has(arg)) {
+            addSemanticError(errors, 'duplicate-argument', `Duplicate argument "${arg}"`, location);
+        }
+        argNames.add(arg);
+    }
+}
+
+
+// Helper function to validate a statement block's semantics - blockLabels is the label sets of the function's enclosing
+// statement blocks
+function validateStatementsSemantics(statements, blockLabels, isFunction, errors) {
+    // Collect the block's labels
+    const labels = new Set();
+    for (const statement of statements) {
+        if ('label' in statement) {
+            if (labels.has(statement.label)) {
+                addSemanticError(errors, 'duplicate-label', `Duplicate label "${statement.label}"`, null);
+            }
+            labels.add(statement.label);
+        }
+    }
+    blockLabels.push(labels);
+
+    // Validate each statement
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+        if (statementKey === 'expr') {
+            validateExpressionSemantics(statement.expr, errors);
+        } else if (statementKey === 'assign') {
+            validateNameSemantics(statement.assign.name, 'assignment', statement.assign.location, errors);
+            validateExportSemantics(statement.assign, blockLabels, isFunction, errors);
+            for (const indexExpr of (statement.assign.indexes ?? [])) {
+                validateExpressionSemantics(indexExpr, errors);
+            }
+            validateExpressionSemantics(statement.assign.expr, errors);
+        } else if (statementKey === 'function') {
+            validateNameSemantics(statement.function.name, 'function', statement.function.location, errors);
+            validateExportSemantics(statement.function, blockLabels, isFunction, errors);
+            validateArgsSemantics(statement.function.args ?? [], statement.function.location, errors);
+            validateStatementsSemantics(statement.function.statements, [], true, errors);
+        } else if (statementKey === 'jump') {
+            if (!blockLabels.some((blockLabelSet) => blockLabelSet.has(statement.jump.label))) {
+                addSemanticError(errors, 'unknown-label', `Unknown jump label "${statement.jump.label}"`, statement.jump.location);
+            }
+            if ('expr' in statement.jump) {
+                validateExpressionSemantics(statement.jump.expr, errors);
+            }
+        } else if (statementKey === 'return') {
+            if ('expr' in statement.return) {
+                validateExpressionSemantics(statement.return.expr, errors);
+            }
+        } else if (statementKey === 'include') {
+            if (isFunction) {
+                addSemanticError(errors, 'include-in-function', `Include of "${statement.include}" within function`, null);
+            }
+        } else if (statementKey === 'import') {
+            validateNameSemantics(statement.import.name, 'import', statement.import.location, errors);
+            if (isFunction) {
+                addSemanticError(
+                    errors, 'import-in-function', `Import of "${statement.import.url}" within function`, statement.import.location
+                );
+            }
+        } else if (statementKey === 'if') {
+            validateExpressionSemantics(statement.if.expr, errors);
+            validateStatementsSemantics(statement.if.statements, blockLabels, isFunction, errors);
+            for (const elifStatement of (statement.if.elif ?? [])) {
+                validateExpressionSemantics(elifStatement.expr, errors);
+                validateStatementsSemantics(elifStatement.statements, blockLabels, isFunction, errors);
+            }
+            validateStatementsSemantics(statement.if.else ?? [], blockLabels, isFunction, errors);
+        } else if (statementKey === 'while') {
+            validateExpressionSemantics(statement.while.expr, errors);
+            validateStatementsSemantics(statement.while.statements, blockLabels, isFunction, errors);
+        } else if (statementKey === 'for') {
+            validateExpressionSemantics(statement.for.expr, errors);
+            validateStatementsSemantics(statement.for.statements, blockLabels, isFunction, errors);
+        } else if (statementKey === 'try') {
+            validateStatementsSemantics(statement.try.statements, blockLabels, isFunction, errors);
+            if ('catch' in statement.try) {
+                validateStatementsSemantics(statement.try.catch.statements, blockLabels, isFunction, errors);
+            }
+            validateStatementsSemantics(statement.try.finally ?? [], blockLabels, isFunction, errors);
+        } else if (statementKey === 'throw') {
+            validateExpressionSemantics(statement.throw.expr, errors);
+        }
+    }
+
+    blockLabels.pop();
+}
+
+
+// Helper function to validate an expression's semantics
+function validateExpressionSemantics(expr, errors) {
+    const [exprKey] = Object.keys(expr);
+    if (exprKey === 'function') {
+        for (const argExpr of (expr.function.args ?? [])) {
+            validateExpressionSemantics(argExpr, errors);
+        }
+    } else if (exprKey === 'binary') {
+        validateExpressionSemantics(expr.binary.left, errors);
+        validateExpressionSemantics(expr.binary.right, errors);
+    } else if (exprKey === 'unary') {
+        validateExpressionSemantics(expr.unary.expr, errors);
+    } else if (exprKey === 'group') {
+        validateExpressionSemantics(expr.group, errors);
+    } else if (exprKey === 'array') {
+        for (const valueExpr of expr.array.values) {
+            validateExpressionSemantics(valueExpr, errors);
+        }
+    } else if (exprKey === 'object') {
+        for (const keyValue of expr.object.keyValues) {
+            validateExpressionSemantics(keyValue.value, errors);
+        }
+    } else if (exprKey === 'index') {
+        validateExpressionSemantics(expr.index.expr, errors);
+        validateExpressionSemantics(expr.index.index, errors);
+    } else if (exprKey === 'lambda') {
+        validateArgsSemantics(expr.lambda.args, expr.lambda.location, errors);
+        validateExpressionSemantics(expr.lambda.expr, errors);
+    }
+}
+
+
+/**
+ * A CalcScript model semantic validation error
+ *
+ * @extends {Error}
+ * @property {Object[]} errors - The [semantic errors]{@link module:lib/model~ScriptSemanticError}
+ */
+export class CalcScriptValidationError extends Error {
+    /**
+     * Create a CalcScript model semantic validation error
+     *
+     * @param {Object[]} errors - The non-empty array of [semantic errors]{@link module:lib/model~ScriptSemanticError}
+     */
+    constructor(errors) {
+        super(errors.map((error) => error.message).join('\n'));
+        this.errors = errors;
+    }
+}
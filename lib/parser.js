@@ -6,29 +6,117 @@
 
 // CalcScript regex
 const rScriptLineSplit = /\r?\n/;
+const rScriptNewline = /\r?\n/g;
 const rScriptContinuation = /\\\s*$/;
 const rScriptComment = /^\s*(?:#.*)?$/;
-const rScriptAssignment = /^\s*(?<name>[A-Za-z_]\w*)\s*=\s*(?<expr>.*)$/;
+const rScriptAssignment = /^\s*(?:(?<export>export)\s+)?(?<name>[A-Za-z_]\w*)\s*=\s*(?<expr>.*)$/;
+const rScriptIndexAssignment = /^\s*[A-Za-z_]\w*\s*(?:\.|\[)/;
+const rScriptIndexAssignmentExpr = /\s*=(?!=)\s*/y;
 const rScriptFunctionBegin =
-    /^\s*(?:(?<async>async)\s+)?function\s+(?<name>[A-Za-z_]\w*)\s*\(\s*(?<args>[A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)?\s*\)\s*$/;
+    // eslint-disable-next-line max-len
+    /^\s*(?:(?<export>export)\s+)?(?:(?<async>async)\s+)?function\s+(?<name>[A-Za-z_]\w*)\s*\(\s*(?<args>[A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)?\s*\)\s*$/;
 const rScriptFunctionArgSplit = /\s*,\s*/;
 const rScriptFunctionEnd = /^\s*endfunction\s*$/;
+const rScriptIfBegin = /^(?<if>\s*if\s*\()(?<expr>.+)\)\s*$/;
+const rScriptIfElseIf = /^(?<elif>\s*elif\s*\()(?<expr>.+)\)\s*$/;
+const rScriptIfElse = /^\s*else\s*$/;
+const rScriptIfEnd = /^\s*endif\s*$/;
+const rScriptWhileBegin = /^(?<while>\s*while\s*\()(?<expr>.+)\)\s*$/;
+const rScriptWhileEnd = /^\s*endwhile\s*$/;
+const rScriptForBegin = /^(?<for>\s*for\s+(?<value>[A-Za-z_]\w*)(?:\s*,\s*(?<index>[A-Za-z_]\w*))?\s+in\s+)(?<expr>.+)$/;
+const rScriptForEnd = /^\s*endfor\s*$/;
+const rScriptBreak = /^\s*break\s*$/;
+const rScriptContinue = /^\s*continue\s*$/;
+const rScriptTryBegin = /^\s*try\s*$/;
+const rScriptTryCatch = /^\s*catch(?:\s+(?<name>[A-Za-z_]\w*))?\s*$/;
+const rScriptTryFinally = /^\s*finally\s*$/;
+const rScriptTryEnd = /^\s*endtry\s*$/;
+const rScriptThrow = /^(?<throw>\s*throw\s+)(?<expr>.+)$/;
 const rScriptLabel = /^\s*(?<name>[A-Za-z_]\w*)\s*:\s*$/;
 const rScriptJump = /^(?<jump>\s*(?:jump|jumpif\s*\((?<expr>.+)\)))\s+(?<name>[A-Za-z_]\w*)\s*$/;
 const rScriptReturn = /^(?<return>\s*return(?:\s+(?<expr>.+?))?)\s*$/;
 const rScriptInclude = /^\s*include\s+'(?<url>(?:\\'|[^'])*)'/;
 const rScriptIncludeDouble = /^\s*include\s+"(?<url>(?:\\"|[^"])*)"/;
+const rScriptImport = /^\s*import\s+'(?<url>(?:\\'|[^'])*)'\s+as\s+(?<name>[A-Za-z_]\w*)\s*$/;
+const rScriptImportDouble = /^\s*import\s+"(?<url>(?:\\"|[^"])*)"\s+as\s+(?<name>[A-Za-z_]\w*)\s*$/;
+
+
+/**
+ * The CalcScript parser options
+ *
+ * @typedef {Object} ParseScriptOptions
+ * @property {boolean} [locations = false] - If true, record source locations on statements and expressions. Label, include,
+ *     and expression statements have no statement struct, so their source locations are recorded apart from the model
+ *     (see [getStatementLocation]{@link module:lib/parser.getStatementLocation}).
+ * @property {string} [url] - The script URL, recorded on source locations
+ */
+
+
+/**
+ * A CalcScript parser diagnostic
+ *
+ * @typedef {Object} ParseDiagnostic
+ * @property {string} message - The diagnostic message
+ * @property {number} lineNumber - The diagnostic's line number
+ * @property {number} columnNumber - The diagnostic's column number
+ * @property {string} severity - The diagnostic severity, "error"
+ */
 
 
 /**
  * Parse a CalcScript script
  *
  * @param {string|string[]} scriptText - The [script text]{@link https://craigahobbs.github.io/calc-script/reference/}
+ * @param {number} [startLineNumber = 1] - The script's starting line number
+ * @param {Object} [options = {}] - The [parser options]{@link module:lib/parser~ParseScriptOptions}
  * @returns {Object} The [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'}
  * @throws [CalcScriptParserError]{@link module:lib/parser.CalcScriptParserError}
  */
-export function parseScript(scriptText, startLineNumber = 1) {
+export function parseScript(scriptText, startLineNumber = 1, options = {}) {
+    return parseScriptHelper(scriptText, startLineNumber, options, null);
+}
+
+
+/**
+ * Parse a CalcScript script with error recovery. Lines with syntax errors are skipped and reported as diagnostics.
+ *
+ * @param {string|string[]} scriptText - The [script text]{@link https://craigahobbs.github.io/calc-script/reference/}
+ * @param {number} [startLineNumber = 1] - The script's starting line number
+ * @param {Object} [options = {}] - The [parser options]{@link module:lib/parser~ParseScriptOptions}
+ * @returns {Object} An object with the partial
+ *     [CalcScript model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScript'} ("script") and the
+ *     array of [parser diagnostics]{@link module:lib/parser~ParseDiagnostic} ("diagnostics")
+ */
+export function parseScriptDiagnostics(scriptText, startLineNumber = 1, options = {}) {
+    const diagnostics = [];
+    const script = parseScriptHelper(scriptText, startLineNumber, options, diagnostics);
+    return {script, diagnostics};
+}
+
+
+/**
+ * Parse a CalcScript script's concrete syntax tree (CST). The CST preserves the script's comment lines, blank lines, line
+ * continuations, and original statement text (e.g. string quotes and number formats).
+ *
+ * @param {string} scriptText - The [script text]{@link https://craigahobbs.github.io/calc-script/reference/}
+ * @param {number} [startLineNumber = 1] - The script's starting line number
+ * @param {Object} [options = {}] - The [parser options]{@link module:lib/parser~ParseScriptOptions}
+ * @returns {Object} The [CalcScript CST]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='CalcScriptCST'}
+ * @throws [CalcScriptParserError]{@link module:lib/parser.CalcScriptParserError}
+ */
+export function parseScriptCST(scriptText, startLineNumber = 1, options = {}) {
+    const cst = {'lines': []};
+    parseScriptHelper(scriptText, startLineNumber, options, null, cst);
+    return cst;
+}
+
+
+// Helper function to parse a CalcScript script - if diagnostics is non-null, parser errors are collected rather than thrown.
+// If cst is non-null, the script's CST lines are added to it.
+function parseScriptHelper(scriptText, startLineNumber, options, diagnostics, cst = null) {
     const script = {'statements': []};
+    const locations = options.locations ?? false;
+    const scriptURL = options.url ?? null;
 
     // Line-split all script text
     const lines = [];
@@ -40,12 +128,39 @@ export function parseScript(scriptText, startLineNumber = 1) {
         }
     }
 
+    // Helper function to get a source location from a span of the current line - continued line text columns are mapped to
+    // their original lines and columns
+    const lineParts = [];
+    const getLocation = (ixBegin, ixEnd) => {
+        const location = {};
+        if (scriptURL !== null) {
+            location.url = scriptURL;
+        }
+        const begin = getLinePartColumn(lineParts, ixBegin);
+        const end = getLinePartColumn(lineParts, ixEnd - 1);
+        location.lineNumber = startLineNumber + begin.ixLine;
+        location.columnNumber = begin.columnNumber;
+        location.endLineNumber = startLineNumber + end.ixLine;
+        location.endColumnNumber = end.columnNumber + 1;
+        return location;
+    };
+
+    // Helper function to parse an expression of the current line
+    const parseLineExpression = (exprText, ixExpr) => (
+        parseExpressionHelper(exprText, locations ? (ixBegin, ixEnd) => getLocation(ixExpr + ixBegin, ixExpr + ixEnd) : null)
+    );
+
+    // The CST newlines and block line arrays, if necessary
+    const newlines = (cst !== null ? scriptText.match(rScriptNewline) ?? [] : null);
+    const cstBlocks = (cst !== null ? [cst.lines] : null);
+    let cstParts = null;
+
     // Process each line
     const lineContinuation = [];
-    let functionDef = null;
+    const blocks = [];
     let ixLine;
     for (const [ixLinePart, linePart] of lines.entries()) {
-        const statements = (functionDef !== null ? functionDef.function.statements : script.statements);
+        const statements = (blocks.length !== 0 ? blocks[blocks.length - 1].statements : script.statements);
 
         // Set the line index
         const isContinued = (lineContinuation.length !== 0);
@@ -55,11 +170,30 @@ export function parseScript(scriptText, startLineNumber = 1) {
 
         // Line continuation?
         const linePartNoContinuation = linePart.replace(rScriptContinuation, '');
+        if (!isContinued) {
+            lineParts.length = 0;
+        }
+
+        // Add the CST line part, if necessary
+        if (cst !== null) {
+            if (!isContinued) {
+                cstParts = [];
+            }
+            const newline = (ixLinePart < newlines.length ? newlines[ixLinePart] : null);
+            cstParts.push(getCSTLinePart(linePart, linePartNoContinuation, newline));
+        }
+
         if (linePart !== linePartNoContinuation) {
-            lineContinuation.push(lineContinuation.length === 0 ? linePartNoContinuation.trimEnd() : linePartNoContinuation.trim());
+            const linePartTrim = (lineContinuation.length === 0 ? linePartNoContinuation.trimEnd() : linePartNoContinuation.trim());
+            addLinePart(lineParts, linePartNoContinuation, linePartTrim, ixLinePart);
+            lineContinuation.push(linePartTrim);
             continue;
         } else if (isContinued) {
-            lineContinuation.push(linePartNoContinuation.trim());
+            const linePartTrim = linePartNoContinuation.trim();
+            addLinePart(lineParts, linePartNoContinuation, linePartTrim, ixLinePart);
+            lineContinuation.push(linePartTrim);
+        } else {
+            addLinePart(lineParts, linePart, linePart, ixLinePart);
         }
 
         // Join the continued script lines, if necessary
@@ -73,147 +207,651 @@ export function parseScript(scriptText, startLineNumber = 1) {
 
         // Comment?
         if (line.match(rScriptComment) !== null) {
+            if (cst !== null) {
+                cstBlocks[cstBlocks.length - 1].push({'type': (line.trim() === '' ? 'blank' : 'comment'), 'parts': cstParts});
+            }
             continue;
         }
 
-        // Assignment?
-        const matchAssignment = line.match(rScriptAssignment);
-        if (matchAssignment !== null) {
-            try {
-                const assignStatement = {
-                    'assign': {
-                        'name': matchAssignment.groups.name,
-                        'expr': parseExpression(matchAssignment.groups.expr)
+        // The statement's source location, if necessary
+        const lineTrimStart = line.trimStart();
+        const lineLocation = (locations ? getLocation(line.length - lineTrimStart.length, line.trimEnd().length) : null);
+
+        // Parse the statement - in error recovery mode, collect the error and continue with the next line
+        const statementsLength = statements.length;
+        const blocksLength = blocks.length;
+        let lineError = null;
+        try {
+            // Assignment?
+            const matchAssignment = line.match(rScriptAssignment);
+            if (matchAssignment !== null) {
+                try {
+                    const assignStatement = {
+                        'assign': {
+                            'name': matchAssignment.groups.name,
+                            'expr': parseLineExpression(matchAssignment.groups.expr, line.length - matchAssignment.groups.expr.length)
+                        }
+                    };
+                    if (matchAssignment.groups.export === 'export') {
+                        assignStatement.assign.export = true;
+                    }
+                    statements.push(setStatementLocation(assignStatement, lineLocation));
+                    continue;
+                } catch (error) {
+                    const columnNumber = line.length - matchAssignment.groups.expr.length + error.columnNumber;
+                    throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
+                }
+            }
+
+            // Index assignment?
+            if (line.match(rScriptIndexAssignment) !== null) {
+                const assignStatement = parseIndexAssignment(line, startLineNumber + ixLine, locations ? getLocation : null);
+                if (assignStatement !== null) {
+                    statements.push(setStatementLocation(assignStatement, lineLocation));
+                    continue;
+                }
+            }
+
+            // Function definition begin?
+            const matchFunctionBegin = line.match(rScriptFunctionBegin);
+            if (matchFunctionBegin !== null) {
+                // Add the function definition statement
+                const functionDef = {
+                    'function': {
+                        'name': matchFunctionBegin.groups.name,
+                        'args': typeof matchFunctionBegin.groups.args !== 'undefined'
+                            ? matchFunctionBegin.groups.args.split(rScriptFunctionArgSplit) : [],
+                        'statements': []
                     }
                 };
-                statements.push(assignStatement);
+                if (matchFunctionBegin.groups.async === 'async') {
+                    functionDef.function.async = true;
+                }
+                if (matchFunctionBegin.groups.export === 'export') {
+                    functionDef.function.export = true;
+                }
+                statements.push(setStatementLocation(functionDef, lineLocation));
+                blocks.push({'statement': functionDef, 'statements': functionDef.function.statements, line, ixLine});
                 continue;
-            } catch (error) {
-                const columnNumber = line.length - matchAssignment.groups.expr.length + error.columnNumber;
-                throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
             }
-        }
 
-        // Function definition begin?
-        const matchFunctionBegin = line.match(rScriptFunctionBegin);
-        if (matchFunctionBegin !== null) {
-            // Nested function definitions are not allowed
-            if (functionDef !== null) {
-                throw new CalcScriptParserError('Nested function definition', line, 1, startLineNumber + ixLine);
+            // Function definition end? In error recovery mode, the function's unterminated blocks are ended.
+            const matchFunctionEnd = line.match(rScriptFunctionEnd);
+            if (matchFunctionEnd !== null) {
+                if (diagnostics !== null) {
+                    recoverFunctionEnd(blocks, diagnostics, startLineNumber);
+                }
+                if (blocks.length === 0 || !('function' in blocks[blocks.length - 1].statement)) {
+                    throw new CalcScriptParserError('No matching function definition', line, 1, startLineNumber + ixLine);
+                }
+                endBlock(blocks, lineLocation);
+                continue;
             }
 
-            // Add the function definition statement
-            functionDef = {
-                'function': {
-                    'name': matchFunctionBegin.groups.name,
-                    'args': typeof matchFunctionBegin.groups.args !== 'undefined'
-                        ? matchFunctionBegin.groups.args.split(rScriptFunctionArgSplit) : [],
-                    'statements': []
+            // If-then statement begin? A line that fails to parse here may be a call to the "if" expression function.
+            const matchIfBegin = line.match(rScriptIfBegin);
+            if (matchIfBegin !== null) {
+                let ifExpr = null;
+                try {
+                    ifExpr = parseLineExpression(matchIfBegin.groups.expr, matchIfBegin.groups.if.length);
+                } catch {
+                    // Fall through
+                }
+                if (ifExpr !== null) {
+                    const ifStatement = {'if': {'expr': ifExpr, 'statements': []}};
+                    statements.push(setStatementLocation(ifStatement, lineLocation));
+                    blocks.push({'statement': ifStatement, 'statements': ifStatement.if.statements, line, ixLine});
+                    continue;
                 }
-            };
-            if (matchFunctionBegin.groups.async === 'async') {
-                functionDef.function.async = true;
             }
-            statements.push(functionDef);
-            continue;
-        }
 
-        // Function definition end?
-        const matchFunctionEnd = line.match(rScriptFunctionEnd);
-        if (matchFunctionEnd !== null) {
-            if (functionDef === null) {
-                throw new CalcScriptParserError('No matching function definition', line, 1, startLineNumber + ixLine);
+            // If-then else-if statement?
+            const matchIfElseIf = line.match(rScriptIfElseIf);
+            if (matchIfElseIf !== null) {
+                const ifBlock = getIfBlock(blocks, line, startLineNumber + ixLine);
+                const elifStatement = {'expr': null, 'statements': []};
+                try {
+                    elifStatement.expr = parseLineExpression(matchIfElseIf.groups.expr, matchIfElseIf.groups.elif.length);
+                } catch (error) {
+                    const columnNumber = matchIfElseIf.groups.elif.length + error.columnNumber;
+                    throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
+                }
+                if (!('elif' in ifBlock.statement.if)) {
+                    ifBlock.statement.if.elif = [];
+                }
+                ifBlock.statement.if.elif.push(elifStatement);
+                ifBlock.statements = elifStatement.statements;
+                continue;
             }
-            functionDef = null;
-            continue;
-        }
 
-        // Label definition?
-        const matchLabel = line.match(rScriptLabel);
-        if (matchLabel !== null) {
-            statements.push({'label': matchLabel.groups.name});
-            continue;
-        }
+            // If-then else statement?
+            const matchIfElse = line.match(rScriptIfElse);
+            if (matchIfElse !== null) {
+                const ifBlock = getIfBlock(blocks, line, startLineNumber + ixLine);
+                ifBlock.statement.if.else = [];
+                ifBlock.statements = ifBlock.statement.if.else;
+                continue;
+            }
 
-        // Jump definition?
-        const matchJump = line.match(rScriptJump);
-        if (matchJump !== null) {
-            const jumpStatement = {'jump': {'label': matchJump.groups.name}};
-            if (typeof matchJump.groups.expr !== 'undefined') {
+            // If-then statement end?
+            const matchIfEnd = line.match(rScriptIfEnd);
+            if (matchIfEnd !== null) {
+                if (blocks.length === 0 || !('if' in blocks[blocks.length - 1].statement)) {
+                    throw new CalcScriptParserError('No matching if statement', line, 1, startLineNumber + ixLine);
+                }
+                endBlock(blocks, lineLocation);
+                continue;
+            }
+
+            // While-do loop statement begin?
+            const matchWhileBegin = line.match(rScriptWhileBegin);
+            if (matchWhileBegin !== null) {
+                const whileStatement = {'while': {'expr': null, 'statements': []}};
                 try {
-                    jumpStatement.jump.expr = parseExpression(matchJump.groups.expr);
+                    whileStatement.while.expr = parseLineExpression(matchWhileBegin.groups.expr, matchWhileBegin.groups.while.length);
                 } catch (error) {
-                    const columnNumber = matchJump.groups.jump.length - matchJump.groups.expr.length - 1 + error.columnNumber;
+                    const columnNumber = matchWhileBegin.groups.while.length + error.columnNumber;
                     throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
                 }
+                statements.push(setStatementLocation(whileStatement, lineLocation));
+                blocks.push({'statement': whileStatement, 'statements': whileStatement.while.statements, line, ixLine});
+                continue;
+            }
+
+            // While-do loop statement end?
+            const matchWhileEnd = line.match(rScriptWhileEnd);
+            if (matchWhileEnd !== null) {
+                if (blocks.length === 0 || !('while' in blocks[blocks.length - 1].statement)) {
+                    throw new CalcScriptParserError('No matching while statement', line, 1, startLineNumber + ixLine);
+                }
+                endBlock(blocks, lineLocation);
+                continue;
             }
-            statements.push(jumpStatement);
-            continue;
-        }
 
-        // Return definition?
-        const matchReturn = line.match(rScriptReturn);
-        if (matchReturn !== null) {
-            const returnStatement = {'return': {}};
-            if (typeof matchReturn.groups.expr !== 'undefined') {
+            // For-each loop statement begin?
+            const matchForBegin = line.match(rScriptForBegin);
+            if (matchForBegin !== null) {
+                const forStatement = {'for': {'value': matchForBegin.groups.value}};
+                if (typeof matchForBegin.groups.index !== 'undefined') {
+                    forStatement.for.index = matchForBegin.groups.index;
+                }
                 try {
-                    returnStatement.return.expr = parseExpression(matchReturn.groups.expr);
+                    forStatement.for.expr = parseLineExpression(matchForBegin.groups.expr, matchForBegin.groups.for.length);
                 } catch (error) {
-                    const columnNumber = matchReturn.groups.return.length - matchReturn.groups.expr.length + error.columnNumber;
+                    const columnNumber = matchForBegin.groups.for.length + error.columnNumber;
                     throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
                 }
+                forStatement.for.statements = [];
+                statements.push(setStatementLocation(forStatement, lineLocation));
+                blocks.push({'statement': forStatement, 'statements': forStatement.for.statements, line, ixLine});
+                continue;
+            }
+
+            // For-each loop statement end?
+            const matchForEnd = line.match(rScriptForEnd);
+            if (matchForEnd !== null) {
+                if (blocks.length === 0 || !('for' in blocks[blocks.length - 1].statement)) {
+                    throw new CalcScriptParserError('No matching for statement', line, 1, startLineNumber + ixLine);
+                }
+                endBlock(blocks, lineLocation);
+                continue;
+            }
+
+            // Try-catch statement begin?
+            const matchTryBegin = line.match(rScriptTryBegin);
+            if (matchTryBegin !== null) {
+                const tryStatement = {'try': {'statements': []}};
+                statements.push(setStatementLocation(tryStatement, lineLocation));
+                blocks.push({'statement': tryStatement, 'statements': tryStatement.try.statements, line, ixLine});
+                continue;
+            }
+
+            // Try-catch catch statement?
+            const matchTryCatch = line.match(rScriptTryCatch);
+            if (matchTryCatch !== null) {
+                const tryBlock = getTryBlock(blocks, line, startLineNumber + ixLine);
+                if ('catch' in tryBlock.statement.try || 'finally' in tryBlock.statement.try) {
+                    throw new CalcScriptParserError('No matching try statement', line, 1, startLineNumber + ixLine);
+                }
+                const catchStatement = {'statements': []};
+                if (typeof matchTryCatch.groups.name !== 'undefined') {
+                    catchStatement.name = matchTryCatch.groups.name;
+                }
+                tryBlock.statement.try.catch = catchStatement;
+                tryBlock.statements = catchStatement.statements;
+                continue;
+            }
+
+            // Try-catch finally statement?
+            const matchTryFinally = line.match(rScriptTryFinally);
+            if (matchTryFinally !== null) {
+                const tryBlock = getTryBlock(blocks, line, startLineNumber + ixLine);
+                if ('finally' in tryBlock.statement.try) {
+                    throw new CalcScriptParserError('No matching try statement', line, 1, startLineNumber + ixLine);
+                }
+                tryBlock.statement.try.finally = [];
+                tryBlock.statements = tryBlock.statement.try.finally;
+                continue;
+            }
+
+            // Try-catch statement end?
+            const matchTryEnd = line.match(rScriptTryEnd);
+            if (matchTryEnd !== null) {
+                getTryBlock(blocks, line, startLineNumber + ixLine);
+                endBlock(blocks, lineLocation);
+                continue;
+            }
+
+            // Throw statement?
+            const matchThrow = line.match(rScriptThrow);
+            if (matchThrow !== null) {
+                try {
+                    const throwStatement = {'throw': {'expr': parseLineExpression(matchThrow.groups.expr, matchThrow.groups.throw.length)}};
+                    statements.push(setStatementLocation(throwStatement, lineLocation));
+                    continue;
+                } catch (error) {
+                    const columnNumber = matchThrow.groups.throw.length + error.columnNumber;
+                    throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
+                }
+            }
+
+            // Loop break statement?
+            const matchBreak = line.match(rScriptBreak);
+            if (matchBreak !== null) {
+                if (!isLoopBlock(blocks)) {
+                    throw new CalcScriptParserError('Break statement outside of loop', line, 1, startLineNumber + ixLine);
+                }
+                statements.push(setStatementLocation({'break': {}}, lineLocation));
+                continue;
+            }
+
+            // Loop continue statement?
+            const matchContinue = line.match(rScriptContinue);
+            if (matchContinue !== null) {
+                if (!isLoopBlock(blocks)) {
+                    throw new CalcScriptParserError('Continue statement outside of loop', line, 1, startLineNumber + ixLine);
+                }
+                statements.push(setStatementLocation({'continue': {}}, lineLocation));
+                continue;
+            }
+
+            // Label definition?
+            const matchLabel = line.match(rScriptLabel);
+            if (matchLabel !== null) {
+                statements.push(setStatementLocation({'label': matchLabel.groups.name}, lineLocation));
+                continue;
+            }
+
+            // Jump definition?
+            const matchJump = line.match(rScriptJump);
+            if (matchJump !== null) {
+                const jumpStatement = {'jump': {'label': matchJump.groups.name}};
+                if (typeof matchJump.groups.expr !== 'undefined') {
+                    const ixExpr = matchJump.groups.jump.length - matchJump.groups.expr.length - 1;
+                    try {
+                        jumpStatement.jump.expr = parseLineExpression(matchJump.groups.expr, ixExpr);
+                    } catch (error) {
+                        const columnNumber = ixExpr + error.columnNumber;
+                        throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
+                    }
+                }
+                statements.push(setStatementLocation(jumpStatement, lineLocation));
+                continue;
+            }
+
+            // Return definition?
+            const matchReturn = line.match(rScriptReturn);
+            if (matchReturn !== null) {
+                const returnStatement = {'return': {}};
+                if (typeof matchReturn.groups.expr !== 'undefined') {
+                    const ixExpr = matchReturn.groups.return.length - matchReturn.groups.expr.length;
+                    try {
+                        returnStatement.return.expr = parseLineExpression(matchReturn.groups.expr, ixExpr);
+                    } catch (error) {
+                        const columnNumber = ixExpr + error.columnNumber;
+                        throw new CalcScriptParserError(error.error, line, columnNumber, startLineNumber + ixLine);
+                    }
+                }
+                statements.push(setStatementLocation(returnStatement, lineLocation));
+                continue;
+            }
+
+            // Include definition?
+            let matchInclude = line.match(rScriptInclude);
+            if (matchInclude !== null) {
+                const url = matchInclude.groups.url.replace(rCalcStringEscape, '$1');
+                statements.push(setStatementLocation({'include': url}, lineLocation));
+                continue;
+            }
+            matchInclude = line.match(rScriptIncludeDouble);
+            if (matchInclude !== null) {
+                const url = matchInclude.groups.url.replace(rCalcStringDoubleEscape, '$1');
+                statements.push(setStatementLocation({'include': url}, lineLocation));
+                continue;
+            }
+
+            // Import definition?
+            let matchImport = line.match(rScriptImport);
+            if (matchImport !== null) {
+                const url = matchImport.groups.url.replace(rCalcStringEscape, '$1');
+                statements.push(setStatementLocation({'import': {url, 'name': matchImport.groups.name}}, lineLocation));
+                continue;
+            }
+            matchImport = line.match(rScriptImportDouble);
+            if (matchImport !== null) {
+                const url = matchImport.groups.url.replace(rCalcStringDoubleEscape, '$1');
+                statements.push(setStatementLocation({'import': {url, 'name': matchImport.groups.name}}, lineLocation));
+                continue;
+            }
+
+            // Expression
+            try {
+                const exprStatement = {'expr': parseLineExpression(line, 0)};
+                statements.push(setStatementLocation(exprStatement, lineLocation));
+            } catch (error) {
+                throw new CalcScriptParserError(error.error, line, error.columnNumber, startLineNumber + ixLine);
+            }
+        } catch (error) {
+            lineError = error;
+            if (diagnostics === null) {
+                throw error;
+            }
+            diagnostics.push(getParserDiagnostic(error));
+            recoverBlock(blocks, line, ixLine);
+        } finally {
+            // Add the statement's CST line, if necessary - the line type is determined from the parsed statement and block changes
+            if (cst !== null && lineError === null) {
+                const cstLine = {'type': 'statement', 'parts': cstParts};
+                if (blocks.length < blocksLength) {
+                    // Block statement end
+                    cstLine.type = 'end';
+                    cstBlocks.pop();
+                    cstBlocks[cstBlocks.length - 1].push(cstLine);
+                } else if (statements.length > statementsLength) {
+                    // Statement or block statement begin
+                    cstLine.statement = statements[statements.length - 1];
+                    cstBlocks[cstBlocks.length - 1].push(cstLine);
+                    if (blocks.length > blocksLength) {
+                        cstLine.lines = [];
+                        cstBlocks.push(cstLine.lines);
+                    }
+                } else {
+                    // Block statement else-if, else, catch, or finally
+                    cstLine.type = (line.match(rScriptIfElseIf) !== null ? 'elif' : (line.match(rScriptIfElse) !== null ? 'else'
+                        : (line.match(rScriptTryCatch) !== null ? 'catch' : 'finally')));
+                    cstLine.lines = [];
+                    cstBlocks.pop();
+                    cstBlocks[cstBlocks.length - 1].push(cstLine);
+                    cstBlocks.push(cstLine.lines);
+                }
             }
-            statements.push(returnStatement);
-            continue;
         }
+    }
 
-        // Include definition?
-        let matchInclude = line.match(rScriptInclude);
-        if (matchInclude !== null) {
-            const url = matchInclude.groups.url.replace(rCalcStringEscape, '$1');
-            statements.push({'include': url});
-            continue;
+    // Unterminated line continuation? The continued line is ignored.
+    if (cst !== null && lineContinuation.length !== 0) {
+        cstBlocks[cstBlocks.length - 1].push({'type': 'unterminated', 'parts': cstParts});
+    }
+
+    // Unterminated if-then or loop statements? Report the innermost or, in error recovery mode, all of them.
+    const openBlocks = blocks.filter((block) => !('function' in block.statement));
+    for (const openBlock of (diagnostics !== null ? openBlocks : openBlocks.slice(-1))) {
+        const [blockKey] = Object.keys(openBlock.statement);
+        const error = new CalcScriptParserError(`Missing end${blockKey} statement`, openBlock.line, 1, startLineNumber + openBlock.ixLine);
+        if (diagnostics === null) {
+            throw error;
         }
-        matchInclude = line.match(rScriptIncludeDouble);
-        if (matchInclude !== null) {
-            const url = matchInclude.groups.url.replace(rCalcStringDoubleEscape, '$1');
-            statements.push({'include': url});
-            continue;
+        diagnostics.push(getParserDiagnostic(error));
+    }
+
+    return script;
+}
+
+
+// Helper function to create a CST line part
+function getCSTLinePart(linePart, linePartNoContinuation, newline) {
+    const cstPart = {'text': linePartNoContinuation};
+    if (linePart !== linePartNoContinuation) {
+        cstPart.continuation = linePart.slice(linePartNoContinuation.length);
+    }
+    if (newline !== null) {
+        cstPart.newline = newline;
+    }
+    return cstPart;
+}
+
+
+// Helper function to create a parser error's diagnostic
+function getParserDiagnostic(error) {
+    return {'message': error.error, 'lineNumber': error.lineNumber, 'columnNumber': error.columnNumber, 'severity': 'error'};
+}
+
+
+// Helper function to recover from a block statement begin line error - the block is pushed, detached from the script
+// model, so that its statements and end statement are parsed without further errors.
+function recoverBlock(blocks, line, ixLine) {
+    const blockKey = (line.match(rScriptIfBegin) !== null ? 'if'
+        : (line.match(rScriptWhileBegin) !== null ? 'while' : (line.match(rScriptForBegin) !== null ? 'for' : null)));
+    if (blockKey !== null) {
+        const blockStatement = {[blockKey]: {'statements': []}};
+        blocks.push({'statement': blockStatement, 'statements': blockStatement[blockKey].statements, line, ixLine});
+    }
+}
+
+
+// Helper function to recover from a function definition end statement within unterminated block statements - the
+// function's blocks are ended and reported as missing their end statements.
+function recoverFunctionEnd(blocks, diagnostics, startLineNumber) {
+    let ixFunctionBlock = blocks.length - 1;
+    while (ixFunctionBlock >= 0 && !('function' in blocks[ixFunctionBlock].statement)) {
+        ixFunctionBlock--;
+    }
+    if (ixFunctionBlock !== -1) {
+        for (const openBlock of blocks.splice(ixFunctionBlock + 1)) {
+            const [blockKey] = Object.keys(openBlock.statement);
+            const lineNumber = startLineNumber + openBlock.ixLine;
+            const error = new CalcScriptParserError(`Missing end${blockKey} statement`, openBlock.line, 1, lineNumber);
+            diagnostics.push(getParserDiagnostic(error));
         }
+    }
+}
 
-        // Expression
-        try {
-            const exprStatement = {'expr': parseExpression(line)};
-            statements.push(exprStatement);
-        } catch (error) {
-            throw new CalcScriptParserError(error.error, line, error.columnNumber, startLineNumber + ixLine);
+
+// Helper function to parse an object key or array element assignment - returns null if the line is not an index assignment
+function parseIndexAssignment(line, lineNumber, locationFn) {
+    // Parse the assignment target - a syntax error here is reported by expression statement parsing
+    const parser = createExpressionParser(line, locationFn !== null);
+    let targetExpr;
+    try {
+        targetExpr = parseUnaryExpression(parser);
+    } catch {
+        return null;
+    }
+
+    // Assignment operator?
+    rScriptIndexAssignmentExpr.lastIndex = getTokenTextIndex(parser);
+    if (rScriptIndexAssignmentExpr.exec(line) === null) {
+        return null;
+    }
+
+    // The target must be a non-optional index expression of a variable
+    const indexes = [];
+    while ('index' in targetExpr && !targetExpr.index.optional) {
+        indexes.unshift(targetExpr.index.index);
+        targetExpr = targetExpr.index.expr;
+    }
+    if (!('variable' in targetExpr) || indexes.length === 0) {
+        return null;
+    }
+    if (locationFn !== null) {
+        for (const indexExpr of indexes) {
+            setExpressionLocations(indexExpr, parser.spans, locationFn);
         }
     }
 
-    return script;
+    // Parse the expression to assign
+    const ixAssign = rScriptIndexAssignmentExpr.lastIndex;
+    const assignText = line.slice(ixAssign);
+    try {
+        const assignLocationFn = (locationFn !== null ? (ixBegin, ixEnd) => locationFn(ixAssign + ixBegin, ixAssign + ixEnd) : null);
+        return {'assign': {'name': targetExpr.variable, indexes, 'expr': parseExpressionHelper(assignText, assignLocationFn)}};
+    } catch (error) {
+        const columnNumber = ixAssign + error.columnNumber;
+        throw new CalcScriptParserError(error.error, line, columnNumber, lineNumber);
+    }
 }
 
 
-// CalcScript expression regex
-const rCalcBinaryOp = /^\s*(\*\*|\*|\/|%|\+|-|<=|<|>=|>|==|!=|&&|\|\|)/;
-const rCalcUnaryOp = /^\s*(!|-)/;
-const rCalcFunctionOpen = /^\s*([A-Za-z_]\w+)\s*\(/;
-const rCalcFunctionSeparator = /^\s*,/;
-const rCalcFunctionClose = /^\s*\)/;
-const rCalcGroupOpen = /^\s*\(/;
-const rCalcGroupClose = /^\s*\)/;
-const rCalcNumber = /^\s*([+-]?\d+(?:\.\d*)?(?:e[+-]\d+)?)/;
-const rCalcString = /^\s*'((?:\\'|[^'])*)'/;
+// Helper function to determine if the current statement block is within a loop (within the current function)
+function isLoopBlock(blocks) {
+    for (let ixBlock = blocks.length - 1; ixBlock >= 0; ixBlock--) {
+        const [blockKey] = Object.keys(blocks[ixBlock].statement);
+        if (blockKey === 'while' || blockKey === 'for') {
+            return true;
+        } else if (blockKey === 'function') {
+            break;
+        }
+    }
+    return false;
+}
+
+
+// Helper function to get the current if-then statement block for an else-if or else statement
+function getIfBlock(blocks, line, lineNumber) {
+    const ifBlock = (blocks.length !== 0 ? blocks[blocks.length - 1] : null);
+    if (ifBlock === null || !('if' in ifBlock.statement) || 'else' in ifBlock.statement.if) {
+        throw new CalcScriptParserError('No matching if statement', line, 1, lineNumber);
+    }
+    return ifBlock;
+}
+
+
+// Helper function to add a line part for mapping continued line text columns to their original lines and columns
+function addLinePart(lineParts, linePart, linePartTrim, ixLine) {
+    const ixJoined = (lineParts.length !== 0 ? lineParts[lineParts.length - 1].ixJoinedEnd + 1 : 0);
+    lineParts.push({
+        ixLine,
+        ixJoined,
+        'ixJoinedEnd': ixJoined + linePartTrim.length,
+        'ixColumn': (lineParts.length !== 0 ? linePart.length - linePart.trimStart().length : 0)
+    });
+}
+
+
+// Helper function to get a continued line text column's original line index and column number
+function getLinePartColumn(lineParts, ixJoined) {
+    let linePart = lineParts[0];
+    for (const linePartNext of lineParts) {
+        if (linePartNext.ixJoined <= ixJoined) {
+            linePart = linePartNext;
+        }
+    }
+    return {'ixLine': linePart.ixLine, 'columnNumber': linePart.ixColumn + ixJoined - linePart.ixJoined + 1};
+}
+
+
+// Helper function to set a statement's source location, if necessary
+function setStatementLocation(statement, location) {
+    if (location !== null) {
+        const [statementKey] = Object.keys(statement);
+        if (statementKey === 'label' || statementKey === 'include' || statementKey === 'expr') {
+            statementLocations.set(statement, {...location});
+        } else {
+            statement[statementKey].location = {...location};
+        }
+    }
+    return statement;
+}
+
+
+// The source locations of parsed label, include, and expression statements, which have no statement struct
+const statementLocations = new WeakMap();
+
+
+/**
+ * Get a statement's source location. The source locations of label, include, and expression statements are not part of
+ * the script model - they are available for the statement objects returned by the parser. An expression statement has
+ * its expression's source location, if any.
+ *
+ * @param {Object} statement - The [statement model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='ScriptStatement'}
+ * @returns {?Object} The [source location]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='ScriptLocation'},
+ *     or null if there is none
+ */
+export function getStatementLocation(statement) {
+    const [statementKey] = Object.keys(statement);
+    const statementValue = statement[statementKey];
+    const location = (statementKey === 'expr'
+        ? getExpressionLocation(statementValue)
+        : (typeof statementValue === 'object' ? statementValue.location ?? null : null));
+    return location ?? statementLocations.get(statement) ?? null;
+}
+
+
+/**
+ * Get an expression's source location. Number, string, and variable expressions have no source location, and a group
+ * expression has its grouped expression's source location.
+ *
+ * @param {Object} expr - The [expression model]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='Expression'}
+ * @returns {?Object} The [source location]{@link https://craigahobbs.github.io/calc-script/model/#var.vName='ScriptLocation'},
+ *     or null if there is none
+ */
+export function getExpressionLocation(expr) {
+    const [exprKey] = Object.keys(expr);
+    if (exprKey === 'group') {
+        return getExpressionLocation(expr.group);
+    }
+    const exprValue = expr[exprKey];
+    return (typeof exprValue === 'object' ? exprValue.location ?? null : null);
+}
+
+
+// Helper function to end a block statement - a block statement's source location ends with its block's end statement
+function endBlock(blocks, location) {
+    const block = blocks.pop();
+    if (location !== null) {
+        const [blockKey] = Object.keys(block.statement);
+        block.statement[blockKey].location.endLineNumber = location.endLineNumber;
+        block.statement[blockKey].location.endColumnNumber = location.endColumnNumber;
+    }
+}
+
+
+// Helper function to get the current try-catch statement block for a catch, finally, or endtry statement
+function getTryBlock(blocks, line, lineNumber) {
+    const tryBlock = (blocks.length !== 0 ? blocks[blocks.length - 1] : null);
+    if (tryBlock === null || !('try' in tryBlock.statement)) {
+        throw new CalcScriptParserError('No matching try statement', line, 1, lineNumber);
+    }
+    return tryBlock;
+}
+
+
+// CalcScript expression tokenizer regex - each is matched at a token's index
+const rCalcWhitespace = /\s*/y;
+const rCalcTokenNumber = /\d+(?:\.\d*)?(?:e[+-]\d+)?/y;
+const rCalcTokenString = /'(?:\\\\|\\'|[^'])*'/y;
+const rCalcTokenStringDouble = /"(?:\\\\|\\"|[^"])*"/y;
+const rCalcTokenName = /[A-Za-z_]\w*/y;
+const rCalcTokenOperator = /\*\*|<=|>=|==|!=|&&|\|\||=>|\?\.|[-+*/%<>!.()[\]{},:]/y;
 const rCalcStringEscape = /\\([\\'])/g;
-const rCalcStringDouble = /^\s*"((?:\\"|[^"])*)"/;
 const rCalcStringDoubleEscape = /\\([\\"])/g;
-const rCalcVariable = /^\s*([A-Za-z_]\w*)/;
-const rCalcVariableEx = /^\s*\[\s*((?:\\\]|[^\]])+)\s*\]/;
+const rCalcVariableEx = /\s*\[\s*((?:\\\\|\\\]|[^\]])+)\s*\]/y;
 const rCalcVariableExEscape = /\\([\\\]])/g;
 
 
+// The expression token types - the type, regex, and token value function. The value function is called with the
+// expression text and the token's text indexes.
+const calcTokenNumber = ['number', rCalcTokenNumber, (text, ix, ixEnd) => parseFloat(text.slice(ix, ixEnd))];
+const calcTokenString = ['string', rCalcTokenString, (text, ix, ixEnd) => text.slice(ix + 1, ixEnd - 1).replace(rCalcStringEscape, '$1')];
+const calcTokenStringDouble = [
+    'string', rCalcTokenStringDouble, (text, ix, ixEnd) => text.slice(ix + 1, ixEnd - 1).replace(rCalcStringDoubleEscape, '$1')
+];
+const calcTokenName = ['name', rCalcTokenName, (text, ix, ixEnd) => text.slice(ix, ixEnd)];
+const calcTokenOperator = ['op', rCalcTokenOperator, (text, ix, ixEnd) => text.slice(ix, ixEnd)];
+
+
 // Binary operator re-order map
-const binaryReorder = {
+export const binaryReorder = {
     '**': new Set(['*', '/', '%', '+', '-', '<=', '<', '>=', '>', '==', '!=', '&&', '||']),
     '*': new Set(['+', '-', '<=', '<', '>=', '>', '==', '!=', '&&', '||']),
     '/': new Set(['+', '-', '<=', '<', '>=', '>', '==', '!=', '&&', '||']),
@@ -239,171 +877,539 @@ const binaryReorder = {
  * @throws [CalcScriptParserError]{@link module:lib/parser.CalcScriptParserError}
  */
 export function parseExpression(exprText) {
-    try {
-        const [expr, nextText] = parseBinaryExpression(exprText);
-        if (nextText.trim() !== '') {
-            throw new CalcScriptParserError('Syntax error', nextText);
-        }
-        return expr;
-    } catch (error) {
-        const columnNumber = exprText.length - error.line.length + 1;
-        throw new CalcScriptParserError(error.error, exprText, columnNumber);
+    return parseExpressionHelper(exprText, null);
+}
+
+
+// Helper function to parse an expression - if locationFn is non-null, set the source locations of the expression model's
+// structs. The location function is called with the beginning and end indexes of an expression's text.
+function parseExpressionHelper(exprText, locationFn) {
+    const parser = createExpressionParser(exprText, locationFn !== null);
+    const expr = parseBinaryExpression(parser);
+    if (parser.tokens[parser.ixToken].type !== 'end') {
+        throwSyntaxError(parser);
+    }
+    if (locationFn !== null) {
+        setExpressionLocations(expr, parser.spans, locationFn);
     }
+    return expr;
 }
 
 
-// Helper function to parse a binary operator expression chain
-function parseBinaryExpression(exprText, binLeftExpr = null) {
-    // Parse the binary operator's left unary expression if none was passed
-    let leftExpr;
-    let binText;
-    if (binLeftExpr !== null) {
-        binText = exprText;
-        leftExpr = binLeftExpr;
+// Helper function to set the source locations of an expression model's structs. Expression text spans (the beginning and
+// end indexes) are recorded during parsing. A binary expression's span is computed from its operands since binary
+// expressions are re-ordered for operator precedence.
+function setExpressionLocations(expr, spans, locationFn) {
+    const [exprKey] = Object.keys(expr);
+    let span;
+    if (exprKey === 'binary') {
+        const [leftBegin] = setExpressionLocations(expr.binary.left, spans, locationFn);
+        const [, rightEnd] = setExpressionLocations(expr.binary.right, spans, locationFn);
+        span = [leftBegin, rightEnd];
     } else {
-        [leftExpr, binText] = parseUnaryExpression(exprText);
+        span = spans.get(expr);
+        if (exprKey === 'function') {
+            for (const argExpr of expr.function.args) {
+                setExpressionLocations(argExpr, spans, locationFn);
+            }
+        } else if (exprKey === 'unary') {
+            setExpressionLocations(expr.unary.expr, spans, locationFn);
+        } else if (exprKey === 'group') {
+            setExpressionLocations(expr.group, spans, locationFn);
+        } else if (exprKey === 'array') {
+            for (const valueExpr of expr.array.values) {
+                setExpressionLocations(valueExpr, spans, locationFn);
+            }
+        } else if (exprKey === 'object') {
+            for (const keyValue of expr.object.keyValues) {
+                setExpressionLocations(keyValue.value, spans, locationFn);
+            }
+        } else if (exprKey === 'index') {
+            setExpressionLocations(expr.index.expr, spans, locationFn);
+            setExpressionLocations(expr.index.index, spans, locationFn);
+        } else if (exprKey === 'lambda') {
+            setExpressionLocations(expr.lambda.expr, spans, locationFn);
+        }
     }
 
-    // Match a binary operator - if not found, return the left expression
-    const matchBinaryOp = binText.match(rCalcBinaryOp);
-    if (matchBinaryOp === null) {
-        return [leftExpr, binText];
+    // Set the expression struct's source location - number, string, variable, and group expressions have no struct
+    if (exprKey !== 'number' && exprKey !== 'string' && exprKey !== 'variable' && exprKey !== 'group') {
+        expr[exprKey].location = locationFn(span[0], span[1]);
     }
-    const [, binOp] = matchBinaryOp;
-    const rightText = binText.slice(matchBinaryOp[0].length);
+    return span;
+}
+
+
+// Helper function to create an expression parser state object - the expression text, its tokens, the current token index,
+// and the expression text spans (or null)
+function createExpressionParser(exprText, locations) {
+    return {
+        'text': exprText,
+        'tokens': tokenizeExpression(exprText, 0, []),
+        'ixToken': 0,
+        'spans': (locations ? new Map() : null)
+    };
+}
 
-    // Parse the right sub-expression
-    const [rightExpr, nextText] = parseUnaryExpression(rightText);
 
-    // Create the binary expression - re-order for binary operators as necessary
-    let binExpr;
-    if (Object.keys(leftExpr)[0] === 'binary' && binaryReorder[binOp].has(leftExpr.binary.op)) {
-        // Left expression has lower precendence - find where to put this expression within the left expression
-        binExpr = leftExpr;
-        let reorderExpr = leftExpr;
-        while (Object.keys(reorderExpr.binary.right)[0] === 'binary' &&
-               binaryReorder[binOp].has(reorderExpr.binary.right.binary.op)) {
-            reorderExpr = reorderExpr.binary.right;
+// Helper function to tokenize expression text, beginning at a text index, in a single pass. Tokens are added to the tokens
+// array, which always ends with an "end" token. Unknown characters are "unknown" tokens.
+function tokenizeExpression(exprText, ixText, tokens) {
+    let ix = ixText;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+        // Skip whitespace - only space, control, and non-ASCII characters may be whitespace
+        let charCode = exprText.charCodeAt(ix);
+        if (charCode <= 32 || charCode >= 127) {
+            rCalcWhitespace.lastIndex = ix;
+            rCalcWhitespace.test(exprText);
+            ix = rCalcWhitespace.lastIndex;
+            charCode = exprText.charCodeAt(ix);
         }
-        reorderExpr.binary.right = {'binary': {'op': binOp, 'left': reorderExpr.binary.right, 'right': rightExpr}};
-    } else {
-        binExpr = {'binary': {'op': binOp, 'left': leftExpr, 'right': rightExpr}};
+
+        // End of text?
+        if (ix === exprText.length) {
+            tokens.push({'type': 'end', 'value': null, 'ix': ix, 'ixEnd': ix});
+            return tokens;
+        }
+
+        // Match the token type by its first character
+        const ixToken = ix;
+        const [type, regex, valueFn] = getTokenType(charCode);
+        regex.lastIndex = ixToken;
+        if (regex.test(exprText)) {
+            ix = regex.lastIndex;
+            tokens.push({type, 'value': valueFn(exprText, ixToken, ix), 'ix': ixToken, 'ixEnd': ix});
+        } else {
+            ix = ixToken + 1;
+            tokens.push({'type': 'unknown', 'value': null, 'ix': ixToken, 'ixEnd': ix});
+        }
+    }
+}
+
+
+// Helper function to get a token's type from its first character code
+function getTokenType(charCode) {
+    if (charCode >= 48 && charCode <= 57) {
+        return calcTokenNumber;
+    } else if (charCode === 39) {
+        return calcTokenString;
+    } else if (charCode === 34) {
+        return calcTokenStringDouble;
+    } else if ((charCode >= 65 && charCode <= 90) || (charCode >= 97 && charCode <= 122) || charCode === 95) {
+        return calcTokenName;
     }
+    return calcTokenOperator;
+}
+
 
-    // Parse the next binary expression in the chain
-    return parseBinaryExpression(nextText, binExpr);
+// Helper function to get the text index preceding a token's whitespace - parser errors are reported at this index
+function getTokenTextIndex(parser, ixToken = parser.ixToken) {
+    return ixToken === 0 ? 0 : parser.tokens[ixToken - 1].ixEnd;
+}
+
+
+// Helper function to throw a syntax error at the current token
+function throwSyntaxError(parser, error = 'Syntax error', ixToken = parser.ixToken) {
+    throw new CalcScriptParserError(error, parser.text, getTokenTextIndex(parser, ixToken) + 1);
+}
+
+
+// Helper function to test if a token is an operator token
+function isOperator(token, op) {
+    return token.type === 'op' && token.value === op;
+}
+
+
+// Helper function to consume the current token if it is an operator token
+function matchOperator(parser, op) {
+    if (isOperator(parser.tokens[parser.ixToken], op)) {
+        parser.ixToken += 1;
+        return true;
+    }
+    return false;
+}
+
+
+// Helper function to parse a binary operator expression chain. Operator precedence is applied iteratively using operand
+// and operator stacks - a lower precedence operator is in the binary operator re-order map set of a higher precedence
+// operator, and binary operators of equal precedence are left-associative.
+function parseBinaryExpression(parser) {
+    const {tokens} = parser;
+    const exprs = [parseUnaryExpression(parser)];
+    const ops = [];
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+        // Match a binary operator - if not found, we're done
+        const opToken = tokens[parser.ixToken];
+        if (opToken.type !== 'op' || !(opToken.value in binaryReorder)) {
+            break;
+        }
+        const binOp = opToken.value;
+        parser.ixToken += 1;
+
+        // Parse the right sub-expression
+        const rightExpr = parseUnaryExpression(parser);
+
+        // Create the binary expressions of equal or higher precedence operators
+        while (ops.length !== 0 && !binaryReorder[binOp].has(ops[ops.length - 1])) {
+            reduceBinaryExpression(exprs, ops);
+        }
+        ops.push(binOp);
+        exprs.push(rightExpr);
+    }
+
+    // Create the remaining binary expressions
+    while (ops.length !== 0) {
+        reduceBinaryExpression(exprs, ops);
+    }
+    return exprs[0];
+}
+
+
+// Helper function to create a binary expression from the top of the operand and operator stacks
+function reduceBinaryExpression(exprs, ops) {
+    const rightExpr = exprs.pop();
+    const leftExpr = exprs.pop();
+    exprs.push({'binary': {'op': ops.pop(), 'left': leftExpr, 'right': rightExpr}});
 }
 
 
 // Helper function to parse a unary expression
-function parseUnaryExpression(exprText) {
-    // Group open?
-    const matchGroupOpen = exprText.match(rCalcGroupOpen);
-    if (matchGroupOpen !== null) {
-        const groupText = exprText.slice(matchGroupOpen[0].length);
-        const [expr, nextText] = parseBinaryExpression(groupText);
-        const matchGroupClose = nextText.match(rCalcGroupClose);
-        if (matchGroupClose === null) {
-            throw new CalcScriptParserError('Unmatched parenthesis', exprText);
-        }
-        return [{'group': expr}, nextText.slice(matchGroupClose[0].length)];
-    }
-
-    // Unary operator?
-    const matchUnary = exprText.match(rCalcUnaryOp);
-    if (matchUnary !== null) {
-        const unaryText = exprText.slice(matchUnary[0].length);
-        const [expr, nextText] = parseUnaryExpression(unaryText);
+function parseUnaryExpression(parser) {
+    const {spans} = parser;
+    const token = parser.tokens[parser.ixToken];
+
+    // Unary operator? A "!=" operator here is a "!" unary operator followed by a syntax error.
+    if (isOperator(token, '!=')) {
+        throw new CalcScriptParserError('Syntax error', parser.text, token.ix + 2);
+    }
+    if (isOperator(token, '!') || isOperator(token, '-')) {
+        parser.ixToken += 1;
         const unaryExpr = {
             'unary': {
-                'op': matchUnary[1],
-                expr
+                'op': token.value,
+                'expr': parseUnaryExpression(parser)
             }
         };
-        return [unaryExpr, nextText];
+        if (spans !== null) {
+            spans.set(unaryExpr, [token.ix, getTokenTextIndex(parser)]);
+        }
+        return unaryExpr;
     }
 
-    // Function?
-    const matchFunctionOpen = exprText.match(rCalcFunctionOpen);
-    if (matchFunctionOpen !== null) {
-        let argText = exprText.slice(matchFunctionOpen[0].length);
-        const args = [];
-        // eslint-disable-next-line no-constant-condition
-        while (true) {
-            // Function close?
-            const matchFunctionClose = argText.match(rCalcFunctionClose);
-            if (matchFunctionClose !== null) {
-                argText = argText.slice(matchFunctionClose[0].length);
-                break;
-            }
+    // Primary expression followed by any index operators
+    const primaryExpr = parsePrimaryExpression(parser);
+    if (spans !== null) {
+        spans.set(primaryExpr, [token.ix, getTokenTextIndex(parser)]);
+    }
+    return parseIndexExpression(parser, primaryExpr);
+}
+
+
+// Helper function to parse a primary expression
+function parsePrimaryExpression(parser) {
+    const {tokens} = parser;
+    const ixToken = parser.ixToken;
+    const token = tokens[ixToken];
+
+    // Lambda function?
+    const lambdaArgs = parseLambdaOpen(parser);
+    if (lambdaArgs !== null) {
+        return {'lambda': {'args': lambdaArgs, 'expr': parseBinaryExpression(parser)}};
+    }
 
+    // Group open?
+    if (matchOperator(parser, '(')) {
+        const expr = parseBinaryExpression(parser);
+        if (!matchOperator(parser, ')')) {
+            throwSyntaxError(parser, 'Unmatched parenthesis', ixToken);
+        }
+        return {'group': expr};
+    }
+
+    // Module function (e.g. "lib.formatRow")?
+    let funcName = null;
+    if (token.type === 'name' && isOperator(tokens[ixToken + 1], '.') && tokens[ixToken + 2].type === 'name' &&
+        isOperator(tokens[ixToken + 3], '(')) {
+        funcName = `${token.value}.${tokens[ixToken + 2].value}`;
+        parser.ixToken += 4;
+
+    // Function? Function names are at least two characters.
+    } else if (token.type === 'name' && token.value.length > 1 && isOperator(tokens[ixToken + 1], '(')) {
+        funcName = token.value;
+        parser.ixToken += 2;
+    }
+    if (funcName !== null) {
+        const args = [];
+        while (!matchOperator(parser, ')')) {
             // Function argument separator
-            if (args.length !== 0) {
-                const matchFunctionSeparator = argText.match(rCalcFunctionSeparator);
-                if (matchFunctionSeparator === null) {
-                    throw new CalcScriptParserError('Syntax error', argText);
-                }
-                argText = argText.slice(matchFunctionSeparator[0].length);
+            if (args.length !== 0 && !matchOperator(parser, ',')) {
+                throwSyntaxError(parser);
             }
 
             // Get the argument
-            const [argExpr, nextArgText] = parseBinaryExpression(argText);
-            args.push(argExpr);
-            argText = nextArgText;
+            args.push(parseBinaryExpression(parser));
         }
 
         const fnExpr = {
             'function': {
-                'name': matchFunctionOpen[1],
+                'name': funcName,
                 'args': args
             }
         };
-        return [fnExpr, argText];
+        return fnExpr;
     }
 
     // Number?
-    const matchNumber = exprText.match(rCalcNumber);
-    if (matchNumber !== null) {
-        const number = parseFloat(matchNumber[1]);
-        const expr = {'number': number};
-        return [expr, exprText.slice(matchNumber[0].length)];
+    if (token.type === 'number') {
+        parser.ixToken += 1;
+        return {'number': token.value};
     }
 
-    // String?
-    const matchString = exprText.match(rCalcString);
-    if (matchString !== null) {
-        const string = matchString[1].replace(rCalcStringEscape, '$1');
-        const expr = {'string': string};
-        return [expr, exprText.slice(matchString[0].length)];
+    // Number with a plus sign?
+    if (isOperator(token, '+')) {
+        const numberToken = tokens[ixToken + 1];
+        if (numberToken.type === 'number' && numberToken.ix === token.ixEnd) {
+            parser.ixToken += 2;
+            return {'number': numberToken.value};
+        }
     }
 
-    // String (double quotes)?
-    const matchStringDouble = exprText.match(rCalcStringDouble);
-    if (matchStringDouble !== null) {
-        const string = matchStringDouble[1].replace(rCalcStringDoubleEscape, '$1');
-        const expr = {'string': string};
-        return [expr, exprText.slice(matchStringDouble[0].length)];
+    // String?
+    if (token.type === 'string') {
+        parser.ixToken += 1;
+        return {'string': token.value};
     }
 
     // Variable?
-    const matchVariable = exprText.match(rCalcVariable);
-    if (matchVariable !== null) {
-        const expr = {'variable': matchVariable[1]};
-        return [expr, exprText.slice(matchVariable[0].length)];
+    if (token.type === 'name') {
+        parser.ixToken += 1;
+        return {'variable': token.value};
+    }
+
+    // Array?
+    if (isOperator(token, '[')) {
+        const arrayExpr = parseArrayExpression(parser);
+        if (arrayExpr !== null) {
+            return arrayExpr;
+        }
+    }
+
+    // Object?
+    if (matchOperator(parser, '{')) {
+        const keyValues = [];
+        while (!matchOperator(parser, '}')) {
+            // Object key/value separator
+            if (keyValues.length !== 0) {
+                if (!matchOperator(parser, ',')) {
+                    throwSyntaxError(parser);
+                }
+
+                // Trailing separator?
+                if (matchOperator(parser, '}')) {
+                    break;
+                }
+            }
+
+            // Get the key
+            const keyToken = tokens[parser.ixToken];
+            if ((keyToken.type !== 'string' && keyToken.type !== 'name') || !isOperator(tokens[parser.ixToken + 1], ':')) {
+                throwSyntaxError(parser);
+            }
+            parser.ixToken += 2;
+
+            // Get the value
+            keyValues.push({'key': keyToken.value, 'value': parseBinaryExpression(parser)});
+        }
+
+        return {'object': {keyValues}};
     }
 
     // Variable (brackets)?
-    const matchVariableEx = exprText.match(rCalcVariableEx);
-    if (matchVariableEx !== null) {
-        const variableName = matchVariableEx[1].replace(rCalcVariableExEscape, '$1');
-        const expr = {'variable': variableName};
-        return [expr, exprText.slice(matchVariableEx[0].length)];
+    if (isOperator(token, '[')) {
+        rCalcVariableEx.lastIndex = token.ix;
+        const matchVariableEx = rCalcVariableEx.exec(parser.text);
+        if (matchVariableEx !== null) {
+            const variableName = matchVariableEx[1].replace(rCalcVariableExEscape, '$1');
+            replaceTokens(parser, rCalcVariableEx.lastIndex, variableName);
+            parser.ixToken += 1;
+            return {'variable': variableName};
+        }
+    }
+
+    return throwSyntaxError(parser);
+}
+
+
+// Helper function to replace the current token through the end of a bracketed variable name with a single "variable"
+// token. If a token spans the end of the bracketed variable name, the remaining text is re-tokenized.
+function replaceTokens(parser, ixTextEnd, variableName) {
+    const {tokens, ixToken} = parser;
+    const variableToken = {'type': 'variable', 'value': variableName, 'ix': tokens[ixToken].ix, 'ixEnd': ixTextEnd};
+    let ixTokenEnd = ixToken + 1;
+    while (tokens[ixTokenEnd].ix < ixTextEnd) {
+        ixTokenEnd += 1;
+    }
+    if (tokens[ixTokenEnd - 1].ixEnd > ixTextEnd) {
+        tokens.splice(ixToken, tokens.length - ixToken, variableToken);
+        tokenizeExpression(parser.text, ixTextEnd, tokens);
+    } else {
+        tokens.splice(ixToken, ixTokenEnd - ixToken, variableToken);
+    }
+}
+
+
+// Helper function to parse a lambda function's argument list and arrow - returns the argument names, or null if the
+// current token does not begin a lambda function
+function parseLambdaOpen(parser) {
+    const {tokens} = parser;
+    let ixArg = parser.ixToken;
+    if (!isOperator(tokens[ixArg], '(')) {
+        return null;
     }
+    const args = [];
+    ixArg += 1;
+    if (tokens[ixArg].type === 'name') {
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            args.push(tokens[ixArg].value);
+            ixArg += 1;
+            if (!isOperator(tokens[ixArg], ',')) {
+                break;
+            }
+            ixArg += 1;
+            if (tokens[ixArg].type !== 'name') {
+                return null;
+            }
+        }
+    }
+    if (!isOperator(tokens[ixArg], ')') || !isOperator(tokens[ixArg + 1], '=>')) {
+        return null;
+    }
+    parser.ixToken = ixArg + 2;
+    return args;
+}
 
-    throw new CalcScriptParserError('Syntax error', exprText);
+
+// Helper function to parse a primary expression's index operators
+function parseIndexExpression(parser, primaryExpr) {
+    const {tokens, spans} = parser;
+    let expr = primaryExpr;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+        const token = tokens[parser.ixToken];
+        const optional = isOperator(token, '?.');
+        const memberToken = (optional || isOperator(token, '.') ? tokens[parser.ixToken + 1] : null);
+
+        // Member index?
+        if (memberToken !== null && memberToken.type === 'name') {
+            const memberExpr = {'string': memberToken.value};
+            expr = {'index': {expr, 'index': memberExpr}};
+            if (optional) {
+                expr.index.optional = true;
+            }
+            parser.ixToken += 2;
+            if (spans !== null) {
+                spans.set(memberExpr, [memberToken.ix, memberToken.ixEnd]);
+                spans.set(expr, [spans.get(primaryExpr)[0], memberToken.ixEnd]);
+            }
+            continue;
+        }
+
+        // Bracket index?
+        const ixIndexOpen = (optional ? parser.ixToken + 1 : parser.ixToken);
+        if (isOperator(tokens[ixIndexOpen], '[')) {
+            parser.ixToken = ixIndexOpen + 1;
+            const indexExpr = parseBinaryExpression(parser);
+            if (!matchOperator(parser, ']')) {
+                throwSyntaxError(parser);
+            }
+            expr = {'index': {expr, 'index': indexExpr}};
+            if (optional) {
+                expr.index.optional = true;
+            }
+            if (spans !== null) {
+                spans.set(expr, [spans.get(primaryExpr)[0], getTokenTextIndex(parser)]);
+            }
+            continue;
+        }
+
+        return expr;
+    }
 }
 
 
+// Helper function to parse an array expression - returns null if the text is a bracketed variable name. An opening
+// bracket begins an array if it is immediately closed ("[]"), if its values have a trailing separator ("[a, b,]"), or if
+// its values are two or more literals ("[1, 'b']"). Otherwise, if the bracketed text is a bracketed variable name (e.g.
+// "[my, var]"), it is a bracketed variable name - bracketed variable names predate array expressions.
+function parseArrayExpression(parser) {
+    const {tokens} = parser;
+    const ixToken = parser.ixToken;
+    parser.ixToken += 1;
+    const values = [];
+    let isTrailing = false;
+    try {
+        while (!matchOperator(parser, ']')) {
+            // Array value separator
+            if (values.length !== 0) {
+                if (!matchOperator(parser, ',')) {
+                    throwSyntaxError(parser);
+                }
+
+                // Trailing separator?
+                if (matchOperator(parser, ']')) {
+                    isTrailing = true;
+                    break;
+                }
+            }
+
+            // Get the value
+            values.push(parseBinaryExpression(parser));
+        }
+    } catch (error) {
+        // Bracketed variable name?
+        if (isBracketVariable(parser.text, tokens[ixToken].ix, null)) {
+            parser.ixToken = ixToken;
+            return null;
+        }
+        throw error;
+    }
+
+    // Bracketed variable name?
+    if (values.length !== 0 && !isTrailing && (values.length === 1 || !values.every(isLiteralExpression)) &&
+        isBracketVariable(parser.text, tokens[ixToken].ix, tokens[parser.ixToken - 1].ixEnd)) {
+        parser.ixToken = ixToken;
+        return null;
+    }
+
+    return {'array': {values}};
+}
+
+
+// Helper function to determine if the text at an index is a bracketed variable name - if ixEnd is non-null, the
+// bracketed variable name must end at that index
+function isBracketVariable(text, ix, ixEnd) {
+    rCalcVariableEx.lastIndex = ix;
+    return rCalcVariableEx.test(text) && (ixEnd === null || rCalcVariableEx.lastIndex === ixEnd);
+}
+
+
+// Helper function to determine if an expression is a literal - a number, string, keyword, array, or object expression
+export function isLiteralExpression(expr) {
+    const [exprKey] = Object.keys(expr);
+    if (exprKey === 'unary') {
+        return expr.unary.op === '-' && 'number' in expr.unary.expr;
+    } else if (exprKey === 'variable') {
+        return literalKeywords.has(expr.variable);
+    }
+    return exprKey === 'number' || exprKey === 'string' || exprKey === 'array' || exprKey === 'object';
+}
+
+const literalKeywords = new Set(['null', 'false', 'true']);
+
+
 /**
  * A CalcScript parser error
  *
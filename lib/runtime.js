@@ -3,18 +3,54 @@
 
 /** @module lib/runtime */
 
-import {defaultMaxStatements, expressionFunctions, scriptFunctions} from './library.js';
+import {
+    checkArrayIndex, checkFunctionPermitted, checkObjectKey, checkStringLength, defaultMaxStatements, expressionFunctions, getLimits,
+    getOwnValue, getScopeValue, isCapabilityPermitted, isURLPermitted, scriptFunctions, setOwnValue
+} from './library.js';
+import {CalcScriptValidationError, validateScript, validateScriptSemantics} from './model.js';
+import {CalcScriptParserError, getStatementLocation, parseScript} from './parser.js';
+import {CalcScriptRuntimeError} from './runtimeError.js';
+
+
+// Re-export the runtime error, which is defined in its own module so that the library can throw it
+export {CalcScriptRuntimeError};
 
 
 /**
  * The CalcScript runtime options
  *
  * @typedef {Object} ExecuteScriptOptions
+ * @property {Object[]} [callStack] - The current script function call stack
+ * @property {string[]} [capabilities] - The permitted built-in script function names, function group names (e.g. "Math"),
+ *     and "include" (includes and imports). If not provided, all built-in script functions, includes, and imports are permitted.
  * @property {function} [fetchFn] - The [URL fetch function]{@link module:lib/runtime~FetchFn}
+ * @property {Map} [includeCache] - The included script model cache - a map of include URL to parsed script model. Share
+ *     the cache across script executions to avoid refetching and reparsing included scripts.
+ * @property {string[]} [includeChain] - The current include URL chain
+ * @property {WeakMap} [includeURLs] - The URLs included by the current script execution - a map of globals to the set of
+ *     URLs included into the globals. The main script and each imported module have their own globals.
+ * @property {Object} [limits] - The current execution limit counters - the statement count ("statementCount") and the total
+ *     allocation estimate, in bytes ("allocationEstimate")
  * @property {function} [logFn] - The [log function]{@link module:lib/runtime~LogFn}
+ * @property {number} [maxAllocation = 0] - The maximum total allocation estimate of arrays, strings, and objects created by
+ *     built-in functions and string concatenation, in bytes, 0 for no maximum
+ * @property {number} [maxArrayLength = 1e7] - The maximum array length, 0 for no maximum
+ * @property {number} [maxObjectKeys = 1e6] - The maximum object key count, 0 for no maximum
  * @property {number} [maxStatements = 1e7] - The maximum number of statements, 0 for no maximum
- * @property {number} [statementCount] - The current statement count
+ * @property {number} [maxStringLength = 1e8] - The maximum string length, 0 for no maximum
+ * @property {Map} [moduleNamespaces] - The imported module namespaces of the current script execution - a map of import
+ *     URL to module namespace object
+ * @property {AbortSignal} [signal] - The abort signal. If the signal is aborted, script execution is cancelled with a
+ *     [CalcScriptCancellationError]{@link module:lib/runtime.CalcScriptCancellationError}.
+ * @property {number} [timeBegin] - The script execution start time, in milliseconds
+ * @property {number} [timeoutMs] - The script execution timeout, in milliseconds. If the timeout is exceeded, script
+ *     execution is cancelled with a [CalcScriptCancellationError]{@link module:lib/runtime.CalcScriptCancellationError}.
  * @property {function} [urlFn] - The [URL modifier function]{@link module:lib/runtime~URLFn}
+ * @property {Object} [urlPolicy] - The [URL policy]{@link module:lib/runtime~URLPolicy} for fetch and include. By default,
+ *     only same-origin URLs are permitted. If there is no URL policy and no document location (e.g. Node.js), all URLs
+ *     are permitted.
+ * @property {boolean} [validate = false] - If true, validate the script model's schema and
+ *     [semantics]{@link module:lib/model.validateScriptSemantics} before execution
  */
 
 /**
@@ -41,6 +77,27 @@ import {defaultMaxStatements, expressionFunctions, scriptFunctions} from './libr
  * @returns {string} The modified URL
  */
 
+/**
+ * The URL policy. A URL is permitted if it matches no "deny" rule and matches an "allow" rule. URLs are resolved against
+ * the document location (or the policy origin, if there is no document location) before matching. Relative include and
+ * fetch URLs are first made relative to the including script's URL by the "urlFn" option.
+ *
+ * @typedef {Object} URLPolicy
+ * @property {string} [origin] - The same-origin origin (e.g. "https://example.com"). The default is the document
+ *     location's origin, if any.
+ * @property {Object[]} [allow = [{origin: 'self'}]] - The [URL rules]{@link module:lib/runtime~URLRule} of permitted URLs
+ * @property {Object[]} [deny = []] - The [URL rules]{@link module:lib/runtime~URLRule} of denied URLs
+ */
+
+/**
+ * A URL policy rule. A URL matches a rule if it matches all of the rule's properties.
+ *
+ * @typedef {Object} URLRule
+ * @property {string} [scheme] - The URL scheme (e.g. "https")
+ * @property {string} [origin] - The URL origin (e.g. "https://example.com"), or "self" for same-origin URLs
+ * @property {string} [pathPrefix] - The URL path prefix (e.g. "/scripts/")
+ */
+
 
 /**
  * Execute a CalcScript model
@@ -49,18 +106,29 @@ import {defaultMaxStatements, expressionFunctions, scriptFunctions} from './libr
  * @param {Object} [globals = {}] - The global variables
  * @param {Object} [options = {}] - The [script execution options]{@link module:lib/runtime~ExecuteScriptOptions}
  * @returns The script result
- * @throws [CalcScriptRuntimeError]{@link module:lib/runtime.CalcScriptRuntimeError}
+ * @throws [CalcScriptRuntimeError]{@link module:lib/runtimeError.CalcScriptRuntimeError}
+ * @throws [CalcScriptCancellationError]{@link module:lib/runtime.CalcScriptCancellationError}
+ * @throws [CalcScriptValidationError]{@link module:lib/model.CalcScriptValidationError}
  */
 export function executeScript(script, globals = {}, options = {}) {
+    return runGenerator(executeScriptCore(script, globals, options, false));
+}
+
+
+// Helper function to execute a script model with the execution core - isAsync is true for async execution
+export function* executeScriptCore(script, globals, options, isAsync) {
+    // Validate the script, if requested
+    validateExecuteScript(script, options);
+
     // Execute the script
     const timeBegin = performance.now();
-    for (const scriptFuncName of Object.keys(scriptFunctions)) {
-        if (!(scriptFuncName in globals)) {
-            globals[scriptFuncName] = scriptFunctions[scriptFuncName];
-        }
-    }
-    options.statementCount = 0;
-    const result = executeScriptHelper(script.statements, globals, null, options);
+    setScriptFunctionGlobals(globals, options);
+    options.limits = {'statementCount': 0, 'allocationEstimate': 0};
+    options.callStack = [];
+    options.includeURLs = new WeakMap();
+    options.moduleNamespaces = new Map();
+    options.timeBegin = timeBegin;
+    const result = yield* executeScriptHelper(script.statements, globals, null, options, null, isAsync);
 
     // Report script duration
     if ('logFn' in options) {
@@ -72,73 +140,336 @@ export function executeScript(script, globals = {}, options = {}) {
 }
 
 
-export function executeScriptHelper(statements, globals, locals, options) {
+// Helper function to add the script library functions permitted by the capabilities option to a script's globals
+export function setScriptFunctionGlobals(globals, options) {
+    for (const scriptFuncName of Object.keys(scriptFunctions)) {
+        if (!(scriptFuncName in globals) && isCapabilityPermitted(scriptFuncName, options)) {
+            globals[scriptFuncName] = scriptFunctions[scriptFuncName];
+        }
+    }
+}
+
+
+// The CalcScript execution core
+//
+// Script execution and expression evaluation are generator functions shared by the non-async and async runtimes. In
+// async execution (isAsync is true), the core yields each promise it encounters and is resumed with the promise's
+// result (or has the promise's error thrown in). In non-async execution, the core never yields, and expressions are
+// evaluated by evaluateExpressionSync rather than by the expression generator, since creating a generator for each
+// sub-expression more than doubles the cost of non-async execution (see perf/perfRuntime.js).
+
+
+// Helper function to run an execution core generator in non-async execution
+export function runGenerator(generator) {
+    return generator.next().value;
+}
+
+
+// Helper function to run an execution core generator in async execution, awaiting each yielded promise
+// eslint-disable-next-line require-await
+export async function runGeneratorAsync(generator, options = null) {
+    return resumeGeneratorAsync(generator, generator.next(), options);
+}
+
+
+// Helper function to resume an execution core generator in async execution from its current step, awaiting each
+// yielded promise
+async function resumeGeneratorAsync(generator, generatorStep, options) {
+    let step = generatorStep;
+    while (!step.done) {
+        let promiseResult;
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            promiseResult = {'value': await awaitCancellable(step.value, options)};
+        } catch (error) {
+            promiseResult = {error};
+        }
+        step = ('error' in promiseResult ? generator.throw(promiseResult.error) : generator.next(promiseResult.value));
+    }
+    return step.value;
+}
+
+
+// Helper function to await an execution core promise - throws a cancellation error if the script's abort signal is
+// aborted or its timeout is exceeded before the promise settles
+async function awaitCancellable(promise, options) {
+    const signal = (options !== null ? options.signal ?? null : null);
+    const timeoutRemaining = getTimeoutRemaining(options);
+    if (signal === null && timeoutRemaining === null) {
+        return promise;
+    }
+
+    // Race the promise with the abort signal and the timeout. The cancellation promise is first so that it wins if the
+    // script is already cancelled.
+    let abortFn = null;
+    let timeoutId = null;
+    const cancelPromise = new Promise((resolve, reject) => {
+        if (signal !== null) {
+            abortFn = () => reject(newCancelledError());
+            signal.addEventListener('abort', abortFn);
+            if (signal.aborted) {
+                abortFn();
+            }
+        }
+        if (timeoutRemaining !== null) {
+            timeoutId = setTimeout(() => reject(newTimeoutError(options)), timeoutRemaining);
+        }
+    });
+    try {
+        return await Promise.race([cancelPromise, promise]);
+    } finally {
+        if (abortFn !== null) {
+            signal.removeEventListener('abort', abortFn);
+        }
+        if (timeoutId !== null) {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+
+function* executeScriptHelper(statements, globals, locals, options, funcName, isAsync) {
+    const callStack = getCallStack(options);
+    callStack.push({'name': funcName, 'statement': null});
+    let result;
+    try {
+        result = getCompletionResult(yield* executeScriptBlock(statements, globals, locals, options, isAsync));
+    } catch (error) {
+        throw setErrorCallStack(error, callStack);
+    } finally {
+        callStack.pop();
+    }
+    return result;
+}
+
+
+// Helper function to execute a statement block - returns a completion object for a return statement or for a jump to a
+// label outside of the block, null otherwise.
+function* executeScriptBlock(statements, globals, locals, options, isAsync) {
     // Iterate each script statement
+    const callStackFrame = options.callStack[options.callStack.length - 1];
     const labelIndexes = {};
     const statementsLength = statements.length;
     for (let ixStatement = 0; ixStatement < statementsLength; ixStatement++) {
         const statement = statements[ixStatement];
         const [statementKey] = Object.keys(statement);
+        callStackFrame.statement = statement;
 
         // Increment the statement counter
-        const maxStatements = options.maxStatements ?? defaultMaxStatements;
-        if (maxStatements > 0 && ++options.statementCount > maxStatements) {
-            throw new CalcScriptRuntimeError(`Exceeded maximum script statements (${maxStatements})`);
-        }
+        incrementStatementCount(options);
 
         // Assignment?
+        let completion = null;
         if (statementKey === 'assign') {
-            const exprValue = evaluateExpression(statement.assign.expr, globals, locals, options, false);
-            if (locals !== null) {
-                locals[statement.assign.name] = exprValue;
+            // Object key or array element assignment?
+            if ('indexes' in statement.assign) {
+                const {indexes} = statement.assign;
+                let object = getVariableValue(statement.assign.name, globals, locals);
+                for (let ixIndex = 0; ixIndex < indexes.length - 1; ixIndex++) {
+                    const objectIndex = (isAsync
+                        ? yield* evaluateExpressionHelper(indexes[ixIndex], globals, locals, options, false)
+                        : evaluateExpressionSync(indexes[ixIndex], globals, locals, options, false));
+                    object = getIndexValue(object, objectIndex);
+                }
+                const index = (isAsync
+                    ? yield* evaluateExpressionHelper(indexes[indexes.length - 1], globals, locals, options, false)
+                    : evaluateExpressionSync(indexes[indexes.length - 1], globals, locals, options, false));
+                const exprValue = (isAsync
+                    ? yield* evaluateExpressionHelper(statement.assign.expr, globals, locals, options, false)
+                    : evaluateExpressionSync(statement.assign.expr, globals, locals, options, false));
+                setIndexValue(object, index, exprValue, options);
             } else {
-                globals[statement.assign.name] = exprValue;
+                const exprValue = (isAsync
+                    ? yield* evaluateExpressionHelper(statement.assign.expr, globals, locals, options, false)
+                    : evaluateExpressionSync(statement.assign.expr, globals, locals, options, false));
+                setOwnValue(locals !== null ? locals : globals, statement.assign.name, exprValue);
             }
 
         // Function?
         } else if (statementKey === 'function') {
-            globals[statement.function.name] = (args, fnOptions) => {
-                const funcLocals = {};
-                if ('args' in statement.function) {
-                    const argsLength = args.length;
-                    for (let ixArg = 0; ixArg < statement.function.args.length; ixArg++) {
-                        funcLocals[statement.function.args[ixArg]] = (ixArg < argsLength ? args[ixArg] : null);
-                    }
-                }
-                return executeScriptHelper(statement.function.statements, globals, funcLocals, fnOptions);
-            };
+            // Functions defined within a function are local to that function
+            const funcValue = createScriptFunction(statement.function, globals, locals, isAsync && (statement.function.async ?? false));
+            setOwnValue(locals !== null ? locals : globals, statement.function.name, funcValue);
 
         // Jump?
         } else if (statementKey === 'jump') {
             // Evaluate the expression (if any)
-            if (!('expr' in statement.jump) || evaluateExpression(statement.jump.expr, globals, locals, options, false)) {
-                // Find the label
-                if (statement.jump.label in labelIndexes) {
-                    ixStatement = labelIndexes[statement.jump.label];
-                } else {
-                    const ixLabel = statements.findIndex((stmt) => stmt.label === statement.jump.label);
-                    if (ixLabel === -1) {
-                        throw new CalcScriptRuntimeError(`Unknown jump label "${statement.jump.label}"`);
-                    }
-                    labelIndexes[statement.jump.label] = ixLabel;
-                    ixStatement = ixLabel;
-                }
+            const jumpExpr = statement.jump.expr ?? null;
+            if (jumpExpr === null || (isAsync
+                ? yield* evaluateExpressionHelper(jumpExpr, globals, locals, options, false)
+                : evaluateExpressionSync(jumpExpr, globals, locals, options, false))) {
+                completion = {'jump': statement.jump.label};
             }
 
         // Return?
         } else if (statementKey === 'return') {
             if ('expr' in statement.return) {
-                return evaluateExpression(statement.return.expr, globals, locals, options, false);
+                return {'return': (isAsync
+                    ? yield* evaluateExpressionHelper(statement.return.expr, globals, locals, options, false)
+                    : evaluateExpressionSync(statement.return.expr, globals, locals, options, false))};
             }
-            return null;
+            return {'return': null};
 
         // Expression
         } else if (statementKey === 'expr') {
-            evaluateExpression(statement.expr, globals, locals, options, false);
+            if (isAsync) {
+                yield* evaluateExpressionHelper(statement.expr, globals, locals, options, false);
+            } else {
+                evaluateExpressionSync(statement.expr, globals, locals, options, false);
+            }
+
+        // If-then?
+        } else if (statementKey === 'if') {
+            let ifStatements = null;
+            if (isAsync
+                ? yield* evaluateExpressionHelper(statement.if.expr, globals, locals, options, false)
+                : evaluateExpressionSync(statement.if.expr, globals, locals, options, false)) {
+                ifStatements = statement.if.statements;
+            } else {
+                ifStatements = statement.if.else ?? null;
+                for (const elifStatement of statement.if.elif ?? []) {
+                    if (isAsync
+                        ? yield* evaluateExpressionHelper(elifStatement.expr, globals, locals, options, false)
+                        : evaluateExpressionSync(elifStatement.expr, globals, locals, options, false)) {
+                        ifStatements = elifStatement.statements;
+                        break;
+                    }
+                }
+            }
+            if (ifStatements !== null) {
+                completion = yield* executeScriptBlock(ifStatements, globals, locals, options, isAsync);
+            }
+
+        // While-do loop?
+        } else if (statementKey === 'while') {
+            while (isAsync
+                ? yield* evaluateExpressionHelper(statement.while.expr, globals, locals, options, false)
+                : evaluateExpressionSync(statement.while.expr, globals, locals, options, false)) {
+                const loopCompletion = yield* executeScriptBlock(statement.while.statements, globals, locals, options, isAsync);
+                callStackFrame.statement = statement;
+                if (loopCompletion !== null && !('continue' in loopCompletion)) {
+                    completion = ('break' in loopCompletion ? null : loopCompletion);
+                    break;
+                }
+
+                // Each loop iteration counts as a statement
+                incrementStatementCount(options);
+            }
+
+        // For-each loop?
+        } else if (statementKey === 'for') {
+            const values = (isAsync
+                ? yield* evaluateExpressionHelper(statement.for.expr, globals, locals, options, false)
+                : evaluateExpressionSync(statement.for.expr, globals, locals, options, false));
+            const loopScope = (locals !== null ? locals : globals);
+            for (let ixValue = 0; Array.isArray(values) && ixValue < values.length; ixValue++) {
+                setOwnValue(loopScope, statement.for.value, values[ixValue]);
+                if ('index' in statement.for) {
+                    setOwnValue(loopScope, statement.for.index, ixValue);
+                }
+                const loopCompletion = yield* executeScriptBlock(statement.for.statements, globals, locals, options, isAsync);
+                callStackFrame.statement = statement;
+                if (loopCompletion !== null && !('continue' in loopCompletion)) {
+                    completion = ('break' in loopCompletion ? null : loopCompletion);
+                    break;
+                }
+
+                // Each loop iteration counts as a statement
+                incrementStatementCount(options);
+            }
+
+        // Loop break?
+        } else if (statementKey === 'break') {
+            return {'break': true};
+
+        // Loop continue?
+        } else if (statementKey === 'continue') {
+            return {'continue': true};
+
+        // Try-catch?
+        } else if (statementKey === 'try') {
+            let tryError = null;
+            try {
+                completion = yield* executeScriptBlock(statement.try.statements, globals, locals, options, isAsync);
+            } catch (error) {
+                const errorValue = ('catch' in statement.try ? getErrorValue(setErrorCallStack(error, options.callStack)) : null);
+                if (errorValue === null) {
+                    tryError = error;
+                } else {
+                    if ('name' in statement.try.catch) {
+                        setOwnValue(locals !== null ? locals : globals, statement.try.catch.name, errorValue);
+                    }
+                    try {
+                        completion = yield* executeScriptBlock(statement.try.catch.statements, globals, locals, options, isAsync);
+                    } catch (catchError) {
+                        tryError = catchError;
+                    }
+                }
+            }
+
+            // A finally block's return, jump, or loop completion takes precedence over any try or catch error, except a
+            // cancellation error
+            if ('finally' in statement.try) {
+                const finallyCompletion = yield* executeScriptBlock(statement.try.finally, globals, locals, options, isAsync);
+                if (finallyCompletion !== null && !(tryError instanceof CalcScriptCancellationError)) {
+                    completion = finallyCompletion;
+                    tryError = null;
+                }
+            }
+            if (tryError !== null) {
+                throw tryError;
+            }
+
+        // Throw?
+        } else if (statementKey === 'throw') {
+            const throwValue = (isAsync
+                ? yield* evaluateExpressionHelper(statement.throw.expr, globals, locals, options, false)
+                : evaluateExpressionSync(statement.throw.expr, globals, locals, options, false));
+            throw new CalcScriptRuntimeError(getThrowMessage(throwValue));
 
         // Include?
         } else if (statementKey === 'include') {
-            throw new CalcScriptRuntimeError(`Include of "${statement.include}" within non-async scope`);
+            const [includeURL, includeChain] = getIncludeURL('Include', statement.include, options, isAsync);
+
+            // Include each URL only once per globals
+            let includeURLs = options.includeURLs.get(globals);
+            if (typeof includeURLs === 'undefined') {
+                includeURLs = new Set();
+                options.includeURLs.set(globals, includeURLs);
+            }
+            if (!includeURLs.has(includeURL)) {
+                includeURLs.add(includeURL);
+                const scriptModel = yield* getIncludeScript('Include', statement.include, includeChain, options);
+                const includeOptions = getIncludeOptions(includeURL, includeChain, options);
+                yield* executeScriptHelper(scriptModel.statements, globals, null, includeOptions, null, isAsync);
+            }
+
+        // Import?
+        } else if (statementKey === 'import') {
+            const [importURL, importChain] = getIncludeURL('Import', statement.import.url, options, isAsync);
+
+            // Execute each module only once per script execution - the module's globals are private to the module and
+            // contain only the script library functions, so a module cannot access its importer's variables
+            let namespace = options.moduleNamespaces.get(importURL);
+            if (typeof namespace === 'undefined') {
+                const scriptModel = yield* getIncludeScript('Import', statement.import.url, importChain, options);
+                const importOptions = getIncludeOptions(importURL, importChain, options);
+                const moduleGlobals = {};
+                setScriptFunctionGlobals(moduleGlobals, importOptions);
+                yield* executeScriptHelper(scriptModel.statements, moduleGlobals, null, importOptions, null, isAsync);
+                namespace = getModuleNamespace(scriptModel.statements, moduleGlobals);
+                options.moduleNamespaces.set(importURL, namespace);
+            }
+            setOwnValue(locals ?? globals, statement.import.name, namespace);
+        }
+
+        // Jump to a label within this block?
+        if (completion !== null) {
+            const ixLabel = ('jump' in completion ? getLabelIndex(statements, labelIndexes, completion.jump) : -1);
+            if (ixLabel === -1) {
+                return completion;
+            }
+            ixStatement = ixLabel;
         }
     }
 
@@ -146,6 +477,277 @@ export function executeScriptHelper(statements, globals, locals, options) {
 }
 
 
+// Helper function to create a script function statement's function value - async script functions are async functions
+// only in async execution
+function createScriptFunction(funcStatement, globals, locals, isAsync) {
+    const {name, statements} = funcStatement;
+    const argNames = funcStatement.args ?? [];
+    if (isAsync) {
+        // eslint-disable-next-line require-await
+        return async (args, fnOptions) => runGeneratorAsync(
+            executeScriptHelper(statements, globals, getFunctionLocals(argNames, args, locals), fnOptions, name, true),
+            fnOptions
+        );
+    }
+    return (args, fnOptions) => runGenerator(
+        executeScriptHelper(statements, globals, getFunctionLocals(argNames, args, locals), fnOptions, name, false)
+    );
+}
+
+
+// Helper function to check an include or import statement and compute its URL and include chain - type is "Include" or
+// "Import"
+export function getIncludeURL(type, url, options, isAsync) {
+    checkIncludePermitted(type, url, options);
+    if (!isAsync) {
+        throw new CalcScriptRuntimeError(`${type} of "${url}" within non-async scope`);
+    }
+    const includeURL = ('urlFn' in options ? options.urlFn(url) : url);
+    if (!isURLPermitted(includeURL, options)) {
+        throw new CalcScriptRuntimeError(`${type} of "${url}" failed with error: URL "${includeURL}" not permitted`);
+    }
+
+    // Include cycle?
+    const includeChain = [...(options.includeChain ?? []), includeURL];
+    if (includeChain.indexOf(includeURL) !== includeChain.length - 1) {
+        throw new CalcScriptRuntimeError(`${type} cycle: ${includeChain.join(' -> ')}`);
+    }
+
+    return [includeURL, includeChain];
+}
+
+
+// Helper function to create an included script's options - the included script's relative URLs are relative to its URL
+export function getIncludeOptions(includeURL, includeChain, options) {
+    const includeOptions = {...options};
+    includeOptions.urlFn = (url) => (isRelativeURL(url) ? normalizeRelativeURL(`${getBaseURL(includeURL)}${url}`) : url);
+    includeOptions.includeChain = includeChain;
+    return includeOptions;
+}
+
+
+// Helper function to create an imported module's namespace object from its top-level exported functions and variables
+function getModuleNamespace(statements, moduleGlobals) {
+    const namespace = {};
+    for (const statement of statements) {
+        const [statementKey] = Object.keys(statement);
+        if ((statementKey === 'assign' || statementKey === 'function') && statement[statementKey].export) {
+            const {name} = statement[statementKey];
+            setOwnValue(namespace, name, getOwnValue(moduleGlobals, name) ?? null);
+        }
+    }
+    return namespace;
+}
+
+
+// Helper function to fetch and parse an included script model - script models are cached by URL in the include cache,
+// if any. Parser errors are prefixed with the include chain.
+export function* getIncludeScript(type, include, includeChain, options) {
+    const includeURL = includeChain[includeChain.length - 1];
+    const includeCache = options.includeCache ?? null;
+    if (includeCache !== null && includeCache.has(includeURL)) {
+        return includeCache.get(includeURL);
+    }
+
+    const fetchFn = ('fetchFn' in options ? options.fetchFn : null);
+    const fetchOptions = ((options.signal ?? null) !== null ? {'signal': options.signal} : null);
+    const scriptResponse = (fetchFn !== null ? yield fetchFn(includeURL, fetchOptions) : null);
+    let errorMessage = (scriptResponse !== null && !scriptResponse.ok ? scriptResponse.statusText : null);
+    let scriptModel = null;
+    if (scriptResponse !== null && scriptResponse.ok) {
+        let scriptText = null;
+        try {
+            scriptText = yield scriptResponse.text();
+        } catch (error) {
+            errorMessage = error.message;
+        }
+        try {
+            if (scriptText !== null) {
+                scriptModel = parseScript(scriptText, 1, {'locations': true, 'url': includeURL});
+            }
+        } catch (error) {
+            throw new CalcScriptParserError(
+                error.error, error.line, error.columnNumber, error.lineNumber,
+                `Included from ${includeChain.map((chainURL) => `"${chainURL}"`).join(' -> ')}`
+            );
+        }
+    }
+    if (scriptModel === null) {
+        throw new CalcScriptRuntimeError(
+            `${type} of "${include}" failed${errorMessage !== null ? ` with error: ${errorMessage}` : ''}`
+        );
+    }
+    if (includeCache !== null) {
+        includeCache.set(includeURL, scriptModel);
+    }
+    return scriptModel;
+}
+
+
+// Helper function to throw an error if includes and imports are not permitted by the capabilities option - type is
+// "Include" or "Import"
+export function checkIncludePermitted(type, url, options) {
+    if (!isCapabilityPermitted('include', options)) {
+        throw new CalcScriptRuntimeError(`${type} of "${url}" not permitted`);
+    }
+}
+
+
+// Helper function to determine if a URL is relative
+export function isRelativeURL(url) {
+    return !rNotRelativeURL.test(url);
+}
+
+const rNotRelativeURL = /^(?:[a-z]+:|\/|\?|#)/;
+
+
+// Helper function to remove a relative URL's "." and ".." path segments, where possible
+export function normalizeRelativeURL(url) {
+    const segments = [];
+    for (const segment of url.split('/')) {
+        if (segment === '..' && segments.length !== 0 && segments[segments.length - 1] !== '..') {
+            segments.pop();
+        } else if (segment !== '.') {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+
+// Helper function to get a URL's base URL - the URL up to and including the last slash
+export function getBaseURL(url) {
+    return url.slice(0, url.lastIndexOf('/') + 1);
+}
+
+
+// Helper function to validate a script model before execution, if requested
+export function validateExecuteScript(script, options) {
+    if (options.validate) {
+        validateScript(script);
+        const errors = validateScriptSemantics(script);
+        if (errors.length !== 0) {
+            throw new CalcScriptValidationError(errors);
+        }
+    }
+}
+
+
+// Helper function to increment the statement counter and check for script cancellation
+export function incrementStatementCount(options) {
+    const maxStatements = options.maxStatements ?? defaultMaxStatements;
+    if (maxStatements > 0 && ++getLimits(options).statementCount > maxStatements) {
+        throw new CalcScriptRuntimeError(`Exceeded maximum script statements (${maxStatements})`);
+    }
+    checkCancellation(options);
+}
+
+
+// Helper function to throw a cancellation error if the script's abort signal is aborted or its timeout is exceeded
+function checkCancellation(options) {
+    const signal = options.signal ?? null;
+    if (signal !== null && signal.aborted) {
+        throw newCancelledError();
+    }
+    const timeoutRemaining = getTimeoutRemaining(options);
+    if (timeoutRemaining !== null && timeoutRemaining <= 0) {
+        throw newTimeoutError(options);
+    }
+}
+
+
+// Helper function to get the script's time remaining before timeout, in milliseconds - null if there is no timeout
+function getTimeoutRemaining(options) {
+    if (options === null || !('timeoutMs' in options) || !('timeBegin' in options)) {
+        return null;
+    }
+    return options.timeBegin + options.timeoutMs - performance.now();
+}
+
+
+// Helper function to create an abort signal cancellation error
+function newCancelledError() {
+    return new CalcScriptCancellationError('Script execution cancelled');
+}
+
+
+// Helper function to create a timeout cancellation error
+function newTimeoutError(options) {
+    return new CalcScriptCancellationError(`Script execution timed out (${options.timeoutMs} milliseconds)`);
+}
+
+
+// Helper function to get a statement block's label index - returns -1 if the label is not found
+export function getLabelIndex(statements, labelIndexes, label) {
+    let ixLabel = labelIndexes[label] ?? null;
+    if (ixLabel === null) {
+        ixLabel = statements.findIndex((stmt) => stmt.label === label);
+        labelIndexes[label] = ixLabel;
+    }
+    return ixLabel;
+}
+
+
+// Helper function to get the result of a statement block completion
+export function getCompletionResult(completion) {
+    if (completion === null) {
+        return null;
+    } else if ('jump' in completion) {
+        throw new CalcScriptRuntimeError(`Unknown jump label "${completion.jump}"`);
+    } else if ('break' in completion) {
+        throw new CalcScriptRuntimeError('Break statement outside of loop');
+    } else if ('continue' in completion) {
+        throw new CalcScriptRuntimeError('Continue statement outside of loop');
+    }
+    return completion.return;
+}
+
+
+// Helper function to get a caught error's value - returns null for non-script errors, which are not caught
+export function getErrorValue(error) {
+    if (error instanceof CalcScriptRuntimeError) {
+        return {'message': error.error, 'lineNumber': error.lineNumber, 'url': error.url};
+    } else if (error instanceof CalcScriptParserError) {
+        return {'message': error.message, 'lineNumber': error.lineNumber, 'url': null};
+    }
+    return null;
+}
+
+
+// Helper function to get the options' script function call stack
+export function getCallStack(options) {
+    if (!('callStack' in options)) {
+        options.callStack = [];
+    }
+    return options.callStack;
+}
+
+
+// Helper function to set a runtime error's call stack, if not already set
+export function setErrorCallStack(error, callStack) {
+    if (error instanceof CalcScriptRuntimeError && error.callStack === null) {
+        error.setCallStack(callStack.map((frame) => {
+            const location = getStatementLocation(frame.statement);
+            return {
+                'name': frame.name,
+                'lineNumber': (location !== null ? location.lineNumber : null),
+                'url': (location !== null ? location.url ?? null : null)
+            };
+        }).reverse());
+    }
+    return error;
+}
+
+
+// Helper function to get a throw statement's error message - the message of an error value or the value as a string
+export function getThrowMessage(value) {
+    if (value !== null && typeof value === 'object' && typeof value.message === 'string') {
+        return value.message;
+    }
+    return (typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+
 /**
  * Evaluate an expression model
  *
@@ -156,9 +758,16 @@ export function executeScriptHelper(statements, globals, locals, options) {
  * @param {boolean} [builtins = true] - If true, include the
  *     [built-in expression functions]{@link https://craigahobbs.github.io/calc-script/library-expr/}
  * @returns The expression result
- * @throws [CalcScriptRuntimeError]{@link module:lib/runtime.CalcScriptRuntimeError}
+ * @throws [CalcScriptRuntimeError]{@link module:lib/runtimeError.CalcScriptRuntimeError}
  */
 export function evaluateExpression(expr, globals = {}, locals = null, options = null, builtins = true) {
+    return evaluateExpressionSync(expr, globals, locals, options, builtins);
+}
+
+
+// Helper function to evaluate an expression model with the execution core in async execution. In non-async execution,
+// expressions are evaluated by evaluateExpressionSync, which does not create a generator for each sub-expression.
+export function* evaluateExpressionHelper(expr, globals, locals, options, builtins) {
     const [exprKey] = Object.keys(expr);
 
     // Number
@@ -171,21 +780,144 @@ export function evaluateExpression(expr, globals = {}, locals = null, options =
 
     // Variable
     } else if (exprKey === 'variable') {
-        // Keywords
-        if (expr.variable === 'null') {
+        return getVariableValue(expr.variable, globals, locals);
+
+    // Function
+    } else if (exprKey === 'function') {
+        // "if" built-in function?
+        const funcName = expr.function.name;
+        if (funcName === 'if') {
+            const [valueExpr = null, trueExpr = null, falseExpr = null] = expr.function.args ?? [];
+            let value = false;
+            if (valueExpr !== null) {
+                value = yield* evaluateExpressionHelper(valueExpr, globals, locals, options, builtins);
+            }
+            const resultExpr = (value ? trueExpr : falseExpr);
+            return resultExpr !== null ? yield* evaluateExpressionHelper(resultExpr, globals, locals, options, builtins) : null;
+        }
+
+        // Compute the function arguments
+        const funcArgs = ('args' in expr.function)
+            ? yield* evaluateExpressionsHelper(expr.function.args, globals, locals, options, builtins)
+            : null;
+
+        // Call the function - yield the function's promise, if any
+        const funcValue = getFunctionValue(funcName, globals, locals, options, builtins, true);
+        if (funcValue !== null) {
+            try {
+                const funcResult = funcValue(funcArgs, options);
+                return (funcResult instanceof Promise ? yield funcResult : funcResult) ?? null;
+            } catch (error) {
+                return getFunctionErrorResult(funcName, error, options);
+            }
+        }
+        return callGlobalsFunction(funcName, funcArgs, globals);
+
+    // Binary expression
+    } else if (exprKey === 'binary') {
+        const binOp = expr.binary.op;
+        const leftValue = yield* evaluateExpressionHelper(expr.binary.left, globals, locals, options, builtins);
+
+        // Short-circuiting binary operators - evaluate right expression only if necessary
+        if (binOp === '&&') {
+            return leftValue && (yield* evaluateExpressionHelper(expr.binary.right, globals, locals, options, builtins));
+        } else if (binOp === '||') {
+            return leftValue || (yield* evaluateExpressionHelper(expr.binary.right, globals, locals, options, builtins));
+        }
+
+        // Non-short-circuiting binary operators
+        const rightValue = yield* evaluateExpressionHelper(expr.binary.right, globals, locals, options, builtins);
+        return getBinaryValue(binOp, leftValue, rightValue, options);
+
+    // Unary expression
+    } else if (exprKey === 'unary') {
+        return getUnaryValue(expr.unary.op, yield* evaluateExpressionHelper(expr.unary.expr, globals, locals, options, builtins));
+
+    // Array
+    } else if (exprKey === 'array') {
+        return yield* evaluateExpressionsHelper(expr.array.values, globals, locals, options, builtins);
+
+    // Object
+    } else if (exprKey === 'object') {
+        const {keyValues} = expr.object;
+        const values = yield* evaluateExpressionsHelper(keyValues.map((keyValue) => keyValue.value), globals, locals, options, builtins);
+        const object = {};
+        for (let ixKeyValue = 0; ixKeyValue < keyValues.length; ixKeyValue++) {
+            setOwnValue(object, keyValues[ixKeyValue].key, values[ixKeyValue]);
+        }
+        return object;
+
+    // Object key or array index
+    } else if (exprKey === 'index') {
+        const value = yield* evaluateExpressionHelper(expr.index.expr, globals, locals, options, builtins);
+        if (value === null && expr.index.optional) {
             return null;
-        } else if (expr.variable === 'false') {
-            return false;
-        } else if (expr.variable === 'true') {
-            return true;
         }
+        return getIndexValue(value, yield* evaluateExpressionHelper(expr.index.index, globals, locals, options, builtins));
 
-        // Get the local or global variable value or null if undefined
-        let varValue = (locals !== null ? locals[expr.variable] : undefined);
-        if (typeof varValue === 'undefined') {
-            varValue = globals[expr.variable] ?? null;
+    // Lambda function - the lambda is async if its expression calls an async function
+    } else if (exprKey === 'lambda') {
+        return createLambdaFunction(expr.lambda, globals, locals, builtins, isAsyncExpr(expr.lambda.expr, globals, locals));
+    }
+
+    // Expression group
+    // else if (exprKey === 'group')
+    return yield* evaluateExpressionHelper(expr.group, globals, locals, options, builtins);
+}
+
+
+// Helper function to evaluate a list of expression models (function arguments, array values, or object values) with the
+// execution core in async execution. Each expression is evaluated until it yields a promise, and the yielding
+// expressions are then completed concurrently, like Promise.all. Since they may run concurrently, the expressions of a
+// multi-expression list each have their own call stack.
+function* evaluateExpressionsHelper(exprs, globals, locals, options, builtins) {
+    const values = [];
+    const promises = [];
+    for (let ixExpr = 0; ixExpr < exprs.length; ixExpr++) {
+        const exprOptions = (exprs.length > 1 && (options ?? null) !== null)
+            ? {...options, 'callStack': [...getCallStack(options)]}
+            : options;
+        const generator = evaluateExpressionHelper(exprs[ixExpr], globals, locals, exprOptions, builtins);
+        let step;
+        try {
+            step = generator.next();
+        } catch (error) {
+            // Handle the rejections of the expressions already in progress - the first error wins
+            Promise.allSettled(promises);
+            throw error;
+        }
+        values.push(step.value);
+        if (!step.done) {
+            promises.push(resumeGeneratorAsync(generator, step, exprOptions).then((value) => {
+                values[ixExpr] = value;
+            }));
         }
-        return varValue;
+    }
+
+    // Complete the expressions in progress, if any
+    if (promises.length !== 0) {
+        yield Promise.all(promises);
+    }
+    return values;
+}
+
+
+// Helper function to evaluate an expression model in non-async execution - the non-async counterpart of
+// evaluateExpressionHelper, without the generator overhead
+function evaluateExpressionSync(expr, globals, locals, options, builtins) {
+    const [exprKey] = Object.keys(expr);
+
+    // Number
+    if (exprKey === 'number') {
+        return expr.number;
+
+    // String
+    } else if (exprKey === 'string') {
+        return expr.string;
+
+    // Variable
+    } else if (exprKey === 'variable') {
+        return getVariableValue(expr.variable, globals, locals);
 
     // Function
     } else if (exprKey === 'function') {
@@ -193,120 +925,319 @@ export function evaluateExpression(expr, globals = {}, locals = null, options =
         const funcName = expr.function.name;
         if (funcName === 'if') {
             const [valueExpr = null, trueExpr = null, falseExpr = null] = expr.function.args ?? [];
-            const value = (valueExpr !== null ? evaluateExpression(valueExpr, globals, locals, options, builtins) : false);
+            const value = (valueExpr !== null ? evaluateExpressionSync(valueExpr, globals, locals, options, builtins) : false);
             const resultExpr = (value ? trueExpr : falseExpr);
-            return resultExpr !== null ? evaluateExpression(resultExpr, globals, locals, options, builtins) : null;
+            return resultExpr !== null ? evaluateExpressionSync(resultExpr, globals, locals, options, builtins) : null;
         }
 
         // Compute the function arguments
-        const funcArgs = 'args' in expr.function
-            ? expr.function.args.map((arg) => evaluateExpression(arg, globals, locals, options, builtins))
+        const funcArgs = ('args' in expr.function)
+            ? expr.function.args.map((arg) => evaluateExpressionSync(arg, globals, locals, options, builtins))
             : null;
 
-        // Global/local function?
-        let funcValue = (locals !== null ? locals[funcName] : undefined);
-        if (typeof funcValue === 'undefined') {
-            funcValue = globals[funcName];
-            if (typeof funcValue === 'undefined') {
-                funcValue = (builtins ? expressionFunctions[funcName] : null) ?? null;
-            }
-        }
+        // Call the function
+        const funcValue = getFunctionValue(funcName, globals, locals, options, builtins, false);
         if (funcValue !== null) {
-            // Async function called within non-async execution?
-            if (typeof funcValue === 'function' && funcValue.constructor.name === 'AsyncFunction') {
-                throw new CalcScriptRuntimeError(`Async function "${funcName}" called within non-async scope`);
-            }
-
-            // Call the function
             try {
                 return funcValue(funcArgs, options) ?? null;
             } catch (error) {
-                // Propogate runtime errors
-                if (error instanceof CalcScriptRuntimeError) {
-                    throw error;
-                }
-
-                // Log and return null
-                if (options !== null && 'logFn' in options) {
-                    options.logFn(`Error: Function "${funcName}" failed with error: ${error.message}`);
-                }
-                return null;
+                return getFunctionErrorResult(funcName, error, options);
             }
         }
-
-        // Built-in globals accessor function?
-        if (funcName === 'getGlobal') {
-            const [name] = funcArgs;
-            return globals[name] ?? null;
-        } else if (funcName === 'setGlobal') {
-            const [name, value] = funcArgs;
-            globals[name] = value;
-            return value;
-        }
-
-        throw new CalcScriptRuntimeError(`Undefined function "${funcName}"`);
+        return callGlobalsFunction(funcName, funcArgs, globals);
 
     // Binary expression
     } else if (exprKey === 'binary') {
         const binOp = expr.binary.op;
-        const leftValue = evaluateExpression(expr.binary.left, globals, locals, options, builtins);
+        const leftValue = evaluateExpressionSync(expr.binary.left, globals, locals, options, builtins);
 
         // Short-circuiting binary operators - evaluate right expression only if necessary
         if (binOp === '&&') {
-            return leftValue && evaluateExpression(expr.binary.right, globals, locals, options, builtins);
+            return leftValue && evaluateExpressionSync(expr.binary.right, globals, locals, options, builtins);
         } else if (binOp === '||') {
-            return leftValue || evaluateExpression(expr.binary.right, globals, locals, options, builtins);
+            return leftValue || evaluateExpressionSync(expr.binary.right, globals, locals, options, builtins);
         }
 
         // Non-short-circuiting binary operators
-        const rightValue = evaluateExpression(expr.binary.right, globals, locals, options, builtins);
-        if (binOp === '**') {
-            return leftValue ** rightValue;
-        } else if (binOp === '*') {
-            return leftValue * rightValue;
-        } else if (binOp === '/') {
-            return leftValue / rightValue;
-        } else if (binOp === '%') {
-            return leftValue % rightValue;
-        } else if (binOp === '+') {
-            return leftValue + rightValue;
-        } else if (binOp === '-') {
-            return leftValue - rightValue;
-        } else if (binOp === '<=') {
-            return leftValue <= rightValue;
-        } else if (binOp === '<') {
-            return leftValue < rightValue;
-        } else if (binOp === '>=') {
-            return leftValue >= rightValue;
-        } else if (binOp === '>') {
-            return leftValue > rightValue;
-        } else if (binOp === '==') {
-            return leftValue === rightValue;
-        }
-        // else if (binOp === '!=')
-        return leftValue !== rightValue;
+        const rightValue = evaluateExpressionSync(expr.binary.right, globals, locals, options, builtins);
+        return getBinaryValue(binOp, leftValue, rightValue, options);
 
     // Unary expression
     } else if (exprKey === 'unary') {
-        const unaryOp = expr.unary.op;
-        const value = evaluateExpression(expr.unary.expr, globals, locals, options, builtins);
-        if (unaryOp === '!') {
-            return !value;
+        return getUnaryValue(expr.unary.op, evaluateExpressionSync(expr.unary.expr, globals, locals, options, builtins));
+
+    // Array
+    } else if (exprKey === 'array') {
+        return expr.array.values.map((valueExpr) => evaluateExpressionSync(valueExpr, globals, locals, options, builtins));
+
+    // Object
+    } else if (exprKey === 'object') {
+        const object = {};
+        for (const keyValue of expr.object.keyValues) {
+            setOwnValue(object, keyValue.key, evaluateExpressionSync(keyValue.value, globals, locals, options, builtins));
         }
-        // else if (unaryOp === '-')
-        return -value;
+        return object;
+
+    // Object key or array index
+    } else if (exprKey === 'index') {
+        const value = evaluateExpressionSync(expr.index.expr, globals, locals, options, builtins);
+        if (value === null && expr.index.optional) {
+            return null;
+        }
+        return getIndexValue(value, evaluateExpressionSync(expr.index.index, globals, locals, options, builtins));
+
+    // Lambda function
+    } else if (exprKey === 'lambda') {
+        return createLambdaFunction(expr.lambda, globals, locals, builtins, false);
     }
 
     // Expression group
     // else if (exprKey === 'group')
-    return evaluateExpression(expr.group, globals, locals, options, builtins);
+    return evaluateExpressionSync(expr.group, globals, locals, options, builtins);
+}
+
+
+// Helper function to get a variable's value - the local or global variable value, or null if undefined
+export function getVariableValue(name, globals, locals) {
+    // Keywords
+    if (name === 'null') {
+        return null;
+    } else if (name === 'false') {
+        return false;
+    } else if (name === 'true') {
+        return true;
+    }
+
+    // Get the local or global variable value or null if undefined
+    let varValue = (locals !== null ? getScopeValue(locals, name) : undefined);
+    if (typeof varValue === 'undefined') {
+        varValue = getScopeValue(globals, name) ?? null;
+    }
+    return varValue;
+}
+
+
+// Helper function to get a function call's function value - null if the function is undefined
+export function getFunctionValue(funcName, globals, locals, options, builtins, isAsync) {
+    // Module function?
+    let funcValue;
+    const ixDot = funcName.indexOf('.');
+    if (ixDot !== -1) {
+        funcValue = getModuleFunction(funcName.slice(0, ixDot), funcName.slice(ixDot + 1), globals, locals);
+
+    // Global/local function?
+    } else {
+        funcValue = (locals !== null ? getScopeValue(locals, funcName) : undefined);
+        if (typeof funcValue === 'undefined') {
+            funcValue = getScopeValue(globals, funcName);
+            if (typeof funcValue === 'undefined') {
+                funcValue = (builtins ? getOwnValue(expressionFunctions, funcName) : null) ?? null;
+            }
+        }
+    }
+    checkFunctionPermitted(funcName, funcValue, options);
+
+    // Async function called within non-async execution?
+    if (!isAsync && typeof funcValue === 'function' && funcValue.constructor.name === 'AsyncFunction') {
+        throw new CalcScriptRuntimeError(`Async function "${funcName}" called within non-async scope`);
+    }
+
+    return funcValue;
+}
+
+
+// Helper function to get a failed function call's result - runtime and cancellation errors are propagated, other errors
+// are logged and the function call returns null
+export function getFunctionErrorResult(funcName, error, options) {
+    // Propogate runtime and cancellation errors
+    if (error instanceof CalcScriptRuntimeError || error instanceof CalcScriptCancellationError) {
+        throw error;
+    }
+
+    // Log and return null
+    if (options !== null && 'logFn' in options) {
+        options.logFn(`Error: Function "${funcName}" failed with error: ${error.message}`);
+    }
+    return null;
+}
+
+
+// Helper function to call an undefined function - the built-in globals accessor functions, otherwise an error
+export function callGlobalsFunction(funcName, funcArgs, globals) {
+    if (funcName === 'getGlobal') {
+        const [name] = funcArgs;
+        return getScopeValue(globals, name) ?? null;
+    } else if (funcName === 'setGlobal') {
+        const [name, value] = funcArgs;
+        setOwnValue(globals, name, value);
+        return value;
+    }
+
+    throw new CalcScriptRuntimeError(`Undefined function "${funcName}"`);
+}
+
+
+// Helper function to compute a non-short-circuiting binary operator's value
+export function getBinaryValue(binOp, leftValue, rightValue, options) {
+    if (binOp === '**') {
+        return leftValue ** rightValue;
+    } else if (binOp === '*') {
+        return leftValue * rightValue;
+    } else if (binOp === '/') {
+        return leftValue / rightValue;
+    } else if (binOp === '%') {
+        return leftValue % rightValue;
+    } else if (binOp === '+') {
+        return addValues(leftValue, rightValue, options);
+    } else if (binOp === '-') {
+        return leftValue - rightValue;
+    } else if (binOp === '<=') {
+        return leftValue <= rightValue;
+    } else if (binOp === '<') {
+        return leftValue < rightValue;
+    } else if (binOp === '>=') {
+        return leftValue >= rightValue;
+    } else if (binOp === '>') {
+        return leftValue > rightValue;
+    } else if (binOp === '==') {
+        return leftValue === rightValue;
+    }
+    // else if (binOp === '!=')
+    return leftValue !== rightValue;
+}
+
+
+// Helper function to compute a unary operator's value
+function getUnaryValue(unaryOp, value) {
+    if (unaryOp === '!') {
+        return !value;
+    }
+    // else if (unaryOp === '-')
+    return -value;
+}
+
+
+// Helper function to create a lambda expression's function value - isAsync is true for an async lambda function
+function createLambdaFunction(lambdaExpr, globals, locals, builtins, isAsync) {
+    if (isAsync) {
+        // eslint-disable-next-line require-await
+        return async (args, fnOptions) => runGeneratorAsync(evaluateExpressionHelper(
+            lambdaExpr.expr, globals, getFunctionLocals(lambdaExpr.args, args, locals), fnOptions, builtins, true
+        ), fnOptions);
+    }
+    return (args, fnOptions) => evaluateExpressionSync(
+        lambdaExpr.expr, globals, getFunctionLocals(lambdaExpr.args, args, locals), fnOptions, builtins
+    );
+}
+
+
+// Helper function to determine if an expression calls an async function
+function isAsyncExpr(expr, globals, locals) {
+    const [exprKey] = Object.keys(expr);
+    if (exprKey === 'function') {
+        // Is the global/local/module function async?
+        const funcName = expr.function.name;
+        const ixDot = funcName.indexOf('.');
+        const funcValue = (ixDot !== -1)
+            ? getModuleFunction(funcName.slice(0, ixDot), funcName.slice(ixDot + 1), globals, locals)
+            : (locals !== null ? getScopeValue(locals, funcName) : undefined) ?? getScopeValue(globals, funcName);
+        if (typeof funcValue === 'function' && funcValue.constructor.name === 'AsyncFunction') {
+            return true;
+        }
+
+        // Are any of the function argument expressions async?
+        return 'args' in expr.function && expr.function.args.some((exprArg) => isAsyncExpr(exprArg, globals, locals));
+    } else if (exprKey === 'binary') {
+        return isAsyncExpr(expr.binary.left, globals, locals) || isAsyncExpr(expr.binary.right, globals, locals);
+    } else if (exprKey === 'unary') {
+        return isAsyncExpr(expr.unary.expr, globals, locals);
+    } else if (exprKey === 'group') {
+        return isAsyncExpr(expr.group, globals, locals);
+    } else if (exprKey === 'array') {
+        return expr.array.values.some((valueExpr) => isAsyncExpr(valueExpr, globals, locals));
+    } else if (exprKey === 'object') {
+        return expr.object.keyValues.some((keyValue) => isAsyncExpr(keyValue.value, globals, locals));
+    } else if (exprKey === 'index') {
+        return isAsyncExpr(expr.index.expr, globals, locals) || isAsyncExpr(expr.index.index, globals, locals);
+    } else if (exprKey === 'lambda') {
+        return isAsyncExpr(expr.lambda.expr, globals, locals);
+    }
+    return false;
+}
+
+
+// Helper function to get a module function's value (e.g. "lib.formatRow") - the namespace variable's own member, or null
+export function getModuleFunction(namespaceName, memberName, globals, locals) {
+    let namespace = (locals !== null ? getScopeValue(locals, namespaceName) : undefined);
+    if (typeof namespace === 'undefined') {
+        namespace = getScopeValue(globals, namespaceName) ?? null;
+    }
+    return (namespace !== null && typeof namespace === 'object' ? getOwnValue(namespace, memberName) : null) ?? null;
+}
+
+
+// Helper function to create a function call's locals - the scope chain's enclosing locals (if any) are the new locals'
+// prototype, so variable lookups fall through to the enclosing function's current values and assignments are local.
+export function getFunctionLocals(argNames, args, locals) {
+    const funcLocals = (locals !== null ? Object.create(locals) : {});
+    const argsLength = (args !== null ? args.length : 0);
+    for (let ixArg = 0; ixArg < argNames.length; ixArg++) {
+        setOwnValue(funcLocals, argNames[ixArg], (ixArg < argsLength ? args[ixArg] : null));
+    }
+    return funcLocals;
+}
+
+
+// Helper function to get an object key's or array index's value - null if the key or index does not exist
+export function getIndexValue(value, index) {
+    if (value === null) {
+        throw new CalcScriptRuntimeError(`Index ${JSON.stringify(index)} of null value`);
+    }
+    return (typeof value === 'object' ? getOwnValue(value, index) ?? null : null);
+}
+
+
+// Helper function to set an object key's or array index's value
+export function setIndexValue(value, index, indexValue, options) {
+    if (value === null || typeof value !== 'object') {
+        throw new CalcScriptRuntimeError(`Index ${JSON.stringify(index)} assignment of non-object value`);
+    }
+    if (Array.isArray(value)) {
+        checkArrayIndex(value, index, options);
+    } else {
+        checkObjectKey(value, index, options);
+    }
+    setOwnValue(value, index, indexValue);
+}
+
+
+// Helper function to add two values - a string concatenation is checked against the maximum string length, and the
+// characters added to the longer string operand are added to the allocation estimate
+export function addValues(leftValue, rightValue, options) {
+    const value = leftValue + rightValue;
+    if (typeof value === 'string') {
+        const leftLength = (typeof leftValue === 'string' ? leftValue.length : 0);
+        const rightLength = (typeof rightValue === 'string' ? rightValue.length : 0);
+        checkStringLength(value.length, options, value.length - Math.max(leftLength, rightLength));
+    }
+    return value;
 }
 
 
 /**
- * A CalcScript runtime error
+ * A CalcScript cancellation error - thrown when script execution is cancelled by the
+ * [signal option's]{@link module:lib/runtime~ExecuteScriptOptions} abort signal or exceeds the timeout option. Scripts
+ * cannot catch cancellation errors.
  *
  * @extends {Error}
  */
-export class CalcScriptRuntimeError extends Error {
+export class CalcScriptCancellationError extends Error {
+    /**
+     * Create a CalcScript cancellation error
+     *
+     * @param {string} message - The error message
+     */
+    constructor(message) {
+        super(message);
+    }
 }
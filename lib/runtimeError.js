@@ -0,0 +1,56 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+/** @module lib/runtimeError */
+
+
+/**
+ * A CalcScript runtime error
+ *
+ * @extends {Error}
+ */
+export class CalcScriptRuntimeError extends Error {
+    /**
+     * Create a CalcScript runtime error
+     *
+     * @param {string} error - The error description
+     */
+    constructor(error) {
+        super(error);
+        this.error = error;
+        this.lineNumber = null;
+        this.url = null;
+        this.callStack = null;
+    }
+
+    /**
+     * Set the error's script function call stack and update the error message
+     *
+     * @param {Object[]} callStack - The non-empty call stack frames, innermost first. Each frame has the function name
+     *     (null for top-level script statements) and the line number and script URL of the frame's current statement,
+     *     if known.
+     */
+    setCallStack(callStack) {
+        this.callStack = callStack;
+        this.lineNumber = callStack[0].lineNumber;
+        this.url = callStack[0].url;
+
+        // Add the call stack to the message if there are any line numbers
+        if (callStack.some((frame) => frame.lineNumber !== null)) {
+            const messageLines = [this.error];
+            for (const frame of callStack) {
+                const frameParts = [];
+                if (frame.name !== null) {
+                    frameParts.push(`function "${frame.name}"`);
+                }
+                if (frame.lineNumber !== null) {
+                    frameParts.push(`line number ${frame.lineNumber}${frame.url !== null ? ` of "${frame.url}"` : ''}`);
+                }
+                if (frameParts.length !== 0) {
+                    messageLines.push(`    at ${frameParts.join(', ')}`);
+                }
+            }
+            this.message = messageLines.join('\n');
+        }
+    }
+}
@@ -0,0 +1,71 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {parseExpression, parseScript} from '../lib/parser.js';
+import {performance} from 'node:perf_hooks';
+import {stdout} from 'node:process';
+
+
+// The input sizes to benchmark
+const inputSizes = [100, 1000, 10000];
+
+
+// Create an expression with the given number of binary operations
+function createExpression(size) {
+    const terms = [];
+    for (let ix = 0; ix < size; ix++) {
+        terms.push(`fn(a${ix}.b[${ix}], 'str ${ix}', [${ix}, -${ix}]) * (x${ix} - ${ix}.5)`);
+    }
+    return terms.join(' + ');
+}
+
+
+// Create a script with the given number of statements
+function createScript(size) {
+    const lines = [];
+    for (let ix = 0; ix < size; ix++) {
+        lines.push(
+            `function test${ix}(a, b)`,
+            `    value = a[${ix}] + b.c * -mathMax(${ix}, {key: 'value', 'other': [1, 2, 3]}) ** 2`,
+            `    if (value >= ${ix} && !b?.d)`,
+            '        return arrayMap(a, (x) => x * value)',
+            '    endif',
+            '    return value',
+            'endfunction'
+        );
+    }
+    return lines.join('\n');
+}
+
+
+// Run a benchmark function and report the median time
+function benchmark(name, size, fn) {
+    const warmupCount = 3;
+    const runCount = (size >= 10000 ? 5 : 20);
+    const times = [];
+    try {
+        for (let ix = 0; ix < warmupCount; ix++) {
+            fn();
+        }
+        for (let ix = 0; ix < runCount; ix++) {
+            const timeBegin = performance.now();
+            fn();
+            times.push(performance.now() - timeBegin);
+        }
+    } catch (error) {
+        stdout.write(`${name} (size ${size}): ${error.name}\n`);
+        return;
+    }
+    times.sort((timeA, timeB) => timeA - timeB);
+    stdout.write(`${name} (size ${size}): ${times[Math.floor(times.length / 2)].toFixed(3)} ms\n`);
+}
+
+
+for (const size of inputSizes) {
+    const exprText = createExpression(size);
+    benchmark('parseExpression', size, () => parseExpression(exprText));
+}
+for (const size of inputSizes) {
+    const scriptText = createScript(size);
+    benchmark('parseScript', size, () => parseScript(scriptText));
+}
@@ -0,0 +1,81 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {compileExpression, compileScript} from '../lib/compile.js';
+import {evaluateExpression, executeScript} from '../lib/runtime.js';
+import {parseExpression, parseScript} from '../lib/parser.js';
+import {performance} from 'node:perf_hooks';
+import {stdout} from 'node:process';
+
+
+// The input sizes to benchmark
+const inputSizes = [1000, 10000, 100000];
+
+
+// The benchmark expression, evaluated once per data row
+const exprText = "if(value > 50, 'high', 'low') + ':' + round((value * 1.5 + index) / 3, 2) + len(name)";
+
+
+// The benchmark script
+const scriptText = `\
+function fibonacci(n)
+    if (n <= 1)
+        return n
+    endif
+    return fibonacci(n - 1) + fibonacci(n - 2)
+endfunction
+
+function sumValues(count)
+    total = 0
+    ix = 0
+    while (ix < count)
+        ix = ix + 1
+        jumpif (ix % 2 == 0) skip
+        total = total + ix * 2
+    skip:
+    endwhile
+    return total
+endfunction
+
+return [fibonacci(12), sumValues(size),]
+`;
+
+
+// Run a benchmark function and report the median time
+function benchmark(name, size, fn) {
+    const warmupCount = 3;
+    const runCount = (size >= 100000 ? 5 : 20);
+    const times = [];
+    for (let ix = 0; ix < warmupCount; ix++) {
+        fn();
+    }
+    for (let ix = 0; ix < runCount; ix++) {
+        const timeBegin = performance.now();
+        fn();
+        times.push(performance.now() - timeBegin);
+    }
+    times.sort((timeA, timeB) => timeA - timeB);
+    stdout.write(`${name} (size ${size}): ${times[Math.floor(times.length / 2)].toFixed(3)} ms\n`);
+}
+
+
+// Expression evaluation per data row
+const expr = parseExpression(exprText);
+const exprFn = compileExpression(expr);
+for (const size of inputSizes) {
+    const rows = [];
+    for (let ix = 0; ix < size; ix++) {
+        rows.push({'index': ix, 'value': ix % 100, 'name': `name${ix}`});
+    }
+    benchmark('evaluateExpression', size, () => rows.map((row) => evaluateExpression(expr, row)));
+    benchmark('compileExpression', size, () => rows.map((row) => exprFn(row)));
+}
+
+
+// Script execution
+const script = parseScript(scriptText);
+const scriptFn = compileScript(script);
+for (const size of inputSizes) {
+    benchmark('executeScript', size, () => executeScript(script, {size}, {'maxStatements': 0}));
+    benchmark('compileScript', size, () => scriptFn({size}, {'maxStatements': 0}));
+}
@@ -0,0 +1,328 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {CalcScriptParserError, parseScript} from '../lib/parser.js';
+import {mkdir, mkdtemp, readFile, rm, writeFile} from 'node:fs/promises';
+import {CalcScriptRuntimeError} from '../lib/runtime.js';
+import {bundleScript} from '../lib/bundle.js';
+import {execFile} from 'node:child_process';
+import {executeScriptAsync} from '../lib/runtimeAsync.js';
+import {join} from 'node:path';
+import test from 'ava';
+import {tmpdir} from 'node:os';
+import {validateScript} from '../lib/model.js';
+
+
+/* eslint-disable id-length */
+
+
+test('bundleScript', async (t) => {
+    const script = parseScript(`\
+include 'a.mds'
+include 'lib/b.mds'
+return arrayJoin(values, ' ')
+`);
+    const scripts = {
+        'a.mds': "include 'lib/common.mds'\narrayPush(values, 'a')",
+        'lib/b.mds': "include 'common.mds'\ninclude '../a.mds'\nimport 'c.mds' as c\narrayPush(values, c.name)",
+        'lib/common.mds': 'values = arrayNew()',
+        'lib/c.mds': "export name = 'c'"
+    };
+    const fetchURLs = [];
+    const fetchFn = (url) => {
+        fetchURLs.push(url);
+        return {'ok': true, 'text': () => scripts[url]};
+    };
+    const bundle = validateScript(await bundleScript(script, {fetchFn}));
+    t.deepEqual(fetchURLs, ['a.mds', 'lib/common.mds', 'lib/b.mds']);
+    const parseURL = (url) => parseScript(scripts[url], 1, {'locations': true, 'url': url}).statements;
+    const scriptB = parseURL('lib/b.mds');
+    t.deepEqual(bundle, {
+        'statements': [
+            ...parseURL('lib/common.mds'),
+            ...parseURL('a.mds').slice(1),
+            {'import': {...scriptB[2].import, 'url': 'lib/c.mds'}},
+            ...scriptB.slice(3),
+            ...script.statements.slice(2)
+        ]
+    });
+
+    // The bundle executes the same as the script
+    t.is(await executeScriptAsync(bundle, {}, {fetchFn}), 'a c');
+    t.is(await executeScriptAsync(script, {}, {fetchFn}), 'a c');
+});
+
+
+test('bundleScript, functions and labels', async (t) => {
+    const script = parseScript(`\
+include 'test.mds'
+return test(1)
+`);
+    const scripts = {
+        'test.mds': `\
+function test(value)
+    if (value)
+        return 'a'
+    endif
+    for item in arrayNew(value)
+        try
+            return item
+        catch
+            return 'b'
+        finally
+        endtry
+    endfor
+    return 'c'
+endfunction
+jump done
+test = null
+done:
+`,
+        'test2.mds': `try
+catch
+endtry
+try
+finally
+endtry
+done:
+`
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const bundle = validateScript(await bundleScript(script, {fetchFn}));
+    t.deepEqual(bundle, {
+        'statements': [
+            ...parseScript(scripts['test.mds'], 1, {'locations': true, 'url': 'test.mds'}).statements,
+            ...script.statements.slice(1)
+        ]
+    });
+    t.is(await executeScriptAsync(bundle), 'a');
+
+    // Duplicate label
+    const error = await t.throwsAsync(
+        bundleScript(parseScript("include 'test.mds'\ninclude 'test2.mds'"), {fetchFn}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Include of "test2.mds" with duplicate label "done"');
+});
+
+
+test('bundleScript, not bundleable', async (t) => {
+    const scripts = {
+        'return.mds': 'return 1',
+        'return2.mds': 'while (true)\n    return 1\nendwhile',
+        'include.mds': "function test(a)\n    include 'return.mds'\nendfunction",
+        'import.mds': "if (true)\n    import 'a.mds' as a\nendif"
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const errorTests = [
+        ["include 'return.mds'", 'Include of "return.mds" with top-level return statement'],
+        ["include 'return2.mds'", 'Include of "return2.mds" with top-level return statement'],
+        ["include 'include.mds'", 'Include of "return.mds" not at script top level'],
+        ["include 'import.mds'", 'Import of "a.mds" not at script top level'],
+        ["if (true)\n    include 'return.mds'\nendif", 'Include of "return.mds" not at script top level']
+    ];
+    for (const [scriptText, errorMessage] of errorTests) {
+        // eslint-disable-next-line no-await-in-loop
+        const error = await t.throwsAsync(bundleScript(parseScript(scriptText), {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+        t.is(error.message, errorMessage);
+    }
+
+    // The bundled script's non-top-level imports and returns are OK
+    const script = parseScript("if (true)\n    import 'a.mds' as a\n    return 1\nendif");
+    t.deepEqual(await bundleScript(script, {fetchFn}), script);
+});
+
+
+test('bundleScript, fetch URLs', async (t) => {
+    const scripts = {
+        'a.mds': "data = fetch('data.json')\ninclude 'lib/b.mds'",
+        'lib/b.mds': `\
+libData = fetch('https://example.com/data.json', null, true)
+async function getData(key)
+    if (key)
+        return objectGet(fetch('/data/values.json'), key + 'Value')
+    endif
+    return [fetch('data:text/plain,test', null, true), {'a': () => -(fetchCount[0])}]
+endfunction
+function noop()
+    jumpif (true) done
+    jump done
+    done:
+    return
+endfunction
+`,
+        'lib/relative.mds': "value = fetch('data.json')",
+        'lib/relative2.mds': "function test()\n    return fetch('../data.json', null, true)\nendfunction",
+        'lib/nonLiteral.mds': 'url = "data.json"\nvalue = fetch(url)',
+        'lib/noArgs.mds': 'while (fetch())\nendwhile',
+        'lib/indirect.mds': 'fn = fetch\nvalue = fn("data.json")',
+        'lib/indirect2.mds': 'for value in arrayMap(["data.json",], fetch)\nendfor',
+        'lib/indirect3.mds': 'if (false)\nelif (fetch)\nendif'
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const includeCache = new Map([
+        ['lib/noArgsModel.mds', {'statements': [{'expr': {'function': {'name': 'noop'}}}, {'expr': {'function': {'name': 'fetch'}}}]}]
+    ]);
+
+    // Same-directory relative and relocated absolute fetch URLs are OK
+    const script = parseScript("include 'a.mds'");
+    const bundle = await bundleScript(script, {fetchFn});
+    t.is(bundle.statements.length, 4);
+
+    // Relocated relative and non-literal fetch URLs
+    const errorTests = [
+        ["include 'lib/relative.mds'", 'Include of "lib/relative.mds" with relative fetch URL "data.json"'],
+        ["include 'lib/relative2.mds'", 'Include of "lib/relative2.mds" with relative fetch URL "../data.json"'],
+        ["include 'lib/nonLiteral.mds'", 'Include of "lib/nonLiteral.mds" with non-literal fetch URL'],
+        ["include 'lib/noArgs.mds'", 'Include of "lib/noArgs.mds" with non-literal fetch URL'],
+        ["include 'lib/noArgsModel.mds'", 'Include of "lib/noArgsModel.mds" with non-literal fetch URL'],
+        ["include 'lib/indirect.mds'", 'Include of "lib/indirect.mds" with non-literal fetch URL'],
+        ["include 'lib/indirect2.mds'", 'Include of "lib/indirect2.mds" with non-literal fetch URL'],
+        ["include 'lib/indirect3.mds'", 'Include of "lib/indirect3.mds" with non-literal fetch URL']
+    ];
+    for (const [scriptText, errorMessage] of errorTests) {
+        // eslint-disable-next-line no-await-in-loop
+        const error = await t.throwsAsync(
+            bundleScript(parseScript(scriptText), {fetchFn, includeCache}),
+            {'instanceOf': CalcScriptRuntimeError}
+        );
+        t.is(error.message, errorMessage);
+    }
+});
+
+
+test('bundleScript, include cycle', async (t) => {
+    const scripts = {
+        'a.mds': "include 'lib/b.mds'",
+        'lib/b.mds': "include '../a.mds'"
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const error = await t.throwsAsync(bundleScript(parseScript("include 'a.mds'"), {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Include cycle: a.mds -> lib/b.mds -> a.mds');
+});
+
+
+test('bundleScript, parser error', async (t) => {
+    const scripts = {
+        'a.mds': "include 'lib/b.mds'",
+        'lib/b.mds': 'foo bar'
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const error = await t.throwsAsync(bundleScript(parseScript("include 'a.mds'"), {fetchFn}), {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Included from "a.mds" -> "lib/b.mds"
+Syntax error, line number 1:
+foo bar
+   ^
+`);
+});
+
+
+test('bundleScript, fetch error', async (t) => {
+    const fetchFn = () => ({'ok': false, 'statusText': 'Not Found'});
+    let error = await t.throwsAsync(bundleScript(parseScript("include 'a.mds'"), {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Include of "a.mds" failed with error: Not Found');
+
+    // URL not permitted
+    error = await t.throwsAsync(
+        bundleScript(parseScript("include 'http://foo.local/a.mds'"), {fetchFn, 'urlPolicy': {}}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Include of "http://foo.local/a.mds" failed with error: URL "http://foo.local/a.mds" not permitted');
+});
+
+
+test('bundleScript, no includes', async (t) => {
+    const script = parseScript('a = 1\nreturn a');
+    t.deepEqual(await bundleScript(script), script);
+});
+
+
+//
+// calcScriptBundle
+//
+
+
+// Helper function to run the calcScriptBundle command
+function runCalcScriptBundle(args) {
+    const commandPath = new URL('../bin/calcScriptBundle.js', import.meta.url).pathname;
+    return new Promise((resolve) => {
+        execFile(process.execPath, [commandPath, ...args], (error, stdout, stderr) => {
+            resolve({'code': error !== null ? error.code : 0, stdout, stderr});
+        });
+    });
+}
+
+
+// Helper function to create a temporary directory of script files and run a test function with its path
+async function withScriptFiles(scripts, testFn) {
+    const tempPath = await mkdtemp(join(tmpdir(), 'calcScriptBundle-'));
+    try {
+        for (const [scriptPath, scriptText] of Object.entries(scripts)) {
+            // eslint-disable-next-line no-await-in-loop
+            await mkdir(join(tempPath, scriptPath, '..'), {'recursive': true});
+            // eslint-disable-next-line no-await-in-loop
+            await writeFile(join(tempPath, scriptPath), scriptText);
+        }
+        await testFn(tempPath);
+    } finally {
+        await rm(tempPath, {'recursive': true});
+    }
+}
+
+
+const calcScriptBundleScripts = {
+    'app.mds': "include 'lib/util.mds'\nreturn helper(2)\n",
+    'lib/util.mds': 'function helper(value)\n    return value * 10\nendfunction\n'
+};
+
+
+test('calcScriptBundle', async (t) => {
+    await withScriptFiles(calcScriptBundleScripts, async (tempPath) => {
+        const scriptPath = join(tempPath, 'app.mds');
+        const {code, stdout, stderr} = await runCalcScriptBundle([scriptPath]);
+        t.is(code, 0);
+        t.is(stderr, '');
+        const bundle = JSON.parse(stdout);
+        t.deepEqual(bundle, {
+            'statements': [
+                ...parseScript(calcScriptBundleScripts['lib/util.mds'], 1, {'locations': true, 'url': 'lib/util.mds'}).statements,
+                ...parseScript(calcScriptBundleScripts['app.mds'], 1, {'locations': true, 'url': scriptPath}).statements.slice(1)
+            ]
+        });
+        t.is(await executeScriptAsync(validateScript(bundle)), 20);
+    });
+});
+
+
+test('calcScriptBundle, output file', async (t) => {
+    await withScriptFiles(calcScriptBundleScripts, async (tempPath) => {
+        const outputPath = join(tempPath, 'app.json');
+        const {code, stdout, stderr} = await runCalcScriptBundle([join(tempPath, 'app.mds'), outputPath]);
+        t.is(code, 0);
+        t.is(stdout, '');
+        t.is(stderr, '');
+        t.is(await executeScriptAsync(validateScript(JSON.parse(await readFile(outputPath, 'utf-8')))), 20);
+    });
+});
+
+
+test('calcScriptBundle, usage', async (t) => {
+    for (const args of [[], ['app.mds', 'app.json', 'other.json']]) {
+        // eslint-disable-next-line no-await-in-loop
+        const {code, stdout, stderr} = await runCalcScriptBundle(args);
+        t.is(code, 1);
+        t.is(stdout, '');
+        t.is(stderr, 'usage: calcScriptBundle <script> [<output>]\n');
+    }
+});
+
+
+test('calcScriptBundle, error', async (t) => {
+    await withScriptFiles({'app.mds': "include 'lib/b.mds'\n", 'lib/b.mds': "value = fetch('data.json')\n"}, async (tempPath) => {
+        const {code, stdout, stderr} = await runCalcScriptBundle([join(tempPath, 'app.mds')]);
+        t.is(code, 1);
+        t.is(stdout, '');
+        t.is(stderr, 'Include of "lib/b.mds" with relative fetch URL "data.json"\n');
+    });
+});
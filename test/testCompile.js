@@ -0,0 +1,618 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {CalcScriptCancellationError, CalcScriptRuntimeError, evaluateExpression, executeScript} from '../lib/runtime.js';
+import {compileExpression, compileScript} from '../lib/compile.js';
+import {parseExpression, parseScript} from '../lib/parser.js';
+import {CalcScriptValidationError} from '../lib/model.js';
+import test from 'ava';
+
+
+/* eslint-disable id-length */
+
+
+// Helper function to execute a script with both the interpreter and the compiled script and return the compiled result
+function executeBoth(t, script, getGlobals = () => ({}), getOptions = () => ({})) {
+    const interpretedOptions = getOptions();
+    const compiledOptions = getOptions();
+    const interpretedResult = executeScript(script, getGlobals(), interpretedOptions);
+    const compiledResult = compileScript(script)(getGlobals(), compiledOptions);
+    t.deepEqual(compiledResult, interpretedResult);
+    t.deepEqual(compiledOptions.limits, interpretedOptions.limits);
+    return compiledResult;
+}
+
+
+// Helper function to execute a script with both the interpreter and the compiled script and return the compiled error
+function executeBothError(t, script, getGlobals = () => ({}), getOptions = () => ({})) {
+    const interpretedError = t.throws(() => executeScript(script, getGlobals(), getOptions()));
+    const compiledError = t.throws(() => compileScript(script)(getGlobals(), getOptions()));
+    t.is(compiledError.constructor, interpretedError.constructor);
+    t.is(compiledError.message, interpretedError.message);
+    return compiledError;
+}
+
+
+test('compileScript', (t) => {
+    const script = parseScript(`\
+function sumValues(values)
+    total = 0
+    for value, ix in values
+        if (ix == 0)
+            continue
+        elif (value < 0)
+            break
+        endif
+        total = total + value
+    endfor
+    return total
+endfunction
+
+function fibonacci(n)
+    if (n <= 1)
+        return n
+    endif
+    return fibonacci(n - 1) + fibonacci(n - 2)
+endfunction
+
+function counter()
+    count = 0
+    function increment(amount)
+        count = count + amount
+        return count
+    endfunction
+    increment(1)
+    return increment(2)
+endfunction
+
+ix = 0
+while (true)
+    ix = ix + 1
+    jumpif (ix < 10) loop
+    break
+loop:
+endwhile
+
+obj = {'a': [1, 2, {'b': 3}], 'c': null}
+obj.a[2].b = 4
+obj['d'] = -obj.a[0] ** 2 * 3 / 2 % 5 - 1
+arr = [1, 2, 3]
+arr[1] = arr[1] + 10
+
+try
+    throw 'error!'
+catch err
+    message = err.message
+finally
+    finallyRan = true
+endtry
+
+try
+    unknownFunction()
+catch
+endtry
+
+try
+    x = 1
+finally
+endtry
+
+function finallyReturn()
+    try
+        throw 'error'
+    finally
+        return 'finally'
+    endtry
+endfunction
+
+scale = (x, y) => x * y * factor
+factor = 2
+none = null
+setGlobal('fromSetGlobal', getGlobal('factor') + 1)
+
+return [ \\
+    sumValues([1, 2, 3, -1, 5]), fibonacci(10), counter(), ix, obj, arr, message, finallyRan, x, finallyReturn(), \\
+    scale(3, 4), none?.a, none?.[0], obj?.c, !false, true && 1, false || 'or', 1 != 2, 1 == 1, 1 < 2, 1 <= 1, 2 > 1, \\
+    2 >= 3, if(true, 'yes', 'no'), if(false, 'yes'), if(), fromSetGlobal, stringLength('abc'), mathMax(1, 5, 3) \\
+]
+`);
+    t.deepEqual(executeBoth(t, script), [
+        5, 55, 2, 10, {'a': [1, 2, {'b': 4}], 'c': null, 'd': 0.5}, [1, 12, 3], 'error!', true, 1, 'finally',
+        24, null, null, null, true, 1, 'or', true, true, true, true, true,
+        false, 'yes', null, null, 3, 3, 5
+    ]);
+});
+
+
+test('compileScript, function scope statements', (t) => {
+    const script = parseScript(`\
+function test(value)
+    try
+        throw 'error'
+    catch err
+    endtry
+    ix = 0
+    while (true)
+        ix = ix + 1
+        if (ix < value)
+            continue
+        elif (ix == 100)
+            break
+        else
+            return [err.message, ix, getGlobal('unknown'),]
+        endif
+    endwhile
+endfunction
+return test(3)
+`);
+    t.deepEqual(executeBoth(t, script), ['error', 3, null]);
+});
+
+
+test('compileScript, if function without arguments', (t) => {
+    const script = {'statements': [{'return': {'expr': {'function': {'name': 'if'}}}}]};
+    t.is(executeBoth(t, script), null);
+});
+
+
+test('compileScript, empty', (t) => {
+    t.is(executeBoth(t, {'statements': []}), null);
+});
+
+
+test('compileScript, jump to label', (t) => {
+    const script = parseScript(`\
+a = 0
+top:
+a = a + 1
+jumpif (a < 5) top
+jump done
+a = 100
+done:
+return a
+`);
+    t.is(executeBoth(t, script), 5);
+});
+
+
+test('compileScript, jump to outer label', (t) => {
+    const script = parseScript(`\
+function test()
+    values = []
+    for value in [1, 2, 3]
+        if (value == 2)
+            jump done
+        endif
+        arrayPush(values, value)
+    endfor
+done:
+    return values
+endfunction
+return test()
+`);
+    t.deepEqual(executeBoth(t, script), [1]);
+});
+
+
+test('compileScript, globals and host functions', (t) => {
+    const script = parseScript(`\
+return hostFunction(hostValue, arrayLength)
+`);
+    const getGlobals = () => ({
+        'hostValue': 5,
+        'hostFunction': ([value, lengthFn]) => value + lengthFn([[1, 2]]),
+        'arrayLength': () => 'overridden'
+    });
+    t.is(executeBoth(t, script, getGlobals), '5overridden');
+});
+
+
+test('compileScript, function without arguments', (t) => {
+    const script = {
+        'statements': [
+            {'function': {'name': 'test', 'statements': [{'return': {}}]}},
+            {'return': {'expr': {'function': {'name': 'test'}}}}
+        ]
+    };
+    t.is(executeBoth(t, script), null);
+});
+
+
+test('compileScript, logFn', (t) => {
+    const script = parseScript(`\
+return stringLength(null) + failingFunction(1)
+`);
+    const getGlobals = () => ({
+        'failingFunction': () => {
+            throw new Error('Boom');
+        }
+    });
+    const logs = [];
+    const getOptions = () => ({'logFn': (message) => logs.push(message)});
+    t.is(executeBoth(t, script, getGlobals, getOptions), 0);
+    t.is(logs.length, 4);
+    t.deepEqual(logs.slice(2, 3), ['Error: Function "failingFunction" failed with error: Boom']);
+    t.true(logs[3].startsWith('Script executed in '));
+});
+
+
+test('compileScript, maxStatements', (t) => {
+    const script = parseScript(`\
+while (true)
+endwhile
+`);
+    const error = executeBothError(t, script, () => ({}), () => ({'maxStatements': 100}));
+    t.is(error.message, 'Exceeded maximum script statements (100)');
+});
+
+
+test('compileScript, maxStatements for', (t) => {
+    const script = parseScript(`\
+for value in arrayNewSize(1000)
+endfor
+`);
+    const error = executeBothError(t, script, () => ({}), () => ({'maxStatements': 100}));
+    t.is(error.message, 'Exceeded maximum script statements (100)');
+});
+
+
+test('compileScript, maxStatements unlimited', (t) => {
+    const script = parseScript(`\
+ix = 0
+while (ix < 100)
+    ix = ix + 1
+endwhile
+for value in arrayNewSize(100)
+    ix = ix + 1
+endfor
+return ix
+`);
+    t.is(executeBoth(t, script, () => ({}), () => ({'maxStatements': 0})), 200);
+});
+
+
+test('compileScript, signal', (t) => {
+    const script = parseScript(`\
+function test(value)
+    abortFn()
+    return value
+endfunction
+return mapFn([1, 2, 3], (value) => test(value))
+`);
+    const controller = new AbortController();
+    const getGlobals = () => ({
+        'abortFn': () => controller.abort(),
+        'mapFn': ([values, fn], options) => values.map((value) => fn([value], options))
+    });
+    const error = t.throws(() => {
+        compileScript(script)(getGlobals(), {'signal': controller.signal});
+    }, {'instanceOf': CalcScriptCancellationError});
+    t.is(error.message, 'Script execution cancelled');
+});
+
+
+test('compileScript, timeoutMs', (t) => {
+    const script = parseScript(`\
+while (true)
+endwhile
+`);
+    const error = executeBothError(t, script, () => ({}), () => ({'timeoutMs': 10, 'maxStatements': 0}));
+    t.true(error instanceof CalcScriptCancellationError);
+    t.is(error.message, 'Script execution timed out (10 milliseconds)');
+});
+
+
+test('compileScript, signal try finally completion', (t) => {
+    const script = parseScript(`\
+function finallyReturn()
+    try
+        cancelFn()
+    finally
+        return 'finally'
+    endtry
+endfunction
+while (true)
+    try
+        finallyReturn()
+    finally
+        break
+    endtry
+endwhile
+return 'done'
+`);
+    const getGlobals = () => ({
+        'cancelFn': () => {
+            throw new CalcScriptCancellationError('Script execution cancelled');
+        }
+    });
+    const error = executeBothError(t, script, getGlobals);
+    t.true(error instanceof CalcScriptCancellationError);
+    t.is(error.message, 'Script execution cancelled');
+});
+
+
+test('compileScript, resource limits', (t) => {
+    const script = parseScript(`\
+value = 'ab' + 'cd'
+obj = {}
+obj.a = value
+values = [1, 2]
+values[2] = obj
+return value + '!'
+`);
+    const getOptions = () => ({'maxStringLength': 4, 'maxObjectKeys': 1, 'maxArrayLength': 3});
+    let error = executeBothError(t, script, () => ({}), getOptions);
+    t.is(error.message, 'Exceeded maximum string length (4)');
+    t.deepEqual(executeBoth(t, script, () => ({}), () => ({'maxStringLength': 5})), 'abcd!');
+    error = executeBothError(t, script, () => ({}), () => ({'maxObjectKeys': 0, 'maxArrayLength': 2}));
+    t.is(error.message, 'Exceeded maximum array length (2)');
+});
+
+
+test('compileScript, runtime error call stack', (t) => {
+    const script = parseScript(`\
+function inner(value)
+    return value.key
+endfunction
+function outer()
+    for value in [1, null]
+        inner(value)
+    endfor
+endfunction
+outer()
+`, 1, {'locations': true, 'url': 'test.mds'});
+    const error = executeBothError(t, script);
+    t.true(error instanceof CalcScriptRuntimeError);
+    t.is(error.message, `\
+Index "key" of null value
+    at function "inner", line number 2 of "test.mds"
+    at function "outer", line number 6 of "test.mds"
+    at line number 9 of "test.mds"`);
+});
+
+
+test('compileScript, runtime error caught', (t) => {
+    const script = parseScript(`\
+function test()
+    throw 'error'
+endfunction
+try
+    test()
+catch err
+    return err
+endtry
+`, 1, {'locations': true});
+    t.deepEqual(executeBoth(t, script), {'message': 'error', 'lineNumber': 2, 'url': null});
+});
+
+
+test('compileScript, host function runtime error', (t) => {
+    const script = parseScript(`\
+try
+    test()
+catch
+finally
+    finallyRan = true
+endtry
+`);
+    let finallyRan = null;
+    const getGlobals = () => ({
+        'test': () => {
+            const error = new CalcScriptRuntimeError('Inner');
+            error.setCallStack([{'name': null, 'lineNumber': null, 'url': null}]);
+            throw error;
+        },
+        set 'finallyRan'(value) {
+            finallyRan = value;
+        }
+    });
+    t.is(executeBoth(t, script, getGlobals), null);
+    t.true(finallyRan);
+});
+
+
+test('compileScript, catch error', (t) => {
+    const script = parseScript(`\
+try
+    throw 'first'
+catch
+    throw 'second'
+endtry
+`);
+    const error = executeBothError(t, script);
+    t.is(error.message, 'second');
+});
+
+
+test('compileScript, try error without catch', (t) => {
+    const script = parseScript(`\
+try
+    throw 'error'
+finally
+endtry
+`);
+    const error = executeBothError(t, script);
+    t.is(error.message, 'error');
+});
+
+
+test('compileScript, unknown label', (t) => {
+    const error = executeBothError(t, parseScript('jump unknown'));
+    t.is(error.message, 'Unknown jump label "unknown"');
+});
+
+
+test('compileScript, break outside loop', (t) => {
+    const error = executeBothError(t, {'statements': [{'break': {}}]});
+    t.is(error.message, 'Break statement outside of loop');
+});
+
+
+test('compileScript, include', (t) => {
+    const error = executeBothError(t, parseScript("include 'test.mds'"));
+    t.is(error.message, 'Include of "test.mds" within non-async scope');
+});
+
+
+test('compileScript, import', (t) => {
+    let error = executeBothError(t, parseScript("import 'test.mds' as test"));
+    t.is(error.message, 'Import of "test.mds" within non-async scope');
+    error = executeBothError(t, parseScript("import 'test.mds' as test"), () => ({}), () => ({'capabilities': []}));
+    t.is(error.message, 'Import of "test.mds" not permitted');
+});
+
+
+test('compileScript, module function', (t) => {
+    const script = parseScript(`\
+function test(lib2)
+    return lib2.sum(3, 4)
+endfunction
+return arrayNew(lib.sum(1, 2), test(lib))
+`);
+    const getGlobals = () => ({'lib': {'sum': ([a, b]) => a + b}});
+    t.deepEqual(executeBoth(t, script, getGlobals), [3, 7]);
+    const error = executeBothError(t, parseScript('lib.unknown()'), getGlobals);
+    t.is(error.message, 'Undefined function "lib.unknown"');
+});
+
+
+test('compileScript, async function', (t) => {
+    // eslint-disable-next-line require-await
+    const getGlobals = () => ({'asyncFunction': async () => null});
+    const error = executeBothError(t, parseScript('asyncFunction()'), getGlobals);
+    t.is(error.message, 'Async function "asyncFunction" called within non-async scope');
+});
+
+
+test('compileScript, undefined function', (t) => {
+    const error = executeBothError(t, parseScript('stringLength(unknownFunction())'));
+    t.is(error.message, 'Undefined function "unknownFunction"');
+});
+
+
+test('compileScript, validate', (t) => {
+    const script = {'statements': [{'jump': {'label': 'unknown'}}]};
+    const error = t.throws(() => {
+        compileScript(script)({}, {'validate': true});
+    }, {'instanceOf': CalcScriptValidationError});
+    t.is(error.message, 'Unknown jump label "unknown"');
+});
+
+
+test('compileScript, reuse', (t) => {
+    const scriptFn = compileScript(parseScript('return value * 2'));
+    t.is(scriptFn({'value': 2}), 4);
+    t.is(scriptFn({'value': 3}), 6);
+    t.is(scriptFn(), 0);
+});
+
+
+test('compileScript, prototype-safe variables', (t) => {
+    const script = parseScript(`\
+__proto__ = {'a': 1}
+constructor = 2
+obj = {__proto__: 3}
+obj.__proto__ = 4
+obj2 = {}
+obj2['constructor'] = 5
+function test(__proto__, toString)
+    valueOf = 6
+    return [__proto__, toString, valueOf, hasOwnProperty,]
+endfunction
+setGlobal('isPrototypeOf', 7)
+for __proto__ in arrayNew(8)
+endfor
+return [ \
+    __proto__, constructor, obj.__proto__, objectKeys(obj), obj2.constructor, obj2.toString, test(9), \
+    getGlobal('isPrototypeOf'), getGlobal('toLocaleString'), toString, arrayNew(1, 2).push, \
+]
+`);
+    t.deepEqual(executeBoth(t, script), [8, 2, 4, ['__proto__'], 5, null, [9, null, 6, null], 7, null, null, null]);
+    const error = executeBothError(t, parseScript('toString()'));
+    t.is(error.message, 'Undefined function "toString"');
+    t.is({}.a, undefined);
+});
+
+
+test('compileScript, capabilities', (t) => {
+    const script = parseScript(`\
+values = arrayNew(1, 2, 3)
+return [mathMax(values[0], values[2]), stringLength('abc'), datetimeNow, fetch]
+`);
+    const getOptions = () => ({'capabilities': ['Array', 'Math', 'stringLength']});
+    t.deepEqual(executeBoth(t, script, () => ({}), getOptions), [3, 3, null, null]);
+    let error = executeBothError(t, parseScript('datetimeNow()'), () => ({}), getOptions);
+    t.is(error.message, 'Function "datetimeNow" not permitted');
+    error = executeBothError(t, parseScript('include "test.mds"'), () => ({}), getOptions);
+    t.is(error.message, 'Include of "test.mds" not permitted');
+});
+
+
+test('compileExpression', (t) => {
+    const expr = parseExpression('fn(a, b) + c + max(1, 2)');
+    const globals = {'a': 1, 'b': 2, 'fn': ([a, b]) => a * b};
+    const locals = {'c': 3};
+    const exprFn = compileExpression(expr);
+    t.is(exprFn(globals, locals), evaluateExpression(expr, globals, locals));
+    t.is(exprFn(globals, locals), 7);
+    t.is(compileExpression(parseExpression('(1 + 2) * 3'))(), 9);
+});
+
+
+test('compileExpression, builtins', (t) => {
+    const expr = parseExpression('max(1, 2)');
+    t.is(compileExpression(expr)(), 2);
+    const error = t.throws(() => {
+        compileExpression(expr, false)();
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Undefined function "max"');
+});
+
+
+test('compileExpression, local shadows global', (t) => {
+    const exprFn = compileExpression(parseExpression('value + local'));
+    t.is(exprFn({'value': 1, 'local': 10}, {'value': 2}), 12);
+    t.is(exprFn({'value': 1}, {'local': null}), 1);
+});
+
+
+test('compileExpression, prototype-safe variables', (t) => {
+    const exprFn = compileExpression(parseExpression('[toString, constructor, value, obj.constructor, valueOf(),]'));
+    const error = t.throws(() => {
+        exprFn({'obj': {}});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Undefined function "valueOf"');
+    const globals = {'obj': {}, 'constructor': 2, 'valueOf': () => 4};
+    t.deepEqual(exprFn(globals, {'toString': 3, 'value': 1}), [3, 2, 1, null, 4]);
+});
+
+
+test('compileExpression, lambda', (t) => {
+    const exprFn = compileExpression(parseExpression('mapFn((x) => x * factor)'));
+    const globals = {'factor': 3, 'mapFn': ([fn], options) => fn([2], options)};
+    t.is(exprFn(globals), 6);
+    t.is(exprFn(globals, {'factor': 4}), 8);
+});
+
+
+test('compileExpression, function error logFn', (t) => {
+    const exprFn = compileExpression(parseExpression('fn()'));
+    const globals = {
+        'fn': () => {
+            throw new Error('Boom');
+        }
+    };
+    const logs = [];
+    t.is(exprFn(globals, null, {'logFn': (message) => logs.push(message)}), null);
+    t.is(exprFn(globals), null);
+    t.deepEqual(logs, ['Error: Function "fn" failed with error: Boom']);
+});
+
+
+test('compileExpression, non-function value', (t) => {
+    const exprFn = compileExpression(parseExpression('fn()'));
+    const logs = [];
+    t.is(exprFn({'fn': 'abc'}, null, {'logFn': (message) => logs.push(message)}), null);
+    t.is(logs.length, 1);
+    t.true(logs[0].startsWith('Error: Function "fn" failed with error: '));
+});
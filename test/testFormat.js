@@ -0,0 +1,495 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {formatExpression, formatScript, formatScriptCST} from '../lib/format.js';
+import {parseExpression, parseScript, parseScriptCST} from '../lib/parser.js';
+import test from 'ava';
+
+
+/* eslint-disable id-length */
+
+
+test('formatScript', (t) => {
+    const scriptText = `\
+# Include the library
+include 'lib\\\\x\\'s.mds'
+
+async function main(a, b)
+    x = a + b*c - (d - e) ** 2 / -f
+    y.z[0] = fn(1, [2], [3, 4], [], {}, {a: 1, "b c": [x], 'd': [y,]})
+    if (a == 1 && !(b || c))
+        return
+    elif (a)
+        return a?.b?.[c].d
+    elif (b)
+    else
+        jumpif (x > 1) lbl
+    endif
+    lbl:
+    jump lbl
+    while (true)
+        break
+    endwhile
+    for v, i in arrayNew(1, 2)
+        continue
+    endfor
+    for v in [my var\\]]
+        throw 'error: ' + (1).x + 1 .y
+    endfor
+    try
+        (a == 1)
+    catch err
+        return mapFn((x, y) => x + y, () => 1) + 1
+    finally
+        return ((x) => x) + 1 + -(x) => x * 2
+    endtry
+    try
+    catch
+    finally
+    endtry
+    return "it's" + 'a\\\\' + 1.5e-7
+endfunction
+
+function empty()
+endfunction
+
+main()
+`;
+    const script = parseScript(scriptText);
+    const formattedText = formatScript(script);
+    t.is(formattedText, `\
+include 'lib\\\\x\\'s.mds'
+async function main(a, b)
+    x = a + b * c - (d - e) ** 2 / -f
+    y.z[0] = fn(1, [2], [3, 4], [], {}, {a: 1, 'b c': x, d: [y,]})
+    if (a == 1 && !(b || c))
+        return
+    elif (a)
+        return a?.b?.[c].d
+    elif (b)
+    else
+        jumpif (x > 1) lbl
+    endif
+    lbl:
+    jump lbl
+    while (true)
+        break
+    endwhile
+    for v, i in arrayNew(1, 2)
+        continue
+    endfor
+    for v in [my var\\]]
+        throw 'error: ' + (1).x + 1['y']
+    endfor
+    try
+        (a == 1)
+    catch err
+        return mapFn((x, y) => x + y, () => 1) + 1
+    finally
+        return ((x) => x) + 1 + -(x) => x * 2
+    endtry
+    try
+    catch
+    finally
+    endtry
+    return 'it\\'s' + 'a\\\\' + 1.5e-7
+endfunction
+function empty()
+endfunction
+main()
+`);
+    t.deepEqual(parseScript(formattedText), script);
+});
+
+
+test('formatScript, empty', (t) => {
+    t.is(formatScript({'statements': []}), '');
+});
+
+
+test('formatScript, line continuation', (t) => {
+    const scriptText = `\
+function test(values)
+    result = arrayNew(valueOne + valueTwo * valueThree, 'a string with spaces', objectNew('key', [1, 2, 3]))
+    if (result == 'long' && arrayLength(values) > 100 || mathMax(valueOne, valueTwo) < 0)
+        return
+    endif
+endfunction
+`;
+    const script = parseScript(scriptText);
+    const formattedText = formatScript(script, {'maxLineLength': 40});
+    t.is(formattedText, `\
+function test(values)
+    result = arrayNew(valueOne + \\
+        valueTwo * valueThree, \\
+        'a string with spaces', \\
+        objectNew('key', [1, 2, 3]))
+    if (result == 'long' && \\
+        arrayLength(values) > 100 || \\
+        mathMax(valueOne, valueTwo) < 0)
+        return
+    endif
+endfunction
+`);
+    t.deepEqual(parseScript(formattedText), script);
+    t.deepEqual(parseScript(formatScript(script)), script);
+});
+
+
+test('formatScript, source locations', (t) => {
+    const script = parseScript('a = b + 1\n', 1, {'locations': true});
+    const formattedText = formatScript(script);
+    t.is(formattedText, 'a = b + 1\n');
+    t.deepEqual(parseScript(formattedText), parseScript('a = b + 1\n'));
+});
+
+
+test('formatScript, expression statement assignment ambiguity', (t) => {
+    const script = {
+        'statements': [
+            {'expr': {'binary': {'op': '==', 'left': {'variable': 'a'}, 'right': {'number': 1}}}},
+            {'expr': {'binary': {'op': '==', 'left': {'number': 1}, 'right': {'variable': 'a'}}}}
+        ]
+    };
+    t.is(formatScript(script), `\
+(a == 1)
+1 == a
+`);
+});
+
+
+test('formatScript, expression statement keyword ambiguity', (t) => {
+    const keywordExprs = [
+        ...['async', 'break', 'catch', 'continue', 'else', 'endfor', 'endfunction', 'endif', 'endtry', 'endwhile', 'export',
+            'finally', 'for', 'function', 'import', 'include', 'jump', 'return', 'throw', 'try'].map((name) => ({'variable': name})),
+        ...['if', 'elif', 'while', 'jumpif'].map((name) => ({'function': {'name': name, 'args': [{'variable': 'a'}]}}))
+    ];
+    for (const expr of keywordExprs) {
+        const scriptText = formatScript({'statements': [{'expr': expr}]});
+        t.is(scriptText, `(${formatExpression(expr)})\n`);
+        t.deepEqual(parseScript(scriptText), {'statements': [{'expr': {'group': expr}}]});
+        t.is(formatScript(parseScript(scriptText)), scriptText);
+    }
+
+    // Keyword-prefixed names are not grouped
+    const script = {
+        'statements': [
+            {'expr': {'variable': 'endifValue'}},
+            {'expr': {'function': {'name': 'returnValue', 'args': []}}},
+            {'expr': {'function': {'name': 'if_', 'args': [{'variable': 'a'}]}}},
+            {'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'variable': 'endif'}}}}
+        ]
+    };
+    const scriptText = formatScript(script);
+    t.is(scriptText, `\
+endifValue
+returnValue()
+if_(a)
+a + endif
+`);
+    t.deepEqual(parseScript(scriptText), script);
+});
+
+
+test('formatScript, name errors', (t) => {
+    const errorTests = [
+        {'assign': {'name': 'a b', 'expr': {'number': 1}}},
+        {'function': {'name': '1a', 'statements': []}},
+        {'function': {'name': 'test', 'args': ['a', ''], 'statements': []}},
+        {'label': 'a-b'},
+        {'jump': {'label': 'a b'}},
+        {'jump': {'label': 'a b', 'expr': {'variable': 'a'}}},
+        {'import': {'url': 'a.mds', 'name': 'a.b'}},
+        {'for': {'value': 'a b', 'expr': {'variable': 'a'}, 'statements': []}},
+        {'for': {'value': 'a', 'index': 'a b', 'expr': {'variable': 'a'}, 'statements': []}},
+        {'try': {'statements': [], 'catch': {'name': 'a b', 'statements': []}}},
+        {'expr': {'lambda': {'args': ['a b'], 'expr': {'number': 1}}}}
+    ];
+    for (const statement of errorTests) {
+        const error = t.throws(() => {
+            formatScript({'statements': [statement]});
+        }, {'instanceOf': Error});
+        t.regex(error.message, /^Name ".*" cannot be formatted$/);
+    }
+});
+
+
+test('formatScript, models without optional members', (t) => {
+    const script = {
+        'statements': [
+            {'function': {'name': 'test', 'statements': []}},
+            {'assign': {'name': 'a', 'expr': {'function': {'name': 'test'}}}}
+        ]
+    };
+    t.is(formatScript(script), `\
+function test()
+endfunction
+a = test()
+`);
+});
+
+
+test('formatScript, import and export', (t) => {
+    const scriptText = `\
+import "lib's.mds" as lib
+export a = lib.test(1)
+export async function test(b)
+    return lib.test(b)
+endfunction
+`;
+    const script = parseScript(scriptText);
+    const formattedText = formatScript(script);
+    t.is(formattedText, `\
+import 'lib\\'s.mds' as lib
+export a = lib.test(1)
+export async function test(b)
+    return lib.test(b)
+endfunction
+`);
+    t.deepEqual(parseScript(formattedText), script);
+});
+
+
+test('formatScriptCST', (t) => {
+    const scriptText = `\
+# Comment\r
+function test(a)
+    if (a == 'x' \\
+        || a == 1.50)  \\  
+
+        return "X"
+    elif (a)
+
+    else
+        b = 1e+3
+    endif
+endfunction
+
+test(0x)  \\`;
+    const cst = parseScriptCST(scriptText);
+    t.is(formatScriptCST(cst), scriptText);
+});
+
+
+test('formatExpression', (t) => {
+    const expr = parseExpression('a + b * -c');
+    t.is(formatExpression(expr), 'a + b * -c');
+});
+
+
+test('formatExpression, binary operator precedence', (t) => {
+    const a = {'variable': 'a'};
+    const b = {'variable': 'b'};
+    const c = {'variable': 'c'};
+
+    // Lower-precedence left expression
+    let expr = {'binary': {'op': '*', 'left': {'binary': {'op': '+', 'left': a, 'right': b}}, 'right': c}};
+    t.is(formatExpression(expr), '(a + b) * c');
+
+    // Higher-precedence left expression
+    expr = {'binary': {'op': '+', 'left': {'binary': {'op': '*', 'left': a, 'right': b}}, 'right': c}};
+    t.is(formatExpression(expr), 'a * b + c');
+    t.deepEqual(parseExpression(formatExpression(expr)), expr);
+
+    // Equal-precedence left expression
+    expr = {'binary': {'op': '-', 'left': {'binary': {'op': '+', 'left': a, 'right': b}}, 'right': c}};
+    t.is(formatExpression(expr), 'a + b - c');
+    t.deepEqual(parseExpression(formatExpression(expr)), expr);
+
+    // Equal-precedence right expression
+    expr = {'binary': {'op': '-', 'left': a, 'right': {'binary': {'op': '+', 'left': b, 'right': c}}}};
+    t.is(formatExpression(expr), 'a - (b + c)');
+
+    // Higher-precedence right expression
+    expr = {'binary': {'op': '&&', 'left': a, 'right': {'binary': {'op': '==', 'left': b, 'right': c}}}};
+    t.is(formatExpression(expr), 'a && b == c');
+    t.deepEqual(parseExpression(formatExpression(expr)), expr);
+
+    // Lower-precedence right expression
+    expr = {'binary': {'op': '**', 'left': a, 'right': {'binary': {'op': '||', 'left': b, 'right': c}}}};
+    t.is(formatExpression(expr), 'a ** (b || c)');
+
+    // Unary of a binary expression
+    expr = {'unary': {'op': '!', 'expr': {'binary': {'op': '||', 'left': a, 'right': b}}}};
+    t.is(formatExpression(expr), '!(a || b)');
+});
+
+
+test('formatExpression, lambda grouping', (t) => {
+    const lambda = {'lambda': {'args': ['x'], 'expr': {'variable': 'x'}}};
+    const a = {'variable': 'a'};
+
+    // Right-most lambda
+    let expr = {'binary': {'op': '+', 'left': a, 'right': lambda}};
+    t.is(formatExpression(expr), 'a + (x) => x');
+    t.deepEqual(parseExpression(formatExpression(expr)), expr);
+
+    // Left lambda - the parsed model has the necessary group
+    expr = {'binary': {'op': '+', 'left': lambda, 'right': a}};
+    t.is(formatExpression(expr), '((x) => x) + a');
+    const groupExpr = {'binary': {'op': '+', 'left': {'group': lambda}, 'right': a}};
+    t.deepEqual(parseExpression(formatExpression(expr)), groupExpr);
+    t.is(formatExpression(groupExpr), '((x) => x) + a');
+    const scriptText = formatScript({'statements': [{'expr': expr}]});
+    t.is(scriptText, '((x) => x) + a\n');
+    t.deepEqual(parseScript(scriptText), {'statements': [{'expr': groupExpr}]});
+
+    // Non-right-most lambda
+    expr = {'binary': {'op': '*', 'left': {'binary': {'op': '+', 'left': a, 'right': lambda}}, 'right': a}};
+    t.is(formatExpression(expr), '(a + (x) => x) * a');
+    expr = {'binary': {'op': '+', 'left': {'binary': {'op': '*', 'left': a, 'right': lambda}}, 'right': a}};
+    t.is(formatExpression(expr), 'a * ((x) => x) + a');
+
+    // Index of a lambda
+    expr = {'index': {'expr': lambda, 'index': {'number': 0}}};
+    t.is(formatExpression(expr), '((x) => x)[0]');
+});
+
+
+test('formatExpression, index', (t) => {
+    const expr = {
+        'index': {
+            'expr': {
+                'index': {
+                    'expr': {'index': {'expr': {'unary': {'op': '-', 'expr': {'variable': 'a'}}}, 'index': {'string': 'b c'}}},
+                    'index': {'binary': {'op': '+', 'left': {'number': 1}, 'right': {'number': 2}}},
+                    'optional': true
+                }
+            },
+            'index': {'string': 'd'},
+            'optional': true
+        }
+    };
+    t.is(formatExpression(expr), "(-a)['b c']?.[1 + 2]?.d");
+    t.deepEqual(parseExpression(formatExpression(expr)), {
+        'index': {
+            'expr': {
+                'index': {
+                    'expr': {'index': {'expr': {'group': {'unary': {'op': '-', 'expr': {'variable': 'a'}}}}, 'index': {'string': 'b c'}}},
+                    'index': {'binary': {'op': '+', 'left': {'number': 1}, 'right': {'number': 2}}},
+                    'optional': true
+                }
+            },
+            'index': {'string': 'd'},
+            'optional': true
+        }
+    });
+});
+
+
+test('formatExpression, string and variable escapes', (t) => {
+    const expr = {
+        'binary': {
+            'op': '+',
+            'left': {'binary': {'op': '+', 'left': {'string': "a\\'b\\"}, 'right': {'variable': 'c\\]d\\'}}},
+            'right': {'object': {'keyValues': [{'key': "e'f", 'value': {'variable': 'g'}}]}}
+        }
+    };
+    t.is(formatExpression(expr), "'a\\\\\\'b\\\\' + [c\\\\\\]d\\\\] + {'e\\'f': g}");
+    t.deepEqual(parseExpression(formatExpression(expr)), expr);
+});
+
+
+test('formatExpression, array and bracketed variable', (t) => {
+    for (const expr of [
+        {'array': {'values': []}},
+        {'array': {'values': [{'variable': 'a'}]}},
+        {'array': {'values': [{'variable': 'a'}, {'variable': 'b'}]}},
+        {'array': {'values': [{'variable': 'a'}, {'number': 1}]}},
+        {'array': {'values': [{'number': 1}, {'string': 'a'}, {'variable': 'null'}, {'array': {'values': []}}]}},
+        {'variable': 'a, b'},
+        {'variable': 'my, var'},
+        {'variable': 'm,y var'}
+    ]) {
+        t.deepEqual(parseExpression(formatExpression(expr)), expr);
+    }
+    t.is(formatExpression({'array': {'values': [{'variable': 'a'}, {'variable': 'b'}]}}), '[a, b,]');
+    t.is(formatExpression({'array': {'values': [{'number': 1}, {'number': 2}]}}), '[1, 2]');
+    t.is(formatExpression({'variable': 'a, b'}), '[a, b]');
+});
+
+
+test('formatExpression, bracketed variable error', (t) => {
+    const error = t.throws(() => {
+        formatExpression({'variable': '1, 2'});
+    }, {'instanceOf': Error});
+    t.is(error.message, 'Variable name "1, 2" cannot be formatted');
+});
+
+
+test('formatExpression, numbers', (t) => {
+    for (const expr of [
+        {'number': 1.5e-7},
+        {'number': 1e21},
+        {'unary': {'op': '-', 'expr': {'number': 1}}},
+        {'unary': {'op': '-', 'expr': {'unary': {'op': '-', 'expr': {'number': 1}}}}},
+        {'binary': {'op': '-', 'left': {'number': 1}, 'right': {'unary': {'op': '-', 'expr': {'number': 2}}}}}
+    ]) {
+        t.deepEqual(parseExpression(formatExpression(expr)), expr);
+    }
+
+    // Negative numbers are formatted as unary negation
+    t.is(formatExpression({'number': -1}), '-1');
+    t.deepEqual(parseExpression(formatExpression({'number': -1})), {'unary': {'op': '-', 'expr': {'number': 1}}});
+    t.is(formatExpression({'number': -0}), '-0');
+    t.is(formatExpression({'unary': {'op': '-', 'expr': {'number': -1}}}), '--1');
+    t.is(formatExpression({'binary': {'op': '-', 'left': {'number': -1}, 'right': {'number': -2}}}), '-1 - -2');
+    t.is(formatExpression({'index': {'expr': {'number': -1}, 'index': {'string': 'a'}}}), '(-1).a');
+    t.deepEqual(
+        parseExpression(formatExpression({'index': {'expr': {'number': -1}, 'index': {'string': 'a'}}})),
+        {'index': {'expr': {'group': {'unary': {'op': '-', 'expr': {'number': 1}}}}, 'index': {'string': 'a'}}}
+    );
+});
+
+
+test('formatExpression, function names', (t) => {
+    for (const name of ['ab', '_a', 'lib.formatRow', 'a.b']) {
+        const expr = {'function': {'name': name, 'args': [{'variable': 'a'}]}};
+        t.is(formatExpression(expr), `${name}(a)`);
+        t.deepEqual(parseExpression(formatExpression(expr)), expr);
+    }
+
+    // Single-character and non-identifier function names do not parse
+    for (const name of ['a', '_', '', '1a', 'a b', 'a.b.c', 'a.']) {
+        const error = t.throws(() => {
+            formatExpression({'function': {'name': name, 'args': []}});
+        }, {'instanceOf': Error});
+        t.is(error.message, `Function name ${JSON.stringify(name)} cannot be formatted`);
+    }
+});
+
+
+test('formatExpression, number errors', (t) => {
+    for (const number of [NaN, Infinity, -Infinity]) {
+        const error = t.throws(() => {
+            formatExpression({'number': number});
+        }, {'instanceOf': Error});
+        t.is(error.message, `Number ${number} cannot be formatted`);
+    }
+});
+
+
+test('formatExpression, string with newline error', (t) => {
+    const error = t.throws(() => {
+        formatExpression({'string': 'a\nb'});
+    }, {'instanceOf': Error});
+    t.is(error.message, 'String "a\\nb" cannot be formatted');
+});
+
+
+test('formatExpression, variable name errors', (t) => {
+    let error = t.throws(() => {
+        formatExpression({'variable': ''});
+    }, {'instanceOf': Error});
+    t.is(error.message, 'Variable name "" cannot be formatted');
+
+    error = t.throws(() => {
+        formatExpression({'variable': 'a\nb'});
+    }, {'instanceOf': Error});
+    t.is(error.message, 'Variable name "a\\nb" cannot be formatted');
+
+    error = t.throws(() => {
+        formatExpression({'variable': ' a'});
+    }, {'instanceOf': Error});
+    t.is(error.message, 'Variable name " a" cannot be formatted');
+});
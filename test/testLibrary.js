@@ -1,7 +1,12 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/calc-script/blob/main/LICENSE
 
-import {expressionFunctions, scriptFunctions} from '../lib/library.js';
+import {
+    checkFunctionPermitted, expressionFunctions, isCapabilityPermitted, isURLPermitted, scriptFunctionGroups, scriptFunctions
+} from '../lib/library.js';
+import {CalcScriptRuntimeError} from '../lib/runtime.js';
+import {parseLibraryDoc} from '../lib/libraryDoc.js';
+import {readFileSync} from 'node:fs';
 import test from 'ava';
 
 
@@ -64,6 +69,20 @@ test('library, built-in expression functions', (t) => {
 });
 
 
+// Check the built-in script function groups against the library documentation
+test('library, script function groups', (t) => {
+    const libraryDoc = parseLibraryDoc([['library.js', readFileSync(new URL('../lib/library.js', import.meta.url), 'utf-8')]]);
+    const docGroups = {};
+    for (const func of libraryDoc.functions) {
+        docGroups[func.group] ??= [];
+        docGroups[func.group].push(func.name);
+    }
+    t.deepEqual(scriptFunctionGroups, docGroups);
+    t.deepEqual(Object.values(scriptFunctionGroups).flat().sort(), Object.keys(scriptFunctions).sort());
+    t.is(new Set(Object.values(scriptFunctions)).size, Object.keys(scriptFunctions).length);
+});
+
+
 //
 // Array functions
 //
@@ -97,6 +116,14 @@ test('library, arrayGet non-array', (t) => {
 });
 
 
+test('library, arrayGet prototype', (t) => {
+    const array = [1, 2, 3];
+    t.is(scriptFunctions.arrayGet([array, 'length']), 3);
+    t.is(scriptFunctions.arrayGet([array, 'push']), null);
+    t.is(scriptFunctions.arrayGet([array, '__proto__']), null);
+});
+
+
 test('library, arrayIndexOf', (t) => {
     const array = [1, 2, 3];
     t.is(scriptFunctions.arrayIndexOf([array, 2]), 1);
@@ -211,6 +238,15 @@ test('library, arraySet non-array', (t) => {
 });
 
 
+test('library, arraySet prototype', (t) => {
+    const array = [1, 2, 3];
+    t.deepEqual(scriptFunctions.arraySet([array, '__proto__', {'a': 1}]), {'a': 1});
+    t.is(Object.getPrototypeOf(array), Array.prototype);
+    t.deepEqual(scriptFunctions.arrayGet([array, '__proto__']), {'a': 1});
+    t.is([].a, undefined);
+});
+
+
 test('library, arraySlice', (t) => {
     const array = [1, 2, 3, 4];
     t.deepEqual(scriptFunctions.arraySlice([array, 1, 3]), [2, 3]);
@@ -344,6 +380,16 @@ test('library, jsonParse', (t) => {
 });
 
 
+test('library, jsonParse prototype', (t) => {
+    const obj = scriptFunctions.jsonParse(['{"__proto__": {"a": 1}, "constructor": 2}'], null);
+    t.is(Object.getPrototypeOf(obj), Object.prototype);
+    t.deepEqual(scriptFunctions.objectKeys([obj]), ['__proto__', 'constructor']);
+    t.deepEqual(scriptFunctions.objectGet([obj, '__proto__']), {'a': 1});
+    t.is(scriptFunctions.objectGet([obj, 'constructor']), 2);
+    t.is(scriptFunctions.objectGet([obj, 'a']), null);
+});
+
+
 test('library, jsonParse error', (t) => {
     t.is(scriptFunctions.jsonParse(['asdf'], null), null);
 });
@@ -594,6 +640,82 @@ test('library, fetch array urlFn', async (t) => {
 });
 
 
+test('library, fetch signal', async (t) => {
+    const jsonObject = {'a': 1, 'b': 2};
+    const controller = new AbortController();
+    // eslint-disable-next-line require-await
+    const fetchFn = async (url, fetchOptions) => {
+        t.is(url, 'test.json');
+        t.deepEqual(fetchOptions, {'signal': controller.signal, 'method': 'GET'});
+        return {
+            'ok': true,
+            // eslint-disable-next-line require-await
+            'json': async () => (jsonObject)
+        };
+    };
+    const options = {fetchFn, 'signal': controller.signal};
+    t.deepEqual(await scriptFunctions.fetch(['test.json', {'method': 'GET'}], options), jsonObject);
+});
+
+
+test('library, fetch urlPolicy', async (t) => {
+    const jsonObject = {'a': 1};
+    // eslint-disable-next-line require-await
+    const fetchFn = async (url) => {
+        t.true(url === 'test.json' || url === 'https://api.example.com/data/a.json');
+        return {
+            'ok': true,
+            // eslint-disable-next-line require-await
+            'json': async () => (jsonObject)
+        };
+    };
+    const logs = [];
+    const logFn = (string) => {
+        logs.push(string);
+    };
+    const urlPolicy = {
+        'allow': [{'origin': 'self'}, {'origin': 'https://api.example.com', 'pathPrefix': '/data/'}],
+        'deny': [{'pathPrefix': '/data/private/'}]
+    };
+    const options = {fetchFn, logFn, urlPolicy};
+    t.deepEqual(
+        await scriptFunctions.fetch([
+            [
+                'test.json',
+                'https://api.example.com/data/a.json',
+                'https://api.example.com/other.json',
+                'https://api.example.com/data/private/a.json',
+                'https://other.example.com/data/a.json'
+            ]
+        ], options),
+        [jsonObject, jsonObject, null, null, null]
+    );
+    t.is(logs.length, 3);
+
+    // Single URL
+    logs.length = 0;
+    t.is(await scriptFunctions.fetch(['https://other.example.com/data/a.json'], options), null);
+    t.deepEqual(logs, [
+        'Error: fetch failed for JSON resource "https://other.example.com/data/a.json" with error: ' +
+            'URL "https://other.example.com/data/a.json" not permitted'
+    ]);
+});
+
+
+test('library, fetch urlPolicy urlFn', async (t) => {
+    const logs = [];
+    const logFn = (string) => {
+        logs.push(string);
+    };
+    const urlFn = (url) => `https://other.example.com/${url}`;
+    const options = {logFn, urlFn, 'urlPolicy': {}};
+    t.is(await scriptFunctions.fetch(['test.txt', null, true], options), null);
+    t.deepEqual(logs, [
+        'Error: fetch failed for text resource "test.txt" with error: URL "https://other.example.com/test.txt" not permitted'
+    ]);
+});
+
+
 test('library, fetch null options', async (t) => {
     t.is(await scriptFunctions.fetch(['test.json'], null), null);
 });
@@ -783,6 +905,16 @@ test('library, objectDelete non-object', (t) => {
 });
 
 
+test('library, objectDelete prototype', (t) => {
+    const obj = {'a': 1};
+    t.is(scriptFunctions.objectDelete([obj, '__proto__']), undefined);
+    t.is(scriptFunctions.objectDelete([obj, 'toString']), undefined);
+    t.is(Object.getPrototypeOf(obj), Object.prototype);
+    t.is(typeof Object.prototype.toString, 'function');
+    t.deepEqual(obj, {'a': 1});
+});
+
+
 test('library, objectGet', (t) => {
     const obj = {'a': 1, 'b': 2};
     t.is(scriptFunctions.objectGet([obj, 'a']), 1);
@@ -805,6 +937,15 @@ test('library, objectGet non-object', (t) => {
 });
 
 
+test('library, objectGet prototype', (t) => {
+    const obj = {'a': 1};
+    t.is(scriptFunctions.objectGet([obj, 'constructor']), null);
+    t.is(scriptFunctions.objectGet([obj, '__proto__']), null);
+    t.is(scriptFunctions.objectGet([obj, 'toString']), null);
+    t.is(scriptFunctions.objectGet([{'constructor': 2}, 'constructor']), 2);
+});
+
+
 test('library, objectKeys', (t) => {
     const obj = {'a': 1, 'b': 2};
     t.deepEqual(scriptFunctions.objectKeys([obj]), ['a', 'b']);
@@ -836,6 +977,15 @@ test('library, objectNew odd', (t) => {
 });
 
 
+test('library, objectNew prototype', (t) => {
+    const obj = scriptFunctions.objectNew(['__proto__', {'a': 1}, 'b', 2]);
+    t.is(Object.getPrototypeOf(obj), Object.prototype);
+    t.deepEqual(scriptFunctions.objectKeys([obj]), ['__proto__', 'b']);
+    t.deepEqual(scriptFunctions.objectGet([obj, '__proto__']), {'a': 1});
+    t.is(obj.a, undefined);
+});
+
+
 test('library, objectSet missing', (t) => {
     const obj = {'a': 1, 'b': 2};
     t.is(scriptFunctions.objectSet([obj, 'c', 3]), 3);
@@ -853,6 +1003,21 @@ test('library, objectSet non-object', (t) => {
 });
 
 
+test('library, objectSet prototype', (t) => {
+    const obj = {'a': 1};
+    t.deepEqual(scriptFunctions.objectSet([obj, '__proto__', {'polluted': true}]), {'polluted': true});
+    t.is(Object.getPrototypeOf(obj), Object.prototype);
+    t.deepEqual(scriptFunctions.objectKeys([obj]), ['a', '__proto__']);
+    t.is(obj.polluted, undefined);
+    t.is({}.polluted, undefined);
+
+    // Set the own "__proto__" key again
+    t.is(scriptFunctions.objectSet([obj, '__proto__', 2]), 2);
+    t.is(scriptFunctions.objectGet([obj, '__proto__']), 2);
+    t.is(Object.getPrototypeOf(obj), Object.prototype);
+});
+
+
 //
 // Regex functions
 //
@@ -1103,3 +1268,236 @@ test('library, stringUpper', (t) => {
 test('library, stringUpper non-string', (t) => {
     t.is(scriptFunctions.stringUpper([null]), null);
 });
+
+
+//
+// Resource limits
+//
+
+
+test('library, resource limits default', (t) => {
+    let error = t.throws(() => {
+        scriptFunctions.arrayNewSize([1e9]);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum array length (10000000)');
+
+    error = t.throws(() => {
+        scriptFunctions.stringRepeat(['x', 1e9], null);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum string length (100000000)');
+});
+
+
+test('library, resource limits no maximum', (t) => {
+    const options = {'maxArrayLength': 0, 'maxStringLength': 0, 'maxObjectKeys': 0};
+    t.deepEqual(scriptFunctions.arrayNewSize([3], options), [0, 0, 0]);
+    t.is(scriptFunctions.stringRepeat(['ab', 2], options), 'abab');
+    t.deepEqual(scriptFunctions.objectNew(['a', 1], options), {'a': 1});
+    t.is(options.limits, undefined);
+});
+
+
+test('library, maxArrayLength', (t) => {
+    const options = {'maxArrayLength': 3};
+    const array = [1, 2];
+    t.deepEqual(scriptFunctions.arrayCopy([array], options), [1, 2]);
+    t.is(scriptFunctions.arrayPush([array, 3], options), 3);
+    t.deepEqual(scriptFunctions.arraySlice([array, 1], options), [2, 3]);
+    t.is(scriptFunctions.arraySet([array, 2, 4], options), 4);
+    t.deepEqual(scriptFunctions.arrayNewSize([3], options), [0, 0, 0]);
+    t.deepEqual(scriptFunctions.stringSplit(['a,b,c', ','], options), ['a', 'b', 'c']);
+    t.deepEqual(array, [1, 2, 4]);
+
+    for (const limitFn of [
+        () => scriptFunctions.arrayCopy([[1, 2, 3, 4]], options),
+        () => scriptFunctions.arrayNewSize([4], options),
+        () => scriptFunctions.arrayPush([array, 5], options),
+        () => scriptFunctions.arraySet([array, 3, 5], options),
+        () => scriptFunctions.arraySlice([[1, 2, 3, 4]], options),
+        () => scriptFunctions.stringSplit(['a,b,c,d', ','], options)
+    ]) {
+        const error = t.throws(limitFn, {'instanceOf': CalcScriptRuntimeError});
+        t.is(error.message, 'Exceeded maximum array length (3)');
+    }
+    t.deepEqual(array, [1, 2, 4]);
+});
+
+
+test('library, maxStringLength', (t) => {
+    const options = {'maxStringLength': 3};
+    t.is(scriptFunctions.arrayJoin([['a', 'b'], ','], options), 'a,b');
+    t.is(scriptFunctions.jsonStringify([[1]], options), '[1]');
+    t.is(scriptFunctions.jsonStringify([undefined], options), undefined);
+    t.is(scriptFunctions.stringRepeat(['ab', 1], options), 'ab');
+    t.is(scriptFunctions.stringReplace(['abc', 'b', 'x'], options), 'axc');
+    t.is(scriptFunctions.stringReplace(['abc', 'b', () => 'x'], options), 'axc');
+
+    for (const limitFn of [
+        () => scriptFunctions.arrayJoin([['a', 'b', 'c'], ','], options),
+        () => scriptFunctions.jsonStringify([[1, 2]], options),
+        () => scriptFunctions.stringRepeat(['ab', 2], options),
+        () => scriptFunctions.stringReplace(['abc', 'b', 'xy'], options),
+        () => scriptFunctions.stringReplace(['abc', 'b', () => 'xy'], options)
+    ]) {
+        const error = t.throws(limitFn, {'instanceOf': CalcScriptRuntimeError});
+        t.is(error.message, 'Exceeded maximum string length (3)');
+    }
+});
+
+
+test('library, maxObjectKeys', (t) => {
+    const options = {'maxObjectKeys': 2};
+    const object = scriptFunctions.objectNew(['a', 1], options);
+    t.deepEqual(scriptFunctions.objectCopy([object], options), {'a': 1});
+    t.is(scriptFunctions.objectSet([object, 'b', 2], options), 2);
+    t.is(scriptFunctions.objectSet([object, 'b', 3], options), 3);
+    t.deepEqual(object, {'a': 1, 'b': 3});
+
+    for (const limitFn of [
+        () => scriptFunctions.objectCopy([{'a': 1, 'b': 2, 'c': 3}], options),
+        () => scriptFunctions.objectNew(['a', 1, 'b', 2, 'c'], options),
+        () => scriptFunctions.objectSet([object, 'c', 3], options)
+    ]) {
+        const error = t.throws(limitFn, {'instanceOf': CalcScriptRuntimeError});
+        t.is(error.message, 'Exceeded maximum object key count (2)');
+    }
+
+    // Deleted keys are not counted
+    scriptFunctions.objectDelete([object, 'a']);
+    scriptFunctions.objectDelete([object, 'c']);
+    t.is(scriptFunctions.objectSet([object, 'c', 4], options), 4);
+    t.deepEqual(object, {'b': 3, 'c': 4});
+});
+
+
+test('library, maxAllocation', (t) => {
+    const options = {'maxAllocation': 100};
+    t.deepEqual(scriptFunctions.arrayNewSize([5], options), [0, 0, 0, 0, 0]);
+    t.is(scriptFunctions.stringRepeat(['ab', 5], options), 'ababababab');
+    t.deepEqual(scriptFunctions.objectNew(['a', 1], options), {'a': 1});
+    t.is(scriptFunctions.objectSet([{}, 'a', 1], options), 1);
+    t.deepEqual(options.limits, {'statementCount': 0, 'allocationEstimate': 92});
+    const error = t.throws(() => {
+        scriptFunctions.arrayNewSize([2], options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum allocation estimate (100 bytes)');
+});
+
+
+//
+// Capabilities
+//
+
+
+test('library, isCapabilityPermitted', (t) => {
+    const options = {'capabilities': ['Math', 'stringLength', 'include']};
+    t.true(isCapabilityPermitted('mathMax', options));
+    t.true(isCapabilityPermitted('stringLength', options));
+    t.true(isCapabilityPermitted('include', options));
+    t.false(isCapabilityPermitted('stringLower', options));
+    t.false(isCapabilityPermitted('fetch', options));
+    t.false(isCapabilityPermitted('unknown', options));
+    t.true(isCapabilityPermitted('fetch', {}));
+    t.true(isCapabilityPermitted('fetch', null));
+    t.false(isCapabilityPermitted('fetch', {'capabilities': []}));
+});
+
+
+test('library, checkFunctionPermitted', (t) => {
+    const options = {'capabilities': ['Math']};
+    t.is(checkFunctionPermitted('mathMax', scriptFunctions.mathMax, options), undefined);
+    t.is(checkFunctionPermitted('max', expressionFunctions.max, options), undefined);
+    t.is(checkFunctionPermitted('hostFn', () => null, options), undefined);
+    t.is(checkFunctionPermitted('unknown', null, options), undefined);
+    t.is(checkFunctionPermitted('fetch', scriptFunctions.fetch, {}), undefined);
+    t.is(checkFunctionPermitted('fetch', null, null), undefined);
+
+    // Not permitted by value
+    let error = t.throws(() => {
+        checkFunctionPermitted('now', expressionFunctions.now, options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Function "datetimeNow" not permitted');
+
+    // Not permitted by name
+    error = t.throws(() => {
+        checkFunctionPermitted('fetch', null, options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Function "fetch" not permitted');
+});
+
+
+//
+// URL policy
+//
+
+
+test('library, isURLPermitted', (t) => {
+    // All URLs permitted with no URL policy and no document location
+    t.true(isURLPermitted('test.json', null));
+    t.true(isURLPermitted('/data/test.json', {}));
+    t.true(isURLPermitted('https://example.com/test.json', {}));
+    t.true(isURLPermitted('data:text/plain,test', {}));
+    t.false(isURLPermitted('http://[invalid', {}));
+
+    // Same-origin only, by default
+    const defaultOptions = {'urlPolicy': {}};
+    t.true(isURLPermitted('test.json', defaultOptions));
+    t.true(isURLPermitted('/data/test.json', defaultOptions));
+    t.true(isURLPermitted('../test.json', defaultOptions));
+    t.false(isURLPermitted('https://example.com/test.json', defaultOptions));
+    t.false(isURLPermitted('//example.com/test.json', defaultOptions));
+    t.false(isURLPermitted('\\\\example.com\\test.json', defaultOptions));
+    t.false(isURLPermitted('data:text/plain,test', defaultOptions));
+    t.false(isURLPermitted('http://[invalid', defaultOptions));
+
+    // Policy origin
+    const options = {'urlPolicy': {'origin': 'https://example.com'}};
+    t.true(isURLPermitted('test.json', options));
+    t.true(isURLPermitted('https://example.com/test.json', options));
+    t.false(isURLPermitted('http://example.com/test.json', options));
+    t.false(isURLPermitted('https://example.com.other.com/test.json', options));
+
+    // Allow and deny rules
+    options.urlPolicy.allow = [{'origin': 'self', 'pathPrefix': '/data/'}, {'scheme': 'data'}, {'origin': 'https://cdn.example.com'}];
+    options.urlPolicy.deny = [{'pathPrefix': '/data/private/'}];
+    t.true(isURLPermitted('/data/test.json', options));
+    t.true(isURLPermitted('https://example.com/data/test.json', options));
+    t.true(isURLPermitted('data:text/plain,test', options));
+    t.true(isURLPermitted('https://cdn.example.com/lib/test.mds', options));
+    t.false(isURLPermitted('/test.json', options));
+    t.false(isURLPermitted('/data/private/test.json', options));
+    t.false(isURLPermitted('https://cdn.example.com/data/private/test.json', options));
+    t.false(isURLPermitted('http://cdn.example.com/lib/test.mds', options));
+});
+
+
+test('library, isURLPermitted location origin', (t) => {
+    globalThis.location = {'origin': 'https://example.com'};
+    try {
+        t.true(isURLPermitted('test.json', {}));
+        t.true(isURLPermitted('https://example.com/test.json', {}));
+        t.false(isURLPermitted('https://other.example.com/test.json', {}));
+    } finally {
+        delete globalThis.location;
+    }
+});
+
+
+test('library, isURLPermitted location href', (t) => {
+    globalThis.location = {'origin': 'https://example.com', 'href': 'https://example.com/scripts/app.html'};
+    try {
+        const options = {'urlPolicy': {'allow': [{'pathPrefix': '/scripts/'}]}};
+        t.true(isURLPermitted('data.json', options));
+        t.true(isURLPermitted('lib/util.mds', options));
+        t.true(isURLPermitted('/scripts/data.json', options));
+        t.false(isURLPermitted('../data.json', options));
+        t.false(isURLPermitted('/data.json', options));
+
+        // Policy origin and document location
+        const originOptions = {'urlPolicy': {'origin': 'https://other.example.com'}};
+        t.false(isURLPermitted('data.json', originOptions));
+        t.true(isURLPermitted('https://other.example.com/data.json', originOptions));
+    } finally {
+        delete globalThis.location;
+    }
+});
@@ -0,0 +1,494 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {lintScript} from '../lib/lint.js';
+import {parseScript} from '../lib/parser.js';
+import test from 'ava';
+
+
+/* eslint-disable id-length */
+
+
+test('lintScript', (t) => {
+    const script = parseScript(`\
+# Compute a sum
+function sum(values)
+    total = 0
+    for value, ix in values
+        if (ix == 0)
+            jump next
+        elif (value < 0)
+            continue
+        else
+            total = total + value
+        endif
+        next:
+    endfor
+    return total
+endfunction
+
+async function main()
+    include 'lib.mds'
+    values = arrayNew(1, 2, 3)
+    values[0] = mathMax(values[0], 4)
+    try
+        scaleFn = (value) => value * scale
+        result = sum(arrayNew(scaleFn(values[0]), setGlobal('other', 1)))
+    catch error
+        result = error.message
+    finally
+        done = true
+    endtry
+    try
+        done = !done
+    catch
+    endtry
+    while (!done)
+        break
+    endwhile
+    return [result, null, if(done, 1, 0),]
+endfunction
+
+scale = 2
+main()
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), []);
+});
+
+
+test('lintScript, empty', (t) => {
+    t.deepEqual(lintScript({'statements': []}), []);
+});
+
+
+test('lintScript, unknown label', (t) => {
+    const script = parseScript(`\
+outer:
+function test()
+    inner:
+    while (true)
+        jumpif (false) inner
+        jump outer
+    endwhile
+endfunction
+jump inner
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'unknown-label',
+            'message': 'Unknown jump label "outer"',
+            'lineNumber': 6,
+            'columnNumber': 9,
+            'severity': 'warning'
+        },
+        {
+            'code': 'unknown-label',
+            'message': 'Unknown jump label "inner"',
+            'lineNumber': 9,
+            'columnNumber': 1,
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, duplicate label', (t) => {
+    const script = parseScript(`\
+label:
+if (true)
+    label:
+endif
+function test()
+    label:
+endfunction
+label:
+`);
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'duplicate-label',
+            'message': 'Duplicate label "label"',
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, duplicate label sibling blocks', (t) => {
+    const script = parseScript(`\
+if (true)
+    label:
+else
+    label:
+endif
+while (false)
+    label:
+    label:
+endwhile
+`);
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'duplicate-label',
+            'message': 'Duplicate label "label"',
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, undefined function', (t) => {
+    const script = parseScript(`\
+function test(fn)
+    return fn(hostFunction(1), localFunction(2))
+endfunction
+function localFunction(a)
+    return undefinedFunction(a)
+endfunction
+test(getGlobal, 2)
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'undefined-function',
+            'message': 'Undefined function "hostFunction"',
+            'lineNumber': 2,
+            'columnNumber': 15,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-function',
+            'message': 'Undefined function "undefinedFunction"',
+            'lineNumber': 5,
+            'columnNumber': 12,
+            'severity': 'warning'
+        },
+        {
+            'code': 'argument-count',
+            'message': 'Function "test" called with 2 arguments, expected 1',
+            'lineNumber': 7,
+            'columnNumber': 1,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "getGlobal"',
+            'lineNumber': 7,
+            'columnNumber': 1,
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, host globals', (t) => {
+    const script = parseScript(`\
+hostFunction(hostValue)
+`);
+    t.deepEqual(lintScript(script, {'globals': ['hostFunction', 'hostValue']}), []);
+});
+
+
+test('lintScript, argument count', (t) => {
+    const script = parseScript(`\
+function one(a)
+    function zero()
+    endfunction
+    return zero(a)
+endfunction
+function two(a, b)
+endfunction
+function reassigned(a)
+endfunction
+function duplicate(a)
+endfunction
+function duplicate(a, b)
+endfunction
+reassigned = (a, b) => a + b
+one()
+one(1)
+two(1, 2, 3)
+reassigned(1, 2)
+duplicate(1, 2, 3)
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'argument-count',
+            'message': 'Function "zero" called with 1 argument, expected 0',
+            'lineNumber': 4,
+            'columnNumber': 12,
+            'severity': 'warning'
+        },
+        {
+            'code': 'argument-count',
+            'message': 'Function "one" called with 0 arguments, expected 1',
+            'lineNumber': 15,
+            'columnNumber': 1,
+            'severity': 'warning'
+        },
+        {
+            'code': 'argument-count',
+            'message': 'Function "two" called with 3 arguments, expected 2',
+            'lineNumber': 17,
+            'columnNumber': 1,
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, argument count without arguments', (t) => {
+    const script = {
+        'statements': [
+            {'function': {'name': 'test', 'statements': []}},
+            {'expr': {'function': {'name': 'test'}}},
+            {'expr': {'function': {'name': 'test', 'args': [{'number': 1}]}}}
+        ]
+    };
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'argument-count',
+            'message': 'Function "test" called with 1 argument, expected 0',
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, variable used before assignment', (t) => {
+    const script = parseScript(`\
+a = b + 1
+b = 2
+function test(arg)
+    c = arg + d + global
+    d = -c
+    fn = (x) => x + d + e + [undefinedValue]
+    obj = {'key': [d, later,]}
+    obj.key[index] = later
+    later = 1
+    index = 0
+endfunction
+global = 1
+test(1)
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'undefined-variable',
+            'message': 'Variable "b" used before assignment',
+            'lineNumber': 1,
+            'columnNumber': 5,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Variable "d" used before assignment',
+            'lineNumber': 4,
+            'columnNumber': 9,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "e"',
+            'lineNumber': 6,
+            'columnNumber': 17,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "undefinedValue"',
+            'lineNumber': 6,
+            'columnNumber': 17,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Variable "later" used before assignment',
+            'lineNumber': 7,
+            'columnNumber': 19,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Variable "index" used before assignment',
+            'lineNumber': 8,
+            'columnNumber': 5,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Variable "later" used before assignment',
+            'lineNumber': 8,
+            'columnNumber': 5,
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, index assignment of undefined variable', (t) => {
+    const script = parseScript(`\
+obj.key = 1
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "obj"',
+            'lineNumber': 1,
+            'columnNumber': 1,
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, unreachable statement', (t) => {
+    const script = parseScript(`\
+function test(a)
+    while (a)
+        break
+        a = 1
+    endwhile
+    for value in a
+        continue
+        a = 1
+        a = 2
+    endfor
+    if (a)
+        throw 'error'
+        a = 1
+    endif
+    jumpif (a) skip
+    a = 1
+    jump skip
+    a = 2
+skip:
+    return a
+    a = 3
+endfunction
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'unreachable-statement',
+            'message': 'Unreachable statement',
+            'lineNumber': 4,
+            'columnNumber': 9,
+            'severity': 'warning'
+        },
+        {
+            'code': 'unreachable-statement',
+            'message': 'Unreachable statement',
+            'lineNumber': 8,
+            'columnNumber': 9,
+            'severity': 'warning'
+        },
+        {
+            'code': 'unreachable-statement',
+            'message': 'Unreachable statement',
+            'lineNumber': 13,
+            'columnNumber': 9,
+            'severity': 'warning'
+        },
+        {
+            'code': 'unreachable-statement',
+            'message': 'Unreachable statement',
+            'lineNumber': 18,
+            'columnNumber': 5,
+            'severity': 'warning'
+        },
+        {
+            'code': 'unreachable-statement',
+            'message': 'Unreachable statement',
+            'lineNumber': 21,
+            'columnNumber': 5,
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, include within non-async function', (t) => {
+    const script = parseScript(`\
+include 'a.mds'
+function test()
+    include 'b.mds'
+    async function inner()
+        include 'c.mds'
+    endfunction
+endfunction
+async function asyncTest()
+    include 'd.mds'
+    function inner()
+        include 'e.mds'
+    endfunction
+endfunction
+`);
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'include-non-async',
+            'message': 'Include of "b.mds" within non-async function "test"',
+            'severity': 'warning'
+        },
+        {
+            'code': 'include-non-async',
+            'message': 'Include of "e.mds" within non-async function "inner"',
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, import', (t) => {
+    const script = parseScript(`\
+import 'a.mds' as a
+a.test(1)
+b.test()
+function test()
+    import 'b.mds' as b
+endfunction
+async function asyncTest()
+    import 'c.mds' as c
+    return c.test(a.test())
+endfunction
+`);
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'undefined-function',
+            'message': 'Undefined function "b.test"',
+            'severity': 'warning'
+        },
+        {
+            'code': 'include-non-async',
+            'message': 'Import of "b.mds" within non-async function "test"',
+            'severity': 'warning'
+        }
+    ]);
+});
+
+
+test('lintScript, expression statement location', (t) => {
+    const script = parseScript(`\
+undefinedValue
+(undefinedValue2)
+-undefinedValue3
+`, 1, {'locations': true});
+    t.deepEqual(lintScript(script), [
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "undefinedValue"',
+            'lineNumber': 1,
+            'columnNumber': 1,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "undefinedValue2"',
+            'lineNumber': 2,
+            'columnNumber': 1,
+            'severity': 'warning'
+        },
+        {
+            'code': 'undefined-variable',
+            'message': 'Undefined variable "undefinedValue3"',
+            'lineNumber': 3,
+            'columnNumber': 1,
+            'severity': 'warning'
+        }
+    ]);
+});
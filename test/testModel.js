@@ -0,0 +1,201 @@
+// Licensed under the MIT License
+// https://github.com/craigahobbs/calc-script/blob/main/LICENSE
+
+import {CalcScriptValidationError, validateScript, validateScriptSemantics} from '../lib/model.js';
+import {parseScript} from '../lib/parser.js';
+import test from 'ava';
+
+
+/* eslint-disable id-length */
+
+
+test('validateScriptSemantics', (t) => {
+    const script = validateScript(parseScript(`\
+include 'lib.mds'
+outer:
+function test(a, b)
+    inner:
+    if (a)
+        jumpif (b) inner
+        for value in a
+            try
+                jump inner
+            catch
+                jump done
+            finally
+                x.y = arrayNew(-1, [2, 3], {'z': (c, d) => c + d}, x?.y)
+            endtry
+        endfor
+    elif (b)
+        return (a) => a
+    else
+        throw b
+    endif
+    while (true)
+        break
+    endwhile
+    try
+    finally
+    endtry
+    try
+    catch
+    endtry
+    done:
+endfunction
+test(!(a), -b)
+jump outer
+`));
+    t.deepEqual(validateScriptSemantics(script), []);
+});
+
+
+test('validateScriptSemantics, empty', (t) => {
+    t.deepEqual(validateScriptSemantics({'statements': []}), []);
+});
+
+
+test('validateScriptSemantics, function expression without arguments', (t) => {
+    t.deepEqual(validateScriptSemantics({'statements': [{'expr': {'function': {'name': 'test'}}}]}), []);
+});
+
+
+test('validateScriptSemantics, unknown label', (t) => {
+    const script = validateScript(parseScript(`\
+outer:
+function test(a)
+    inner:
+    jump outer
+endfunction
+if (true)
+    nested:
+endif
+jumpif (false) inner
+jump nested
+`, 1, {'locations': true}));
+    t.deepEqual(validateScriptSemantics(script), [
+        {
+            'type': 'unknown-label',
+            'message': 'Unknown jump label "outer"',
+            'location': {'lineNumber': 4, 'columnNumber': 5, 'endLineNumber': 4, 'endColumnNumber': 15}
+        },
+        {
+            'type': 'unknown-label',
+            'message': 'Unknown jump label "inner"',
+            'location': {'lineNumber': 9, 'columnNumber': 1, 'endLineNumber': 9, 'endColumnNumber': 21}
+        },
+        {
+            'type': 'unknown-label',
+            'message': 'Unknown jump label "nested"',
+            'location': {'lineNumber': 10, 'columnNumber': 1, 'endLineNumber': 10, 'endColumnNumber': 12}
+        }
+    ]);
+});
+
+
+test('validateScriptSemantics, duplicate label', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'label': 'a'},
+            {'label': 'b'},
+            {'label': 'a'},
+            {'if': {'expr': {'variable': 'true'}, 'statements': [{'label': 'a'}]}}
+        ]
+    });
+    t.deepEqual(validateScriptSemantics(script), [
+        {'type': 'duplicate-label', 'message': 'Duplicate label "a"'}
+    ]);
+});
+
+
+test('validateScriptSemantics, duplicate argument', (t) => {
+    const script = validateScript(parseScript(`\
+function test(a, b, a)
+    return (c, c) => c
+endfunction
+`, 1, {'locations': true}));
+    t.deepEqual(validateScriptSemantics(script), [
+        {
+            'type': 'duplicate-argument',
+            'message': 'Duplicate argument "a"',
+            'location': {'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 3, 'endColumnNumber': 12}
+        },
+        {
+            'type': 'duplicate-argument',
+            'message': 'Duplicate argument "c"',
+            'location': {'lineNumber': 2, 'columnNumber': 12, 'endLineNumber': 2, 'endColumnNumber': 23}
+        }
+    ]);
+});
+
+
+test('validateScriptSemantics, invalid name', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'a b', 'expr': {'number': 1}}},
+            {'assign': {'name': '1a', 'indexes': [{'number': 0}], 'expr': {'number': 1}}},
+            {'function': {'name': '', 'statements': []}},
+            {'function': {'name': 'valid_Name1', 'statements': [{'assign': {'name': '_valid', 'expr': {'number': 1}}}]}}
+        ]
+    });
+    t.deepEqual(validateScriptSemantics(script), [
+        {'type': 'invalid-name', 'message': 'Invalid assignment name "a b"'},
+        {'type': 'invalid-name', 'message': 'Invalid assignment name "1a"'},
+        {'type': 'invalid-name', 'message': 'Invalid function name ""'}
+    ]);
+});
+
+
+test('validateScriptSemantics, include in function', (t) => {
+    const script = validateScript(parseScript(`\
+include 'a.mds'
+async function test(a)
+    if (a)
+        include 'b.mds'
+    endif
+endfunction
+`));
+    t.deepEqual(validateScriptSemantics(script), [
+        {'type': 'include-in-function', 'message': 'Include of "b.mds" within function'}
+    ]);
+});
+
+
+test('validateScriptSemantics, import and export', (t) => {
+    const script = validateScript(parseScript(`\
+import 'a.mds' as a
+export b = 1
+export function test(c)
+endfunction
+async function test2(c)
+    import 'c.mds' as c
+    export d = 1
+endfunction
+if (b)
+    export e = 1
+endif
+`));
+    t.deepEqual(validateScriptSemantics(script), [
+        {'type': 'import-in-function', 'message': 'Import of "c.mds" within function'},
+        {'type': 'export-not-top-level', 'message': 'Export of "d" not at script top level'},
+        {'type': 'export-not-top-level', 'message': 'Export of "e" not at script top level'}
+    ]);
+
+    // Invalid import name
+    t.deepEqual(validateScriptSemantics({'statements': [{'import': {'url': 'a.mds', 'name': 'a b'}}]}), [
+        {'type': 'invalid-name', 'message': 'Invalid import name "a b"'}
+    ]);
+});
+
+
+test('CalcScriptValidationError', (t) => {
+    const errors = [
+        {'type': 'duplicate-label', 'message': 'Duplicate label "a"'},
+        {'type': 'unknown-label', 'message': 'Unknown jump label "b"'}
+    ];
+    const error = new CalcScriptValidationError(errors);
+    t.true(error instanceof Error);
+    t.is(error.message, `\
+Duplicate label "a"
+Unknown jump label "b"`);
+    t.is(error.errors, errors);
+});
@@ -1,8 +1,10 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/calc-script/blob/main/LICENSE
 
-import {CalcScriptParserError, parseExpression, parseScript} from '../lib/parser.js';
-import {validateExpression, validateScript} from '../lib/model.js';
+import {
+    CalcScriptParserError, getExpressionLocation, getStatementLocation, parseExpression, parseScript, parseScriptCST, parseScriptDiagnostics
+} from '../lib/parser.js';
+import {validateExpression, validateScript, validateScriptCST} from '../lib/model.js';
 import test from 'ava';
 
 
@@ -198,6 +200,98 @@ return a
 });
 
 
+test('parseScript, index assignment statement', (t) => {
+    const script = validateScript(parseScript(`\
+row.name = 'x'
+rows [0] .name = 'y'
+arr[i == 1] = 1
+a.b == 1
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {'assign': {'name': 'row', 'indexes': [{'string': 'name'}], 'expr': {'string': 'x'}}},
+            {'assign': {'name': 'rows', 'indexes': [{'number': 0}, {'string': 'name'}], 'expr': {'string': 'y'}}},
+            {
+                'assign': {
+                    'name': 'arr',
+                    'indexes': [{'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 1}}}],
+                    'expr': {'number': 1}
+                }
+            },
+            {
+                'expr': {
+                    'binary': {
+                        'op': '==',
+                        'left': {'index': {'expr': {'variable': 'a'}, 'index': {'string': 'b'}}},
+                        'right': {'number': 1}
+                    }
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, index assignment statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a[0] = 1 + @#$
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+a[0] = 1 + @#$
+          ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'a[0] = 1 + @#$');
+    t.is(error.columnNumber, 11);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, index assignment statement index syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a[@#$] = 1
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+a[@#$] = 1
+  ^
+`);
+});
+
+
+test('parseScript, index assignment statement optional syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a.b?.c = 1
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+a.b?.c = 1
+      ^
+`);
+});
+
+
+test('parseScript, index assignment statement non-variable syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+fn(a).b = 1
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+fn(a).b = 1
+       ^
+`);
+});
+
+
 test('parseScript, function statement', (t) => {
     const script = validateScript(parseScript(`\
 function addNumbers(a, b)
@@ -271,132 +365,1522 @@ include "fi\\"le.mds"
 });
 
 
-test('parseScript, expression statement', (t) => {
+test('parseScript, import statement', (t) => {
     const script = validateScript(parseScript(`\
-foo()
+import 'li\\'b.mds' as lib
+import "li\\"b2.mds" as lib2
 `));
     t.deepEqual(script, {
         'statements': [
-            {'expr': {'function': {'name': 'foo', 'args': []}}}
+            {'import': {'url': "li'b.mds", 'name': 'lib'}},
+            {'import': {'url': 'li"b2.mds', 'name': 'lib2'}}
         ]
     });
 });
 
 
-test('parseScript, expression statement syntax error', (t) => {
-    const error = t.throws(() => {
-        parseScript(`\
-a = 0
-b = 1
-foo \
-bar
-c = 2
-`);
-    }, {'instanceOf': CalcScriptParserError});
-    t.is(error.message, `\
-Syntax error, line number 3:
-foo bar
-   ^
-`);
-    t.is(error.error, 'Syntax error');
-    t.is(error.line, 'foo bar');
-    t.is(error.columnNumber, 4);
-    t.is(error.lineNumber, 3);
+test('parseScript, export', (t) => {
+    const script = validateScript(parseScript(`\
+export a = 1
+export async function test(b)
+    return lib.test(b) + lib.c
+endfunction
+export function test2(c)
+endfunction
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {'assign': {'name': 'a', 'expr': {'number': 1}, 'export': true}},
+            {
+                'function': {
+                    'name': 'test',
+                    'args': ['b'],
+                    'async': true,
+                    'export': true,
+                    'statements': [
+                        {
+                            'return': {
+                                'expr': {
+                                    'binary': {
+                                        'op': '+',
+                                        'left': {'function': {'name': 'lib.test', 'args': [{'variable': 'b'}]}},
+                                        'right': {'index': {'expr': {'variable': 'lib'}, 'index': {'string': 'c'}}}
+                                    }
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            {'function': {'name': 'test2', 'args': ['c'], 'export': true, 'statements': []}}
+        ]
+    });
 });
 
 
-test('parseScript, assignment statement expression syntax error', (t) => {
-    const error = t.throws(() => {
-        parseScript(`\
-a = 0
-b = 1 + foo bar
-`);
-    }, {'instanceOf': CalcScriptParserError});
-    t.is(error.message, `\
-Syntax error, line number 2:
-b = 1 + foo bar
-           ^
-`);
-    t.is(error.error, 'Syntax error');
-    t.is(error.line, 'b = 1 + foo bar');
-    t.is(error.columnNumber, 12);
-    t.is(error.lineNumber, 2);
+test('parseScript, if statement', (t) => {
+    const script = validateScript(parseScript(`\
+if (i == 0)
+    a = 1
+elif (i == 1)
+    a = 2
+elif (i == 2)
+    a = 3
+else
+    a = 4
+endif
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'if': {
+                    'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 0}}},
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ],
+                    'elif': [
+                        {
+                            'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 1}}},
+                            'statements': [
+                                {'assign': {'name': 'a', 'expr': {'number': 2}}}
+                            ]
+                        },
+                        {
+                            'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 2}}},
+                            'statements': [
+                                {'assign': {'name': 'a', 'expr': {'number': 3}}}
+                            ]
+                        }
+                    ],
+                    'else': [
+                        {'assign': {'name': 'a', 'expr': {'number': 4}}}
+                    ]
+                }
+            }
+        ]
+    });
 });
 
 
-test('parseScript, jump statement expression syntax error', (t) => {
-    const error = t.throws(() => {
-        parseScript(`\
-jumpif (@#$) label
-`);
-    }, {'instanceOf': CalcScriptParserError});
-    t.is(error.message, `\
-Syntax error, line number 1:
-jumpif (@#$) label
-        ^
-`);
-    t.is(error.error, 'Syntax error');
-    t.is(error.line, 'jumpif (@#$) label');
-    t.is(error.columnNumber, 9);
-    t.is(error.lineNumber, 1);
+test('parseScript, if statement nested', (t) => {
+    const script = validateScript(parseScript(`\
+function sign(x)
+    if (x < 0)
+        return -1
+    else
+        if (x == 0)
+            return 0
+        endif
+    endif
+    return 1
+endfunction
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'function': {
+                    'name': 'sign',
+                    'args': ['x'],
+                    'statements': [
+                        {
+                            'if': {
+                                'expr': {'binary': {'op': '<', 'left': {'variable': 'x'}, 'right': {'number': 0}}},
+                                'statements': [
+                                    {'return': {'expr': {'unary': {'op': '-', 'expr': {'number': 1}}}}}
+                                ],
+                                'else': [
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '==', 'left': {'variable': 'x'}, 'right': {'number': 0}}},
+                                            'statements': [
+                                                {'return': {'expr': {'number': 0}}}
+                                            ]
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'number': 1}}}
+                    ]
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, if statement function definition', (t) => {
+    const script = validateScript(parseScript(`\
+if (a)
+    function foo(b)
+        if (b)
+            return 1
+        endif
+    endfunction
+endif
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'if': {
+                    'expr': {'variable': 'a'},
+                    'statements': [
+                        {
+                            'function': {
+                                'name': 'foo',
+                                'args': ['b'],
+                                'statements': [
+                                    {
+                                        'if': {
+                                            'expr': {'variable': 'b'},
+                                            'statements': [
+                                                {'return': {'expr': {'number': 1}}}
+                                            ]
+                                        }
+                                    }
+                                ]
+                            }
+                        }
+                    ]
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, while statement', (t) => {
+    const script = validateScript(parseScript(`\
+i = 0
+while (i < 10)
+    i = i + 1
+    if (i == 2)
+        continue
+    elif (i == 5)
+        break
+    endif
+endwhile
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {
+                'while': {
+                    'expr': {'binary': {'op': '<', 'left': {'variable': 'i'}, 'right': {'number': 10}}},
+                    'statements': [
+                        {'assign': {'name': 'i', 'expr': {'binary': {'op': '+', 'left': {'variable': 'i'}, 'right': {'number': 1}}}}},
+                        {
+                            'if': {
+                                'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 2}}},
+                                'statements': [
+                                    {'continue': {}}
+                                ],
+                                'elif': [
+                                    {
+                                        'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 5}}},
+                                        'statements': [
+                                            {'break': {}}
+                                        ]
+                                    }
+                                ]
+                            }
+                        }
+                    ]
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, for statement', (t) => {
+    const script = validateScript(parseScript(`\
+for value in values
+    for item, ixItem in arrayNew(1, 2)
+        continue
+    endfor
+    break
+endfor
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'variable': 'values'},
+                    'statements': [
+                        {
+                            'for': {
+                                'value': 'item',
+                                'index': 'ixItem',
+                                'expr': {'function': {'name': 'arrayNew', 'args': [{'number': 1}, {'number': 2}]}},
+                                'statements': [
+                                    {'continue': {}}
+                                ]
+                            }
+                        },
+                        {'break': {}}
+                    ]
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, try statement', (t) => {
+    const script = validateScript(parseScript(`\
+try
+    throw 'Error: ' + message
+catch error
+    try
+        a = 1
+    catch
+        a = 2
+    endtry
+finally
+    try
+        b = 1
+    finally
+        b = 2
+    endtry
+endtry
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'binary': {'op': '+', 'left': {'string': 'Error: '}, 'right': {'variable': 'message'}}}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {
+                                'try': {
+                                    'statements': [{'assign': {'name': 'a', 'expr': {'number': 1}}}],
+                                    'catch': {'statements': [{'assign': {'name': 'a', 'expr': {'number': 2}}}]}
+                                }
+                            }
+                        ]
+                    },
+                    'finally': [
+                        {
+                            'try': {
+                                'statements': [{'assign': {'name': 'b', 'expr': {'number': 1}}}],
+                                'finally': [{'assign': {'name': 'b', 'expr': {'number': 2}}}]
+                            }
+                        }
+                    ]
+                }
+            }
+        ]
+    });
+});
+
+
+
+
+test('parseScript, locations', (t) => {
+    const script = validateScript(parseScript(`\
+# Comment
+function sumValues(values, scale)
+    total = 0
+    for value, ixValue in values
+        jumpif (ixValue > 2) done
+        if (value == null)
+            continue
+        elif (!value)
+            break
+        else
+            total = total + -value * scale
+        endif
+    endfor
+done:
+    try
+        data.rows[ixValue + 1] = {total: total}
+    catch
+        throw 'Error'
+    endtry
+    return total
+endfunction
+include 'test.mds'
+sumValues([1, 2], 3)
+`, 1, {'locations': true, 'url': 'test.mds'}));
+    const location = (lineNumber, columnNumber, endLineNumber, endColumnNumber) => (
+        {'url': 'test.mds', lineNumber, columnNumber, endLineNumber, endColumnNumber}
+    );
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'function': {
+                    'name': 'sumValues',
+                    'args': ['values', 'scale'],
+                    'statements': [
+                        {'assign': {'name': 'total', 'expr': {'number': 0}, 'location': location(3, 5, 3, 14)}},
+                        {
+                            'for': {
+                                'value': 'value',
+                                'index': 'ixValue',
+                                'expr': {'variable': 'values'},
+                                'statements': [
+                                    {
+                                        'jump': {
+                                            'label': 'done',
+                                            'expr': {'binary': {
+                                                'op': '>',
+                                                'left': {'variable': 'ixValue'},
+                                                'right': {'number': 2},
+                                                'location': location(5, 17, 5, 28)
+                                            }},
+                                            'location': location(5, 9, 5, 34)
+                                        }
+                                    },
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {
+                                                'op': '==',
+                                                'left': {'variable': 'value'},
+                                                'right': {'variable': 'null'},
+                                                'location': location(6, 13, 6, 26)
+                                            }},
+                                            'statements': [
+                                                {'continue': {'location': location(7, 13, 7, 21)}}
+                                            ],
+                                            'elif': [
+                                                {
+                                                    'expr': {'unary': {
+                                                        'op': '!',
+                                                        'expr': {'variable': 'value'},
+                                                        'location': location(8, 15, 8, 21)
+                                                    }},
+                                                    'statements': [
+                                                        {'break': {'location': location(9, 13, 9, 18)}}
+                                                    ]
+                                                }
+                                            ],
+                                            'else': [
+                                                {
+                                                    'assign': {
+                                                        'name': 'total',
+                                                        'expr': {'binary': {
+                                                            'op': '+',
+                                                            'left': {'variable': 'total'},
+                                                            'right': {'binary': {
+                                                                'op': '*',
+                                                                'left': {'unary': {
+                                                                    'op': '-',
+                                                                    'expr': {'variable': 'value'},
+                                                                    'location': location(11, 29, 11, 35)
+                                                                }},
+                                                                'right': {'variable': 'scale'},
+                                                                'location': location(11, 29, 11, 43)
+                                                            }},
+                                                            'location': location(11, 21, 11, 43)
+                                                        }},
+                                                        'location': location(11, 13, 11, 43)
+                                                    }
+                                                }
+                                            ],
+                                            'location': location(6, 9, 12, 14)
+                                        }
+                                    }
+                                ],
+                                'location': location(4, 5, 13, 11)
+                            }
+                        },
+                        {'label': 'done'},
+                        {
+                            'try': {
+                                'statements': [
+                                    {
+                                        'assign': {
+                                            'name': 'data',
+                                            'indexes': [
+                                                {'string': 'rows'},
+                                                {'binary': {
+                                                    'op': '+',
+                                                    'left': {'variable': 'ixValue'},
+                                                    'right': {'number': 1},
+                                                    'location': location(16, 19, 16, 30)
+                                                }}
+                                            ],
+                                            'expr': {'object': {
+                                                'keyValues': [{'key': 'total', 'value': {'variable': 'total'}}],
+                                                'location': location(16, 34, 16, 48)
+                                            }},
+                                            'location': location(16, 9, 16, 48)
+                                        }
+                                    }
+                                ],
+                                'catch': {
+                                    'statements': [
+                                        {'throw': {'expr': {'string': 'Error'}, 'location': location(18, 9, 18, 22)}}
+                                    ]
+                                },
+                                'location': location(15, 5, 19, 11)
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'total'}, 'location': location(20, 5, 20, 17)}}
+                    ],
+                    'location': location(2, 1, 21, 12)
+                }
+            },
+            {'include': 'test.mds'},
+            {
+                'expr': {
+                    'function': {
+                        'name': 'sumValues',
+                        'args': [
+                            {'array': {'values': [{'number': 1}, {'number': 2}], 'location': location(23, 11, 23, 17)}},
+                            {'number': 3}
+                        ],
+                        'location': location(23, 1, 23, 21)
+                    }
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, locations expressions', (t) => {
+    const script = validateScript(parseScript(`\
+a = foo()?.b.c[(d)] + fn((x) => -x, [1, [2, 3]][0])
+`, 5, {'locations': true}));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'assign': {
+                    'name': 'a',
+                    'expr': {'binary': {
+                        'op': '+',
+                        'left': {'index': {
+                            'expr': {'index': {
+                                'expr': {'index': {
+                                    'expr': {'function': {
+                                        'name': 'foo',
+                                        'args': [],
+                                        'location': {'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 5, 'endColumnNumber': 10}
+                                    }},
+                                    'index': {'string': 'b'},
+                                    'optional': true,
+                                    'location': {'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 5, 'endColumnNumber': 13}
+                                }},
+                                'index': {'string': 'c'},
+                                'location': {'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 5, 'endColumnNumber': 15}
+                            }},
+                            'index': {'group': {'variable': 'd'}},
+                            'location': {'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 5, 'endColumnNumber': 20}
+                        }},
+                        'right': {'function': {
+                            'name': 'fn',
+                            'args': [
+                                {'lambda': {
+                                    'args': ['x'],
+                                    'expr': {'unary': {
+                                        'op': '-',
+                                        'expr': {'variable': 'x'},
+                                        'location': {'lineNumber': 5, 'columnNumber': 33, 'endLineNumber': 5, 'endColumnNumber': 35}
+                                    }},
+                                    'location': {'lineNumber': 5, 'columnNumber': 26, 'endLineNumber': 5, 'endColumnNumber': 35}
+                                }},
+                                {'index': {
+                                    'expr': {'array': {
+                                        'values': [
+                                            {'number': 1},
+                                            {'array': {
+                                                'values': [{'number': 2}, {'number': 3}],
+                                                'location': {'lineNumber': 5, 'columnNumber': 41, 'endLineNumber': 5, 'endColumnNumber': 47}
+                                            }}
+                                        ],
+                                        'location': {'lineNumber': 5, 'columnNumber': 37, 'endLineNumber': 5, 'endColumnNumber': 48}
+                                    }},
+                                    'index': {'number': 0},
+                                    'location': {'lineNumber': 5, 'columnNumber': 37, 'endLineNumber': 5, 'endColumnNumber': 51}
+                                }}
+                            ],
+                            'location': {'lineNumber': 5, 'columnNumber': 23, 'endLineNumber': 5, 'endColumnNumber': 52}
+                        }},
+                        'location': {'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 5, 'endColumnNumber': 52}
+                    }},
+                    'location': {'lineNumber': 5, 'columnNumber': 1, 'endLineNumber': 5, 'endColumnNumber': 52}
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, locations line continuation', (t) => {
+    const script = validateScript(parseScript(`\
+function foo(a)
+    return bar( \\
+        a, \\
+          b + c \\
+    )
+`, 1, {'locations': true}));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'function': {
+                    'name': 'foo',
+                    'args': ['a'],
+                    'statements': [
+                        {
+                            'return': {
+                                'expr': {'function': {
+                                    'name': 'bar',
+                                    'args': [
+                                        {'variable': 'a'},
+                                        {'binary': {
+                                            'op': '+',
+                                            'left': {'variable': 'b'},
+                                            'right': {'variable': 'c'},
+                                            'location': {'lineNumber': 4, 'columnNumber': 11, 'endLineNumber': 4, 'endColumnNumber': 16}
+                                        }}
+                                    ],
+                                    'location': {'lineNumber': 2, 'columnNumber': 12, 'endLineNumber': 5, 'endColumnNumber': 6}
+                                }},
+                                'location': {'lineNumber': 2, 'columnNumber': 5, 'endLineNumber': 5, 'endColumnNumber': 6}
+                            }
+                        }
+                    ],
+                    'location': {'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 1, 'endColumnNumber': 16}
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, locations label, include, and expression statements', (t) => {
+    const script = parseScript(`\
+done:
+  include 'a.mds'
+include "b.mds"
+(a)
+(foo(1))
+  a
+`, 1, {'locations': true, 'url': 'test.mds'});
+    const location = (lineNumber, columnNumber, endColumnNumber) => (
+        {'url': 'test.mds', lineNumber, columnNumber, 'endLineNumber': lineNumber, endColumnNumber}
+    );
+
+    // The statement source locations are not part of the model
+    t.deepEqual(validateScript(script), {
+        'statements': [
+            {'label': 'done'},
+            {'include': 'a.mds'},
+            {'include': 'b.mds'},
+            {'expr': {'group': {'variable': 'a'}}},
+            {'expr': {'group': {'function': {'name': 'foo', 'args': [{'number': 1}], 'location': location(5, 2, 8)}}}},
+            {'expr': {'variable': 'a'}}
+        ]
+    });
+    t.deepEqual(script.statements.map(getStatementLocation), [
+        location(1, 1, 6),
+        location(2, 3, 18),
+        location(3, 1, 16),
+        location(4, 1, 4),
+        location(5, 2, 8),
+        location(6, 3, 4)
+    ]);
+
+    // Statements without source locations
+    t.is(getStatementLocation({'label': 'done'}), null);
+    t.is(getStatementLocation({'include': 'a.mds'}), null);
+    t.is(getStatementLocation({'expr': {'variable': 'a'}}), null);
+    t.is(getStatementLocation({'return': {}}), null);
+    t.deepEqual(parseScript('done:\ninclude "a.mds"\na').statements.map(getStatementLocation), [null, null, null]);
+});
+
+
+test('parseScript, getExpressionLocation', (t) => {
+    const location = {'lineNumber': 1, 'columnNumber': 2, 'endLineNumber': 1, 'endColumnNumber': 8};
+    t.deepEqual(getExpressionLocation({'group': {'group': {'function': {'name': 'foo', location}}}}), location);
+    t.is(getExpressionLocation({'group': {'function': {'name': 'foo'}}}), null);
+    t.is(getExpressionLocation({'number': 1}), null);
+    t.is(getExpressionLocation({'string': 'a'}), null);
+    t.is(getExpressionLocation({'variable': 'a'}), null);
+});
+
+
+test('parseScript, if expression function statement', (t) => {
+    const script = validateScript(parseScript(`\
+if(a, foo(), bar())
+if (a, \\
+    foo() \\
+)
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {
+                'expr': {
+                    'function': {
+                        'name': 'if',
+                        'args': [
+                            {'variable': 'a'},
+                            {'function': {'name': 'foo', 'args': []}},
+                            {'function': {'name': 'bar', 'args': []}}
+                        ]
+                    }
+                }
+            },
+            {
+                'expr': {
+                    'function': {
+                        'name': 'if',
+                        'args': [
+                            {'variable': 'a'},
+                            {'function': {'name': 'foo', 'args': []}}
+                        ]
+                    }
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, expression statement', (t) => {
+    const script = validateScript(parseScript(`\
+foo()
+`));
+    t.deepEqual(script, {
+        'statements': [
+            {'expr': {'function': {'name': 'foo', 'args': []}}}
+        ]
+    });
+});
+
+
+test('parseScript, expression statement syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a = 0
+b = 1
+foo \
+bar
+c = 2
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 3:
+foo bar
+   ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'foo bar');
+    t.is(error.columnNumber, 4);
+    t.is(error.lineNumber, 3);
+});
+
+
+test('parseScript, assignment statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a = 0
+b = 1 + foo bar
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 2:
+b = 1 + foo bar
+           ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'b = 1 + foo bar');
+    t.is(error.columnNumber, 12);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, jump statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+jumpif (@#$) label
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+jumpif (@#$) label
+        ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'jumpif (@#$) label');
+    t.is(error.columnNumber, 9);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, return statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+return @#$
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+return @#$
+       ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'return @#$');
+    t.is(error.columnNumber, 8);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, nested function statement', (t) => {
+    const script = parseScript(`\
+function foo(a)
+    function bar(b)
+        return a + b
+    endfunction
+    return bar(1)
+endfunction
+`);
+    t.deepEqual(validateScript(script), {
+        'statements': [
+            {
+                'function': {
+                    'name': 'foo',
+                    'args': ['a'],
+                    'statements': [
+                        {
+                            'function': {
+                                'name': 'bar',
+                                'args': ['b'],
+                                'statements': [
+                                    {'return': {'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'function': {'name': 'bar', 'args': [{'number': 1}]}}}}
+                    ]
+                }
+            }
+        ]
+    });
+});
+
+
+test('parseScript, endfunction statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a = 1
+endfunction
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching function definition, line number 2:
+endfunction
+^
+`);
+    t.is(error.error, 'No matching function definition');
+    t.is(error.line, 'endfunction');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, if statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a +)
+endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+if (a +)
+       ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'if (a +)');
+    t.is(error.columnNumber, 8);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, elif statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+elif (@#$)
+endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 2:
+elif (@#$)
+      ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'elif (@#$)');
+    t.is(error.columnNumber, 7);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, elif statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a = 1
+elif (a)
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching if statement, line number 2:
+elif (a)
+^
+`);
+    t.is(error.error, 'No matching if statement');
+    t.is(error.line, 'elif (a)');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, elif statement following else error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+else
+elif (b)
+endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching if statement, line number 3:
+elif (b)
+^
+`);
+});
+
+
+test('parseScript, else statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+function foo()
+    else
+endfunction
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching if statement, line number 2:
+    else
+^
+`);
+    t.is(error.error, 'No matching if statement');
+    t.is(error.line, '    else');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, else statement following else error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+else
+else
+endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching if statement, line number 3:
+else
+^
+`);
+});
+
+
+test('parseScript, endif statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+a = 1
+endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching if statement, line number 2:
+endif
+^
+`);
+    t.is(error.error, 'No matching if statement');
+    t.is(error.line, 'endif');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, endfunction statement within if statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+function foo()
+    if (a)
+endfunction
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching function definition, line number 3:
+endfunction
+^
+`);
+});
+
+
+test('parseScript, missing endif statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+    if (b)
+        c = 1
+    endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Missing endif statement, line number 1:
+if (a)
+^
+`);
+    t.is(error.error, 'Missing endif statement');
+    t.is(error.line, 'if (a)');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, while statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+while (@#$)
+endwhile
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+while (@#$)
+       ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'while (@#$)');
+    t.is(error.columnNumber, 8);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, endwhile statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+endwhile
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching while statement, line number 2:
+endwhile
+^
+`);
+    t.is(error.error, 'No matching while statement');
+    t.is(error.line, 'endwhile');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, missing endwhile statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+while (a)
+    b = 1
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Missing endwhile statement, line number 1:
+while (a)
+^
+`);
+});
+
+
+test('parseScript, for statement expression syntax error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+for value, index in @#$
+endfor
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+for value, index in @#$
+                    ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'for value, index in @#$');
+    t.is(error.columnNumber, 21);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, endfor statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+endfor
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching for statement, line number 1:
+endfor
+^
+`);
+    t.is(error.error, 'No matching for statement');
+    t.is(error.line, 'endfor');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, missing endfor statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+function foo(values)
+    for value in values
+        a = 1
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Missing endfor statement, line number 2:
+    for value in values
+^
+`);
+});
+
+
+test('parseScript, catch statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+catch error
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching try statement, line number 2:
+catch error
+^
+`);
+    t.is(error.error, 'No matching try statement');
+    t.is(error.line, 'catch error');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, catch after catch statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+try
+catch
+catch
+endtry
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching try statement, line number 3:
+catch
+^
+`);
+});
+
+
+test('parseScript, catch after finally statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+try
+finally
+catch
+endtry
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching try statement, line number 3:
+catch
+^
+`);
+});
+
+
+test('parseScript, finally statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+finally
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching try statement, line number 1:
+finally
+^
+`);
+});
+
+
+test('parseScript, finally after finally statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+try
+finally
+finally
+endtry
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching try statement, line number 3:
+finally
+^
+`);
+});
+
+
+test('parseScript, endtry statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+while (a)
+endtry
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+No matching try statement, line number 2:
+endtry
+^
+`);
+});
+
+
+test('parseScript, missing endtry statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+try
+    a = 1
+catch
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Missing endtry statement, line number 1:
+try
+^
+`);
+});
+
+
+test('parseScript, throw statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+throw 'Error: ' + @#$
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error, line number 1:
+throw 'Error: ' + @#$
+                 ^
+`);
+    t.is(error.error, 'Syntax error');
+    t.is(error.line, 'throw \'Error: \' + @#$');
+    t.is(error.columnNumber, 18);
+    t.is(error.lineNumber, 1);
+});
+
+
+test('parseScript, break statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+if (a)
+    break
+endif
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Break statement outside of loop, line number 2:
+    break
+^
+`);
+    t.is(error.error, 'Break statement outside of loop');
+    t.is(error.line, '    break');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 2);
+});
+
+
+test('parseScript, continue statement error', (t) => {
+    const error = t.throws(() => {
+        parseScript(`\
+while (a)
+    function foo(b)
+        continue
+    endfunction
+endwhile
+`);
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Continue statement outside of loop, line number 3:
+        continue
+^
+`);
+    t.is(error.error, 'Continue statement outside of loop');
+    t.is(error.line, '        continue');
+    t.is(error.columnNumber, 1);
+    t.is(error.lineNumber, 3);
+});
+
+
+test('parseScriptDiagnostics', (t) => {
+    const result = parseScriptDiagnostics(`\
+a = 1 +
+if (a ==)
+    b = @
+elif (a == 2)
+    b = 2
+endif
+c = 3
+while (true)
+    d = 4
+`);
+    t.deepEqual(validateScript(result.script), {
+        'statements': [
+            {'assign': {'name': 'c', 'expr': {'number': 3}}},
+            {'while': {
+                'expr': {'variable': 'true'},
+                'statements': [
+                    {'assign': {'name': 'd', 'expr': {'number': 4}}}
+                ]
+            }}
+        ]
+    });
+    t.deepEqual(result.diagnostics, [
+        {'message': 'Syntax error', 'lineNumber': 1, 'columnNumber': 8, 'severity': 'error'},
+        {'message': 'Syntax error', 'lineNumber': 2, 'columnNumber': 9, 'severity': 'error'},
+        {'message': 'Syntax error', 'lineNumber': 3, 'columnNumber': 9, 'severity': 'error'},
+        {'message': 'Missing endwhile statement', 'lineNumber': 8, 'columnNumber': 1, 'severity': 'error'}
+    ]);
+});
+
+
+test('parseScriptDiagnostics, no errors', (t) => {
+    const result = parseScriptDiagnostics(`\
+a = 1
+`);
+    t.deepEqual(validateScript(result.script), {
+        'statements': [
+            {'assign': {'name': 'a', 'expr': {'number': 1}}}
+        ]
+    });
+    t.deepEqual(result.diagnostics, []);
+});
+
+
+test('parseScriptDiagnostics, block errors', (t) => {
+    const result = parseScriptDiagnostics(`\
+for x in @
+    a = 1
+endfor
+while (@)
+endwhile
+endif
+function test(n)
+    if (true)
+        for x in [1, 2]
+`, 5);
+    t.deepEqual(validateScript(result.script), {
+        'statements': [
+            {'function': {
+                'name': 'test',
+                'args': ['n'],
+                'statements': [
+                    {'if': {
+                        'expr': {'variable': 'true'},
+                        'statements': [
+                            {'for': {
+                                'value': 'x',
+                                'expr': {'array': {'values': [{'number': 1}, {'number': 2}]}},
+                                'statements': []
+                            }}
+                        ]
+                    }}
+                ]
+            }}
+        ]
+    });
+    t.deepEqual(result.diagnostics, [
+        {'message': 'Syntax error', 'lineNumber': 5, 'columnNumber': 10, 'severity': 'error'},
+        {'message': 'Syntax error', 'lineNumber': 8, 'columnNumber': 8, 'severity': 'error'},
+        {'message': 'No matching if statement', 'lineNumber': 10, 'columnNumber': 1, 'severity': 'error'},
+        {'message': 'Missing endif statement', 'lineNumber': 12, 'columnNumber': 1, 'severity': 'error'},
+        {'message': 'Missing endfor statement', 'lineNumber': 13, 'columnNumber': 1, 'severity': 'error'}
+    ]);
+});
+
+
+test('parseScriptDiagnostics, endfunction block errors', (t) => {
+    const result = parseScriptDiagnostics(`\
+function test(n)
+    if (a)
+        while (@)
+endfunction
+b = 1
+endfunction
+`);
+    t.deepEqual(validateScript(result.script), {
+        'statements': [
+            {'function': {
+                'name': 'test',
+                'args': ['n'],
+                'statements': [
+                    {'if': {
+                        'expr': {'variable': 'a'},
+                        'statements': []
+                    }}
+                ]
+            }},
+            {'assign': {'name': 'b', 'expr': {'number': 1}}}
+        ]
+    });
+    t.deepEqual(result.diagnostics, [
+        {'message': 'Syntax error', 'lineNumber': 3, 'columnNumber': 16, 'severity': 'error'},
+        {'message': 'Missing endif statement', 'lineNumber': 2, 'columnNumber': 1, 'severity': 'error'},
+        {'message': 'Missing endwhile statement', 'lineNumber': 3, 'columnNumber': 1, 'severity': 'error'},
+        {'message': 'No matching function definition', 'lineNumber': 6, 'columnNumber': 1, 'severity': 'error'}
+    ]);
+});
+
+
+test('parseScriptCST', (t) => {
+    const cst = parseScriptCST(`\
+# Comment
+function test(a)
+    if (a == 'x' \\
+        || a == 1.50)
+        return "X"
+    elif (a)
+
+    else
+        try
+        catch
+        finally
+        endtry
+    endif
+endfunction
+`);
+    t.deepEqual(validateScriptCST(cst), {
+        'lines': [
+            {'type': 'comment', 'parts': [{'text': '# Comment', 'newline': '\n'}]},
+            {
+                'type': 'statement',
+                'parts': [{'text': 'function test(a)', 'newline': '\n'}],
+                'statement': cst.lines[1].statement,
+                'lines': [
+                    {
+                        'type': 'statement',
+                        'parts': [
+                            {'text': "    if (a == 'x' ", 'continuation': '\\', 'newline': '\n'},
+                            {'text': '        || a == 1.50)', 'newline': '\n'}
+                        ],
+                        'statement': cst.lines[1].statement.function.statements[0],
+                        'lines': [
+                            {
+                                'type': 'statement',
+                                'parts': [{'text': '        return "X"', 'newline': '\n'}],
+                                'statement': {'return': {'expr': {'string': 'X'}}}
+                            }
+                        ]
+                    },
+                    {
+                        'type': 'elif',
+                        'parts': [{'text': '    elif (a)', 'newline': '\n'}],
+                        'lines': [
+                            {'type': 'blank', 'parts': [{'text': '', 'newline': '\n'}]}
+                        ]
+                    },
+                    {
+                        'type': 'else',
+                        'parts': [{'text': '    else', 'newline': '\n'}],
+                        'lines': [
+                            {
+                                'type': 'statement',
+                                'parts': [{'text': '        try', 'newline': '\n'}],
+                                'statement': {'try': {'statements': [], 'catch': {'statements': []}, 'finally': []}},
+                                'lines': []
+                            },
+                            {'type': 'catch', 'parts': [{'text': '        catch', 'newline': '\n'}], 'lines': []},
+                            {'type': 'finally', 'parts': [{'text': '        finally', 'newline': '\n'}], 'lines': []},
+                            {'type': 'end', 'parts': [{'text': '        endtry', 'newline': '\n'}]}
+                        ]
+                    },
+                    {'type': 'end', 'parts': [{'text': '    endif', 'newline': '\n'}]}
+                ]
+            },
+            {'type': 'end', 'parts': [{'text': 'endfunction', 'newline': '\n'}]},
+            {'type': 'blank', 'parts': [{'text': ''}]}
+        ]
+    });
+    t.deepEqual(cst.lines[1].statement.function.statements[0].if.expr, {
+        'binary': {
+            'op': '||',
+            'left': {'binary': {'op': '==', 'left': {'variable': 'a'}, 'right': {'string': 'x'}}},
+            'right': {'binary': {'op': '==', 'left': {'variable': 'a'}, 'right': {'number': 1.5}}}
+        }
+    });
 });
 
 
-test('parseScript, return statement expression syntax error', (t) => {
-    const error = t.throws(() => {
-        parseScript(`\
-return @#$
-`);
-    }, {'instanceOf': CalcScriptParserError});
-    t.is(error.message, `\
-Syntax error, line number 1:
-return @#$
-       ^
-`);
-    t.is(error.error, 'Syntax error');
-    t.is(error.line, 'return @#$');
-    t.is(error.columnNumber, 8);
-    t.is(error.lineNumber, 1);
+test('parseScriptCST, newlines and unterminated line continuation', (t) => {
+    const cst = parseScriptCST('a = 1\r\n  \nb = 2 \\  ');
+    t.deepEqual(validateScriptCST(cst), {
+        'lines': [
+            {
+                'type': 'statement',
+                'parts': [{'text': 'a = 1', 'newline': '\r\n'}],
+                'statement': {'assign': {'name': 'a', 'expr': {'number': 1}}}
+            },
+            {'type': 'blank', 'parts': [{'text': '  ', 'newline': '\n'}]},
+            {'type': 'unterminated', 'parts': [{'text': 'b = 2 ', 'continuation': '\\  '}]}
+        ]
+    });
 });
 
 
-test('parseScript, nested function statement error', (t) => {
-    const error = t.throws(() => {
-        parseScript(`\
-function foo()
-    function bar()
-    endfunction
-endfunction
-`);
-    }, {'instanceOf': CalcScriptParserError});
-    t.is(error.message, `\
-Nested function definition, line number 2:
-    function bar()
-^
-`);
-    t.is(error.error, 'Nested function definition');
-    t.is(error.line, '    function bar()');
-    t.is(error.columnNumber, 1);
-    t.is(error.lineNumber, 2);
+test('parseScriptCST, no newline', (t) => {
+    const cst = parseScriptCST('a = 1', 1, {'locations': true});
+    t.deepEqual(validateScriptCST(cst), {
+        'lines': [
+            {
+                'type': 'statement',
+                'parts': [{'text': 'a = 1'}],
+                'statement': {
+                    'assign': {
+                        'name': 'a',
+                        'expr': {'number': 1},
+                        'location': {'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 1, 'endColumnNumber': 6}
+                    }
+                }
+            }
+        ]
+    });
 });
 
 
-test('parseScript, endfunction statement error', (t) => {
+test('parseScriptCST, error', (t) => {
     const error = t.throws(() => {
-        parseScript(`\
-a = 1
-endfunction
-`);
+        parseScriptCST(`\
+# Comment
+a = 1 +
+`, 3);
     }, {'instanceOf': CalcScriptParserError});
     t.is(error.message, `\
-No matching function definition, line number 2:
-endfunction
-^
+Syntax error, line number 4:
+a = 1 +
+       ^
 `);
-    t.is(error.error, 'No matching function definition');
-    t.is(error.line, 'endfunction');
-    t.is(error.columnNumber, 1);
-    t.is(error.lineNumber, 2);
 });
 
 
@@ -703,6 +2187,100 @@ test('parseExpression, operator precedence 8', (t) => {
 });
 
 
+test('parseExpression, long binary expression', (t) => {
+    const exprText = Array.from({'length': 20000}, (unused, ix) => `${ix}`).join(' + ');
+    let expr = parseExpression(exprText);
+    for (let ix = 19999; ix > 0; ix--) {
+        t.is(expr.binary.op, '+');
+        t.deepEqual(expr.binary.right, {'number': ix});
+        expr = expr.binary.left;
+    }
+    t.deepEqual(expr, {'number': 0});
+});
+
+
+test('parseExpression, long binary expression operator precedence', (t) => {
+    const exprText = Array.from({'length': 10000}, (unused, ix) => `${ix} * ${ix}`).join(' - ');
+    let expr = parseExpression(exprText);
+    for (let ix = 9999; ix > 0; ix--) {
+        t.is(expr.binary.op, '-');
+        t.deepEqual(expr.binary.right, {'binary': {'op': '*', 'left': {'number': ix}, 'right': {'number': ix}}});
+        expr = expr.binary.left;
+    }
+    t.deepEqual(expr, {'binary': {'op': '*', 'left': {'number': 0}, 'right': {'number': 0}}});
+});
+
+
+test('parseExpression, plus sign number', (t) => {
+    t.deepEqual(parseExpression('+5 - +2.5'), {
+        'binary': {
+            'op': '-',
+            'left': {'number': 5},
+            'right': {'number': 2.5}
+        }
+    });
+});
+
+
+test('parseExpression, plus sign number syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('1 + + 5');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+1 + + 5
+   ^
+`);
+});
+
+
+test('parseExpression, not-equal unary syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('a + != b');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+a + != b
+     ^
+`);
+});
+
+
+test('parseExpression, bracket variable with quotes', (t) => {
+    t.deepEqual(parseExpression("[it's] + 'x' + [\"a] + \"b\""), {
+        'binary': {
+            'op': '+',
+            'left': {
+                'binary': {
+                    'op': '+',
+                    'left': {
+                        'binary': {
+                            'op': '+',
+                            'left': {'variable': "it's"},
+                            'right': {'string': 'x'}
+                        }
+                    },
+                    'right': {'variable': '"a'}
+                }
+            },
+            'right': {'string': 'b'}
+        }
+    });
+});
+
+
+test('parseExpression, lambda argument syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('(a, 1) => a');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Unmatched parenthesis:
+(a, 1) => a
+^
+`);
+});
+
+
 test('parseExpression, group', (t) => {
     const expr = parseExpression('(7 + 3) * 5');
     t.deepEqual(validateExpression(expr), {
@@ -759,3 +2337,286 @@ test('parseExpression, string literal double-quote escapes', (t) => {
     const expr = parseExpression('"ab \\"c\\" d\\\\e \\f"');
     t.deepEqual(validateExpression(expr), {'string': 'ab "c" d\\e \\f'});
 });
+
+
+test('parseExpression, string literal escaped backslash', (t) => {
+    const expr = parseExpression('\'a\\\\\' + "b\\\\" + [c\\\\] + [d e]');
+    t.deepEqual(validateExpression(expr), {
+        'binary': {
+            'op': '+',
+            'left': {
+                'binary': {
+                    'op': '+',
+                    'left': {'binary': {'op': '+', 'left': {'string': 'a\\'}, 'right': {'string': 'b\\'}}},
+                    'right': {'variable': 'c\\'}
+                }
+            },
+            'right': {'variable': 'd e'}
+        }
+    });
+});
+
+
+test('parseExpression, array', (t) => {
+    const expr = parseExpression('[1, "b", [], [c,], [d + 1, e,]]');
+    t.deepEqual(validateExpression(expr), {
+        'array': {
+            'values': [
+                {'number': 1},
+                {'string': 'b'},
+                {'array': {'values': []}},
+                {'array': {'values': [{'variable': 'c'}]}},
+                {'array': {'values': [{'binary': {'op': '+', 'left': {'variable': 'd'}, 'right': {'number': 1}}}, {'variable': 'e'}]}}
+            ]
+        }
+    });
+});
+
+
+test('parseExpression, array bracketed variable', (t) => {
+    t.deepEqual(validateExpression(parseExpression('[a]')), {'variable': 'a'});
+    t.deepEqual(validateExpression(parseExpression('[my var]')), {'variable': 'my var'});
+    t.deepEqual(validateExpression(parseExpression('[a + b]')), {'variable': 'a + b'});
+    t.deepEqual(validateExpression(parseExpression('[#1 (x]')), {'variable': '#1 (x'});
+    t.deepEqual(validateExpression(parseExpression('[my var\\]]')), {'variable': 'my var]'});
+});
+
+
+test('parseExpression, array bracketed variable with separators', (t) => {
+    t.deepEqual(validateExpression(parseExpression('[my, var]')), {'variable': 'my, var'});
+    t.deepEqual(validateExpression(parseExpression('[a, b]')), {'variable': 'a, b'});
+    t.deepEqual(validateExpression(parseExpression('[m,y var]')), {'variable': 'm,y var'});
+    t.deepEqual(validateExpression(parseExpression('[a, 1]')), {'variable': 'a, 1'});
+    t.deepEqual(validateExpression(parseExpression('[a, @#$]')), {'variable': 'a, @#$'});
+    t.deepEqual(validateExpression(parseExpression('[a, b c,]')), {'variable': 'a, b c,'});
+});
+
+
+test('parseExpression, array literal values', (t) => {
+    t.deepEqual(validateExpression(parseExpression('[-1, "a", null, true]')), {
+        'array': {
+            'values': [
+                {'unary': {'op': '-', 'expr': {'number': 1}}},
+                {'string': 'a'},
+                {'variable': 'null'},
+                {'variable': 'true'}
+            ]
+        }
+    });
+    t.deepEqual(validateExpression(parseExpression('[{a: 1}, [2, x,]]')), {
+        'array': {
+            'values': [
+                {'object': {'keyValues': [{'key': 'a', 'value': {'number': 1}}]}},
+                {'array': {'values': [{'number': 2}, {'variable': 'x'}]}}
+            ]
+        }
+    });
+    t.deepEqual(validateExpression(parseExpression('[a, b,]')), {'array': {'values': [{'variable': 'a'}, {'variable': 'b'}]}});
+    t.deepEqual(validateExpression(parseExpression('[a, 1,]')), {'array': {'values': [{'variable': 'a'}, {'number': 1}]}});
+});
+
+
+test('parseExpression, array syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('[a, b c');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+[a, b c
+     ^
+`);
+});
+
+
+test('parseExpression, array value syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('[a, @#$');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+[a, @#$
+   ^
+`);
+});
+
+
+test('parseExpression, object', (t) => {
+    const expr = parseExpression('{\'a\': 1, "b": {}, c: {d: [1, 2],}, \'e\\\'f\': g}');
+    t.deepEqual(validateExpression(expr), {
+        'object': {
+            'keyValues': [
+                {'key': 'a', 'value': {'number': 1}},
+                {'key': 'b', 'value': {'object': {'keyValues': []}}},
+                {'key': 'c', 'value': {'object': {'keyValues': [
+                    {'key': 'd', 'value': {'array': {'values': [{'number': 1}, {'number': 2}]}}}
+                ]}}},
+                {'key': "e'f", 'value': {'variable': 'g'}}
+            ]
+        }
+    });
+});
+
+
+test('parseExpression, object key syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('{a: 1, 2: 3}');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+{a: 1, 2: 3}
+      ^
+`);
+});
+
+
+test('parseExpression, object separator syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('{a: 1 b: 2}');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+{a: 1 b: 2}
+     ^
+`);
+});
+
+
+test('parseExpression, index', (t) => {
+    const expr = parseExpression('-data.rows[ix + 1] ?.name?.[0]');
+    t.deepEqual(validateExpression(expr), {
+        'unary': {
+            'op': '-',
+            'expr': {
+                'index': {
+                    'expr': {
+                        'index': {
+                            'expr': {
+                                'index': {
+                                    'expr': {
+                                        'index': {
+                                            'expr': {'variable': 'data'},
+                                            'index': {'string': 'rows'}
+                                        }
+                                    },
+                                    'index': {'binary': {'op': '+', 'left': {'variable': 'ix'}, 'right': {'number': 1}}}
+                                }
+                            },
+                            'index': {'string': 'name'},
+                            'optional': true
+                        }
+                    },
+                    'index': {'number': 0},
+                    'optional': true
+                }
+            }
+        }
+    });
+});
+
+
+test('parseExpression, index primary expressions', (t) => {
+    t.deepEqual(validateExpression(parseExpression('fn(a).b')), {
+        'index': {'expr': {'function': {'name': 'fn', 'args': [{'variable': 'a'}]}}, 'index': {'string': 'b'}}
+    });
+    t.deepEqual(validateExpression(parseExpression('(a).b')), {
+        'index': {'expr': {'group': {'variable': 'a'}}, 'index': {'string': 'b'}}
+    });
+    t.deepEqual(validateExpression(parseExpression('[1, 2][0]')), {
+        'index': {'expr': {'array': {'values': [{'number': 1}, {'number': 2}]}}, 'index': {'number': 0}}
+    });
+    t.deepEqual(validateExpression(parseExpression('[my var].b')), {
+        'index': {'expr': {'variable': 'my var'}, 'index': {'string': 'b'}}
+    });
+});
+
+
+test('parseExpression, index syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('a[1');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+a[1
+   ^
+`);
+});
+
+
+test('parseExpression, index member syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('a.1');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+a.1
+ ^
+`);
+});
+
+
+
+
+test('parseExpression, lambda', (t) => {
+    const expr = parseExpression('arraySort(values, (a, b) => a - b)');
+    t.deepEqual(validateExpression(expr), {
+        'function': {
+            'name': 'arraySort',
+            'args': [
+                {'variable': 'values'},
+                {
+                    'lambda': {
+                        'args': ['a', 'b'],
+                        'expr': {'binary': {'op': '-', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}
+                    }
+                }
+            ]
+        }
+    });
+});
+
+
+test('parseExpression, lambda no arguments', (t) => {
+    const expr = parseExpression('( ) => [a, 1,]');
+    t.deepEqual(validateExpression(expr), {
+        'lambda': {
+            'args': [],
+            'expr': {'array': {'values': [{'variable': 'a'}, {'number': 1}]}}
+        }
+    });
+});
+
+
+test('parseExpression, lambda nested', (t) => {
+    const expr = parseExpression('(a) => (b) => a + b');
+    t.deepEqual(validateExpression(expr), {
+        'lambda': {
+            'args': ['a'],
+            'expr': {
+                'lambda': {
+                    'args': ['b'],
+                    'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}
+                }
+            }
+        }
+    });
+});
+
+
+test('parseExpression, lambda group', (t) => {
+    const expr = parseExpression('(a) + (b)');
+    t.deepEqual(validateExpression(expr), {
+        'binary': {'op': '+', 'left': {'group': {'variable': 'a'}}, 'right': {'group': {'variable': 'b'}}}
+    });
+});
+
+
+test('parseExpression, lambda syntax error', (t) => {
+    const error = t.throws(() => {
+        parseExpression('(a, b) => ');
+    }, {'instanceOf': CalcScriptParserError});
+    t.is(error.message, `\
+Syntax error:
+(a, b) => 
+         ^
+`);
+});
@@ -1,8 +1,12 @@
 // Licensed under the MIT License
 // https://github.com/craigahobbs/calc-script/blob/main/LICENSE
 
-import {CalcScriptRuntimeError, evaluateExpression, executeScript} from '../lib/runtime.js';
-import {validateExpression, validateScript} from '../lib/model.js';
+import {
+    CalcScriptCancellationError, CalcScriptRuntimeError, evaluateExpression, executeScript, normalizeRelativeURL
+} from '../lib/runtime.js';
+import {CalcScriptValidationError, validateExpression, validateScript} from '../lib/model.js';
+import {parseExpression, parseScript} from '../lib/parser.js';
+import {scriptFunctions} from '../lib/library.js';
 import test from 'ava';
 
 
@@ -236,6 +240,1141 @@ test('executeScript, return blank', (t) => {
 });
 
 
+test('executeScript, if', (t) => {
+    const ifStatement = {
+        'if': {
+            'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 0}}},
+            'statements': [
+                {'return': {'expr': {'string': 'zero'}}}
+            ],
+            'elif': [
+                {
+                    'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 1}}},
+                    'statements': [
+                        {'return': {'expr': {'string': 'one'}}}
+                    ]
+                },
+                {
+                    'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 2}}},
+                    'statements': [
+                        {'return': {'expr': {'string': 'two'}}}
+                    ]
+                }
+            ],
+            'else': [
+                {'return': {'expr': {'string': 'many'}}}
+            ]
+        }
+    };
+    const script = validateScript({
+        'statements': [
+            ifStatement,
+            {'return': {'expr': {'string': 'unreachable'}}}
+        ]
+    });
+    t.is(executeScript(script, {'i': 0}), 'zero');
+    t.is(executeScript(script, {'i': 1}), 'one');
+    t.is(executeScript(script, {'i': 2}), 'two');
+    t.is(executeScript(script, {'i': 3}), 'many');
+});
+
+
+test('executeScript, if no else', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'a', 'expr': {'number': 1}}},
+            {
+                'if': {
+                    'expr': {'variable': 'b'},
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'number': 2}}}
+                    ],
+                    'elif': [
+                        {
+                            'expr': {'variable': 'c'},
+                            'statements': [
+                                {'assign': {'name': 'a', 'expr': {'number': 3}}}
+                            ]
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'variable': 'a'}}}
+        ]
+    });
+    t.is(executeScript(script, {'b': false, 'c': false}), 1);
+    t.is(executeScript(script, {'b': true, 'c': false}), 2);
+    t.is(executeScript(script, {'b': false, 'c': true}), 3);
+});
+
+
+test('executeScript, if function', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'sign',
+                    'args': ['x'],
+                    'statements': [
+                        {
+                            'if': {
+                                'expr': {'binary': {'op': '<', 'left': {'variable': 'x'}, 'right': {'number': 0}}},
+                                'statements': [
+                                    {'return': {'expr': {'unary': {'op': '-', 'expr': {'number': 1}}}}}
+                                ],
+                                'else': [
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '==', 'left': {'variable': 'x'}, 'right': {'number': 0}}},
+                                            'statements': [
+                                                {'return': {'expr': {'number': 0}}}
+                                            ]
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'number': 1}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'arrayNew', 'args': [
+                {'function': {'name': 'sign', 'args': [{'number': -5}]}},
+                {'function': {'name': 'sign', 'args': [{'number': 0}]}},
+                {'function': {'name': 'sign', 'args': [{'number': 5}]}}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), [-1, 0, 1]);
+});
+
+
+test('executeScript, if jump', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'a', 'expr': {'number': 0}}},
+            {'label': 'loop'},
+            {
+                'if': {
+                    'expr': {'binary': {'op': '<', 'left': {'variable': 'a'}, 'right': {'number': 5}}},
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'number': 1}}}}},
+                        {'jump': {'label': 'loop'}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'variable': 'a'}}}
+        ]
+    });
+    t.is(executeScript(script), 5);
+});
+
+
+test('executeScript, if jump error unknown label', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'if': {
+                    'expr': {'variable': 'true'},
+                    'statements': [
+                        {'jump': {'label': 'unknownLabel'}}
+                    ]
+                }
+            },
+            {'label': 'otherLabel'}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Unknown jump label "unknownLabel"');
+});
+
+
+test('executeScript, while', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {'assign': {'name': 'total', 'expr': {'number': 0}}},
+            {
+                'while': {
+                    'expr': {'binary': {'op': '<', 'left': {'variable': 'i'}, 'right': {'number': 10}}},
+                    'statements': [
+                        {'assign': {'name': 'i', 'expr': {'binary': {'op': '+', 'left': {'variable': 'i'}, 'right': {'number': 1}}}}},
+                        {
+                            'if': {
+                                'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 2}}},
+                                'statements': [
+                                    {'continue': {}}
+                                ],
+                                'elif': [
+                                    {
+                                        'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 5}}},
+                                        'statements': [
+                                            {'break': {}}
+                                        ]
+                                    }
+                                ]
+                            }
+                        },
+                        {'assign': {
+                            'name': 'total',
+                            'expr': {'binary': {'op': '+', 'left': {'variable': 'total'}, 'right': {'variable': 'i'}}}
+                        }}
+                    ]
+                }
+            },
+            {'return': {'expr': {'variable': 'total'}}}
+        ]
+    });
+    t.is(executeScript(script), 8);
+});
+
+
+test('executeScript, while return', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'firstOver',
+                    'args': ['values', 'limit'],
+                    'statements': [
+                        {'assign': {'name': 'ix', 'expr': {'number': 0}}},
+                        {
+                            'while': {
+                                'expr': {'variable': 'true'},
+                                'statements': [
+                                    {'assign': {
+                                        'name': 'value',
+                                        'expr': {'function': {'name': 'arrayGet', 'args': [{'variable': 'values'}, {'variable': 'ix'}]}}
+                                    }},
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '>', 'left': {'variable': 'value'}, 'right': {'variable': 'limit'}}},
+                                            'statements': [
+                                                {'return': {'expr': {'variable': 'value'}}}
+                                            ]
+                                        }
+                                    },
+                                    {'assign': {
+                                        'name': 'ix',
+                                        'expr': {'binary': {'op': '+', 'left': {'variable': 'ix'}, 'right': {'number': 1}}}
+                                    }}
+                                ]
+                            }
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'firstOver', 'args': [{'variable': 'values'}, {'number': 2}]}}}}
+        ]
+    });
+    t.is(executeScript(script, {'values': [1, 2, 3, 4]}), 3);
+});
+
+
+test('executeScript, while jump', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {
+                'while': {
+                    'expr': {'variable': 'true'},
+                    'statements': [
+                        {'assign': {'name': 'i', 'expr': {'binary': {'op': '+', 'left': {'variable': 'i'}, 'right': {'number': 1}}}}},
+                        {'jump': {
+                            'label': 'done',
+                            'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 3}}}
+                        }}
+                    ]
+                }
+            },
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {'label': 'done'},
+            {'return': {'expr': {'variable': 'i'}}}
+        ]
+    });
+    t.is(executeScript(script), 3);
+});
+
+
+test('executeScript, while maxStatements', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'while': {'expr': {'variable': 'true'}, 'statements': []}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {}, {'maxStatements': 100});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum script statements (100)');
+});
+
+
+test('executeScript, validate', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'jump': {'label': 'unknown'}},
+            {'function': {'name': 'test', 'args': ['a', 'a'], 'statements': []}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {}, {'validate': true});
+    }, {'instanceOf': CalcScriptValidationError});
+    t.is(error.message, `\
+Unknown jump label "unknown"
+Duplicate argument "a"`);
+    t.deepEqual(error.errors, [
+        {'type': 'unknown-label', 'message': 'Unknown jump label "unknown"'},
+        {'type': 'duplicate-argument', 'message': 'Duplicate argument "a"'}
+    ]);
+});
+
+
+test('executeScript, validate schema', (t) => {
+    const error = t.throws(() => {
+        executeScript({'statements': [{'label': 1}]}, {}, {'validate': true});
+    });
+    t.is(error.message, "Invalid value 1 (type 'number') for member 'statements.0.label', expected type 'string'");
+});
+
+
+test('executeScript, validate success', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'return': {'expr': {'number': 1}}}
+        ]
+    });
+    t.is(executeScript(script, {}, {'validate': true}), 1);
+});
+
+
+test('executeScript, for', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'sumValues',
+                    'args': ['values'],
+                    'statements': [
+                        {'assign': {'name': 'total', 'expr': {'number': 0}}},
+                        {
+                            'for': {
+                                'value': 'value',
+                                'index': 'ixValue',
+                                'expr': {'variable': 'values'},
+                                'statements': [
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '==', 'left': {'variable': 'ixValue'}, 'right': {'number': 1}}},
+                                            'statements': [
+                                                {'continue': {}}
+                                            ],
+                                            'elif': [
+                                                {
+                                                    'expr': {
+                                                        'binary': {'op': '>', 'left': {'variable': 'value'}, 'right': {'number': 100}}
+                                                    },
+                                                    'statements': [
+                                                        {'break': {}}
+                                                    ]
+                                                }
+                                            ]
+                                        }
+                                    },
+                                    {'assign': {
+                                        'name': 'total',
+                                        'expr': {'binary': {'op': '+', 'left': {'variable': 'total'}, 'right': {'variable': 'value'}}}
+                                    }}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'total'}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'sumValues', 'args': [{'variable': 'values'}]}}}}
+        ]
+    });
+    t.is(executeScript(script, {'values': [1, 2, 3, 4, 1000, 5]}), 8);
+    t.is(executeScript(script, {'values': []}), 0);
+    t.is(executeScript(script, {'values': null}), 0);
+});
+
+
+test('executeScript, for globals', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'function': {'name': 'arrayNew', 'args': [{'number': 1}, {'number': 2}]}},
+                    'statements': [
+                        {'return': {'expr': {'variable': 'value'}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    t.is(executeScript(script, globals), 1);
+    t.is(globals.value, 1);
+    t.false('index' in globals);
+});
+
+
+test('executeScript, for maxStatements', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'function': {'name': 'arrayNewSize', 'args': [{'number': 1000}]}},
+                    'statements': []
+                }
+            }
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {}, {'maxStatements': 100});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum script statements (100)');
+});
+
+
+test('executeScript, break error outside loop', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'break': {}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Break statement outside of loop');
+});
+
+
+test('executeScript, continue error outside loop', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'continue': {}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Continue statement outside of loop');
+});
+
+
+test('executeScript, index assignment', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'expr': {'object': {'keyValues': [
+                {'key': 'rows', 'value': {'array': {'values': [{'object': {'keyValues': []}}]}}}
+            ]}}}},
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 0}, {'string': 'name'}], 'expr': {'string': 'a'}}},
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 1}], 'expr': {'number': 2}}},
+            {'assign': {'name': 'data', 'indexes': [{'string': 'count'}], 'expr': {'number': 2}}},
+            {'return': {'expr': {'variable': 'data'}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), {'rows': [{'name': 'a'}, 2], 'count': 2});
+});
+
+
+test('executeScript, index assignment local', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'setName',
+                    'args': ['row', 'name'],
+                    'statements': [
+                        {'assign': {'name': 'row', 'indexes': [{'string': 'name'}], 'expr': {'variable': 'name'}}},
+                        {'return': {'expr': {'variable': 'row'}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'setName', 'args': [{'variable': 'row'}, {'string': 'b'}]}}}}
+        ]
+    });
+    const globals = {'row': {'name': 'a'}};
+    t.deepEqual(executeScript(script, globals), {'name': 'b'});
+    t.deepEqual(globals.row, {'name': 'b'});
+});
+
+
+test('executeScript, index assignment error null', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 0}], 'expr': {'number': 1}}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {'data': {}});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Index 0 assignment of non-object value');
+});
+
+
+test('executeScript, index assignment error intermediate null', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 0}], 'expr': {'number': 1}}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Index "rows" of null value');
+});
+
+
+test('executeScript, index assignment error non-object', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'indexes': [{'string': 'name'}], 'expr': {'number': 1}}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {'data': 'abc'});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Index "name" assignment of non-object value');
+});
+
+
+test('executeScript, lambda', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'sortByKey',
+                    'args': ['rows', 'key'],
+                    'statements': [
+                        {'return': {'expr': {'function': {'name': 'arraySort', 'args': [
+                            {'variable': 'rows'},
+                            {'lambda': {
+                                'args': ['a', 'b'],
+                                'expr': {'binary': {
+                                    'op': '-',
+                                    'left': {'index': {'expr': {'variable': 'a'}, 'index': {'variable': 'key'}}},
+                                    'right': {'index': {'expr': {'variable': 'b'}, 'index': {'variable': 'key'}}}
+                                }}
+                            }}
+                        ]}}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'sortByKey', 'args': [{'variable': 'rows'}, {'string': 'b'}]}}}}
+        ]
+    });
+    const globals = {'rows': [{'a': 1, 'b': 3}, {'a': 2, 'b': 1}, {'a': 3, 'b': 2}]};
+    t.deepEqual(executeScript(script, globals), [{'a': 2, 'b': 1}, {'a': 3, 'b': 2}, {'a': 1, 'b': 3}]);
+});
+
+
+test('executeScript, lambda closure', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'counter',
+                    'args': ['start'],
+                    'statements': [
+                        {'assign': {'name': 'count', 'expr': {'variable': 'start'}}},
+                        {'assign': {'name': 'getCount', 'expr': {'lambda': {'args': [], 'expr': {'variable': 'count'}}}}},
+                        {'assign': {'name': 'count', 'expr': {
+                            'binary': {'op': '+', 'left': {'variable': 'count'}, 'right': {'number': 1}}
+                        }}},
+                        {'return': {'expr': {'variable': 'getCount'}}}
+                    ]
+                }
+            },
+            {'assign': {'name': 'getCount', 'expr': {'function': {'name': 'counter', 'args': [{'number': 5}]}}}},
+            {'assign': {'name': 'addCount', 'expr': {'lambda': {
+                'args': ['value', 'unused'],
+                'expr': {'binary': {
+                    'op': '+',
+                    'left': {'variable': 'value'},
+                    'right': {'function': {'name': 'getCount', 'args': []}}
+                }}
+            }}}},
+            {'return': {'expr': {'array': {'values': [
+                {'function': {'name': 'getCount', 'args': []}},
+                {'function': {'name': 'addCount', 'args': [{'number': 10}]}},
+                {'variable': 'count'}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), [6, 16, null]);
+});
+
+
+test('executeScript, function nested', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'sumSquares',
+                    'args': ['values', 'scale'],
+                    'statements': [
+                        {'assign': {'name': 'total', 'expr': {'number': 0}}},
+                        {
+                            'function': {
+                                'name': 'addSquare',
+                                'args': ['value'],
+                                'statements': [
+                                    {'assign': {'name': 'total', 'expr': {'string': 'local'}}},
+                                    {'return': {'expr': {'binary': {
+                                        'op': '*',
+                                        'left': {'variable': 'scale'},
+                                        'right': {'binary': {'op': '*', 'left': {'variable': 'value'}, 'right': {'variable': 'value'}}}
+                                    }}}}
+                                ]
+                            }
+                        },
+                        {
+                            'for': {
+                                'value': 'value',
+                                'expr': {'variable': 'values'},
+                                'statements': [
+                                    {'assign': {'name': 'total', 'expr': {'binary': {
+                                        'op': '+',
+                                        'left': {'variable': 'total'},
+                                        'right': {'function': {'name': 'addSquare', 'args': [{'variable': 'value'}]}}
+                                    }}}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'total'}}}
+                    ]
+                }
+            },
+            {'assign': {'name': 'result', 'expr': {'function': {
+                'name': 'sumSquares', 'args': [{'array': {'values': [{'number': 1}, {'number': 2}]}}, {'number': 10}]
+            }}}},
+            {'return': {'expr': {'array': {'values': [
+                {'variable': 'result'},
+                {'variable': 'addSquare'},
+                {'variable': 'total'}
+            ]}}}}
+        ]
+    });
+    const globals = {};
+    t.deepEqual(executeScript(script, globals), [50, null, null]);
+    t.false('addSquare' in globals);
+});
+
+
+test('executeScript, function nested closure', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'makeAdder',
+                    'args': ['amount'],
+                    'statements': [
+                        {
+                            'function': {
+                                'name': 'adder',
+                                'args': ['value'],
+                                'statements': [
+                                    {'return': {'expr': {
+                                        'binary': {'op': '+', 'left': {'variable': 'value'}, 'right': {'variable': 'amount'}}
+                                    }}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'adder'}}}
+                    ]
+                }
+            },
+            {'assign': {'name': 'addOne', 'expr': {'function': {'name': 'makeAdder', 'args': [{'number': 1}]}}}},
+            {'assign': {'name': 'addTen', 'expr': {'function': {'name': 'makeAdder', 'args': [{'number': 10}]}}}},
+            {'return': {'expr': {'array': {'values': [
+                {'function': {'name': 'addOne', 'args': [{'number': 5}]}},
+                {'function': {'name': 'addTen', 'args': [{'number': 5}]}}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), [6, 15]);
+});
+
+
+test('executeScript, function nested recursion', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'factorial',
+                    'args': ['number'],
+                    'statements': [
+                        {
+                            'function': {
+                                'name': 'factorialHelper',
+                                'args': ['value'],
+                                'statements': [
+                                    {
+                                        'jump': {
+                                            'label': 'done',
+                                            'expr': {'binary': {'op': '<=', 'left': {'variable': 'value'}, 'right': {'number': 1}}}
+                                        }
+                                    },
+                                    {'return': {'expr': {'binary': {
+                                        'op': '*',
+                                        'left': {'variable': 'value'},
+                                        'right': {'function': {
+                                            'name': 'factorialHelper',
+                                            'args': [{'binary': {'op': '-', 'left': {'variable': 'value'}, 'right': {'number': 1}}}]
+                                        }}
+                                    }}}},
+                                    {'label': 'done'},
+                                    {'return': {'expr': {'number': 1}}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'function': {'name': 'factorialHelper', 'args': [{'variable': 'number'}]}}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'factorial', 'args': [{'number': 5}]}}}}
+        ]
+    });
+    t.is(executeScript(script), 120);
+});
+
+
+test('executeScript, try', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'expr': {'function': {'name': 'unknownFunction'}}},
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'assign': {'name': 'b', 'expr': {'number': 2}}}
+                        ]
+                    }
+                }
+            },
+            {'return': {'expr': {'array': {'values': [{'variable': 'a'}, {'variable': 'b'}, {'variable': 'error'}]}}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), [
+        null,
+        2,
+        {'message': 'Undefined function "unknownFunction"', 'lineNumber': null, 'url': null}
+    ]);
+});
+
+
+test('executeScript, try no error', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ],
+                    'catch': {
+                        'statements': [
+                            {'assign': {'name': 'a', 'expr': {'number': 2}}}
+                        ]
+                    },
+                    'finally': [
+                        {'assign': {'name': 'b', 'expr': {'number': 3}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'array': {'values': [{'variable': 'a'}, {'variable': 'b'}]}}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), [1, 3]);
+});
+
+
+test('executeScript, try throw', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'getThrowMessage',
+                    'args': ['value'],
+                    'statements': [
+                        {
+                            'try': {
+                                'statements': [
+                                    {'throw': {'expr': {'variable': 'value'}}}
+                                ],
+                                'catch': {
+                                    'name': 'error',
+                                    'statements': [
+                                        {'return': {'expr': {'index': {'expr': {'variable': 'error'}, 'index': {'string': 'message'}}}}}
+                                    ]
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'array': {'values': [
+                {'function': {'name': 'getThrowMessage', 'args': [{'string': 'Error message'}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'object': {'keyValues': [
+                    {'key': 'message', 'value': {'string': 'Object message'}}
+                ]}}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'object': {'keyValues': [
+                    {'key': 'message', 'value': {'number': 1}}
+                ]}}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'number': 5}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'variable': 'null'}]}},
+                {'variable': 'error'}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(executeScript(script), ['Error message', 'Object message', '{"message":1}', '5', 'null', null]);
+});
+
+
+test('executeScript, try finally', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'getValue',
+                    'args': ['value'],
+                    'statements': [
+                        {
+                            'try': {
+                                'statements': [
+                                    {'return': {'expr': {'variable': 'value'}}}
+                                ],
+                                'finally': [
+                                    {'expr': {'function': {'name': 'setGlobal', 'args': [{'string': 'finally'}, {'variable': 'value'}]}}}
+                                ]
+                            }
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'getValue', 'args': [{'number': 1}]}}}}
+        ]
+    });
+    const globals = {};
+    t.is(executeScript(script, globals), 1);
+    t.is(globals.finally, 1);
+});
+
+
+test('executeScript, try finally return', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'string': 'Try error'}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'throw': {'expr': {'variable': 'error'}}}
+                        ]
+                    },
+                    'finally': [
+                        {'return': {'expr': {'number': 2}}}
+                    ]
+                }
+            }
+        ]
+    });
+    t.is(executeScript(script), 2);
+});
+
+
+test('executeScript, try finally error', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'string': 'Try error'}}}
+                    ],
+                    'finally': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    const error = t.throws(() => {
+        executeScript(script, globals);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Try error');
+    t.is(globals.a, 1);
+});
+
+
+test('executeScript, try catch error', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'string': 'Try error'}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'throw': {'expr': {'binary': {
+                                'op': '+',
+                                'left': {'string': 'Catch error: '},
+                                'right': {'index': {'expr': {'variable': 'error'}, 'index': {'string': 'message'}}}
+                            }}}}
+                        ]
+                    },
+                    'finally': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    const error = t.throws(() => {
+        executeScript(script, globals);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Catch error: Try error');
+    t.is(globals.a, 1);
+});
+
+
+test('executeScript, try non-script error', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'return': {'expr': {'variable': 'value'}}}
+                    ],
+                    'catch': {
+                        'statements': [
+                            {'return': {'expr': {'number': 1}}}
+                        ]
+                    }
+                }
+            }
+        ]
+    });
+    const globals = {};
+    Object.defineProperty(globals, 'value', {
+        'get': () => {
+            throw new Error('Getter error');
+        }
+    });
+    const error = t.throws(() => {
+        executeScript(script, globals);
+    }, {'instanceOf': Error});
+    t.is(error.message, 'Getter error');
+});
+
+
+test('executeScript, throw', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'throw': {'expr': {'string': 'Error message'}}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Error message');
+});
+
+
+test('executeScript, error call stack', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'outer',
+                    'args': ['value'],
+                    'statements': [
+                        {
+                            'function': {
+                                'name': 'inner',
+                                'args': ['value'],
+                                'statements': [
+                                    {
+                                        'return': {
+                                            'expr': {'function': {'name': 'unknownFunction', 'args': []}},
+                                            'location': {
+                                                'url': 'lib.mds',
+                                                'lineNumber': 3,
+                                                'columnNumber': 9,
+                                                'endLineNumber': 3,
+                                                'endColumnNumber': 33
+                                            }
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        {
+                            'while': {
+                                'expr': {'variable': 'true'},
+                                'statements': [
+                                    {'expr': {'function': {
+                                        'name': 'inner',
+                                        'args': [{'variable': 'value'}],
+                                        'location': {
+                                            'url': 'lib.mds', 'lineNumber': 6, 'columnNumber': 9, 'endLineNumber': 6, 'endColumnNumber': 21
+                                        }
+                                    }}}
+                                ],
+                                'location': {
+                                    'url': 'lib.mds', 'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 7, 'endColumnNumber': 13
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            {'label': 'start'},
+            {'expr': {'function': {
+                'name': 'outer',
+                'args': [{'number': 1}],
+                'location': {'lineNumber': 10, 'columnNumber': 1, 'endLineNumber': 10, 'endColumnNumber': 9}
+            }}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Undefined function "unknownFunction"
+    at function "inner", line number 3 of "lib.mds"
+    at function "outer", line number 6 of "lib.mds"
+    at line number 10`);
+    t.is(error.error, 'Undefined function "unknownFunction"');
+    t.is(error.lineNumber, 3);
+    t.is(error.url, 'lib.mds');
+    t.deepEqual(error.callStack, [
+        {'name': 'inner', 'lineNumber': 3, 'url': 'lib.mds'},
+        {'name': 'outer', 'lineNumber': 6, 'url': 'lib.mds'},
+        {'name': null, 'lineNumber': 10, 'url': null}
+    ]);
+});
+
+
+test('executeScript, error call stack no locations', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'test',
+                    'args': ['value'],
+                    'statements': [
+                        {'jump': {'label': 'unknown'}}
+                    ]
+                }
+            },
+            {'label': 'start'},
+            {'expr': {'function': {'name': 'test', 'args': [{'number': 1}]}}}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Unknown jump label "unknown"');
+    t.is(error.error, 'Unknown jump label "unknown"');
+    t.is(error.lineNumber, null);
+    t.is(error.url, null);
+    t.deepEqual(error.callStack, [
+        {'name': 'test', 'lineNumber': null, 'url': null},
+        {'name': null, 'lineNumber': null, 'url': null}
+    ]);
+});
+
+
+test('executeScript, error call stack loop', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'variable': 'values'},
+                    'statements': [
+                        {'assign': {
+                            'name': 'total',
+                            'expr': {'variable': 'value'},
+                            'location': {'lineNumber': 2, 'columnNumber': 5, 'endLineNumber': 2, 'endColumnNumber': 18}
+                        }}
+                    ],
+                    'location': {'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 3, 'endColumnNumber': 7}
+                }
+            }
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {'values': [1, 2, 3]}, {'maxStatements': 4});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Exceeded maximum script statements (4)
+    at line number 1`);
+});
+
+
+test('executeScript, error call stack expression statement', (t) => {
+    const script = parseScript(`\
+value = 1
+(value)
+(unknownFunction(value))
+`, 1, {'locations': true});
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Undefined function "unknownFunction"
+    at line number 3`);
+});
+
+
+test('executeScript, error call stack try', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {
+                            'expr': {'string': 'Error message'},
+                            'location': {
+                                'url': 'test.mds', 'lineNumber': 2, 'columnNumber': 5, 'endLineNumber': 2, 'endColumnNumber': 26
+                            }
+                        }}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'return': {'expr': {'variable': 'error'}}}
+                        ]
+                    },
+                    'location': {
+                        'url': 'test.mds', 'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 5, 'endColumnNumber': 7
+                    }
+                }
+            }
+        ]
+    });
+    t.deepEqual(executeScript(script), {'message': 'Error message', 'lineNumber': 2, 'url': 'test.mds'});
+});
+
+
 test('executeScript, include', (t) => {
     const script = validateScript({
         'statements': [
@@ -266,6 +1405,101 @@ test('executeScript, include no fetchFn', (t) => {
 });
 
 
+test('normalizeRelativeURL', (t) => {
+    t.is(normalizeRelativeURL('test.mds'), 'test.mds');
+    t.is(normalizeRelativeURL('lib/../test.mds'), 'test.mds');
+    t.is(normalizeRelativeURL('lib/./sub/../test.mds'), 'lib/test.mds');
+    t.is(normalizeRelativeURL('../lib/../../test.mds'), '../../test.mds');
+    t.is(normalizeRelativeURL('lib/'), 'lib/');
+});
+
+
+test('executeScript, capabilities', (t) => {
+    const script = parseScript(`\
+values = arrayNew(1, 2, 3)
+return [mathMax(values[0], values[2]), stringLength('abc'), datetimeNow, fetch]
+`);
+    const globals = {};
+    const options = {'capabilities': ['Array', 'Math', 'stringLength']};
+    t.deepEqual(executeScript(script, globals, options), [3, 3, null, null]);
+    t.true('mathMax' in globals);
+    t.false('stringLower' in globals);
+    t.false('datetimeNow' in globals);
+});
+
+
+test('executeScript, capabilities function not permitted', (t) => {
+    const options = {'capabilities': ['Array']};
+    let error = t.throws(() => {
+        executeScript(parseScript('datetimeNow()'), {}, options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Function "datetimeNow" not permitted');
+
+    // Built-in script functions are not permitted by value
+    error = t.throws(() => {
+        executeScript(parseScript('now()'), {'now': scriptFunctions.datetimeNow}, options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Function "datetimeNow" not permitted');
+
+    // Host functions are permitted
+    t.is(executeScript(parseScript('return now()'), {'now': () => 1}, options), 1);
+});
+
+
+test('executeScript, capabilities include not permitted', (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'test.mds'}
+        ]
+    });
+    const error = t.throws(() => {
+        executeScript(script, {}, {'capabilities': []});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Include of "test.mds" not permitted');
+});
+
+
+test('executeScript, import', (t) => {
+    const script = parseScript("import 'test.mds' as test");
+    let error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Import of "test.mds" within non-async scope');
+
+    // Import not permitted
+    error = t.throws(() => {
+        executeScript(script, {}, {'capabilities': []});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Import of "test.mds" not permitted');
+});
+
+
+test('executeScript, module function', (t) => {
+    const script = parseScript(`\
+function test(lib2)
+    return lib2.sum(3, 4)
+endfunction
+return arrayNew(lib.sum(1, 2), test(lib), test(objectNew('sum', lib.max)))
+`);
+    const globals = {'lib': {'sum': ([a, b]) => a + b, 'max': scriptFunctions.mathMax}};
+    t.deepEqual(executeScript(script, globals), [3, 7, 4]);
+
+    // Undefined module functions
+    for (const funcName of ['lib.unknown', 'lib.constructor', 'unknown.sum', 'num.sum']) {
+        const error = t.throws(() => {
+            executeScript(parseScript(`${funcName}(1, 2)`), {...globals, 'num': 1});
+        }, {'instanceOf': CalcScriptRuntimeError});
+        t.is(error.message, `Undefined function "${funcName}"`);
+    }
+
+    // Module library function not permitted
+    const error = t.throws(() => {
+        executeScript(parseScript('lib.max(1, 2)'), globals, {'capabilities': []});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Function "mathMax" not permitted');
+});
+
+
 test('executeScript, error maxStatements', (t) => {
     const script = validateScript({
         'statements': [
@@ -290,6 +1524,217 @@ test('executeScript, error maxStatements', (t) => {
 });
 
 
+test('executeScript, signal', (t) => {
+    const script = parseScript(`\
+a = 1
+`);
+    const controller = new AbortController();
+    controller.abort();
+    const globals = {};
+    const error = t.throws(() => {
+        executeScript(script, globals, {'signal': controller.signal});
+    }, {'instanceOf': CalcScriptCancellationError});
+    t.is(error.message, 'Script execution cancelled');
+    t.is(globals.a, undefined);
+});
+
+
+test('executeScript, signal host function', (t) => {
+    const script = parseScript(`\
+function test(value)
+    abortFn()
+    return value
+endfunction
+try
+    return mapFn([1, 2, 3], (value) => test(value))
+catch
+    return 'caught'
+endtry
+`);
+    const controller = new AbortController();
+    const globals = {
+        'abortFn': () => controller.abort(),
+        'mapFn': ([values, fn], options) => values.map((value) => fn([value], options))
+    };
+    const logs = [];
+    const error = t.throws(() => {
+        executeScript(script, globals, {'signal': controller.signal, 'logFn': (message) => logs.push(message)});
+    }, {'instanceOf': CalcScriptCancellationError});
+    t.is(error.message, 'Script execution cancelled');
+    t.deepEqual(logs, []);
+});
+
+
+test('executeScript, signal try finally completion', (t) => {
+    const script = parseScript(`\
+function finallyReturn()
+    try
+        cancelFn()
+    finally
+        return 'finally'
+    endtry
+endfunction
+while (true)
+    try
+        finallyReturn()
+    finally
+        break
+    endtry
+endwhile
+return 'done'
+`);
+    const globals = {
+        'cancelFn': () => {
+            throw new CalcScriptCancellationError('Script execution cancelled');
+        }
+    };
+    const error = t.throws(() => {
+        executeScript(script, globals);
+    }, {'instanceOf': CalcScriptCancellationError});
+    t.is(error.message, 'Script execution cancelled');
+});
+
+
+test('executeScript, timeoutMs', (t) => {
+    const script = parseScript(`\
+while (true)
+endwhile
+`);
+    const error = t.throws(() => {
+        executeScript(script, {}, {'timeoutMs': 10, 'maxStatements': 0});
+    }, {'instanceOf': CalcScriptCancellationError});
+    t.is(error.message, 'Script execution timed out (10 milliseconds)');
+});
+
+
+test('executeScript, maxStringLength', (t) => {
+    const script = parseScript(`\
+value = 'ab'
+value = value + value
+value = value + 1
+`);
+    const globals = {};
+    const error = t.throws(() => {
+        executeScript(script, globals, {'maxStringLength': 4});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum string length (4)');
+    t.is(globals.value, 'abab');
+});
+
+
+test('executeScript, maxArrayLength index assignment', (t) => {
+    const script = parseScript(`\
+values = [1, 2]
+values[1] = 3
+values[2] = 4
+values['key'] = 5
+values[3] = 6
+`);
+    const globals = {};
+    const error = t.throws(() => {
+        executeScript(script, globals, {'maxArrayLength': 3});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum array length (3)');
+    t.deepEqual(globals.values, Object.assign([1, 3, 4], {'key': 5}));
+});
+
+
+test('executeScript, maxObjectKeys index assignment', (t) => {
+    const script = parseScript(`\
+obj = {}
+obj.a = 1
+obj.a = 2
+obj.b = 3
+`);
+    const globals = {};
+    const error = t.throws(() => {
+        executeScript(script, globals, {'maxObjectKeys': 1});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum object key count (1)');
+    t.deepEqual(globals.obj, {'a': 2});
+});
+
+
+test('executeScript, maxAllocation', (t) => {
+    const script = parseScript(`\
+values = arrayNewSize(10)
+`);
+    const options = {'maxAllocation': 100};
+    t.is(executeScript(script, {}, options), null);
+    t.is(options.limits.allocationEstimate, 80);
+    t.is(executeScript(script, {}, options), null);
+    t.is(options.limits.allocationEstimate, 80);
+    const error = t.throws(() => {
+        executeScript(parseScript('arrayNewSize(10)\narrayNewSize(10)'), {}, options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Exceeded maximum allocation estimate (100 bytes)');
+});
+
+
+test('executeScript, maxAllocation step by step', (t) => {
+    const script = parseScript(`\
+pushValues = arrayNew()
+indexValues = arrayNew()
+string = ''
+ix = 0
+while (ix < 20000)
+    arrayPush(pushValues, ix)
+    indexValues[ix] = ix
+    string = string + 'x'
+    ix = ix + 1
+endwhile
+return arrayNew(arrayLength(pushValues), arrayLength(indexValues), stringLength(string))
+`);
+    const options = {'maxAllocation': 1e6};
+    t.deepEqual(executeScript(script, {}, options), [20000, 20000, 20000]);
+
+    // Only the added elements and characters are estimated - the first concatenation adds no characters to 'x'
+    t.is(options.limits.allocationEstimate, (20000 + 20000) * 8 + 19999 * 2);
+
+    // Number concatenation
+    t.is(executeScript(parseScript("return 10 + 'abc' + 10"), {}, options), '10abc10');
+    t.is(options.limits.allocationEstimate, 8);
+});
+
+
+test('executeScript, prototype-safe variables', (t) => {
+    const script = parseScript(`\
+__proto__ = {'a': 1}
+constructor = 2
+obj = {__proto__: 3}
+obj.__proto__ = 4
+obj2 = {}
+obj2['constructor'] = 5
+function test(__proto__, toString)
+    valueOf = 6
+    return [__proto__, toString, valueOf, hasOwnProperty,]
+endfunction
+setGlobal('isPrototypeOf', 7)
+for __proto__ in arrayNew(8)
+endfor
+return [ \
+    __proto__, constructor, obj.__proto__, objectKeys(obj), obj2.constructor, obj2.toString, test(9), \
+    getGlobal('isPrototypeOf'), getGlobal('toLocaleString'), toString, arrayNew(1, 2).push, \
+]
+`);
+    const globals = {};
+    t.deepEqual(executeScript(script, globals), [8, 2, 4, ['__proto__'], 5, null, [9, null, 6, null], 7, null, null, null]);
+    t.is(Object.getPrototypeOf(globals), Object.prototype);
+    t.is(Object.getPrototypeOf(globals.obj), Object.prototype);
+    t.is(typeof Object.prototype.constructor, 'function');
+    t.is({}.a, undefined);
+});
+
+
+test('executeScript, prototype function', (t) => {
+    const script = parseScript('toString()');
+    const error = t.throws(() => {
+        executeScript(script);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Undefined function "toString"');
+});
+
+
 test('evaluateExpression', (t) => {
     const calc = validateExpression({
         'binary': {
@@ -790,3 +2235,160 @@ test('evaluateExpression, group', (t) => {
     );
     t.is(evaluateExpression(calc), 16);
 });
+
+
+test('evaluateExpression, array', (t) => {
+    const expr = validateExpression({
+        'array': {
+            'values': [
+                {'number': 1},
+                {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'number': 1}}},
+                {'array': {'values': []}}
+            ]
+        }
+    });
+    t.deepEqual(evaluateExpression(expr, {'a': 2}), [1, 3, []]);
+});
+
+
+test('evaluateExpression, object', (t) => {
+    const expr = validateExpression({
+        'object': {
+            'keyValues': [
+                {'key': 'a', 'value': {'number': 1}},
+                {'key': 'b', 'value': {'object': {'keyValues': [{'key': 'c', 'value': {'variable': 'c'}}]}}},
+                {'key': 'a', 'value': {'number': 2}}
+            ]
+        }
+    });
+    t.deepEqual(evaluateExpression(expr, {'c': 3}), {'a': 2, 'b': {'c': 3}});
+});
+
+
+test('evaluateExpression, index', (t) => {
+    const globals = {'data': {'rows': [{'name': 'a'}, {'name': null}], 'text': 'abc'}};
+    const indexExpr = (expr, index, optional = false) => validateExpression(
+        {'index': {expr, index, ...(optional ? {'optional': true} : {})}}
+    );
+    const rowsExpr = indexExpr({'variable': 'data'}, {'string': 'rows'});
+    t.is(evaluateExpression(indexExpr(indexExpr(rowsExpr, {'number': 0}), {'string': 'name'}), globals), 'a');
+    t.is(evaluateExpression(indexExpr(indexExpr(rowsExpr, {'number': 1}), {'string': 'name'}), globals), null);
+    t.is(evaluateExpression(indexExpr(rowsExpr, {'number': 2}), globals), null);
+    t.is(evaluateExpression(indexExpr({'variable': 'data'}, {'string': 'unknown'}), globals), null);
+    t.is(evaluateExpression(indexExpr(indexExpr({'variable': 'data'}, {'string': 'text'}), {'number': 0}), globals), null);
+    const optionalExpr = indexExpr(indexExpr(indexExpr(rowsExpr, {'number': 2}), {'string': 'name'}, true), {'string': 'x'}, true);
+    t.is(evaluateExpression(optionalExpr, globals), null);
+});
+
+
+test('evaluateExpression, index optional', (t) => {
+    const expr = validateExpression({
+        'index': {
+            'expr': {'variable': 'data'},
+            'index': {'function': {'name': 'indexFn'}},
+            'optional': true
+        }
+    });
+    const indexes = [];
+    const indexFn = () => {
+        indexes.push('index');
+        return 'a';
+    };
+    t.is(evaluateExpression(expr, {indexFn}), null);
+    t.deepEqual(indexes, []);
+    t.is(evaluateExpression(expr, {indexFn, 'data': {'a': 1}}), 1);
+    t.deepEqual(indexes, ['index']);
+});
+
+
+test('evaluateExpression, index error null', (t) => {
+    const expr = validateExpression({
+        'index': {
+            'expr': {'variable': 'data'},
+            'index': {'string': 'name'}
+        }
+    });
+    const error = t.throws(() => {
+        evaluateExpression(expr);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Index "name" of null value');
+});
+
+
+test('evaluateExpression, prototype-safe variables', (t) => {
+    const expr = parseExpression('[toString, constructor, value, obj.constructor, obj.__proto__,]');
+    t.deepEqual(evaluateExpression(expr, {'obj': {}}, {'value': 1}), [null, null, 1, null, null]);
+    t.deepEqual(evaluateExpression(expr, {'obj': {}, 'constructor': 2}, {'toString': 3, 'value': 1}), [3, 2, 1, null, null]);
+    const error = t.throws(() => {
+        evaluateExpression(parseExpression('valueOf()'));
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Undefined function "valueOf"');
+});
+
+
+test('evaluateExpression, capabilities', (t) => {
+    const options = {'capabilities': ['Math']};
+    t.is(evaluateExpression(parseExpression('max(1, 2)'), {}, null, options), 2);
+    const error = t.throws(() => {
+        evaluateExpression(parseExpression('upper(text)'), {'text': 'abc'}, null, options);
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Function "stringUpper" not permitted');
+});
+
+
+test('evaluateExpression, lambda', (t) => {
+    const expr = validateExpression({
+        'lambda': {
+            'args': ['a', 'b'],
+            'expr': {'binary': {'op': '*', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}
+        }
+    });
+    const lambdaFn = evaluateExpression(expr);
+    t.is(typeof lambdaFn, 'function');
+    t.is(lambdaFn([2, 3]), 6);
+    t.is(lambdaFn([2]), 0);
+    t.is(lambdaFn(null), 0);
+    const fnExpr = validateExpression({'function': {'name': 'fn', 'args': [{'number': 4}, {'number': 5}]}});
+    t.is(evaluateExpression(fnExpr, {'fn': lambdaFn}), 20);
+});
+
+
+test('evaluateExpression, lambda locals', (t) => {
+    const expr = validateExpression({
+        'lambda': {
+            'args': ['b'],
+            'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}
+        }
+    });
+    const locals = {'a': 1, 'b': 2};
+    const lambdaFn = evaluateExpression(expr, {}, locals);
+    t.is(lambdaFn([10]), 11);
+    locals.a = 5;
+    t.is(lambdaFn([10]), 15);
+    t.deepEqual(locals, {'a': 5, 'b': 2});
+});
+
+
+
+
+test('evaluateExpression, script function call stack', (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'test',
+                    'args': ['value'],
+                    'statements': [
+                        {'return': {'expr': {'variable': 'value'}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    executeScript(script, globals);
+    const options = {};
+    const expr = validateExpression({'function': {'name': 'test', 'args': [{'number': 1}]}});
+    t.is(evaluateExpression(expr, globals, null, options), 1);
+    t.deepEqual(options.callStack, []);
+});
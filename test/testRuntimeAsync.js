@@ -2,9 +2,10 @@
 // https://github.com/craigahobbs/calc-script/blob/main/LICENSE
 
 import {evaluateExpressionAsync, executeScriptAsync} from '../lib/runtimeAsync.js';
-import {validateExpression, validateScript} from '../lib/model.js';
-import {CalcScriptParserError} from '../lib/parser.js';
-import {CalcScriptRuntimeError} from '../lib/runtime.js';
+import {CalcScriptValidationError, validateExpression, validateScript} from '../lib/model.js';
+import {CalcScriptParserError, parseExpression, parseScript} from '../lib/parser.js';
+import {CalcScriptCancellationError, CalcScriptRuntimeError} from '../lib/runtime.js';
+import {scriptFunctions} from '../lib/library.js';
 import test from 'ava';
 
 
@@ -239,6 +240,1337 @@ test('executeScriptAsync, return blank', async (t) => {
 });
 
 
+test('executeScriptAsync, if', async (t) => {
+    const ifStatement = {
+        'if': {
+            'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 0}}},
+            'statements': [
+                {'return': {'expr': {'string': 'zero'}}}
+            ],
+            'elif': [
+                {
+                    'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 1}}},
+                    'statements': [
+                        {'return': {'expr': {'string': 'one'}}}
+                    ]
+                },
+                {
+                    'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 2}}},
+                    'statements': [
+                        {'return': {'expr': {'string': 'two'}}}
+                    ]
+                }
+            ],
+            'else': [
+                {'return': {'expr': {'string': 'many'}}}
+            ]
+        }
+    };
+    const script = validateScript({
+        'statements': [
+            ifStatement,
+            {'return': {'expr': {'string': 'unreachable'}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script, {'i': 0}), 'zero');
+    t.is(await executeScriptAsync(script, {'i': 1}), 'one');
+    t.is(await executeScriptAsync(script, {'i': 2}), 'two');
+    t.is(await executeScriptAsync(script, {'i': 3}), 'many');
+});
+
+
+test('executeScriptAsync, if no else', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'a', 'expr': {'number': 1}}},
+            {
+                'if': {
+                    'expr': {'variable': 'b'},
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'number': 2}}}
+                    ],
+                    'elif': [
+                        {
+                            'expr': {'variable': 'c'},
+                            'statements': [
+                                {'assign': {'name': 'a', 'expr': {'number': 3}}}
+                            ]
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'variable': 'a'}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script, {'b': false, 'c': false}), 1);
+    t.is(await executeScriptAsync(script, {'b': true, 'c': false}), 2);
+    t.is(await executeScriptAsync(script, {'b': false, 'c': true}), 3);
+});
+
+
+test('executeScriptAsync, if function', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'sign',
+                    'args': ['x'],
+                    'statements': [
+                        {
+                            'if': {
+                                'expr': {'binary': {'op': '<', 'left': {'variable': 'x'}, 'right': {'number': 0}}},
+                                'statements': [
+                                    {'return': {'expr': {'unary': {'op': '-', 'expr': {'number': 1}}}}}
+                                ],
+                                'else': [
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '==', 'left': {'variable': 'x'}, 'right': {'number': 0}}},
+                                            'statements': [
+                                                {'return': {'expr': {'number': 0}}}
+                                            ]
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'number': 1}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'arrayNew', 'args': [
+                {'function': {'name': 'sign', 'args': [{'number': -5}]}},
+                {'function': {'name': 'sign', 'args': [{'number': 0}]}},
+                {'function': {'name': 'sign', 'args': [{'number': 5}]}}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), [-1, 0, 1]);
+});
+
+
+test('executeScriptAsync, if jump', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'a', 'expr': {'number': 0}}},
+            {'label': 'loop'},
+            {
+                'if': {
+                    'expr': {'binary': {'op': '<', 'left': {'variable': 'a'}, 'right': {'number': 5}}},
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'number': 1}}}}},
+                        {'jump': {'label': 'loop'}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'variable': 'a'}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script), 5);
+});
+
+
+test('executeScriptAsync, if jump error unknown label', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'if': {
+                    'expr': {'variable': 'true'},
+                    'statements': [
+                        {'jump': {'label': 'unknownLabel'}}
+                    ]
+                }
+            },
+            {'label': 'otherLabel'}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Unknown jump label "unknownLabel"');
+});
+
+
+test('executeScriptAsync, while', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {'assign': {'name': 'total', 'expr': {'number': 0}}},
+            {
+                'while': {
+                    'expr': {'binary': {'op': '<', 'left': {'variable': 'i'}, 'right': {'number': 10}}},
+                    'statements': [
+                        {'assign': {'name': 'i', 'expr': {'binary': {'op': '+', 'left': {'variable': 'i'}, 'right': {'number': 1}}}}},
+                        {
+                            'if': {
+                                'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 2}}},
+                                'statements': [
+                                    {'continue': {}}
+                                ],
+                                'elif': [
+                                    {
+                                        'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 5}}},
+                                        'statements': [
+                                            {'break': {}}
+                                        ]
+                                    }
+                                ]
+                            }
+                        },
+                        {'assign': {
+                            'name': 'total',
+                            'expr': {'binary': {'op': '+', 'left': {'variable': 'total'}, 'right': {'variable': 'i'}}}
+                        }}
+                    ]
+                }
+            },
+            {'return': {'expr': {'variable': 'total'}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script), 8);
+});
+
+
+test('executeScriptAsync, while return', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'firstOver',
+                    'args': ['values', 'limit'],
+                    'statements': [
+                        {'assign': {'name': 'ix', 'expr': {'number': 0}}},
+                        {
+                            'while': {
+                                'expr': {'variable': 'true'},
+                                'statements': [
+                                    {'assign': {
+                                        'name': 'value',
+                                        'expr': {'function': {'name': 'arrayGet', 'args': [{'variable': 'values'}, {'variable': 'ix'}]}}
+                                    }},
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '>', 'left': {'variable': 'value'}, 'right': {'variable': 'limit'}}},
+                                            'statements': [
+                                                {'return': {'expr': {'variable': 'value'}}}
+                                            ]
+                                        }
+                                    },
+                                    {'assign': {
+                                        'name': 'ix',
+                                        'expr': {'binary': {'op': '+', 'left': {'variable': 'ix'}, 'right': {'number': 1}}}
+                                    }}
+                                ]
+                            }
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'firstOver', 'args': [{'variable': 'values'}, {'number': 2}]}}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script, {'values': [1, 2, 3, 4]}), 3);
+});
+
+
+test('executeScriptAsync, while jump', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {
+                'while': {
+                    'expr': {'variable': 'true'},
+                    'statements': [
+                        {'assign': {'name': 'i', 'expr': {'binary': {'op': '+', 'left': {'variable': 'i'}, 'right': {'number': 1}}}}},
+                        {'jump': {
+                            'label': 'done',
+                            'expr': {'binary': {'op': '==', 'left': {'variable': 'i'}, 'right': {'number': 3}}}
+                        }}
+                    ]
+                }
+            },
+            {'assign': {'name': 'i', 'expr': {'number': 0}}},
+            {'label': 'done'},
+            {'return': {'expr': {'variable': 'i'}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script), 3);
+});
+
+
+test('executeScriptAsync, while maxStatements', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'while': {'expr': {'variable': 'true'}, 'statements': []}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {}, {'maxStatements': 100}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Exceeded maximum script statements (100)');
+});
+
+
+test('executeScriptAsync, validate', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'jump': {'label': 'unknown'}},
+            {'function': {'name': 'test', 'args': ['a', 'a'], 'statements': []}}
+        ]
+    });
+    const error = await t.throwsAsync(async () => {
+        await executeScriptAsync(script, {}, {'validate': true});
+    }, {'instanceOf': CalcScriptValidationError});
+    t.is(error.message, `\
+Unknown jump label "unknown"
+Duplicate argument "a"`);
+    t.deepEqual(error.errors, [
+        {'type': 'unknown-label', 'message': 'Unknown jump label "unknown"'},
+        {'type': 'duplicate-argument', 'message': 'Duplicate argument "a"'}
+    ]);
+});
+
+
+test('executeScriptAsync, validate schema', async (t) => {
+    const error = await t.throwsAsync(async () => {
+        await executeScriptAsync({'statements': [{'label': 1}]}, {}, {'validate': true});
+    });
+    t.is(error.message, "Invalid value 1 (type 'number') for member 'statements.0.label', expected type 'string'");
+});
+
+
+test('executeScriptAsync, validate success', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'return': {'expr': {'number': 1}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script, {}, {'validate': true}), 1);
+});
+
+
+test('executeScriptAsync, for', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'sumValues',
+                    'args': ['values'],
+                    'statements': [
+                        {'assign': {'name': 'total', 'expr': {'number': 0}}},
+                        {
+                            'for': {
+                                'value': 'value',
+                                'index': 'ixValue',
+                                'expr': {'variable': 'values'},
+                                'statements': [
+                                    {
+                                        'if': {
+                                            'expr': {'binary': {'op': '==', 'left': {'variable': 'ixValue'}, 'right': {'number': 1}}},
+                                            'statements': [
+                                                {'continue': {}}
+                                            ],
+                                            'elif': [
+                                                {
+                                                    'expr': {
+                                                        'binary': {'op': '>', 'left': {'variable': 'value'}, 'right': {'number': 100}}
+                                                    },
+                                                    'statements': [
+                                                        {'break': {}}
+                                                    ]
+                                                }
+                                            ]
+                                        }
+                                    },
+                                    {'assign': {
+                                        'name': 'total',
+                                        'expr': {'binary': {'op': '+', 'left': {'variable': 'total'}, 'right': {'variable': 'value'}}}
+                                    }}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'total'}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'sumValues', 'args': [{'variable': 'values'}]}}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script, {'values': [1, 2, 3, 4, 1000, 5]}), 8);
+    t.is(await executeScriptAsync(script, {'values': []}), 0);
+    t.is(await executeScriptAsync(script, {'values': null}), 0);
+});
+
+
+test('executeScriptAsync, for globals', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'function': {'name': 'arrayNew', 'args': [{'number': 1}, {'number': 2}]}},
+                    'statements': [
+                        {'return': {'expr': {'variable': 'value'}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    t.is(await executeScriptAsync(script, globals), 1);
+    t.is(globals.value, 1);
+    t.false('index' in globals);
+});
+
+
+test('executeScriptAsync, for maxStatements', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'function': {'name': 'arrayNewSize', 'args': [{'number': 1000}]}},
+                    'statements': []
+                }
+            }
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {}, {'maxStatements': 100}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Exceeded maximum script statements (100)');
+});
+
+
+test('executeScriptAsync, break error outside loop', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'break': {}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Break statement outside of loop');
+});
+
+
+test('executeScriptAsync, continue error outside loop', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'continue': {}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Continue statement outside of loop');
+});
+
+
+test('executeScriptAsync, index assignment', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'expr': {'object': {'keyValues': [
+                {'key': 'rows', 'value': {'array': {'values': [{'object': {'keyValues': []}}]}}}
+            ]}}}},
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 0}, {'string': 'name'}], 'expr': {'string': 'a'}}},
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 1}], 'expr': {'number': 2}}},
+            {'assign': {'name': 'data', 'indexes': [{'string': 'count'}], 'expr': {'number': 2}}},
+            {'return': {'expr': {'variable': 'data'}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), {'rows': [{'name': 'a'}, 2], 'count': 2});
+});
+
+
+test('executeScriptAsync, index assignment local', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'setName',
+                    'args': ['row', 'name'],
+                    'statements': [
+                        {'assign': {'name': 'row', 'indexes': [{'string': 'name'}], 'expr': {'variable': 'name'}}},
+                        {'return': {'expr': {'variable': 'row'}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'setName', 'args': [{'variable': 'row'}, {'string': 'b'}]}}}}
+        ]
+    });
+    const globals = {'row': {'name': 'a'}};
+    t.deepEqual(await executeScriptAsync(script, globals), {'name': 'b'});
+    t.deepEqual(globals.row, {'name': 'b'});
+});
+
+
+test('executeScriptAsync, index assignment error null', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 0}], 'expr': {'number': 1}}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {'data': {}}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Index 0 assignment of non-object value');
+});
+
+
+test('executeScriptAsync, index assignment error intermediate null', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'indexes': [{'string': 'rows'}, {'number': 0}], 'expr': {'number': 1}}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Index "rows" of null value');
+});
+
+
+test('executeScriptAsync, index assignment error non-object', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'assign': {'name': 'data', 'indexes': [{'string': 'name'}], 'expr': {'number': 1}}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {'data': 'abc'}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Index "name" assignment of non-object value');
+});
+
+
+test('executeScriptAsync, lambda', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'sortByKey',
+                    'args': ['rows', 'key'],
+                    'statements': [
+                        {'return': {'expr': {'function': {'name': 'arraySort', 'args': [
+                            {'variable': 'rows'},
+                            {'lambda': {
+                                'args': ['a', 'b'],
+                                'expr': {'binary': {
+                                    'op': '-',
+                                    'left': {'index': {'expr': {'variable': 'a'}, 'index': {'variable': 'key'}}},
+                                    'right': {'index': {'expr': {'variable': 'b'}, 'index': {'variable': 'key'}}}
+                                }}
+                            }}
+                        ]}}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'sortByKey', 'args': [{'variable': 'rows'}, {'string': 'b'}]}}}}
+        ]
+    });
+    const globals = {'rows': [{'a': 1, 'b': 3}, {'a': 2, 'b': 1}, {'a': 3, 'b': 2}]};
+    t.deepEqual(await executeScriptAsync(script, globals), [{'a': 2, 'b': 1}, {'a': 3, 'b': 2}, {'a': 1, 'b': 3}]);
+});
+
+
+test('executeScriptAsync, lambda closure', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'counter',
+                    'args': ['start'],
+                    'statements': [
+                        {'assign': {'name': 'count', 'expr': {'variable': 'start'}}},
+                        {'assign': {'name': 'getCount', 'expr': {'lambda': {'args': [], 'expr': {'variable': 'count'}}}}},
+                        {'assign': {'name': 'count', 'expr': {
+                            'binary': {'op': '+', 'left': {'variable': 'count'}, 'right': {'number': 1}}
+                        }}},
+                        {'return': {'expr': {'variable': 'getCount'}}}
+                    ]
+                }
+            },
+            {'assign': {'name': 'getCount', 'expr': {'function': {'name': 'counter', 'args': [{'number': 5}]}}}},
+            {'assign': {'name': 'addCount', 'expr': {'lambda': {
+                'args': ['value', 'unused'],
+                'expr': {'binary': {
+                    'op': '+',
+                    'left': {'variable': 'value'},
+                    'right': {'function': {'name': 'getCount', 'args': []}}
+                }}
+            }}}},
+            {'return': {'expr': {'array': {'values': [
+                {'function': {'name': 'getCount', 'args': []}},
+                {'function': {'name': 'addCount', 'args': [{'number': 10}]}},
+                {'variable': 'count'}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), [6, 16, null]);
+});
+
+
+test('executeScriptAsync, lambda async', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'getValues',
+                    'args': ['names', 'prefix'],
+                    'statements': [
+                        {'assign': {'name': 'getValue', 'expr': {'lambda': {
+                            'args': ['name'],
+                            'expr': {'function': {'name': 'fetchValue', 'args': [
+                                {'binary': {'op': '+', 'left': {'variable': 'prefix'}, 'right': {'variable': 'name'}}}
+                            ]}}
+                        }}}},
+                        {'return': {'expr': {'array': {'values': [
+                            {'function': {'name': 'getValue', 'args': [
+                                {'index': {'expr': {'variable': 'names'}, 'index': {'number': 0}}}
+                            ]}},
+                            {'function': {'name': 'getValue', 'args': [
+                                {'index': {'expr': {'variable': 'names'}, 'index': {'number': 1}}}
+                            ]}}
+                        ]}}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'getValues', 'args': [{'variable': 'names'}, {'string': 'x'}]}}}}
+        ]
+    });
+    const globals = {
+        'fetchValue': async ([name]) => `${name} value`,
+        'names': ['a', 'b']
+    };
+    t.deepEqual(await executeScriptAsync(script, globals), ['xa value', 'xb value']);
+});
+
+
+test('executeScriptAsync, function nested', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'sumSquares',
+                    'args': ['values', 'scale'],
+                    'statements': [
+                        {'assign': {'name': 'total', 'expr': {'number': 0}}},
+                        {
+                            'function': {
+                                'name': 'addSquare',
+                                'args': ['value'],
+                                'statements': [
+                                    {'assign': {'name': 'total', 'expr': {'string': 'local'}}},
+                                    {'return': {'expr': {'binary': {
+                                        'op': '*',
+                                        'left': {'variable': 'scale'},
+                                        'right': {'binary': {'op': '*', 'left': {'variable': 'value'}, 'right': {'variable': 'value'}}}
+                                    }}}}
+                                ]
+                            }
+                        },
+                        {
+                            'for': {
+                                'value': 'value',
+                                'expr': {'variable': 'values'},
+                                'statements': [
+                                    {'assign': {'name': 'total', 'expr': {'binary': {
+                                        'op': '+',
+                                        'left': {'variable': 'total'},
+                                        'right': {'function': {'name': 'addSquare', 'args': [{'variable': 'value'}]}}
+                                    }}}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'total'}}}
+                    ]
+                }
+            },
+            {'assign': {'name': 'result', 'expr': {'function': {
+                'name': 'sumSquares', 'args': [{'array': {'values': [{'number': 1}, {'number': 2}]}}, {'number': 10}]
+            }}}},
+            {'return': {'expr': {'array': {'values': [
+                {'variable': 'result'},
+                {'variable': 'addSquare'},
+                {'variable': 'total'}
+            ]}}}}
+        ]
+    });
+    const globals = {};
+    t.deepEqual(await executeScriptAsync(script, globals), [50, null, null]);
+    t.false('addSquare' in globals);
+});
+
+
+test('executeScriptAsync, function nested closure', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'makeAdder',
+                    'args': ['amount'],
+                    'statements': [
+                        {
+                            'function': {
+                                'async': true,
+                                'name': 'adder',
+                                'args': ['value'],
+                                'statements': [
+                                    {'return': {'expr': {
+                                        'binary': {'op': '+', 'left': {'variable': 'value'}, 'right': {'variable': 'amount'}}
+                                    }}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'variable': 'adder'}}}
+                    ]
+                }
+            },
+            {'assign': {'name': 'addOne', 'expr': {'function': {'name': 'makeAdder', 'args': [{'number': 1}]}}}},
+            {'assign': {'name': 'addTen', 'expr': {'function': {'name': 'makeAdder', 'args': [{'number': 10}]}}}},
+            {'return': {'expr': {'array': {'values': [
+                {'function': {'name': 'addOne', 'args': [{'number': 5}]}},
+                {'function': {'name': 'addTen', 'args': [{'number': 5}]}}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), [6, 15]);
+});
+
+
+test('executeScriptAsync, function nested recursion', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'factorial',
+                    'args': ['number'],
+                    'statements': [
+                        {
+                            'function': {
+                                'name': 'factorialHelper',
+                                'args': ['value'],
+                                'statements': [
+                                    {
+                                        'jump': {
+                                            'label': 'done',
+                                            'expr': {'binary': {'op': '<=', 'left': {'variable': 'value'}, 'right': {'number': 1}}}
+                                        }
+                                    },
+                                    {'return': {'expr': {'binary': {
+                                        'op': '*',
+                                        'left': {'variable': 'value'},
+                                        'right': {'function': {
+                                            'name': 'factorialHelper',
+                                            'args': [{'binary': {'op': '-', 'left': {'variable': 'value'}, 'right': {'number': 1}}}]
+                                        }}
+                                    }}}},
+                                    {'label': 'done'},
+                                    {'return': {'expr': {'number': 1}}}
+                                ]
+                            }
+                        },
+                        {'return': {'expr': {'function': {'name': 'factorialHelper', 'args': [{'variable': 'number'}]}}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'factorial', 'args': [{'number': 5}]}}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script), 120);
+});
+
+
+test('executeScriptAsync, function no arguments', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'getValue',
+                    'statements': [
+                        {'return': {'expr': {'number': 1}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'getValue', 'args': [{'number': 2}]}}}}
+        ]
+    });
+    t.is(await executeScriptAsync(script), 1);
+});
+
+
+test('executeScriptAsync, try', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'expr': {'function': {'name': 'unknownFunction'}}},
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'assign': {'name': 'b', 'expr': {'number': 2}}}
+                        ]
+                    }
+                }
+            },
+            {'return': {'expr': {'array': {'values': [{'variable': 'a'}, {'variable': 'b'}, {'variable': 'error'}]}}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), [
+        null,
+        2,
+        {'message': 'Undefined function "unknownFunction"', 'lineNumber': null, 'url': null}
+    ]);
+});
+
+
+test('executeScriptAsync, try no error', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ],
+                    'catch': {
+                        'statements': [
+                            {'assign': {'name': 'a', 'expr': {'number': 2}}}
+                        ]
+                    },
+                    'finally': [
+                        {'assign': {'name': 'b', 'expr': {'number': 3}}}
+                    ]
+                }
+            },
+            {'return': {'expr': {'array': {'values': [{'variable': 'a'}, {'variable': 'b'}]}}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), [1, 3]);
+});
+
+
+test('executeScriptAsync, try throw', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'getThrowMessage',
+                    'args': ['value'],
+                    'statements': [
+                        {
+                            'try': {
+                                'statements': [
+                                    {'throw': {'expr': {'variable': 'value'}}}
+                                ],
+                                'catch': {
+                                    'name': 'error',
+                                    'statements': [
+                                        {'return': {'expr': {'index': {'expr': {'variable': 'error'}, 'index': {'string': 'message'}}}}}
+                                    ]
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'array': {'values': [
+                {'function': {'name': 'getThrowMessage', 'args': [{'string': 'Error message'}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'object': {'keyValues': [
+                    {'key': 'message', 'value': {'string': 'Object message'}}
+                ]}}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'object': {'keyValues': [
+                    {'key': 'message', 'value': {'number': 1}}
+                ]}}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'number': 5}]}},
+                {'function': {'name': 'getThrowMessage', 'args': [{'variable': 'null'}]}},
+                {'variable': 'error'}
+            ]}}}}
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), ['Error message', 'Object message', '{"message":1}', '5', 'null', null]);
+});
+
+
+test('executeScriptAsync, try finally', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'name': 'getValue',
+                    'args': ['value'],
+                    'statements': [
+                        {
+                            'try': {
+                                'statements': [
+                                    {'return': {'expr': {'variable': 'value'}}}
+                                ],
+                                'finally': [
+                                    {'expr': {'function': {'name': 'setGlobal', 'args': [{'string': 'finally'}, {'variable': 'value'}]}}}
+                                ]
+                            }
+                        }
+                    ]
+                }
+            },
+            {'return': {'expr': {'function': {'name': 'getValue', 'args': [{'number': 1}]}}}}
+        ]
+    });
+    const globals = {};
+    t.is(await executeScriptAsync(script, globals), 1);
+    t.is(globals.finally, 1);
+});
+
+
+test('executeScriptAsync, try finally return', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'string': 'Try error'}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'throw': {'expr': {'variable': 'error'}}}
+                        ]
+                    },
+                    'finally': [
+                        {'return': {'expr': {'number': 2}}}
+                    ]
+                }
+            }
+        ]
+    });
+    t.is(await executeScriptAsync(script), 2);
+});
+
+
+test('executeScriptAsync, try finally error', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'string': 'Try error'}}}
+                    ],
+                    'finally': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Try error');
+    t.is(globals.a, 1);
+});
+
+
+test('executeScriptAsync, try catch error', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'string': 'Try error'}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'throw': {'expr': {'binary': {
+                                'op': '+',
+                                'left': {'string': 'Catch error: '},
+                                'right': {'index': {'expr': {'variable': 'error'}, 'index': {'string': 'message'}}}
+                            }}}}
+                        ]
+                    },
+                    'finally': [
+                        {'assign': {'name': 'a', 'expr': {'number': 1}}}
+                    ]
+                }
+            }
+        ]
+    });
+    const globals = {};
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Catch error: Try error');
+    t.is(globals.a, 1);
+});
+
+
+test('executeScriptAsync, try non-script error', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'return': {'expr': {'variable': 'value'}}}
+                    ],
+                    'catch': {
+                        'statements': [
+                            {'return': {'expr': {'number': 1}}}
+                        ]
+                    }
+                }
+            }
+        ]
+    });
+    const globals = {};
+    Object.defineProperty(globals, 'value', {
+        'get': () => {
+            throw new Error('Getter error');
+        }
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals),
+        {'instanceOf': Error}
+    );
+    t.is(error.message, 'Getter error');
+});
+
+
+test('executeScriptAsync, throw', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'throw': {'expr': {'string': 'Error message'}}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Error message');
+});
+
+
+test('executeScriptAsync, try include parser error', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'include': 'test.mds'}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'return': {'expr': {'variable': 'error'}}}
+                        ]
+                    }
+                }
+            }
+        ]
+    });
+    const fetchFn = (url) => {
+        t.is(url, 'test.mds');
+        return {'ok': true, 'text': () => 'a = 1\nb = @#$\n'};
+    };
+    t.deepEqual(await executeScriptAsync(script, {}, {fetchFn}), {
+        'message': `\
+Included from "test.mds"
+Syntax error, line number 2:
+b = @#$
+    ^
+`,
+        'lineNumber': 2,
+        'url': null
+    });
+});
+
+
+test('executeScriptAsync, try async', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {'expr': {'function': {'name': 'fnAsync', 'args': [{'string': 'Async error'}]}}}}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'return': {'expr': {'function': {'name': 'fnAsync', 'args': [{'variable': 'error'}]}}}}
+                        ]
+                    }
+                }
+            }
+        ]
+    });
+    const globals = {'fnAsync': async ([value]) => value};
+    t.deepEqual(await executeScriptAsync(script, globals), {'message': 'Async error', 'lineNumber': null, 'url': null});
+});
+
+
+test('executeScriptAsync, error call stack', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'outer',
+                    'args': ['value'],
+                    'statements': [
+                        {
+                            'function': {
+                                'async': true,
+                                'name': 'inner',
+                                'args': ['value'],
+                                'statements': [
+                                    {
+                                        'return': {
+                                            'expr': {'function': {'name': 'unknownFunction', 'args': []}},
+                                            'location': {
+                                                'url': 'lib.mds',
+                                                'lineNumber': 3,
+                                                'columnNumber': 9,
+                                                'endLineNumber': 3,
+                                                'endColumnNumber': 33
+                                            }
+                                        }
+                                    }
+                                ]
+                            }
+                        },
+                        {
+                            'while': {
+                                'expr': {'variable': 'true'},
+                                'statements': [
+                                    {'expr': {'function': {
+                                        'name': 'inner',
+                                        'args': [{'variable': 'value'}],
+                                        'location': {
+                                            'url': 'lib.mds', 'lineNumber': 6, 'columnNumber': 9, 'endLineNumber': 6, 'endColumnNumber': 21
+                                        }
+                                    }}}
+                                ],
+                                'location': {
+                                    'url': 'lib.mds', 'lineNumber': 5, 'columnNumber': 5, 'endLineNumber': 7, 'endColumnNumber': 13
+                                }
+                            }
+                        }
+                    ]
+                }
+            },
+            {'label': 'start'},
+            {'expr': {'function': {
+                'name': 'outer',
+                'args': [{'number': 1}],
+                'location': {'lineNumber': 10, 'columnNumber': 1, 'endLineNumber': 10, 'endColumnNumber': 9}
+            }}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, `\
+Undefined function "unknownFunction"
+    at function "inner", line number 3 of "lib.mds"
+    at function "outer", line number 6 of "lib.mds"
+    at line number 10`);
+    t.is(error.error, 'Undefined function "unknownFunction"');
+    t.is(error.lineNumber, 3);
+    t.is(error.url, 'lib.mds');
+    t.deepEqual(error.callStack, [
+        {'name': 'inner', 'lineNumber': 3, 'url': 'lib.mds'},
+        {'name': 'outer', 'lineNumber': 6, 'url': 'lib.mds'},
+        {'name': null, 'lineNumber': 10, 'url': null}
+    ]);
+});
+
+
+test('executeScriptAsync, error call stack no locations', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'function': {
+                    'async': true,
+                    'name': 'test',
+                    'args': ['value'],
+                    'statements': [
+                        {'jump': {'label': 'unknown'}}
+                    ]
+                }
+            },
+            {'label': 'start'},
+            {'expr': {'function': {'name': 'test', 'args': [{'number': 1}]}}}
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Unknown jump label "unknown"');
+    t.is(error.error, 'Unknown jump label "unknown"');
+    t.is(error.lineNumber, null);
+    t.is(error.url, null);
+    t.deepEqual(error.callStack, [
+        {'name': 'test', 'lineNumber': null, 'url': null},
+        {'name': null, 'lineNumber': null, 'url': null}
+    ]);
+});
+
+
+test('executeScriptAsync, error call stack loop', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'for': {
+                    'value': 'value',
+                    'expr': {'variable': 'values'},
+                    'statements': [
+                        {'assign': {
+                            'name': 'total',
+                            'expr': {'variable': 'value'},
+                            'location': {'lineNumber': 2, 'columnNumber': 5, 'endLineNumber': 2, 'endColumnNumber': 18}
+                        }}
+                    ],
+                    'location': {'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 3, 'endColumnNumber': 7}
+                }
+            }
+        ]
+    });
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {'values': [1, 2, 3]}, {'maxStatements': 4}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, `\
+Exceeded maximum script statements (4)
+    at line number 1`);
+});
+
+
+test('executeScriptAsync, error call stack try', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {
+                'try': {
+                    'statements': [
+                        {'throw': {
+                            'expr': {'string': 'Error message'},
+                            'location': {
+                                'url': 'test.mds', 'lineNumber': 2, 'columnNumber': 5, 'endLineNumber': 2, 'endColumnNumber': 26
+                            }
+                        }}
+                    ],
+                    'catch': {
+                        'name': 'error',
+                        'statements': [
+                            {'return': {'expr': {'variable': 'error'}}}
+                        ]
+                    },
+                    'location': {
+                        'url': 'test.mds', 'lineNumber': 1, 'columnNumber': 1, 'endLineNumber': 5, 'endColumnNumber': 7
+                    }
+                }
+            }
+        ]
+    });
+    t.deepEqual(await executeScriptAsync(script), {'message': 'Error message', 'lineNumber': 2, 'url': 'test.mds'});
+});
+
+
+test('executeScriptAsync, error call stack include', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'lib.mds'},
+            {'expr': {'function': {
+                'name': 'libFunction',
+                'args': [],
+                'location': {'url': 'test.mds', 'lineNumber': 2, 'columnNumber': 1, 'endLineNumber': 2, 'endColumnNumber': 14}
+            }}}
+        ]
+    });
+    const fetchFn = (url) => {
+        t.is(url, 'lib.mds');
+        return {'ok': true, 'text': () => 'function libFunction(value)\n    return unknownFunction(value)\nendfunction\n'};
+    };
+    const error = await t.throwsAsync(async () => {
+        await executeScriptAsync(script, {}, {fetchFn});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Undefined function "unknownFunction"
+    at function "libFunction", line number 2 of "lib.mds"
+    at line number 2 of "test.mds"`);
+});
+
+
+test('executeScriptAsync, error call stack include top-level', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'lib.mds'}
+        ]
+    });
+    const fetchFn = () => ({'ok': true, 'text': () => '# Comment\na = unknownFunction()\n'});
+    const error = await t.throwsAsync(async () => {
+        await executeScriptAsync(script, {}, {fetchFn});
+    }, {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Undefined function "unknownFunction"
+    at line number 2 of "lib.mds"`);
+    t.deepEqual(error.callStack, [
+        {'name': null, 'lineNumber': 2, 'url': 'lib.mds'},
+        {'name': null, 'lineNumber': null, 'url': null}
+    ]);
+});
+
+
+test('executeScriptAsync, prototype-safe variables', async (t) => {
+    const script = parseScript(`\
+__proto__ = {'a': 1}
+constructor = 2
+obj = {__proto__: 3}
+obj.__proto__ = 4
+obj2 = {}
+obj2['constructor'] = 5
+function test(__proto__, toString)
+    valueOf = 6
+    return [__proto__, toString, valueOf, hasOwnProperty,]
+endfunction
+setGlobal('isPrototypeOf', 7)
+for __proto__ in arrayNew(8)
+endfor
+return [ \
+    __proto__, constructor, obj.__proto__, objectKeys(obj), obj2.constructor, obj2.toString, test(9), \
+    getGlobal('isPrototypeOf'), getGlobal('toLocaleString'), toString, arrayNew(1, 2).push, \
+]
+`);
+    const globals = {};
+    t.deepEqual(await executeScriptAsync(script, globals), [8, 2, 4, ['__proto__'], 5, null, [9, null, 6, null], 7, null, null, null]);
+    t.is(Object.getPrototypeOf(globals), Object.prototype);
+    t.is({}.a, undefined);
+    const error = await t.throwsAsync(executeScriptAsync(parseScript('constructor()')), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Undefined function "constructor"');
+});
+
+
 test('executeScriptAsync, include', async (t) => {
     const script = validateScript({
         'statements': [
@@ -247,19 +1579,317 @@ test('executeScriptAsync, include', async (t) => {
     });
     const globals = {};
     const fetchFn = (url) => {
-        t.true(url === 'test.mds' || url === 'test2.mds');
-        return {
-            'ok': true,
-            'text': () => (url.endsWith('test2.mds') ? 'b = 1' : `\
-include 'test2.mds'
-a = 1
-`)
-        };
+        t.true(url === 'test.mds' || url === 'test2.mds');
+        return {
+            'ok': true,
+            'text': () => (url.endsWith('test2.mds') ? 'b = 1' : `\
+include 'test2.mds'
+a = 1
+`)
+        };
+    };
+    const options = {fetchFn};
+    t.is(await executeScriptAsync(script, globals, options), null);
+    t.is(globals.a, 1);
+    t.is(globals.b, 1);
+});
+
+
+test('executeScriptAsync, include capabilities', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'test.mds'}
+        ]
+    });
+    const globals = {};
+    const fetchFn = () => ({'ok': true, 'text': () => 'a = mathMax(1, 2)'});
+    t.is(await executeScriptAsync(script, globals, {fetchFn, 'capabilities': ['include', 'Math']}), null);
+    t.is(globals.a, 2);
+
+    // Include not permitted
+    let error = await t.throwsAsync(
+        executeScriptAsync(script, {}, {fetchFn, 'capabilities': ['Math']}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Include of "test.mds" not permitted');
+
+    // Included script function not permitted
+    error = await t.throwsAsync(
+        executeScriptAsync(script, {}, {fetchFn, 'capabilities': ['include']}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Function "mathMax" not permitted\n    at line number 1 of "test.mds"');
+});
+
+
+test('executeScriptAsync, include maxStatements', async (t) => {
+    const script = parseScript(`\
+include 'test.mds'
+a = 1
+b = 2
+`);
+    const fetchFn = () => ({'ok': true, 'text': () => 'x = 1\ny = 2\nz = 3\n'});
+    const globals = {};
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals, {fetchFn, 'maxStatements': 5}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Exceeded maximum script statements (5)');
+    t.is(globals.z, 3);
+    t.is(globals.a, 1);
+    t.is(globals.b, undefined);
+});
+
+
+test('executeScriptAsync, include maxAllocation', async (t) => {
+    const script = parseScript(`\
+include 'test.mds'
+b = arrayNewSize(10)
+`);
+    const fetchFn = () => ({'ok': true, 'text': () => 'a = arrayNewSize(10)\n'});
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {}, {fetchFn, 'maxAllocation': 100}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Exceeded maximum allocation estimate (100 bytes)');
+});
+
+
+test('executeScriptAsync, include once', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'a.mds'},
+            {'include': 'b.mds'},
+            {'include': 'lib/c.mds'}
+        ]
+    });
+    const scripts = {
+        'a.mds': "include 'common.mds'\nvalues = arrayNew('a')",
+        'b.mds': "include 'common.mds'\narrayPush(values, 'b')",
+        'common.mds': 'count = count + 1',
+        'lib/c.mds': "include '../common.mds'\ninclude '../lib/d.mds'\narrayPush(values, 'c')",
+        'lib/d.mds': 'count = count + 10'
+    };
+    const fetchURLs = [];
+    const fetchFn = (url) => {
+        fetchURLs.push(url);
+        return {'ok': true, 'text': () => scripts[url]};
+    };
+    const globals = {'count': 0};
+    t.is(await executeScriptAsync(script, globals, {fetchFn}), null);
+    t.is(globals.count, 11);
+    t.deepEqual(globals.values, ['a', 'b', 'c']);
+    t.deepEqual(fetchURLs, ['a.mds', 'common.mds', 'b.mds', 'lib/c.mds', 'lib/d.mds']);
+
+    // Each script execution includes the URLs again
+    t.is(await executeScriptAsync(script, globals, {fetchFn}), null);
+    t.is(globals.count, 22);
+});
+
+
+test('executeScriptAsync, include cycle', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'a.mds'}
+        ]
+    });
+    const scripts = {
+        'a.mds': "include 'b.mds'",
+        'b.mds': "include 'lib/c.mds'",
+        'lib/c.mds': "include './../a.mds'"
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const error = await t.throwsAsync(executeScriptAsync(script, {}, {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Include cycle: a.mds -> b.mds -> lib/c.mds -> a.mds
+    at line number 1 of "lib/c.mds"
+    at line number 1 of "b.mds"
+    at line number 1 of "a.mds"`);
+});
+
+
+test('executeScriptAsync, include cache', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'test.mds'}
+        ]
+    });
+    const fetchURLs = [];
+    const fetchFn = (url) => {
+        fetchURLs.push(url);
+        return {'ok': true, 'text': () => 'count = count + 1'};
+    };
+    const includeCache = new Map();
+    const globals = {'count': 0};
+    t.is(await executeScriptAsync(script, globals, {fetchFn, includeCache}), null);
+    t.is(await executeScriptAsync(script, globals, {fetchFn, includeCache}), null);
+    t.is(globals.count, 2);
+    t.deepEqual(fetchURLs, ['test.mds']);
+    t.deepEqual([...includeCache.keys()], ['test.mds']);
+    t.deepEqual(includeCache.get('test.mds').statements[0].assign.name, 'count');
+
+    // Include errors are not cached
+    const fetchFnError = () => ({'ok': false, 'statusText': 'Not Found'});
+    const error = await t.throwsAsync(
+        executeScriptAsync(parseScript("include 'test2.mds'"), globals, {'fetchFn': fetchFnError, includeCache}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Include of "test2.mds" failed with error: Not Found');
+    t.deepEqual([...includeCache.keys()], ['test.mds']);
+});
+
+
+test('executeScriptAsync, import', async (t) => {
+    const script = parseScript(`\
+import 'lib/format.mds' as fmt
+async function test(value)
+    import 'lib/math.mds' as math
+    return math.double(value)
+endfunction
+formatRow = 'includer'
+rowFn = (value) => fmt.formatRow(value)
+return arrayNew(fmt.formatRow(1), fmt.suffix, fmt.helper, fmt.count, test(2), formatRow, helper, suffix, rowFn(3))
+`);
+    const scripts = {
+        'lib/format.mds': `\
+import 'math.mds' as math
+export async function formatRow(value)
+    return helper(math.double(value)) + suffix
+endfunction
+function helper(value)
+    return 'row ' + value
+endfunction
+export suffix = '!'
+jump done
+export count = 1
+done:
+`,
+        'lib/math.mds': `\
+export async function double(value)
+    return value * 2
+endfunction
+`
+    };
+    const fetchURLs = [];
+    const fetchFn = (url) => {
+        fetchURLs.push(url);
+        return {'ok': true, 'text': () => scripts[url]};
+    };
+    const globals = {};
+    t.deepEqual(
+        await executeScriptAsync(script, globals, {fetchFn}),
+        ['row 2!', '!', null, null, 4, 'includer', null, null, 'row 6!']
+    );
+    t.deepEqual(Object.keys(globals).filter((name) => !(name in scriptFunctions)), ['fmt', 'test', 'formatRow', 'rowFn']);
+    t.deepEqual(Object.keys(globals.fmt), ['formatRow', 'suffix', 'count']);
+    t.deepEqual(fetchURLs, ['lib/format.mds', 'lib/math.mds']);
+});
+
+
+test('executeScriptAsync, import globals', async (t) => {
+    const script = parseScript(`\
+import 'a.mds' as a
+import 'a.mds' as a2
+return arrayNew(a.getValue(), a2.getValue(), value, count)
+`);
+    const scripts = {
+        'a.mds': `\
+count = count + 1
+value = count * 10
+export function getValue()
+    return value
+endfunction
+`
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const globals = {'count': 0, 'value': 1};
+    t.deepEqual(await executeScriptAsync(script, globals, {fetchFn}), [10, 10, 1, 0]);
+});
+
+
+test('executeScriptAsync, import importer variables', async (t) => {
+    const script = parseScript(`\
+local = 'importer'
+import 'a.mds' as a
+return arrayNew(a.local, a.value, a.globalValue, a.length, local, value)
+`);
+    const scripts = {
+        'a.mds': `\
+export local = local
+export value = value
+export globalValue = getGlobal('value')
+export length = arrayLength(arrayNew(1, 2, 3))
+`
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    const globals = {'value': 1};
+    t.deepEqual(await executeScriptAsync(script, globals, {fetchFn}), [null, null, null, 3, 'importer', 1]);
+});
+
+
+test('executeScriptAsync, import include', async (t) => {
+    const script = parseScript(`\
+import 'mod.mds' as mod
+include 'util.mds'
+return arrayNew(mod.value, helper(2))
+`);
+    const scripts = {
+        'mod.mds': `\
+include 'util.mds'
+export value = helper(1)
+`,
+        'util.mds': `\
+function helper(value)
+    return value * 10
+endfunction
+`
+    };
+    const fetchURLs = [];
+    const fetchFn = (url) => {
+        fetchURLs.push(url);
+        return {'ok': true, 'text': () => scripts[url]};
     };
-    const options = {fetchFn};
-    t.is(await executeScriptAsync(script, globals, options), null);
-    t.is(globals.a, 1);
-    t.is(globals.b, 1);
+    t.deepEqual(await executeScriptAsync(script, {}, {fetchFn, 'includeCache': new Map()}), [10, 20]);
+    t.deepEqual(fetchURLs, ['mod.mds', 'util.mds']);
+});
+
+
+test('executeScriptAsync, import cycle', async (t) => {
+    const script = parseScript("import 'a.mds' as a");
+    const scripts = {
+        'a.mds': "import 'lib/b.mds' as b",
+        'lib/b.mds': "include '../a.mds'"
+    };
+    const fetchFn = (url) => ({'ok': true, 'text': () => scripts[url]});
+    let error = await t.throwsAsync(executeScriptAsync(script, {}, {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Include cycle: a.mds -> lib/b.mds -> a.mds\n    at line number 1 of "lib/b.mds"\n    at line number 1 of "a.mds"');
+
+    // Import cycle
+    scripts['lib/b.mds'] = "import '../a.mds' as a";
+    error = await t.throwsAsync(executeScriptAsync(script, {}, {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Import cycle: a.mds -> lib/b.mds -> a.mds\n    at line number 1 of "lib/b.mds"\n    at line number 1 of "a.mds"');
+});
+
+
+test('executeScriptAsync, import errors', async (t) => {
+    const script = parseScript("import 'test.mds' as test");
+    const fetchFn = () => ({'ok': false, 'statusText': 'Not Found'});
+    let error = await t.throwsAsync(executeScriptAsync(script, {}, {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, 'Import of "test.mds" failed with error: Not Found');
+
+    // Import not permitted
+    error = await t.throwsAsync(
+        executeScriptAsync(script, {}, {fetchFn, 'capabilities': []}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Import of "test.mds" not permitted');
+
+    // URL not permitted
+    error = await t.throwsAsync(
+        executeScriptAsync(parseScript("import 'http://foo.local/test.mds' as test"), {}, {fetchFn, 'urlPolicy': {}}),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Import of "http://foo.local/test.mds" failed with error: URL "http://foo.local/test.mds" not permitted');
 });
 
 
@@ -318,13 +1948,31 @@ a = 1
 `)
         };
     };
-    const options = {fetchFn};
+    const options = {fetchFn, 'urlPolicy': {'allow': [{'origin': 'self'}, {'origin': 'http://foo.local'}]}};
     t.is(await executeScriptAsync(script, globals, options), null);
     t.is(globals.a, 1);
     t.is(globals.b, 1);
 });
 
 
+test('executeScriptAsync, include urlPolicy', async (t) => {
+    const script = validateScript({
+        'statements': [
+            {'include': 'test.mds'}
+        ]
+    });
+    const fetchFn = (url) => {
+        t.is(url, 'test.mds');
+        return {'ok': true, 'text': () => "include 'http://foo.local/test2.mds'"};
+    };
+    const options = {fetchFn, 'urlPolicy': {}};
+    const error = await t.throwsAsync(executeScriptAsync(script, {}, options), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Include of "http://foo.local/test2.mds" failed with error: URL "http://foo.local/test2.mds" not permitted
+    at line number 1 of "test.mds"`);
+});
+
+
 test('executeScriptAsync, include fetchFn not-ok', async (t) => {
     const script = validateScript({
         'statements': [
@@ -347,6 +1995,28 @@ test('executeScriptAsync, include fetchFn not-ok', async (t) => {
 });
 
 
+test('executeScriptAsync, include nested error line number', async (t) => {
+    const script = parseScript(`\
+value = 0
+
+include 'a.mds'
+`, 1, {'locations': true, 'url': 'main.mds'});
+    const scripts = {
+        'a.mds': "include 'lib/b.mds'\n",
+        'lib/b.mds': "value = 1\n(value)\ninclude 'c.mds'\n"
+    };
+    const fetchFn = (url) => (url in scripts ? {'ok': true, 'text': () => scripts[url]} : {'ok': false, 'statusText': 'Not Found'});
+    const error = await t.throwsAsync(executeScriptAsync(script, {}, {fetchFn}), {'instanceOf': CalcScriptRuntimeError});
+    t.is(error.message, `\
+Include of "c.mds" failed with error: Not Found
+    at line number 3 of "lib/b.mds"
+    at line number 1 of "a.mds"
+    at line number 3 of "main.mds"`);
+    t.is(error.lineNumber, 3);
+    t.is(error.url, 'lib/b.mds');
+});
+
+
 test('executeScriptAsync, include fetchFn text error', async (t) => {
     const script = validateScript({
         'statements': [
@@ -424,6 +2094,191 @@ test('executeScriptAsync, error maxStatements', async (t) => {
 });
 
 
+test('executeScriptAsync, signal', async (t) => {
+    const script = parseScript(`\
+a = 1
+b = 2
+`);
+    const controller = new AbortController();
+    controller.abort();
+    const globals = {};
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals, {'signal': controller.signal}),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution cancelled');
+    t.is(globals.a, undefined);
+});
+
+
+test('executeScriptAsync, signal not aborted', async (t) => {
+    const script = parseScript(`\
+return asyncFn(1) + 1
+`);
+    const controller = new AbortController();
+    const globals = {'asyncFn': async ([value]) => value};
+    t.is(await executeScriptAsync(script, globals, {'signal': controller.signal}), 2);
+});
+
+
+test('executeScriptAsync, signal hung async function', async (t) => {
+    const script = parseScript(`\
+try
+    hungFn()
+catch
+    caught = true
+finally
+    finallyRan = true
+endtry
+`);
+    const controller = new AbortController();
+    const globals = {
+        'hungFn': () => {
+            setTimeout(() => controller.abort(), 10);
+            return new Promise(() => {
+                // Never resolves
+            });
+        }
+    };
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals, {'signal': controller.signal}),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution cancelled');
+    t.is(globals.caught, undefined);
+    t.is(globals.finallyRan, undefined);
+});
+
+
+test('executeScriptAsync, signal try finally completion', async (t) => {
+    const script = parseScript(`\
+async function finallyReturn()
+    try
+        cancelFn()
+    finally
+        return 'finally'
+    endtry
+endfunction
+while (true)
+    try
+        finallyReturn()
+    finally
+        break
+    endtry
+endwhile
+return 'done'
+`);
+    const globals = {
+        'cancelFn': async () => {
+            throw new CalcScriptCancellationError('Script execution cancelled');
+        }
+    };
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution cancelled');
+});
+
+
+test('executeScriptAsync, signal script function', async (t) => {
+    const script = parseScript(`\
+async function test(value)
+    return asyncFn(value)
+endfunction
+return mapFn([1, 2, 3], (value) => test(value))
+`);
+    const controller = new AbortController();
+    const globals = {
+        'asyncFn': async ([value]) => {
+            if (value === 1) {
+                controller.abort();
+            }
+            return value;
+        },
+        'mapFn': async ([values, fn], options) => Promise.all(values.map((value) => fn([value], options)))
+    };
+    const logs = [];
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals, {'signal': controller.signal, 'logFn': (message) => logs.push(message)}),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution cancelled');
+    t.deepEqual(logs, []);
+});
+
+
+test('executeScriptAsync, timeoutMs', async (t) => {
+    const script = parseScript(`\
+while (true)
+endwhile
+`);
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, {}, {'timeoutMs': 10, 'maxStatements': 0}),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution timed out (10 milliseconds)');
+});
+
+
+test('executeScriptAsync, timeoutMs hung async function', async (t) => {
+    const script = parseScript(`\
+hungFn()
+`);
+    const globals = {
+        'hungFn': () => new Promise(() => {
+            // Never resolves
+        })
+    };
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals, {'timeoutMs': 10}),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution timed out (10 milliseconds)');
+});
+
+
+test('executeScriptAsync, timeoutMs not exceeded', async (t) => {
+    const script = parseScript(`\
+return asyncFn(1) + 1
+`);
+    const globals = {'asyncFn': async ([value]) => value};
+    t.is(await executeScriptAsync(script, globals, {'timeoutMs': 10000}), 2);
+});
+
+
+test('executeScriptAsync, include signal', async (t) => {
+    const script = parseScript(`\
+include 'test.mds'
+`);
+    const controller = new AbortController();
+    const globals = {};
+    const fetchFn = (url, fetchOptions) => {
+        t.is(url, 'test.mds');
+        t.is(fetchOptions.signal, controller.signal);
+        return {
+            'ok': true,
+            'text': () => 'a = 1'
+        };
+    };
+    t.is(await executeScriptAsync(script, globals, {fetchFn, 'signal': controller.signal}), null);
+    t.is(globals.a, 1);
+});
+
+
+test('evaluateExpressionAsync, signal', async (t) => {
+    const expr = validateExpression({'function': {'name': 'asyncFn'}});
+    const controller = new AbortController();
+    controller.abort();
+    const globals = {'asyncFn': async () => 1};
+    const error = await t.throwsAsync(
+        async () => evaluateExpressionAsync(expr, globals, null, {'signal': controller.signal}),
+        {'instanceOf': CalcScriptCancellationError}
+    );
+    t.is(error.message, 'Script execution cancelled');
+});
+
+
 test('evaluateExpressionAsync', async (t) => {
     const calc = validateExpression({
         'binary': {
@@ -788,6 +2643,155 @@ test('evaluateExpressionAsync, function async', async (t) => {
 });
 
 
+test('evaluateExpressionAsync, function promise', async (t) => {
+    const calc = validateExpression({
+        'function': {
+            'name': 'fnPromise',
+            'args': [{'number': 1}]
+        }
+    });
+    const globals = {'fnPromise': ([a]) => Promise.resolve(a + 1)};
+    t.is(await evaluateExpressionAsync(calc, globals), 2);
+});
+
+
+test('evaluateExpressionAsync, function promise rejected', async (t) => {
+    const calc = validateExpression({
+        'function': {
+            'name': 'fnPromise'
+        }
+    });
+    const globals = {'fnPromise': () => Promise.reject(new Error('Rejected'))};
+    const logs = [];
+    t.is(await evaluateExpressionAsync(calc, globals, null, {'logFn': (message) => logs.push(message)}), null);
+    t.deepEqual(logs, ['Error: Function "fnPromise" failed with error: Rejected']);
+});
+
+
+test('evaluateExpressionAsync, async evaluation order', async (t) => {
+    const calc = validateExpression({
+        'array': {
+            'values': [
+                {'function': {'name': 'fnAsync', 'args': [{'number': 20}]}},
+                {'function': {'name': 'fnAsync', 'args': [{'number': 0}]}}
+            ]
+        }
+    });
+    const calls = [];
+    const globals = {
+        'fnAsync': async ([delay]) => {
+            calls.push(`begin ${delay}`);
+            await new Promise((resolve) => {
+                setTimeout(resolve, delay);
+            });
+            calls.push(`end ${delay}`);
+            return delay;
+        }
+    };
+    t.deepEqual(await evaluateExpressionAsync(calc, globals), [20, 0]);
+    t.deepEqual(calls, ['begin 20', 'begin 0', 'end 0', 'end 20']);
+});
+
+
+test('evaluateExpressionAsync, async evaluation order function arguments', async (t) => {
+    const calc = parseExpression("fnArgs(fnAsync(20), fnSync(10), {'d': fnAsync(0), 'e': fnAsync(5)})");
+    const calls = [];
+    const globals = {
+        'fnAsync': async ([delay]) => {
+            calls.push(`begin ${delay}`);
+            await new Promise((resolve) => {
+                setTimeout(resolve, delay);
+            });
+            calls.push(`end ${delay}`);
+            return delay;
+        },
+        'fnSync': ([value]) => {
+            calls.push(`sync ${value}`);
+            return value;
+        },
+        'fnArgs': (args) => args
+    };
+    t.deepEqual(await evaluateExpressionAsync(calc, globals), [20, 10, {'d': 0, 'e': 5}]);
+    t.deepEqual(calls, ['begin 20', 'sync 10', 'begin 0', 'begin 5', 'end 0', 'end 5', 'end 20']);
+});
+
+
+test('executeScriptAsync, async evaluation call stack', async (t) => {
+    const script = parseScript(`\
+async function fails()
+    fnAsync(0)
+    throw 'fails error'
+endfunction
+async function succeeds()
+    return fnAsync(20)
+endfunction
+async function main()
+    return [fails(), succeeds(),]
+endfunction
+return main()
+`, 1, {'locations': true});
+    const globals = {
+        'fnAsync': async ([delay]) => {
+            await new Promise((resolve) => {
+                setTimeout(resolve, delay);
+            });
+            return delay;
+        }
+    };
+    const error = await t.throwsAsync(
+        async () => executeScriptAsync(script, globals),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, `\
+fails error
+    at function "fails", line number 3
+    at function "main", line number 9
+    at line number 11`);
+});
+
+
+test('evaluateExpressionAsync, async evaluation error', async (t) => {
+    const calc = parseExpression('[fnAsync(20), fnAsync(0), fnError(),]');
+    const calls = [];
+    const globals = {
+        'fnAsync': async ([delay]) => {
+            await new Promise((resolve) => {
+                setTimeout(resolve, delay);
+            });
+            calls.push(`end ${delay}`);
+            throw new CalcScriptRuntimeError(`Error ${delay}`);
+        },
+        'fnError': () => {
+            throw new CalcScriptRuntimeError('Error sync');
+        }
+    };
+    let error = await t.throwsAsync(
+        async () => evaluateExpressionAsync(calc, globals),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Error sync');
+
+    // The expressions in progress are completed
+    await new Promise((resolve) => {
+        setTimeout(resolve, 50);
+    });
+    t.deepEqual(calls, ['end 0', 'end 20']);
+
+    // The first rejected expression's error wins
+    calc.array.values.pop();
+    error = await t.throwsAsync(
+        async () => evaluateExpressionAsync(calc, globals),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Error 0');
+
+    await new Promise((resolve) => {
+        setTimeout(resolve, 50);
+    });
+    t.deepEqual(calls, ['end 0', 'end 20', 'end 0', 'end 20']);
+});
+
+
 test('evaluateExpressionAsync, function runtime error', async (t) => {
     const calc = validateExpression({
         'function': {
@@ -964,3 +2968,219 @@ test('evaluateExpressionAsync, group', async (t) => {
     const asyncTwo = async () => 2;
     t.is(await evaluateExpressionAsync(calc, {asyncTwo}), 16);
 });
+
+
+test('evaluateExpressionAsync, array', async (t) => {
+    const expr = validateExpression({
+        'array': {
+            'values': [
+                {'number': 1},
+                {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'number': 1}}},
+                {'array': {'values': []}}
+            ]
+        }
+    });
+    t.deepEqual(await evaluateExpressionAsync(expr, {'a': 2}), [1, 3, []]);
+});
+
+
+test('evaluateExpressionAsync, object', async (t) => {
+    const expr = validateExpression({
+        'object': {
+            'keyValues': [
+                {'key': 'a', 'value': {'number': 1}},
+                {'key': 'b', 'value': {'object': {'keyValues': [{'key': 'c', 'value': {'variable': 'c'}}]}}},
+                {'key': 'a', 'value': {'number': 2}}
+            ]
+        }
+    });
+    t.deepEqual(await evaluateExpressionAsync(expr, {'c': 3}), {'a': 2, 'b': {'c': 3}});
+});
+
+
+test('evaluateExpressionAsync, array async', async (t) => {
+    const expr = validateExpression({
+        'array': {
+            'values': [
+                {'number': 1},
+                {'function': {'name': 'fnAsync'}}
+            ]
+        }
+    });
+    const globals = {'fnAsync': async () => 2};
+    t.deepEqual(await evaluateExpressionAsync(expr, globals), [1, 2]);
+});
+
+
+test('evaluateExpressionAsync, object async', async (t) => {
+    const expr = validateExpression({
+        'object': {
+            'keyValues': [
+                {'key': 'a', 'value': {'number': 1}},
+                {'key': 'b', 'value': {'function': {'name': 'fnAsync'}}}
+            ]
+        }
+    });
+    const globals = {'fnAsync': async () => 2};
+    t.deepEqual(await evaluateExpressionAsync(expr, globals), {'a': 1, 'b': 2});
+});
+
+
+test('evaluateExpressionAsync, index', async (t) => {
+    const globals = {'data': {'rows': [{'name': 'a'}, {'name': null}], 'text': 'abc'}};
+    const indexExpr = (expr, index, optional = false) => validateExpression(
+        {'index': {expr, index, ...(optional ? {'optional': true} : {})}}
+    );
+    const rowsExpr = indexExpr({'variable': 'data'}, {'string': 'rows'});
+    t.is(await evaluateExpressionAsync(indexExpr(indexExpr(rowsExpr, {'number': 0}), {'string': 'name'}), globals), 'a');
+    t.is(await evaluateExpressionAsync(indexExpr(indexExpr(rowsExpr, {'number': 1}), {'string': 'name'}), globals), null);
+    t.is(await evaluateExpressionAsync(indexExpr(rowsExpr, {'number': 2}), globals), null);
+    t.is(await evaluateExpressionAsync(indexExpr({'variable': 'data'}, {'string': 'unknown'}), globals), null);
+    t.is(await evaluateExpressionAsync(indexExpr(indexExpr({'variable': 'data'}, {'string': 'text'}), {'number': 0}), globals), null);
+    const optionalExpr = indexExpr(indexExpr(indexExpr(rowsExpr, {'number': 2}), {'string': 'name'}, true), {'string': 'x'}, true);
+    t.is(await evaluateExpressionAsync(optionalExpr, globals), null);
+});
+
+
+test('evaluateExpressionAsync, index optional', async (t) => {
+    const expr = validateExpression({
+        'index': {
+            'expr': {'variable': 'data'},
+            'index': {'function': {'name': 'indexFn'}},
+            'optional': true
+        }
+    });
+    const indexes = [];
+    const indexFn = () => {
+        indexes.push('index');
+        return 'a';
+    };
+    t.is(await evaluateExpressionAsync(expr, {indexFn}), null);
+    t.deepEqual(indexes, []);
+    t.is(await evaluateExpressionAsync(expr, {indexFn, 'data': {'a': 1}}), 1);
+    t.deepEqual(indexes, ['index']);
+});
+
+
+test('evaluateExpressionAsync, index error null', async (t) => {
+    const expr = validateExpression({
+        'index': {
+            'expr': {'variable': 'data'},
+            'index': {'string': 'name'}
+        }
+    });
+    const error = await t.throwsAsync(
+        async () => evaluateExpressionAsync(expr),
+        {'instanceOf': CalcScriptRuntimeError}
+    );
+    t.is(error.message, 'Index "name" of null value');
+});
+
+
+test('evaluateExpressionAsync, index async', async (t) => {
+    const expr = validateExpression({
+        'index': {
+            'expr': {'function': {'name': 'fnAsync'}},
+            'index': {'string': 'a'}
+        }
+    });
+    const globals = {'fnAsync': async () => ({'a': 1})};
+    t.is(await evaluateExpressionAsync(expr, globals), 1);
+});
+
+
+test('evaluateExpressionAsync, index async optional', async (t) => {
+    const expr = validateExpression({
+        'index': {
+            'expr': {'variable': 'data'},
+            'index': {'function': {'name': 'fnAsync'}},
+            'optional': true
+        }
+    });
+    const globals = {'fnAsync': async () => 'a'};
+    t.is(await evaluateExpressionAsync(expr, globals), null);
+    t.is(await evaluateExpressionAsync(expr, {...globals, 'data': {'a': 1}}), 1);
+});
+
+
+test('evaluateExpressionAsync, lambda', async (t) => {
+    const expr = validateExpression({
+        'lambda': {
+            'args': ['a', 'b'],
+            'expr': {'binary': {'op': '*', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}
+        }
+    });
+    const lambdaFn = await evaluateExpressionAsync(expr);
+    t.is(typeof lambdaFn, 'function');
+    t.is(lambdaFn([2, 3]), 6);
+    t.is(lambdaFn([2]), 0);
+    t.is(lambdaFn(null), 0);
+    const fnExpr = validateExpression({'function': {'name': 'fn', 'args': [{'number': 4}, {'number': 5}]}});
+    t.is(await evaluateExpressionAsync(fnExpr, {'fn': lambdaFn}), 20);
+});
+
+
+test('evaluateExpressionAsync, lambda locals', async (t) => {
+    const expr = validateExpression({
+        'lambda': {
+            'args': ['b'],
+            'expr': {'binary': {'op': '+', 'left': {'variable': 'a'}, 'right': {'variable': 'b'}}}
+        }
+    });
+    const locals = {'a': 1, 'b': 2};
+    const lambdaFn = await evaluateExpressionAsync(expr, {}, locals);
+    t.is(lambdaFn([10]), 11);
+    locals.a = 5;
+    t.is(lambdaFn([10]), 15);
+    t.deepEqual(locals, {'a': 5, 'b': 2});
+});
+
+
+test('evaluateExpressionAsync, lambda async', async (t) => {
+    const expr = validateExpression({
+        'lambda': {
+            'args': ['a'],
+            'expr': {'function': {'name': 'fnAsync', 'args': [{'variable': 'a'}, {'variable': 'b'}]}}
+        }
+    });
+    const globals = {'fnAsync': async ([a, b]) => a + b};
+    const lambdaFn = await evaluateExpressionAsync(expr, globals, {'b': 2});
+    t.is(lambdaFn.constructor.name, 'AsyncFunction');
+    t.is(await lambdaFn([1]), 3);
+});
+
+
+test('evaluateExpressionAsync, lambda async expressions', async (t) => {
+    const globals = {'fnAsync': async () => 1, 'fnSync': () => 1};
+    const lambdaTypes = {};
+    for (const exprText of [
+        '() => fnAsync() + 1',
+        '() => 1 + fnAsync()',
+        '() => -fnAsync()',
+        '() => (fnAsync())',
+        '() => [1, fnAsync(),]',
+        "() => {'a': fnAsync()}",
+        '() => fnAsync().a',
+        '() => x[fnAsync()]',
+        '() => () => fnAsync()',
+        '() => fnSync(fnAsync())',
+        '() => fnSync(1) + -(x.a) + [1, 2] + {"a": 1}'
+    ]) {
+        // eslint-disable-next-line no-await-in-loop
+        const lambdaFn = await evaluateExpressionAsync(parseExpression(exprText), globals);
+        lambdaTypes[exprText] = lambdaFn.constructor.name;
+    }
+    t.deepEqual(lambdaTypes, {
+        '() => fnAsync() + 1': 'AsyncFunction',
+        '() => 1 + fnAsync()': 'AsyncFunction',
+        '() => -fnAsync()': 'AsyncFunction',
+        '() => (fnAsync())': 'AsyncFunction',
+        '() => [1, fnAsync(),]': 'AsyncFunction',
+        "() => {'a': fnAsync()}": 'AsyncFunction',
+        '() => fnAsync().a': 'AsyncFunction',
+        '() => x[fnAsync()]': 'AsyncFunction',
+        '() => () => fnAsync()': 'AsyncFunction',
+        '() => fnSync(fnAsync())': 'AsyncFunction',
+        '() => fnSync(1) + -(x.a) + [1, 2] + {"a": 1}': 'Function'
+    });
+});